@@ -4,6 +4,7 @@
 
 const CONFIG = {
     // GitHub Repository Configuration
+    // Default profile; other repositories (e.g. your fork) can be set up in the UI
     REPO_OWNER: 'shine-tong',
     REPO_NAME: 'ikfast-online',
     REPO_BRANCH: 'master', // Default branch for workflow triggers
@@ -20,48 +21,163 @@ const CONFIG = {
     POLLING_INTERVAL: 5000,
     POLLING_MAX_INTERVAL: 30000,
     POLLING_TIMEOUT: 1800000,
+    // How long to look for a dispatched run before giving up
+    RUN_LOOKUP_INTERVAL: 2000,
+    RUN_LOOKUP_TIMEOUT: 60000,
+    // How long to wait for a new fork's branches to be copied
+    FORK_READY_INTERVAL: 3000,
+    FORK_READY_TIMEOUT: 120000,
+    // How often the logs of running jobs are checked for new lines
+    LOG_POLLING_INTERVAL: 10000,
+    // How long to wait for a cancelled run to complete or a re-run to start
+    RUN_CONTROL_INTERVAL: 2000,
+    RUN_CONTROL_TIMEOUT: 60000,
     
     // File Upload Configuration
     MAX_FILE_SIZE: 10 * 1024 * 1024,
-    ALLOWED_EXTENSIONS: ['.urdf'],
+    ALLOWED_EXTENSIONS: ['.urdf', '.xacro'],
+    MAX_PACKAGE_SIZE: 50 * 1024 * 1024,
     
     // Workflow Configuration
     DEFAULT_IKTYPE: 'transform6d',
+    // IK types IKFast can generate, in the order the dropdown groups them.
+    // dof: actuated joints the IK type solves for; extra joints on the chain become free joints.
+    // signature: what the generated ComputeIk() expects; pfree holds the free joint values.
+    // ikfast.yml validates the iktype input against this list
+    IKTYPE_CATEGORIES: [
+        { value: 'pose', label: 'Position and orientation' },
+        { value: 'position', label: 'Position' },
+        { value: 'direction', label: 'Direction' },
+        { value: 'axisangle', label: 'Position and axis angle' }
+    ],
     IKTYPE_OPTIONS: [
         {
             value: 'transform6d',
             label: '6D Transform (Default)',
-            description: 'Full position and orientation'
+            category: 'pose',
+            dof: 6,
+            description: 'Full position and orientation',
+            signature: 'ComputeIk(eetrans = [x, y, z], eerot = 3x3 rotation matrix, pfree, solutions)'
+        },
+        {
+            value: 'rotation3d',
+            label: '3D Rotation',
+            category: 'pose',
+            dof: 3,
+            description: 'Orientation only, no position',
+            signature: 'ComputeIk(eetrans = unused, eerot = 3x3 rotation matrix, pfree, solutions)'
+        },
+        {
+            value: 'translationxyorientation3d',
+            label: '3D Translation XY+Orientation',
+            category: 'pose',
+            dof: 3,
+            description: 'XY plane position + rotation about the Z axis',
+            signature: 'ComputeIk(eetrans = [x, y], eerot = Z axis angle eerot[0], pfree, solutions)'
+        },
+        {
+            value: 'translationxy2d',
+            label: '2D Translation XY',
+            category: 'position',
+            dof: 2,
+            description: 'XY plane position only',
+            signature: 'ComputeIk(eetrans = [x, y], eerot = unused, pfree, solutions)'
         },
         {
             value: 'translation3d',
             label: '3D Translation',
-            description: 'Position only, no orientation'
+            category: 'position',
+            dof: 3,
+            description: 'Position only, no orientation',
+            signature: 'ComputeIk(eetrans = [x, y, z], eerot = unused, pfree, solutions)'
+        },
+        {
+            value: 'translationlocalglobal6d',
+            label: '6D Translation Local/Global',
+            category: 'position',
+            dof: 3,
+            description: 'A point given in the end effector frame reaches a position',
+            signature: 'ComputeIk(eetrans = [x, y, z], eerot = local point [eerot[0], eerot[4], eerot[8]], pfree, solutions)'
         },
         {
             value: 'direction3d',
             label: '3D Direction',
-            description: 'Direction vector'
+            category: 'direction',
+            dof: 2,
+            description: 'Direction vector',
+            signature: 'ComputeIk(eetrans = unused, eerot = direction [eerot[0], eerot[1], eerot[2]], pfree, solutions)'
         },
         {
             value: 'ray4d',
             label: '4D Ray',
-            description: 'Ray (origin + direction)'
+            category: 'direction',
+            dof: 4,
+            description: 'Ray (origin + direction)',
+            signature: 'ComputeIk(eetrans = origin [x, y, z], eerot = direction [eerot[0], eerot[1], eerot[2]], pfree, solutions)'
         },
         {
             value: 'lookat3d',
             label: '3D Look-At',
-            description: 'Look-at point'
+            category: 'direction',
+            dof: 2,
+            description: 'Look-at point',
+            signature: 'ComputeIk(eetrans = target [x, y, z], eerot = unused, pfree, solutions)'
         },
         {
             value: 'translationdirection5d',
             label: '5D Translation+Direction',
-            description: 'Position + direction'
+            category: 'direction',
+            dof: 5,
+            description: 'Position + direction',
+            signature: 'ComputeIk(eetrans = [x, y, z], eerot = direction [eerot[0], eerot[1], eerot[2]], pfree, solutions)'
+        },
+        {
+            value: 'translationxaxisangle4d',
+            label: '4D Translation+X Axis Angle',
+            category: 'axisangle',
+            dof: 4,
+            description: 'Position + angle between the direction and the X axis',
+            signature: 'ComputeIk(eetrans = [x, y, z], eerot = angle eerot[0], pfree, solutions)'
+        },
+        {
+            value: 'translationyaxisangle4d',
+            label: '4D Translation+Y Axis Angle',
+            category: 'axisangle',
+            dof: 4,
+            description: 'Position + angle between the direction and the Y axis',
+            signature: 'ComputeIk(eetrans = [x, y, z], eerot = angle eerot[0], pfree, solutions)'
+        },
+        {
+            value: 'translationzaxisangle4d',
+            label: '4D Translation+Z Axis Angle',
+            category: 'axisangle',
+            dof: 4,
+            description: 'Position + angle between the direction and the Z axis',
+            signature: 'ComputeIk(eetrans = [x, y, z], eerot = angle eerot[0], pfree, solutions)'
         },
         {
-            value: 'translationxy5d',
-            label: '5D Translation XY',
-            description: 'XY plane position + orientation'
+            value: 'translationxaxisangleznorm4d',
+            label: '4D Translation+X Axis Angle (Z Normal)',
+            category: 'axisangle',
+            dof: 4,
+            description: 'Position + angle of a direction in the XY plane from the X axis',
+            signature: 'ComputeIk(eetrans = [x, y, z], eerot = angle eerot[0], pfree, solutions)'
+        },
+        {
+            value: 'translationyaxisanglexnorm4d',
+            label: '4D Translation+Y Axis Angle (X Normal)',
+            category: 'axisangle',
+            dof: 4,
+            description: 'Position + angle of a direction in the YZ plane from the Y axis',
+            signature: 'ComputeIk(eetrans = [x, y, z], eerot = angle eerot[0], pfree, solutions)'
+        },
+        {
+            value: 'translationzaxisangleynorm4d',
+            label: '4D Translation+Z Axis Angle (Y Normal)',
+            category: 'axisangle',
+            dof: 4,
+            description: 'Position + angle of a direction in the ZX plane from the Z axis',
+            signature: 'ComputeIk(eetrans = [x, y, z], eerot = angle eerot[0], pfree, solutions)'
         }
     ],
     
@@ -71,21 +187,41 @@ const CONFIG = {
     },
     
     // File Paths
-    URDF_PATH: 'jobs/current/robot.urdf',
+    // Each job uploads to JOBS_DIR/<jobId>/URDF_FILENAME
+    JOBS_DIR: 'jobs',
+    URDF_FILENAME: 'robot.urdf',
+    // Meshes referenced by the URDF, relative to the job directory
+    ASSET_DIR: 'meshes',
+    // Must stay in sync with the job_id check in ikfast.yml
+    JOB_ID_PATTERN: /^[A-Za-z0-9_-]{1,64}$/,
     OUTPUT_DIR: 'outputs/',
     
     // Artifact Configuration
     ARTIFACT_NAME: 'ikfast-result',
     ARTIFACT_RETENTION_DAYS: 7,
     
+    // Number of past runs listed in the run history
+    RUN_HISTORY_LIMIT: 20,
+    
+    // How long a saved session is offered for resuming after a reload
+    SESSION_MAX_AGE: 24 * 60 * 60 * 1000,
+    
+    // Number of generations whose artifacts are remembered for reuse
+    SOLVER_CACHE_LIMIT: 50,
+    // Successful generations also upload <name>-<SHA-256 of the cache key>,
+    // so any browser can find them; must stay in sync with ikfast.yml
+    SOLVER_INDEX_ARTIFACT_NAME: 'ikfast-solver-index',
+    
     // UI Configuration
     AUTO_SCROLL_LOGS: true,
     LOG_MAX_LINES: 10000,
     
     // Error Messages
     ERROR_MESSAGES: {
-        INVALID_FILE_EXTENSION: 'File extension must be .urdf',
+        INVALID_FILE_EXTENSION: 'File extension must be .urdf or .xacro',
         FILE_TOO_LARGE: 'File size exceeds 10MB limit',
+        PACKAGE_TOO_LARGE: 'Referenced meshes exceed 50MB in total',
+        NO_ROBOT_DESCRIPTION: 'No .urdf or .xacro file found in the selection',
         INVALID_XML: 'File is not valid XML format',
         NETWORK_ERROR: 'Network connection failed',
         AUTH_FAILED: 'Authentication failed, check token permissions',
@@ -93,6 +229,11 @@ const CONFIG = {
         RESOURCE_NOT_FOUND: 'Resource not found, check repository config',
         INVALID_PARAMETERS: 'Parameter validation failed',
         WORKFLOW_TIMEOUT: 'Workflow execution timeout (30 minutes)',
+        RATE_LIMIT_EXHAUSTED: 'GitHub API rate limit reached; polling is paused until the limit resets',
+        RUN_NOT_FOUND: 'Workflow was dispatched but its run did not appear within 60 seconds',
+        FORK_NOT_READY: 'The fork was created but its branch did not appear within 2 minutes; run the wizard again later',
+        RUN_NOT_CANCELLED: 'Cancellation was requested but the run did not stop within 60 seconds',
+        RERUN_NOT_STARTED: 'Re-run was requested but no new attempt appeared within 60 seconds',
         ARTIFACT_NOT_FOUND: 'Artifact not found, workflow may not have completed',
         UNKNOWN_ERROR: 'Unknown error occurred'
     },
@@ -116,20 +257,82 @@ const CONFIG = {
         LIST_ARTIFACTS: '/repos/{owner}/{repo}/actions/runs/{run_id}/artifacts',
         DOWNLOAD_ARTIFACT: '/repos/{owner}/{repo}/actions/artifacts/{artifact_id}/zip',
         GET_WORKFLOW_LOGS: '/repos/{owner}/{repo}/actions/runs/{run_id}/logs',
+        CANCEL_WORKFLOW_RUN: '/repos/{owner}/{repo}/actions/runs/{run_id}/cancel',
+        RERUN_WORKFLOW_RUN: '/repos/{owner}/{repo}/actions/runs/{run_id}/rerun',
+        RERUN_FAILED_JOBS: '/repos/{owner}/{repo}/actions/runs/{run_id}/rerun-failed-jobs',
+        LIST_WORKFLOW_RUN_JOBS: '/repos/{owner}/{repo}/actions/runs/{run_id}/jobs',
+        GET_JOB_LOGS: '/repos/{owner}/{repo}/actions/jobs/{job_id}/logs',
+        GET_REF: '/repos/{owner}/{repo}/git/ref/heads/{branch}',
+        UPDATE_REF: '/repos/{owner}/{repo}/git/refs/heads/{branch}',
+        GET_COMMIT: '/repos/{owner}/{repo}/git/commits/{commit_sha}',
+        CREATE_COMMIT: '/repos/{owner}/{repo}/git/commits',
+        CREATE_TREE: '/repos/{owner}/{repo}/git/trees',
+        CREATE_BLOB: '/repos/{owner}/{repo}/git/blobs',
         VALIDATE_TOKEN: '/user',
+        GET_REPO: '/repos/{owner}/{repo}',
+        GET_WORKFLOW: '/repos/{owner}/{repo}/actions/workflows/{workflow_id}',
+        CREATE_FORK: '/repos/{owner}/{repo}/forks',
+        GET_BRANCH: '/repos/{owner}/{repo}/branches/{branch}',
+        LIST_REPO_ARTIFACTS: '/repos/{owner}/{repo}/actions/artifacts',
+        GET_USER: '/user',
         GET_BILLING_ACTIONS: '/repos/{owner}/{repo}/actions/billing/usage'
     },
     
+    // Git Data API: attempts at moving the branch when concurrent pushes win the race
+    COMMIT_MAX_RETRIES: 3,
+    
     // Quota Warning Threshold
-    QUOTA_WARNING_THRESHOLD: 0.8
+    QUOTA_WARNING_THRESHOLD: 0.8,
+    
+    // Token permissions probed after authentication, with the fine-grained
+    // token setting that grants each one
+    TOKEN_PERMISSIONS: [
+        { id: 'metadata', label: 'Read repository metadata', setting: 'Metadata: Read-only' },
+        { id: 'contents', label: 'Upload files to the repository', setting: 'Contents: Read and write' },
+        { id: 'actions', label: 'Trigger workflows', setting: 'Actions: Read and write' },
+        { id: 'artifacts', label: 'Download workflow artifacts', setting: 'Actions: Read-only' }
+    ],
+    
+    // ikfast.yml steps by phase, matched by step name prefix, so the step
+    // timeline can tell whether conversion, generation or packaging broke
+    WORKFLOW_PHASES: [
+        { id: 'setup', label: 'Setup', steps: ['Set up job', 'Checkout repository', 'Pull latest changes', 'Validate job ID'] },
+        { id: 'conversion', label: 'URDF conversion', steps: ['Verify URDF file exists', 'Resolve mesh paths', 'Validate inputs'] },
+        { id: 'generation', label: 'IKFast generation', steps: ['Run IKFast in Docker', 'Parse link info to JSON'] },
+        { id: 'packaging', label: 'Packaging', steps: ['Verify output file integrity', 'Upload artifacts'] }
+    ],
+    
+    // Conditional request cache for polled endpoints (entries, least recently used dropped)
+    RESPONSE_CACHE_MAX_ENTRIES: 100,
+    
+    // API rate limit budget (requests per hour, shared by all polling)
+    RATE_LIMIT: {
+        // Below this many remaining requests, low-priority requests are spaced out
+        LOW_THRESHOLD: 500,
+        // Minimum time between low-priority requests while the budget is low
+        LOW_PRIORITY_INTERVAL: 60000,
+        // Requests kept for dispatch and status; low-priority requests wait for the reset
+        RESERVE: 100
+    }
 };
 
 // Freeze configuration to prevent modifications
 Object.freeze(CONFIG);
+Object.freeze(CONFIG.IKTYPE_CATEGORIES);
+CONFIG.IKTYPE_CATEGORIES.forEach(category => Object.freeze(category));
 Object.freeze(CONFIG.IKTYPE_OPTIONS);
+CONFIG.IKTYPE_OPTIONS.forEach(type => Object.freeze(type));
 Object.freeze(CONFIG.ERROR_MESSAGES);
 Object.freeze(CONFIG.STATUS_MESSAGES);
 Object.freeze(CONFIG.API_ENDPOINTS);
+Object.freeze(CONFIG.RATE_LIMIT);
+Object.freeze(CONFIG.TOKEN_PERMISSIONS);
+CONFIG.TOKEN_PERMISSIONS.forEach(permission => Object.freeze(permission));
+Object.freeze(CONFIG.WORKFLOW_PHASES);
+CONFIG.WORKFLOW_PHASES.forEach(phase => {
+    Object.freeze(phase);
+    Object.freeze(phase.steps);
+});
 
 // Make CONFIG available globally
 if (typeof window !== 'undefined') {
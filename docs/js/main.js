@@ -18,12 +18,31 @@ import { StatusMonitorComponent } from './modules/status-monitor.module.js';
 import { LogViewerComponent } from './modules/log-viewer.module.js';
 import { DownloadComponent } from './modules/download.module.js';
 import { GlobalErrorHandler } from './modules/error-handler.module.js';
+import { JobSession } from './modules/job-session.module.js';
+import { RepoProfileManager } from './modules/repo-profile.module.js';
+import { ForkWizard } from './modules/fork-wizard.module.js';
+import { CancellableOperation } from './modules/cancellable-operation.module.js';
+import { RunHistoryComponent } from './modules/run-history.module.js';
+import { SessionRecovery } from './modules/session-recovery.module.js';
+import { SolverCache } from './modules/solver-cache.module.js';
+import { BatchQueueComponent } from './modules/batch-queue.module.js';
 
 // Initialize AuthenticationManager
 const authManager = new AuthenticationManager();
 
+// Repository jobs run in, the default one from CONFIG or a saved fork profile
+const repoProfiles = new RepoProfileManager();
+
 // Initialize GitHubAPIClient
-const githubAPI = new GitHubAPIClient(authManager);
+const githubAPI = new GitHubAPIClient(authManager, repoProfiles);
+// Token permissions are checked on the client's target repository
+authManager.setAPIClient(githubAPI);
+
+// Guided setup of a personal fork
+const forkWizard = new ForkWizard(githubAPI, repoProfiles);
+
+// Each tab works in its own jobs/<jobId>/ directory
+const jobSession = new JobSession();
 
 // Initialize all components
 const fileUploadComponent = new FileUploadComponent(githubAPI);
@@ -33,6 +52,10 @@ const workflowTriggerComponent = new WorkflowTriggerComponent(githubAPI);
 const statusMonitorComponent = new StatusMonitorComponent(githubAPI);
 const logViewerComponent = new LogViewerComponent(githubAPI);
 const downloadComponent = new DownloadComponent(githubAPI);
+const runHistoryComponent = new RunHistoryComponent(githubAPI);
+const sessionRecovery = new SessionRecovery();
+const solverCache = new SolverCache(githubAPI);
+const batchQueueComponent = new BatchQueueComponent(githubAPI);
 const errorHandler = new GlobalErrorHandler();
 
 // Initialize UI enhancement components
@@ -50,12 +73,17 @@ const AppState = {
         };
     },
     
+    // Job working directory
+    jobId: jobSession.getJobId(),
+    
     // File state
     file: {
         uploaded: false,
         filename: null,
         size: 0,
-        sha: null
+        sha: null,
+        // SHA-256 of the uploaded URDF, part of the solver cache key
+        checksum: null
     },
     
     // Link information
@@ -65,16 +93,22 @@ const AppState = {
     parameters: {
         baseLink: null,
         eeLink: null,
-        ikType: CONFIG.DEFAULT_IKTYPE
+        ikType: CONFIG.DEFAULT_IKTYPE,
+        freeJoints: []
     },
     
     // Workflow state
     workflow: {
         runId: null,
+        attempt: null,
         status: null,
         conclusion: null,
         startTime: null,
-        endTime: null
+        endTime: null,
+        // Solver cache key the run's artifact is recorded under on success
+        cacheKey: null,
+        // Solver parameters of the run, shown with its downloads
+        parameters: null
     },
     
     // Logs
@@ -91,25 +125,62 @@ const elements = {
     authButton: document.getElementById('auth-button'),
     authSection: document.getElementById('auth-section'),
     authMessage: document.getElementById('auth-message'),
+    permissionChecklist: document.getElementById('permission-checklist'),
+    rateLimitStatus: document.getElementById('rate-limit-status'),
+    
+    // Target repository
+    repoProfileSelect: document.getElementById('repo-profile-select'),
+    repoProfileName: document.getElementById('repo-profile-name'),
+    repoOwner: document.getElementById('repo-owner'),
+    repoName: document.getElementById('repo-name'),
+    repoBranch: document.getElementById('repo-branch'),
+    repoCheckButton: document.getElementById('repo-check-button'),
+    repoSaveButton: document.getElementById('repo-save-button'),
+    repoDeleteButton: document.getElementById('repo-delete-button'),
+    repoProfileMessage: document.getElementById('repo-profile-message'),
+    repoCheckList: document.getElementById('repo-check-list'),
+    forkWizardBranch: document.getElementById('fork-wizard-branch'),
+    forkWizardButton: document.getElementById('fork-wizard-button'),
+    forkWizardSteps: document.getElementById('fork-wizard-steps'),
     
     // File Upload
     fileInput: document.getElementById('file-input'),
+    folderInput: document.getElementById('folder-input'),
     uploadButton: document.getElementById('upload-button'),
+    uploadCancelButton: document.getElementById('upload-cancel-button'),
     uploadProgress: document.getElementById('upload-progress'),
     fileInfo: document.getElementById('file-info'),
     
     // Link Information
     linkTableContainer: document.getElementById('link-table-container'),
+    verifyLinksButton: document.getElementById('verify-links-button'),
+    verifyCancelButton: document.getElementById('verify-cancel-button'),
+    linkInfoMessage: document.getElementById('link-info-message'),
     
     // Parameters
     baseLinkInput: document.getElementById('base-link'),
     eeLinkInput: document.getElementById('ee-link'),
     iktypeSelect: document.getElementById('iktype'),
+    freeJointsList: document.getElementById('free-joints'),
     submitButton: document.getElementById('submit-button'),
+    batchAddButton: document.getElementById('batch-add-button'),
+    
+    // Batch queue
+    batchTable: document.getElementById('batch-table-body'),
+    batchRunButton: document.getElementById('batch-run-button'),
+    batchCancelButton: document.getElementById('batch-cancel-button'),
+    batchDownloadButton: document.getElementById('batch-download-button'),
+    batchMessage: document.getElementById('batch-message'),
     
     // Status
     statusIndicator: document.getElementById('status-indicator'),
     statusMessage: document.getElementById('status-message'),
+    generationCancelButton: document.getElementById('generation-cancel-button'),
+    cancelRunButton: document.getElementById('cancel-run-button'),
+    rerunButton: document.getElementById('rerun-button'),
+    rerunFailedButton: document.getElementById('rerun-failed-button'),
+    runControlMessage: document.getElementById('run-control-message'),
+    stepTimeline: document.getElementById('step-timeline'),
     
     // Logs
     logViewer: document.getElementById('log-viewer'),
@@ -122,6 +193,17 @@ const elements = {
     solverSize: document.getElementById('solver-size'),
     logSize: document.getElementById('log-size'),
     
+    // Run history
+    runHistoryList: document.getElementById('run-history-list'),
+    runHistoryRefresh: document.getElementById('run-history-refresh'),
+    runHistoryMessage: document.getElementById('run-history-message'),
+    
+    // Session recovery
+    sessionBanner: document.getElementById('session-recovery'),
+    sessionSummary: document.getElementById('session-recovery-summary'),
+    sessionResumeButton: document.getElementById('session-resume-button'),
+    sessionDismissButton: document.getElementById('session-dismiss-button'),
+    
     // Error
     errorSection: document.getElementById('error-section'),
     errorText: document.getElementById('error-text'),
@@ -145,9 +227,35 @@ function initializeApp() {
         tokenInput: elements.githubToken,
         authButton: elements.authButton,
         authSection: elements.authSection,
-        errorDisplay: elements.authMessage
+        errorDisplay: elements.authMessage,
+        permissionList: elements.permissionChecklist
     });
     
+    repoProfiles.initializeUI({
+        profileSelect: elements.repoProfileSelect,
+        nameInput: elements.repoProfileName,
+        ownerInput: elements.repoOwner,
+        repoInput: elements.repoName,
+        branchInput: elements.repoBranch,
+        checkButton: elements.repoCheckButton,
+        saveButton: elements.repoSaveButton,
+        deleteButton: elements.repoDeleteButton,
+        message: elements.repoProfileMessage,
+        checkList: elements.repoCheckList
+    }, githubAPI);
+    
+    forkWizard.initializeUI({
+        branchInput: elements.forkWizardBranch,
+        startButton: elements.forkWizardButton,
+        stepList: elements.forkWizardSteps
+    });
+    
+    // A token restored from the session is probed again, permissions may have changed
+    if (authManager.isUserAuthenticated()) {
+        authManager.probePermissions().then(updateUIState);
+        runHistoryComponent.refresh();
+    }
+    
     // Initialize all components with their UI elements
     initializeComponents();
     
@@ -199,6 +307,12 @@ function initializeApp() {
     // Set up component event handlers
     setupComponentEventHandlers();
     
+    // A session saved before the page was reloaded can be resumed once
+    // signed in; until it has been offered, nothing replaces it
+    if (authManager.isUserAuthenticated()) {
+        sessionRecovery.offer(githubAPI.getRepo());
+    }
+    
     // Initialize UI state
     updateUIState();
 }
@@ -207,14 +321,24 @@ function initializeApp() {
  * Initialize all components with their UI elements
  */
 function initializeComponents() {
+    // All job-aware components share the session's job
+    [fileUploadComponent, linkInfoComponent, workflowTriggerComponent, downloadComponent]
+        .forEach(component => component.setJobId(AppState.jobId));
+    
     // File Upload Component
     fileUploadComponent.initializeUI({
         fileInput: elements.fileInput,
+        folderInput: elements.folderInput,
         uploadButton: elements.uploadButton,
+        cancelButton: elements.uploadCancelButton,
         progressBar: document.querySelector('#upload-progress .progress-fill'),
         progressText: elements.fileInfo,
         fileInfo: elements.fileInfo,
         statusMessage: document.getElementById('upload-status-message'),
+        diagnosticsDisplay: document.getElementById('urdf-diagnostics'),
+        expandedPreview: document.getElementById('expanded-urdf'),
+        expandedContent: document.getElementById('expanded-urdf-content'),
+        downloadExpandedButton: document.getElementById('download-expanded-urdf'),
         errorDisplay: elements.errorSection // Use global error section
     });
     
@@ -222,9 +346,11 @@ function initializeComponents() {
     linkInfoComponent.initializeUI({
         linkTable: elements.linkTableContainer,
         linkTableContainer: elements.linkTableContainer,
+        fetchButton: elements.verifyLinksButton,
+        cancelButton: elements.verifyCancelButton,
         loadingIndicator: document.createElement('div'), // Will show loading state
         statusDisplay: document.createElement('div'),
-        errorDisplay: document.createElement('div')
+        errorDisplay: elements.linkInfoMessage
     });
     
     // Parameter Config Component
@@ -232,12 +358,19 @@ function initializeComponents() {
         baseLinkInput: elements.baseLinkInput,
         eeLinkInput: elements.eeLinkInput,
         ikTypeSelect: elements.iktypeSelect,
+        ikTypeAdvice: document.getElementById('iktype-advice'),
+        ikTypeHelp: document.getElementById('iktype-help'),
+        freeJointsList: elements.freeJointsList,
+        freeJointsGroup: document.getElementById('free-joints-group'),
+        freeJointsHelp: document.getElementById('free-joints-help'),
         baseLinkError: document.createElement('div'),
         eeLinkError: document.createElement('div'),
-        ikTypeError: document.createElement('div')
+        ikTypeError: document.createElement('div'),
+        freeJointsError: document.createElement('div')
     });
     
     // Workflow Trigger Component
+    workflowTriggerComponent.setSolverCache(solverCache);
     workflowTriggerComponent.initializeUI({
         submitButton: elements.submitButton,
         statusMessage: elements.statusMessage
@@ -248,7 +381,12 @@ function initializeComponents() {
         statusIndicator: elements.statusIndicator,
         queuePosition: document.createElement('div'),
         elapsedTime: document.createElement('div'),
-        runDetails: document.createElement('div')
+        runDetails: document.createElement('div'),
+        cancelRunButton: elements.cancelRunButton,
+        rerunButton: elements.rerunButton,
+        rerunFailedButton: elements.rerunFailedButton,
+        controlMessage: elements.runControlMessage,
+        stepTimeline: elements.stepTimeline
     });
     
     // Log Viewer Component
@@ -263,10 +401,35 @@ function initializeComponents() {
         downloadLogButton: elements.downloadLog,
         solverFileSize: elements.solverSize,
         logFileSize: elements.logSize,
+        solverSummary: document.getElementById('solver-summary'),
         downloadSection: document.querySelector('.download-section'),
         artifactInfo: document.createElement('div'),
         errorDisplay: document.createElement('div')
     });
+    
+    // Run History Component
+    runHistoryComponent.initializeUI({
+        list: elements.runHistoryList,
+        refreshButton: elements.runHistoryRefresh,
+        message: elements.runHistoryMessage
+    });
+    
+    // Batch Queue Component
+    batchQueueComponent.initializeUI({
+        table: elements.batchTable,
+        runButton: elements.batchRunButton,
+        cancelButton: elements.batchCancelButton,
+        downloadButton: elements.batchDownloadButton,
+        message: elements.batchMessage
+    });
+    
+    // Session Recovery
+    sessionRecovery.initializeUI({
+        banner: elements.sessionBanner,
+        summary: elements.sessionSummary,
+        resumeButton: elements.sessionResumeButton,
+        dismissButton: elements.sessionDismissButton
+    });
 }
 
 /**
@@ -276,13 +439,18 @@ function setupEventListeners() {
     // Authentication is handled by AuthenticationManager
     // Listen for authentication success event
     window.addEventListener('authenticationSuccess', (event) => {
+        sessionRecovery.offer(githubAPI.getRepo());
         updateUIState();
+        runHistoryComponent.refresh();
     });
     
     // File Upload - handled by FileUploadComponent
     // But we need to listen for the fileUploaded event
     window.addEventListener('fileUploaded', handleFileUploaded);
     
+    // A new upload supersedes the generation of the previous robot
+    window.addEventListener('uploadStarted', handleUploadStarted);
+    
     // Link Selection - handled by LinkInfoComponent
     window.addEventListener('linkSelected', handleLinkSelected);
     
@@ -293,9 +461,17 @@ function setupEventListeners() {
     elements.baseLinkInput.addEventListener('input', handleParameterChange);
     elements.eeLinkInput.addEventListener('input', handleParameterChange);
     elements.iktypeSelect.addEventListener('change', handleParameterChange);
+    elements.freeJointsList.addEventListener('change', handleParameterChange);
     
     // Submit - trigger workflow
     elements.submitButton.addEventListener('click', handleWorkflowSubmit);
+    elements.generationCancelButton.addEventListener('click', handleGenerationCancel);
+    
+    // Batch queue
+    elements.batchAddButton.addEventListener('click', handleBatchAdd);
+    elements.batchRunButton.addEventListener('click', handleBatchRun);
+    window.addEventListener('batchStarted', updateUIState);
+    window.addEventListener('batchCompleted', handleBatchCompleted);
     
     // Download buttons
     elements.downloadSolver.addEventListener('click', () => handleDownload('solver'));
@@ -304,6 +480,21 @@ function setupEventListeners() {
     // Error handling
     elements.dismissError.addEventListener('click', hideError);
     elements.retryButton.addEventListener('click', handleRetry);
+    
+    // API rate limit budget
+    window.addEventListener('rateLimitUpdated', (event) => updateRateLimitDisplay(event.detail));
+    window.addEventListener('rateLimitLow', handleRateLimitLow);
+    window.addEventListener('rateLimitExhausted', handleRateLimitExhausted);
+    window.addEventListener('rateLimitReset', handleRateLimitReset);
+    
+    // Target repository switched, the token may have different permissions there
+    window.addEventListener('repoProfileChanged', handleRepoProfileChanged);
+    
+    // A past run reopened from the run history
+    window.addEventListener('runHistoryOpened', handleRunHistoryOpened);
+    
+    // A session saved before the page was reloaded
+    window.addEventListener('sessionResumed', handleSessionResumed);
 }
 
 /**
@@ -314,6 +505,10 @@ function setupComponentEventHandlers() {
     statusMonitorComponent.onStatusChange = handleStatusChange;
     statusMonitorComponent.onComplete = handleWorkflowComplete;
     statusMonitorComponent.onTimeout = handleWorkflowTimeout;
+    statusMonitorComponent.onRerun = handleWorkflowRerun;
+    
+    // Workflow Trigger callbacks
+    workflowTriggerComponent.onCacheHit = confirmSolverReuse;
 }
 
 /**
@@ -326,6 +521,16 @@ async function handleFileUploaded(event) {
     AppState.file.uploaded = true;
     AppState.file.filename = event.detail.filename;
     AppState.file.sha = event.detail.sha;
+    AppState.file.checksum = null;
+    
+    // The cache is only an optimization, generation works without the checksum
+    if (event.detail.content) {
+        try {
+            AppState.file.checksum = await SolverCache.computeChecksum(event.detail.content);
+        } catch (error) {
+            console.warn('Solver cache disabled for this upload:', error.message);
+        }
+    }
     
     // File upload component will show the status message
     // No need to show global success message here
@@ -335,6 +540,75 @@ async function handleFileUploaded(event) {
     updateUIState();
 }
 
+/**
+ * Handle the start of a new upload
+ * Fired once the new file passed validation; generation results of the
+ * previous robot no longer apply
+ */
+function handleUploadStarted() {
+    linkInfoComponent.cancel();
+    
+    // The batch still needs the files of the current job, the new robot gets its own
+    if (batchQueueComponent.usesJob(AppState.jobId)) {
+        startNewJob();
+    }
+    
+    if (stopGeneration()) {
+        AppState.workflow.status = null;
+        AppState.workflow.runId = null;
+        AppState.workflow.attempt = null;
+        statusMonitorComponent.reset();
+    }
+}
+
+/**
+ * Move this tab to a new job directory
+ */
+function startNewJob() {
+    AppState.jobId = jobSession.newJob();
+    [fileUploadComponent, linkInfoComponent, workflowTriggerComponent, downloadComponent]
+        .forEach(component => component.setJobId(AppState.jobId));
+}
+
+/**
+ * Handle the generation cancel button
+ */
+function handleGenerationCancel() {
+    if (stopGeneration()) {
+        AppState.workflow.status = 'cancelled';
+        statusMonitorComponent.updateStatusDisplay('cancelled');
+        showInfo('Stopped following the workflow run; it may still finish on GitHub');
+    }
+    
+    updateUIState();
+}
+
+/**
+ * Abort the trigger, status polling and log polling of the current generation
+ * @returns {boolean} True if a generation was in progress
+ */
+function stopGeneration() {
+    const wasTriggering = workflowTriggerComponent.cancel();
+    const wasPolling = statusMonitorComponent.getPollingState().isPolling;
+    
+    statusMonitorComponent.stopPolling();
+    stopLogPolling();
+    workflowTriggerComponent.setWorkflowActive(false, null);
+    showGenerationCancel(false);
+    
+    return wasTriggering || wasPolling;
+}
+
+/**
+ * Show or hide the generation cancel button
+ * @param {boolean} show - Whether a generation is in progress
+ */
+function showGenerationCancel(show) {
+    if (elements.generationCancelButton) {
+        elements.generationCancelButton.style.display = show ? 'inline-block' : 'none';
+    }
+}
+
 /**
  * Handle link info fetched event
  * @param {CustomEvent} event - Link info fetched event
@@ -358,6 +632,9 @@ function handleLinkInfoFetched(event) {
     // Update application state
     AppState.links = links;
     
+    // IK types are ranked by the joints between the chosen links
+    parameterConfigComponent.setKinematics(linkInfoComponent.getModel(), links);
+    
     // Update UI state
     updateUIState();
 }
@@ -437,21 +714,38 @@ async function handleWorkflowSubmit() {
         // Disable submit button
         elements.submitButton.disabled = true;
         
+        // Triggering again aborts a trigger still waiting for its run
+        showGenerationCancel(true);
+        
         // Trigger workflow
         showInfo('Triggering workflow...');
         
+        const cacheKey = SolverCache.createKey(AppState.file.checksum, params);
         const result = await workflowTriggerComponent.triggerWorkflow({
             mode: 'generate',
             base_link: params.baseLink,
             ee_link: params.eeLink,
-            iktype: params.ikType
+            iktype: params.ikType,
+            free_joints: params.freeJoints,
+            cache_key: cacheKey
         });
         
-        if (result.success && result.runId) {
+        if (result.success && result.cached) {
+            showGenerationCancel(false);
+            openCachedSolver(result, params);
+        } else if (result.success && result.runId) {
+            // A run reopened from the history may have pointed downloads at another job
+            downloadComponent.setJobId(AppState.jobId);
+            
             // Update application state
             AppState.workflow.runId = result.runId;
+            AppState.workflow.attempt = null;
             AppState.workflow.status = 'queued';
+            AppState.workflow.conclusion = null;
             AppState.workflow.startTime = Date.now();
+            AppState.workflow.endTime = null;
+            AppState.workflow.cacheKey = cacheKey;
+            AppState.workflow.parameters = params;
             
             // Start monitoring workflow status
             statusMonitorComponent.startPolling(result.runId);
@@ -461,9 +755,13 @@ async function handleWorkflowSubmit() {
             
             showSuccess('Operation successful');
             elements.submitButton.disabled = false;
+        } else {
+            showGenerationCancel(false);
+            updateUIState();
         }
         
     } catch (error) {
+        showGenerationCancel(false);
         console.error('Workflow submission error:', error);
         await errorHandler.handleError(error, {
             operation: 'workflow-submit',
@@ -473,6 +771,67 @@ async function handleWorkflowSubmit() {
     }
 }
 
+/**
+ * Add the uploaded robot with the current parameters to the batch queue
+ */
+function handleBatchAdd() {
+    const params = parameterConfigComponent.getParameters();
+    const validation = parameterConfigComponent.validateParameters(params);
+    
+    if (!validation.valid) {
+        parameterConfigComponent.displayValidationErrors(validation.errors);
+        showError('Parameter validation failed');
+        return;
+    }
+    
+    try {
+        const entry = batchQueueComponent.addEntry({
+            jobId: AppState.jobId,
+            filename: AppState.file.filename,
+            parameters: params
+        });
+        showInfo(`已加入批量队列（第 ${entry.id} 项）。可修改参数再次加入，或上传下一个机器人`);
+    } catch (error) {
+        showError(error.message);
+    }
+    
+    updateUIState();
+}
+
+/**
+ * Work through the batch queue
+ * A single generation of a queued job would cancel the batch's run in the
+ * job's concurrency group, so they never run at the same time
+ */
+async function handleBatchRun() {
+    if (workflowTriggerComponent.getWorkflowState().isActive) {
+        showError('请等待当前生成完成后再开始批量生成');
+        return;
+    }
+    
+    hideError();
+    await batchQueueComponent.run();
+}
+
+/**
+ * Handle the end of a batch
+ * @param {CustomEvent} event - batchCompleted event
+ */
+function handleBatchCompleted(event) {
+    const { completed, failed, cancelled } = event.detail;
+    
+    if (cancelled) {
+        showInfo('批量生成已停止；GitHub 上进行中的运行不受影响');
+    } else if (failed > 0) {
+        showError(`批量生成完成：${completed} 个成功，${failed} 个失败。再次点击开始可重试失败的项`);
+    } else {
+        showSuccess(`批量生成完成：${completed} 个求解器可下载`);
+    }
+    
+    updateUIState();
+    runHistoryComponent.refresh();
+}
+
 /**
  * Handle status change during workflow execution
  * @param {string} status - New status
@@ -506,19 +865,33 @@ async function handleWorkflowComplete(status, run) {
     
     // Stop log polling
     stopLogPolling();
+    showGenerationCancel(false);
     
-    // Fetch final logs
+    // Append the rest of the job logs, including lines the last poll missed
+    const signal = logFetch.start();
     try {
-        const logs = await logViewerComponent.fetchLogs(run.id);
-        logViewerComponent.appendLog(logs);
+        await logViewerComponent.streamLogs(run.id, { signal });
     } catch (error) {
+        if (CancellableOperation.isAbortError(error)) {
+            return;
+        }
         console.error('Failed to fetch final logs:', error);
+    } finally {
+        logFetch.finish(signal);
     }
     
     // Enable downloads if successful (check conclusion, not mapped status)
     if (status === 'completed' && run.conclusion === 'success') {
+        downloadComponent.setSolverParameters(AppState.workflow.parameters);
         await downloadComponent.setWorkflowStatus('completed', run.id);
+        solverCache.record(AppState.workflow.cacheKey, {
+            runId: run.id,
+            jobId: AppState.jobId,
+            artifact: downloadComponent.findArtifact(downloadComponent.getArtifactName())
+        });
         showSuccess('工作流执行成功！您现在可以下载结果文件。');
+    } else if (run.conclusion === 'cancelled') {
+        showInfo('工作流已取消，可在状态区域重新运行');
     } else {
         showError(`工作流执行失败: ${run.conclusion || 'unknown'}`);
     }
@@ -531,6 +904,183 @@ async function handleWorkflowComplete(status, run) {
     
     // Update UI
     updateUIState();
+    
+    // List the finished run in the history
+    runHistoryComponent.refresh();
+}
+
+/**
+ * Handle a re-run started from the status panel
+ * Logs and downloads follow the new attempt of the same run
+ * @param {Object} run - Workflow run with its new attempt
+ */
+function handleWorkflowRerun(run) {
+    AppState.workflow.runId = run.id;
+    AppState.workflow.attempt = run.runAttempt;
+    AppState.workflow.status = 'queued';
+    AppState.workflow.conclusion = null;
+    AppState.workflow.startTime = Date.now();
+    AppState.workflow.endTime = null;
+    
+    hideError();
+    downloadComponent.reset();
+    logViewerComponent.clearLog();
+    workflowTriggerComponent.setWorkflowActive(true, run.id);
+    showGenerationCancel(true);
+    startLogPolling(run.id);
+    
+    updateUIState();
+}
+
+/**
+ * Handle a run reopened from the run history
+ * The status monitor, logs and downloads follow that run as if it had just
+ * been triggered; a finished run completes on the first poll, which loads
+ * its logs and, if it succeeded, its artifact
+ * @param {CustomEvent} event - runHistoryOpened event
+ */
+function handleRunHistoryOpened(event) {
+    const entry = event.detail;
+    
+    stopGeneration();
+    
+    AppState.workflow.runId = entry.runId;
+    AppState.workflow.attempt = null;
+    AppState.workflow.status = null;
+    AppState.workflow.conclusion = null;
+    AppState.workflow.startTime = Date.parse(entry.createdAt);
+    AppState.workflow.endTime = null;
+    AppState.workflow.cacheKey = null;
+    AppState.workflow.parameters = entry.parameters;
+    
+    hideError();
+    downloadComponent.reset();
+    downloadComponent.setJobId(entry.jobId || AppState.jobId);
+    logViewerComponent.reset();
+    
+    statusMonitorComponent.startPolling(entry.runId);
+    if (entry.status !== 'completed') {
+        showGenerationCancel(true);
+        startLogPolling(entry.runId);
+    }
+    
+    updateUIState();
+}
+
+/**
+ * Ask whether to reuse the solver of an identical earlier generation
+ * @param {Object} entry - Cache entry from SolverCache.find()
+ * @returns {boolean} True to reuse it instead of running again
+ */
+function confirmSolverReuse(entry) {
+    const expiresAt = new Date(entry.expiresAt).toLocaleString();
+    return window.confirm(
+        `相同的 URDF 和参数已在运行 #${entry.runId} 中生成过求解器（Artifact 将于 ${expiresAt} 过期）。\n` +
+        '直接下载该结果，而不重新运行工作流？'
+    );
+}
+
+/**
+ * Show the result of a reused earlier generation
+ * The run is followed like one reopened from the history: it completes on
+ * the first poll, which loads its logs and artifact
+ * @param {{runId: number, jobId: string}} result - Cached result from triggerWorkflow()
+ * @param {Object} parameters - Solver parameters the result was generated with
+ */
+function openCachedSolver(result, parameters) {
+    AppState.workflow.runId = result.runId;
+    AppState.workflow.attempt = null;
+    AppState.workflow.status = null;
+    AppState.workflow.conclusion = null;
+    AppState.workflow.startTime = null;
+    AppState.workflow.endTime = null;
+    AppState.workflow.cacheKey = null;
+    AppState.workflow.parameters = parameters;
+    
+    downloadComponent.reset();
+    downloadComponent.setJobId(result.jobId);
+    logViewerComponent.reset();
+    statusMonitorComponent.startPolling(result.runId);
+    
+    showInfo(`Reusing the solver of run #${result.runId}`);
+    updateUIState();
+}
+
+/**
+ * Handle a session resumed after a page reload
+ * The job, uploaded file, links and parameters are restored as they were; a
+ * run is followed again by the status monitor, whose elapsed time and
+ * timeout count from the run's start on GitHub
+ * @param {CustomEvent} event - sessionResumed event
+ */
+function handleSessionResumed(event) {
+    const { snapshot } = event.detail;
+    
+    stopGeneration();
+    
+    AppState.jobId = jobSession.setJobId(snapshot.jobId);
+    [fileUploadComponent, linkInfoComponent, workflowTriggerComponent, downloadComponent]
+        .forEach(component => component.setJobId(AppState.jobId));
+    
+    AppState.file = { ...snapshot.file };
+    if (AppState.file.filename) {
+        fileUploadComponent.showStatusMessage(`已恢复上次的文件 ${AppState.file.filename}`);
+    }
+    
+    AppState.links = snapshot.links || [];
+    if (AppState.links.length > 0) {
+        linkInfoComponent.restoreLinks(AppState.links);
+    }
+    parameterConfigComponent.setKinematics(null, AppState.links);
+    if (AppState.file.uploaded) {
+        restoreKinematics();
+    }
+    
+    parameterConfigComponent.setParameters(snapshot.parameters);
+    AppState.parameters = parameterConfigComponent.getParameters();
+    
+    AppState.workflow = { ...snapshot.workflow };
+    
+    hideError();
+    downloadComponent.reset();
+    logViewerComponent.reset();
+    
+    const { runId } = AppState.workflow;
+    if (runId) {
+        // A finished run completes on the first poll, which loads its logs and artifact
+        statusMonitorComponent.startPolling(runId);
+        if (!AppState.workflow.endTime) {
+            workflowTriggerComponent.setWorkflowActive(true, runId);
+            showGenerationCancel(true);
+            startLogPolling(runId);
+        }
+    }
+    
+    showInfo('Session restored');
+    updateUIState();
+}
+
+/**
+ * Rebuild the kinematic model of a resumed session from the job's URDF
+ * Without it the parameters are not checked against the robot's joints,
+ * so generation stays blocked until the robot is uploaded again
+ */
+async function restoreKinematics() {
+    const { sha } = AppState.file;
+    const model = await linkInfoComponent.restoreModel();
+    
+    // A new upload replaced the resumed robot meanwhile
+    if (AppState.file.sha !== sha) {
+        return;
+    }
+    
+    if (model) {
+        parameterConfigComponent.setKinematics(model, AppState.links);
+    } else {
+        AppState.file.uploaded = false;
+        fileUploadComponent.showStatusMessage('无法读取上次上传的 URDF，请重新上传机器人文件');
+    }
+    updateUIState();
 }
 
 /**
@@ -545,6 +1095,7 @@ function handleWorkflowTimeout() {
     
     // Stop log polling
     stopLogPolling();
+    showGenerationCancel(false);
     
     // Show error
     showError(CONFIG.ERROR_MESSAGES.WORKFLOW_TIMEOUT);
@@ -563,42 +1114,130 @@ function handleWorkflowTimeout() {
  * Log polling state
  */
 let logPollingInterval = null;
+let logFetchPending = false;
+const logFetch = new CancellableOperation();
 
 /**
  * Start polling for logs
+ * Each poll appends only the lines written since the previous one
  * @param {number} runId - Workflow run ID
  */
 function startLogPolling(runId) {
     // Stop any existing polling
     stopLogPolling();
+    const signal = logFetch.start();
     
-    // Poll every 10 seconds
     logPollingInterval = setInterval(async () => {
+        // Log requests are low priority and may be held back by the rate limit
+        if (logFetchPending) {
+            return;
+        }
+        
+        logFetchPending = true;
         try {
-            const logs = await logViewerComponent.fetchLogs(runId);
-            
-            // Only append if we have new content
-            if (logs && logs !== logViewerComponent.getContent()) {
-                logViewerComponent.clearLog();
-                logViewerComponent.appendLog(logs);
-            }
+            await logViewerComponent.streamLogs(runId, { signal });
         } catch (error) {
+            if (CancellableOperation.isAbortError(error)) {
+                return;
+            }
             // Silently fail - logs might not be available yet
             console.log('Log fetch failed (expected during early workflow stages):', error.message);
+        } finally {
+            logFetchPending = false;
         }
-    }, 10000);
+    }, CONFIG.LOG_POLLING_INTERVAL);
 }
 
 /**
  * Stop polling for logs
+ * Also aborts the log download in flight
  */
 function stopLogPolling() {
+    logFetch.cancel();
+    
     if (logPollingInterval) {
         clearInterval(logPollingInterval);
         logPollingInterval = null;
     }
 }
 
+/**
+ * Show the remaining API budget
+ * @param {Object} status - Budget from RateLimitScheduler.getStatus()
+ */
+function updateRateLimitDisplay(status) {
+    if (!elements.rateLimitStatus || status.remaining === null) {
+        return;
+    }
+    
+    const resetTime = status.resetAt ? new Date(status.resetAt).toLocaleTimeString() : '-';
+    elements.rateLimitStatus.textContent =
+        `GitHub API: ${status.remaining} / ${status.limit} requests left (resets at ${resetTime})`;
+    elements.rateLimitStatus.className = 'rate-limit-status' +
+        (status.isExhausted ? ' exhausted' : status.isLow ? ' low' : '');
+    elements.rateLimitStatus.style.display = 'block';
+}
+
+/**
+ * Handle the API budget running low
+ * @param {CustomEvent} event - rateLimitLow event
+ */
+function handleRateLimitLow(event) {
+    updateRateLimitDisplay(event.detail);
+    showInfo(`GitHub API budget is low (${event.detail.remaining} requests left); log updates are slowed down`);
+}
+
+/**
+ * Pause polling until the API budget resets
+ * Status requests already wait in the scheduler; log polling is stopped so
+ * it does not pile up requests
+ * @param {CustomEvent} event - rateLimitExhausted event
+ */
+function handleRateLimitExhausted(event) {
+    updateRateLimitDisplay(event.detail);
+    stopLogPolling();
+    showError(CONFIG.ERROR_MESSAGES.RATE_LIMIT_EXHAUSTED);
+}
+
+/**
+ * Resume polling after the API budget reset
+ * Only while the run is still watched; a finished, cancelled or stopped run
+ * has no more logs to follow
+ */
+function handleRateLimitReset() {
+    const runActive = workflowTriggerComponent.getWorkflowState().isActive &&
+        statusMonitorComponent.getPollingState().isPolling;
+    
+    if (AppState.workflow.runId && runActive && !logPollingInterval) {
+        startLogPolling(AppState.workflow.runId);
+    }
+    
+    if (elements.rateLimitStatus) {
+        elements.rateLimitStatus.classList.remove('low', 'exhausted');
+    }
+    if (elements.errorText.textContent === CONFIG.ERROR_MESSAGES.RATE_LIMIT_EXHAUSTED) {
+        hideError();
+    }
+}
+
+/**
+ * Handle a switch of the target repository
+ * The uploaded robot lives in the previous repository, so it has to be
+ * uploaded again before a job can run in the new one
+ * @param {CustomEvent} event - repoProfileChanged event
+ */
+function handleRepoProfileChanged(event) {
+    AppState.file.uploaded = false;
+    runHistoryComponent.clear();
+
+    if (authManager.isUserAuthenticated()) {
+        authManager.probePermissions().then(updateUIState);
+        runHistoryComponent.refresh();
+    }
+
+    updateUIState();
+}
+
 /**
  * Handle download button click
  * @param {string} type - Download type ('solver' or 'log')
@@ -637,12 +1276,25 @@ function updateUIState() {
     const validation = parameterConfigComponent.validateParameters(params);
     const isWorkflowActive = workflowTriggerComponent.getWorkflowState().isActive;
     
+    const isBatchRunning = batchQueueComponent.isRunning();
+    
     if (elements.submitButton) {
         elements.submitButton.disabled = 
             !AppState.auth.isAuthenticated || 
             !AppState.file.uploaded || 
             !validation.valid ||
-            isWorkflowActive;
+            isWorkflowActive ||
+            isBatchRunning;
+    }
+    
+    if (elements.batchAddButton) {
+        elements.batchAddButton.disabled =
+            !AppState.auth.isAuthenticated ||
+            !AppState.file.uploaded ||
+            !validation.valid;
+    }
+    if (elements.batchRunButton) {
+        elements.batchRunButton.disabled = isWorkflowActive || !batchQueueComponent.canRun();
     }
     
     // Update download buttons state
@@ -653,6 +1305,36 @@ function updateUIState() {
     if (elements.downloadLog) {
         elements.downloadLog.disabled = !workflowCompleted;
     }
+    
+    // Steps whose permission the token lacks stay blocked
+    blockForPermission(elements.uploadButton, 'contents');
+    blockForPermission(elements.verifyLinksButton, 'actions');
+    blockForPermission(elements.submitButton, 'actions');
+    blockForPermission(elements.batchRunButton, 'actions');
+    blockForPermission(elements.downloadSolver, 'artifacts');
+    blockForPermission(elements.downloadLog, 'artifacts');
+    
+    // Keep the state for resuming after a reload
+    sessionRecovery.save(AppState, githubAPI.getRepo());
+}
+
+/**
+ * Disable a button while the token lacks the permission its step needs
+ * @param {HTMLButtonElement} button - Step button
+ * @param {string} permissionId - Permission ID from CONFIG.TOKEN_PERMISSIONS
+ */
+function blockForPermission(button, permissionId) {
+    if (!button) {
+        return;
+    }
+    
+    if (authManager.lacksPermission(permissionId)) {
+        const permission = CONFIG.TOKEN_PERMISSIONS.find(p => p.id === permissionId);
+        button.disabled = true;
+        button.title = `Token is missing "${permission.setting}" permission`;
+    } else if (button.title.startsWith('Token is missing')) {
+        button.title = '';
+    }
 }
 
 /**
@@ -11,6 +11,8 @@ export class AuthenticationManager {
         this.token = null;
         this.isAuthenticated = false;
         this.scopes = [];
+        this.permissions = [];
+        this.apiClient = null;
         this.tokenKey = 'github_token';
         
         // Load token from sessionStorage on initialization
@@ -58,7 +60,9 @@ export class AuthenticationManager {
         this.token = null;
         this.isAuthenticated = false;
         this.scopes = [];
+        this.permissions = [];
         sessionStorage.removeItem(this.tokenKey);
+        this.renderPermissions();
     }
     
     /**
@@ -124,6 +128,106 @@ export class AuthenticationManager {
         }
     }
     
+    /**
+     * Check what the token can do on the target repository
+     * The checks go through the API client, so they count against its rate
+     * limit tracking and use its target repository; see
+     * GitHubAPIClient.checkPermissions() for how each permission is checked
+     * @returns {Promise<Array<{id: string, label: string, setting: string, granted: boolean|null, message: string}>>}
+     *     One entry per CONFIG.TOKEN_PERMISSIONS item; granted is null while unverified
+     */
+    async probePermissions() {
+        if (!this.apiClient) {
+            return this.permissions;
+        }
+        
+        const checks = await this.apiClient.checkPermissions();
+        const results = CONFIG.TOKEN_PERMISSIONS.map(permission => ({
+            ...permission,
+            ...checks[permission.id]
+        }));
+        
+        this.permissions = results;
+        this.renderPermissions();
+        return results;
+    }
+    
+    /**
+     * Set the API client permissions are checked with
+     * @param {GitHubAPIClient} apiClient - Client for the target repository
+     */
+    setAPIClient(apiClient) {
+        this.apiClient = apiClient;
+    }
+    
+    /**
+     * Record what an API request proved about a permission
+     * Settles permissions the probe could not verify, and catches ones
+     * revoked since it ran
+     * @param {string} id - Permission ID from CONFIG.TOKEN_PERMISSIONS
+     * @param {boolean} granted - Whether the request was allowed
+     * @param {string} [message] - API message of a refused request
+     */
+    recordPermission(id, granted, message = '') {
+        const permission = this.permissions.find(p => p.id === id);
+        if (!permission || permission.granted === granted) {
+            return;
+        }
+        
+        this.permissions = this.permissions.map(p => (p === permission ? { ...p, granted, message } : p));
+        this.renderPermissions();
+    }
+    
+    /**
+     * Get the result of the last permission probe
+     * @returns {Array<Object>} Empty until probePermissions has run
+     */
+    getPermissions() {
+        return this.permissions;
+    }
+    
+    /**
+     * Check whether the last probe found a permission missing
+     * Permissions that were not probed or verified yet are not reported as missing
+     * @param {string} id - Permission ID from CONFIG.TOKEN_PERMISSIONS
+     * @returns {boolean}
+     */
+    lacksPermission(id) {
+        const permission = this.permissions.find(p => p.id === id);
+        return Boolean(permission) && permission.granted === false;
+    }
+    
+    /**
+     * Render the permission checklist in the auth section
+     * @private
+     */
+    renderPermissions() {
+        const list = this.elements && this.elements.permissionList;
+        if (!list) {
+            return;
+        }
+        
+        list.innerHTML = '';
+        list.style.display = this.permissions.length > 0 ? 'block' : 'none';
+        
+        for (const permission of this.permissions) {
+            const item = document.createElement('li');
+            if (permission.granted === null) {
+                item.className = 'permission-item unverified';
+                item.textContent = `? ${permission.label} — needs "${permission.setting}"`;
+            } else {
+                item.className = `permission-item ${permission.granted ? 'granted' : 'denied'}`;
+                item.textContent = permission.granted
+                    ? `✓ ${permission.label}`
+                    : `✗ ${permission.label} — grant "${permission.setting}"`;
+            }
+            if (!permission.granted && permission.message) {
+                item.title = permission.message;
+            }
+            list.appendChild(item);
+        }
+    }
+    
     /**
      * Check if the user is authenticated
      * @returns {boolean}
@@ -198,12 +302,19 @@ export class AuthenticationManager {
             if (result.valid) {
                 this.setToken(token);
                 this.scopes = result.scopes;
-                this.showSuccess('Token 验证成功');
+                
+                const permissions = await this.probePermissions();
+                const missing = permissions.filter(p => p.granted === false);
+                if (missing.length > 0) {
+                    this.showError(`Token 验证成功，但缺少权限: ${missing.map(p => p.setting).join(', ')}`);
+                } else {
+                    this.showSuccess('Token 验证成功');
+                }
                 this.updateUIState();
                 
                 // Trigger custom event for other components
                 window.dispatchEvent(new CustomEvent('authenticationSuccess', {
-                    detail: { scopes: result.scopes }
+                    detail: { scopes: result.scopes, permissions }
                 }));
             } else {
                 this.clearToken();
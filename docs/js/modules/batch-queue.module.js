@@ -0,0 +1,468 @@
+﻿/**
+ * BatchQueueComponent - Generate solvers for several robots in one go
+ * Each entry is an uploaded robot (its job) with one set of solver
+ * parameters; the left and right arm of a dual-arm robot are two entries of
+ * the same job. Entries run one after another, so runs of a shared job never
+ * meet in its concurrency group, where a new run would cancel the one in
+ * progress. A failed entry does not stop the queue, and the solvers of all
+ * completed entries can be downloaded as one ZIP archive at the end.
+ * ES Module version for testing
+ */
+
+import { CONFIG } from '../config.js';
+import { JobSession } from './job-session.module.js';
+import { CancellableOperation } from './cancellable-operation.module.js';
+import { ZipReader } from './zip-reader.module.js';
+import { ZipWriter } from './zip-writer.module.js';
+
+const SOLVER_FILENAME = 'ikfast_solver.cpp';
+
+const STATUS_LABELS = {
+    pending: '等待中',
+    queued: '排队中',
+    in_progress: '生成中',
+    completed: '已完成',
+    failed: '失败',
+    cancelled: '已停止'
+};
+
+export class BatchQueueComponent {
+    constructor(githubAPIClient) {
+        this.githubAPIClient = githubAPIClient;
+        this.elements = null;
+        this.entries = [];
+        this.nextEntryId = 1;
+        this.operation = new CancellableOperation();
+    }
+
+    /**
+     * Initialize the component with DOM elements
+     * Adding entries and starting the queue need the application state and
+     * are wired up by main.js; this component keeps their buttons' state
+     * @param {Object} elements - table, runButton, cancelButton, downloadButton and message elements
+     */
+    initializeUI(elements) {
+        this.elements = elements;
+
+        if (this.elements.cancelButton) {
+            this.elements.cancelButton.addEventListener('click', () => this.cancel());
+        }
+        if (this.elements.downloadButton) {
+            this.elements.downloadButton.addEventListener('click', () => this.downloadAll());
+        }
+
+        this.render();
+    }
+
+    /**
+     * Queue an uploaded robot with one set of solver parameters
+     * @param {Object} entry
+     * @param {string} entry.jobId - Job the robot was uploaded to
+     * @param {string} entry.filename - Name of the uploaded URDF
+     * @param {{baseLink: number, eeLink: number, ikType: string, freeJoints?: Array<string>}} entry.parameters - Solver parameters
+     * @returns {Object} The queued entry
+     * @throws {Error} If the job or parameters are missing, or the same entry is already queued
+     */
+    addEntry({ jobId, filename, parameters }) {
+        if (!JobSession.isValidId(jobId)) {
+            throw new Error('Upload a robot before adding it to the batch');
+        }
+
+        const { baseLink, eeLink, ikType, freeJoints = [] } = parameters;
+        if (baseLink === null || baseLink === undefined || eeLink === null || eeLink === undefined || !ikType) {
+            throw new Error('Choose the base link, end effector link and IK type first');
+        }
+
+        const duplicate = this.entries.some(entry =>
+            entry.jobId === jobId &&
+            entry.parameters.baseLink === baseLink &&
+            entry.parameters.eeLink === eeLink &&
+            entry.parameters.ikType === ikType &&
+            entry.parameters.freeJoints.join(',') === freeJoints.join(',')
+        );
+        if (duplicate) {
+            throw new Error('This robot and parameter set is already in the batch');
+        }
+
+        const entry = {
+            id: this.nextEntryId++,
+            jobId,
+            filename,
+            parameters: { baseLink, eeLink, ikType, freeJoints: [...freeJoints] },
+            status: 'pending',
+            runId: null,
+            error: null,
+            solver: null
+        };
+        this.entries.push(entry);
+        this.render();
+
+        return entry;
+    }
+
+    /**
+     * Remove an entry that is not running
+     * @param {number} id - Entry ID
+     * @returns {boolean} True if the entry was removed
+     */
+    removeEntry(id) {
+        const index = this.entries.findIndex(entry => entry.id === id);
+        if (index === -1 || BatchQueueComponent.isActive(this.entries[index])) {
+            return false;
+        }
+
+        this.entries.splice(index, 1);
+        this.render();
+        return true;
+    }
+
+    /**
+     * Check whether a queued entry still needs a job's uploaded files
+     * @param {string} jobId - Job ID
+     * @returns {boolean}
+     */
+    usesJob(jobId) {
+        return this.entries.some(entry => entry.jobId === jobId && entry.status !== 'completed');
+    }
+
+    /**
+     * Get the queued entries
+     * @returns {Array<Object>}
+     */
+    getEntries() {
+        return this.entries.map(entry => ({ ...entry, parameters: { ...entry.parameters } }));
+    }
+
+    /**
+     * Check whether the queue is being worked through
+     * @returns {boolean}
+     */
+    isRunning() {
+        return this.operation.isRunning();
+    }
+
+    /**
+     * Check whether the queue has entries left to run and is not running
+     * @returns {boolean}
+     */
+    canRun() {
+        return !this.isRunning() && this.entries.some(entry => entry.status !== 'completed');
+    }
+
+    /**
+     * Run every entry that has not completed yet, one after another
+     * Failed entries are recorded and the queue moves on; running the queue
+     * again retries them
+     * @returns {Promise<{completed: number, failed: number, cancelled: boolean}>}
+     */
+    async run() {
+        const signal = this.operation.start();
+        let cancelled = false;
+
+        window.dispatchEvent(new CustomEvent('batchStarted', {
+            detail: { count: this.entries.filter(entry => entry.status !== 'completed').length }
+        }));
+        this.showMessage('');
+        this.render();
+
+        try {
+            for (const entry of this.entries) {
+                if (entry.status === 'completed') {
+                    continue;
+                }
+
+                try {
+                    await this.runEntry(entry, signal);
+                } catch (error) {
+                    if (CancellableOperation.isAbortError(error)) {
+                        this.updateEntry(entry, { status: 'cancelled', error: null });
+                        cancelled = true;
+                        break;
+                    }
+                    console.error(`Batch entry ${entry.id} failed:`, error);
+                    this.updateEntry(entry, { status: 'failed', error: error.message });
+                }
+            }
+        } finally {
+            this.operation.finish(signal);
+        }
+
+        const summary = {
+            completed: this.entries.filter(entry => entry.status === 'completed').length,
+            failed: this.entries.filter(entry => entry.status === 'failed').length,
+            cancelled
+        };
+
+        this.showMessage(
+            `${summary.completed} / ${this.entries.length} solver(s) generated` +
+            (summary.failed > 0 ? `, ${summary.failed} failed` : '') +
+            (cancelled ? ', stopped' : ''),
+            summary.failed > 0 ? 'error' : 'info'
+        );
+        this.render();
+
+        window.dispatchEvent(new CustomEvent('batchCompleted', {
+            detail: summary
+        }));
+
+        return summary;
+    }
+
+    /**
+     * Stop working through the queue
+     * The run in progress keeps going on GitHub; only following it stops
+     * @returns {boolean} True if the queue was running
+     */
+    cancel() {
+        return this.operation.cancel();
+    }
+
+    /**
+     * Generate the solver of one entry
+     * @param {Object} entry - Queue entry
+     * @param {AbortSignal} signal - Aborts the run's requests and waits
+     * @returns {Promise<void>}
+     * @throws {Error} If the run fails or its solver cannot be downloaded
+     * @private
+     */
+    async runEntry(entry, signal) {
+        this.updateEntry(entry, { status: 'queued', runId: null, error: null, solver: null });
+
+        const { baseLink, eeLink, ikType, freeJoints } = entry.parameters;
+        const inputs = {
+            mode: 'generate',
+            job_id: entry.jobId,
+            base_link: String(baseLink),
+            ee_link: String(eeLink),
+            iktype: ikType
+        };
+        if (freeJoints.length > 0) {
+            inputs.free_joints = freeJoints.join(',');
+        }
+        const run = await this.githubAPIClient.dispatchWorkflowRun(
+            CONFIG.WORKFLOW_FILE,
+            inputs,
+            undefined,
+            { signal }
+        );
+        this.updateEntry(entry, { runId: run.id });
+
+        const finished = await this.waitForCompletion(entry, signal);
+        if (finished.conclusion !== 'success') {
+            throw new Error(`Run #${finished.id} ended with ${finished.conclusion || 'no conclusion'}`);
+        }
+
+        const solver = await this.fetchSolver(entry, signal);
+        this.updateEntry(entry, { status: 'completed', solver });
+    }
+
+    /**
+     * Poll an entry's run until it completes
+     * The timeout counts from the run's start on GitHub, like the status monitor's
+     * @param {Object} entry - Queue entry with its runId
+     * @param {AbortSignal} signal - Aborts the polling
+     * @returns {Promise<Object>} The completed run
+     * @throws {Error} If the run exceeds the workflow timeout
+     * @private
+     */
+    async waitForCompletion(entry, signal) {
+        for (;;) {
+            const run = await this.githubAPIClient.getWorkflowRun(entry.runId, { signal });
+            if (run.status === 'completed') {
+                return run;
+            }
+
+            const startedAt = Date.parse(run.runStartedAt || run.createdAt);
+            if (Date.now() - startedAt > CONFIG.POLLING_TIMEOUT) {
+                throw new Error(CONFIG.ERROR_MESSAGES.WORKFLOW_TIMEOUT);
+            }
+
+            this.updateEntry(entry, { status: run.status === 'in_progress' ? 'in_progress' : 'queued' });
+            await CancellableOperation.sleep(CONFIG.POLLING_INTERVAL, signal);
+        }
+    }
+
+    /**
+     * Download an entry's artifact and extract its solver
+     * @param {Object} entry - Completed queue entry
+     * @param {AbortSignal} signal - Aborts the downloads
+     * @returns {Promise<Blob>} ikfast_solver.cpp
+     * @throws {Error} If the artifact or the solver in it is missing
+     * @private
+     */
+    async fetchSolver(entry, signal) {
+        const name = JobSession.getArtifactName(entry.jobId);
+        const artifacts = await this.githubAPIClient.listArtifacts(entry.runId, { signal });
+        const artifact = JobSession.findLatestArtifact(artifacts, name);
+
+        if (!artifact) {
+            throw new Error(`Artifact "${name}" not found`);
+        }
+
+        const zipBlob = await this.githubAPIClient.downloadArtifact(artifact.id, { signal });
+        const zip = await ZipReader.open(zipBlob);
+        if (!zip.getEntry(SOLVER_FILENAME)) {
+            throw new Error(`${SOLVER_FILENAME} not found in artifact`);
+        }
+
+        return zip.extractBlob(SOLVER_FILENAME, 'text/x-c++src');
+    }
+
+    /**
+     * Name an entry's solver inside the batch archive
+     * @param {Object} entry - Queue entry
+     * @returns {string} e.g. "dual_arm_transform6d_base0_ee6_ikfast_solver.cpp",
+     *     or "arm_transform6d_base0_ee8_free-joint3_ikfast_solver.cpp" with free joints
+     */
+    static getSolverFilename(entry) {
+        const robot = (entry.filename || entry.jobId).replace(/\.(urdf|xacro)$/i, '').replace(/[^\w.-]+/g, '_');
+        const { baseLink, eeLink, ikType, freeJoints } = entry.parameters;
+        const free = freeJoints.length > 0 ? `_free-${freeJoints.join('-').replace(/[^\w.-]+/g, '_')}` : '';
+        return `${robot}_${ikType}_base${baseLink}_ee${eeLink}${free}_${SOLVER_FILENAME}`;
+    }
+
+    /**
+     * Bundle the solvers of all completed entries
+     * @returns {Promise<Blob|null>} ZIP archive, or null if no entry completed
+     */
+    async createArchive() {
+        const completed = this.entries.filter(entry => entry.status === 'completed' && entry.solver);
+        if (completed.length === 0) {
+            return null;
+        }
+
+        const used = new Set();
+        const files = completed.map(entry => {
+            let name = BatchQueueComponent.getSolverFilename(entry);
+            if (used.has(name)) {
+                name = `${entry.id}_${name}`;
+            }
+            used.add(name);
+            return { name, data: entry.solver };
+        });
+
+        return ZipWriter.create(files);
+    }
+
+    /**
+     * Download the solvers of all completed entries as one ZIP archive
+     * @returns {Promise<boolean>} True if there was anything to download
+     */
+    async downloadAll() {
+        const archive = await this.createArchive();
+        if (!archive) {
+            this.showMessage('No solvers to download yet', 'error');
+            return false;
+        }
+
+        const url = URL.createObjectURL(archive);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'ikfast_solvers.zip';
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 100);
+
+        return true;
+    }
+
+    /**
+     * Check whether an entry is being worked on
+     * @param {Object} entry - Queue entry
+     * @returns {boolean}
+     */
+    static isActive(entry) {
+        return entry.status === 'queued' || entry.status === 'in_progress';
+    }
+
+    /**
+     * Update an entry and redraw the table
+     * @param {Object} entry - Queue entry
+     * @param {Object} changes - Fields to change
+     * @private
+     */
+    updateEntry(entry, changes) {
+        Object.assign(entry, changes);
+        this.render();
+    }
+
+    /**
+     * Render the queue table and button states
+     * @private
+     */
+    render() {
+        if (!this.elements) {
+            return;
+        }
+
+        const running = this.isRunning();
+        if (this.elements.runButton) {
+            this.elements.runButton.disabled = !this.canRun();
+        }
+        if (this.elements.cancelButton) {
+            this.elements.cancelButton.style.display = running ? 'inline-block' : 'none';
+        }
+        if (this.elements.downloadButton) {
+            this.elements.downloadButton.disabled = !this.entries.some(entry => entry.status === 'completed');
+        }
+
+        const table = this.elements.table;
+        if (!table) {
+            return;
+        }
+        table.innerHTML = '';
+
+        for (const entry of this.entries) {
+            const row = document.createElement('tr');
+            row.className = `batch-entry ${entry.status}`;
+
+            const { baseLink, eeLink, ikType, freeJoints } = entry.parameters;
+            const solverType = freeJoints.length > 0 ? `${ikType} (free: ${freeJoints.join(', ')})` : ikType;
+            const cells = [entry.id, entry.filename || entry.jobId, baseLink, eeLink, solverType];
+            for (const value of cells) {
+                const cell = document.createElement('td');
+                cell.textContent = String(value);
+                row.appendChild(cell);
+            }
+
+            const status = document.createElement('td');
+            status.className = 'batch-entry-status';
+            status.textContent = STATUS_LABELS[entry.status] +
+                (entry.runId ? ` (#${entry.runId})` : '') +
+                (entry.error ? `: ${entry.error}` : '');
+            row.appendChild(status);
+
+            const actions = document.createElement('td');
+            if (!BatchQueueComponent.isActive(entry)) {
+                const removeButton = document.createElement('button');
+                removeButton.className = 'btn btn-secondary batch-remove-button';
+                removeButton.textContent = '移除';
+                removeButton.setAttribute('aria-label', `从队列移除第 ${entry.id} 项`);
+                removeButton.disabled = running;
+                removeButton.addEventListener('click', () => this.removeEntry(entry.id));
+                actions.appendChild(removeButton);
+            }
+            row.appendChild(actions);
+
+            table.appendChild(row);
+        }
+    }
+
+    /**
+     * Show a status message below the table
+     * @param {string} message - Message, empty to hide
+     * @param {string} [type='info'] - 'info' or 'error'
+     * @private
+     */
+    showMessage(message, type = 'info') {
+        if (!this.elements || !this.elements.message) {
+            return;
+        }
+
+        this.elements.message.textContent = message;
+        this.elements.message.className = `batch-message ${type}`;
+        this.elements.message.style.display = message ? 'block' : 'none';
+    }
+}
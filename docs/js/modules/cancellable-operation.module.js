@@ -0,0 +1,140 @@
+﻿/**
+ * CancellableOperation - One abortable flow at a time
+ * Components start an operation for each long-running flow (upload, link
+ * verification, status polling); starting the next one aborts the previous,
+ * and the Cancel button aborts the current one. The AbortSignal is passed to
+ * every GitHubAPIClient call and wait of the flow.
+ * ES Module version for testing
+ */
+
+export class CancellableOperation {
+    constructor() {
+        this.controller = null;
+    }
+
+    /**
+     * Start a new operation, aborting the one in progress
+     * @returns {AbortSignal} Signal of the new operation
+     */
+    start() {
+        this.cancel();
+        this.controller = new AbortController();
+        return this.controller.signal;
+    }
+
+    /**
+     * Abort the operation in progress
+     * @returns {boolean} True if an operation was aborted
+     */
+    cancel() {
+        if (!this.controller) {
+            return false;
+        }
+
+        const controller = this.controller;
+        this.controller = null;
+        controller.abort();
+        return true;
+    }
+
+    /**
+     * Mark an operation finished, unless a newer one has replaced it
+     * @param {AbortSignal} signal - Signal returned by start()
+     * @returns {boolean} True if the operation was still the current one
+     */
+    finish(signal) {
+        if (!this.isCurrent(signal)) {
+            return false;
+        }
+
+        this.controller = null;
+        return true;
+    }
+
+    /**
+     * Check whether a signal belongs to the operation in progress
+     * @param {AbortSignal} signal - Signal returned by start()
+     * @returns {boolean}
+     */
+    isCurrent(signal) {
+        return this.controller !== null && this.controller.signal === signal;
+    }
+
+    /**
+     * Get the signal of the operation in progress
+     * @returns {AbortSignal|null}
+     */
+    getSignal() {
+        return this.controller ? this.controller.signal : null;
+    }
+
+    /**
+     * Check whether an operation is in progress
+     * @returns {boolean}
+     */
+    isRunning() {
+        return this.controller !== null;
+    }
+
+    /**
+     * Throw the abort reason if a signal was aborted
+     * @param {AbortSignal} [signal] - Signal to check
+     * @throws {DOMException} AbortError
+     */
+    static throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw CancellableOperation.abortReason(signal);
+        }
+    }
+
+    /**
+     * Wait, unless the signal is aborted first
+     * The timer is cleared on abort, so nothing is left scheduled
+     * @param {number} ms - Milliseconds to wait
+     * @param {AbortSignal} [signal] - Signal that ends the wait early
+     * @returns {Promise<void>} Rejects with an AbortError on abort
+     */
+    static sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(CancellableOperation.abortReason(signal));
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(CancellableOperation.abortReason(signal));
+            };
+            const timer = setTimeout(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                resolve();
+            }, ms);
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Check whether an error means the operation was cancelled
+     * @param {*} error - Caught error
+     * @returns {boolean}
+     */
+    static isAbortError(error) {
+        return Boolean(error) && error.name === 'AbortError';
+    }
+
+    /**
+     * Get the error an aborted signal rejects with
+     * @param {AbortSignal} signal - Aborted signal
+     * @returns {Error}
+     */
+    static abortReason(signal) {
+        return CancellableOperation.isAbortError(signal.reason)
+            ? signal.reason
+            : new DOMException('The operation was aborted', 'AbortError');
+    }
+}
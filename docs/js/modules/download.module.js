@@ -4,6 +4,8 @@
  */
 
 import { CONFIG } from '../config.js';
+import { JobSession } from './job-session.module.js';
+import { ZipReader } from './zip-reader.module.js';
 
 export class DownloadComponent {
     constructor(githubAPIClient) {
@@ -12,6 +14,52 @@ export class DownloadComponent {
         this.artifacts = [];
         this.workflowStatus = null;
         this.runId = null;
+        this.jobId = null;
+        this.solverParameters = null;
+    }
+    
+    /**
+     * Set the job whose results are downloaded
+     * @param {string} jobId - Job ID
+     */
+    setJobId(jobId) {
+        this.jobId = jobId;
+    }
+    
+    /**
+     * Get the name of the result artifact for the current job
+     * @returns {string}
+     */
+    getArtifactName() {
+        return this.jobId ? JobSession.getArtifactName(this.jobId) : CONFIG.ARTIFACT_NAME;
+    }
+    
+    /**
+     * Show the parameters the downloadable solver was generated with
+     * @param {{ikType: string, baseLink: number|string, eeLink: number|string, freeJoints?: Array<string>}|null} parameters
+     */
+    setSolverParameters(parameters) {
+        this.solverParameters = parameters;
+        
+        if (!this.elements || !this.elements.solverSummary) {
+            return;
+        }
+        
+        this.elements.solverSummary.textContent = parameters ? DownloadComponent.describeSolver(parameters) : '';
+        this.elements.solverSummary.style.display = parameters ? 'block' : 'none';
+    }
+    
+    /**
+     * Describe a solver by its parameters
+     * The free joints are inputs of the generated solver, so they are spelled out
+     * @param {Object} parameters - Solver parameters
+     * @returns {string}
+     */
+    static describeSolver({ ikType, baseLink, eeLink, freeJoints = [] }) {
+        const free = freeJoints.length > 0 ?
+            `自由参数: ${freeJoints.join(', ')}（调用求解器时需给定其值）` :
+            '无自由参数';
+        return `${ikType}, base ${baseLink} → ee ${eeLink}，${free}`;
     }
     
     /**
@@ -82,7 +130,7 @@ export class DownloadComponent {
         }
         
         // Find the ikfast-result artifact
-        const resultArtifact = this.artifacts.find(a => a.name === CONFIG.ARTIFACT_NAME);
+        const resultArtifact = this.findArtifact(this.getArtifactName());
         
         if (resultArtifact) {
             // Update file size displays
@@ -121,11 +169,12 @@ export class DownloadComponent {
         console.log('Available artifacts:', this.artifacts);
         
         // Find the artifact
-        const artifact = this.artifacts.find(a => a.name === CONFIG.ARTIFACT_NAME);
+        const artifactName = this.getArtifactName();
+        const artifact = this.findArtifact(artifactName);
         
         if (!artifact) {
-            console.error('Artifact not found. Expected name:', CONFIG.ARTIFACT_NAME);
-            throw new Error(`未找到名为 "${CONFIG.ARTIFACT_NAME}" 的构建产物`);
+            console.error('Artifact not found. Expected name:', artifactName);
+            throw new Error(`未找到名为 "${artifactName}" 的构建产物`);
         }
         
         try {
@@ -152,26 +201,17 @@ export class DownloadComponent {
      * @returns {Promise<Blob>} Extracted file content
      */
     async extractFileFromZip(zipBlob, filename) {
-        // Use JSZip library for ZIP extraction
-        // Note: This requires JSZip to be loaded in the page
-        if (typeof JSZip === 'undefined') {
-            throw new Error('JSZip library not loaded');
-        }
-        
-        const zip = new JSZip();
-        const zipContent = await zip.loadAsync(zipBlob);
+        const zip = await ZipReader.open(zipBlob);
         
         // Find the file in the ZIP
-        const file = zipContent.file(filename);
+        const entry = zip.getEntry(filename);
         
-        if (!file) {
+        if (!entry) {
             throw new Error(`File ${filename} not found in artifact`);
         }
         
         // Extract as Blob
-        const blob = await file.async('blob');
-        
-        return blob;
+        return await zip.extractBlob(entry);
     }
     
     /**
@@ -380,6 +420,15 @@ export class DownloadComponent {
         return this.artifacts;
     }
     
+    /**
+     * Find an artifact by name
+     * @param {string} name - Artifact name
+     * @returns {Object|undefined} The artifact of the run's latest attempt
+     */
+    findArtifact(name) {
+        return JobSession.findLatestArtifact(this.artifacts, name);
+    }
+    
     /**
      * Reset the component
      */
@@ -390,6 +439,7 @@ export class DownloadComponent {
         
         this.updateDownloadLinks(false);
         this.clearError();
+        this.setSolverParameters(null);
         
         if (this.elements) {
             if (this.elements.solverFileSize) {
@@ -1,9 +1,14 @@
 ﻿/**
- * FileUploadComponent - Handles URDF file selection, validation, and upload
+ * FileUploadComponent - Handles URDF/xacro file selection, validation, and upload
  * ES Module version for testing
  */
 
 import { CONFIG } from '../config.js';
+import { URDFValidator } from './urdf-validator.module.js';
+import { XacroProcessor, XacroError } from './xacro.module.js';
+import { RobotPackage } from './robot-package.module.js';
+import { JobSession } from './job-session.module.js';
+import { CancellableOperation } from './cancellable-operation.module.js';
 
 export class FileUploadComponent {
     constructor(githubAPIClient) {
@@ -11,6 +16,22 @@ export class FileUploadComponent {
         this.selectedFile = null;
         this.uploadProgress = 0;
         this.elements = null;
+        this.lastValidation = null;
+        this.includeFiles = new Map();
+        this.expandedContent = null;
+        this.robotPackage = null;
+        this.mainPath = null;
+        this.jobId = null;
+        this.operation = new CancellableOperation();
+        this.resetTimer = null;
+    }
+    
+    /**
+     * Set the job whose directory uploads go to
+     * @param {string} jobId - Job ID
+     */
+    setJobId(jobId) {
+        this.jobId = jobId;
     }
     
     /**
@@ -25,22 +46,67 @@ export class FileUploadComponent {
             elements.fileInput.addEventListener('change', (e) => this.handleFileSelect(e));
         }
         
+        if (elements.folderInput) {
+            elements.folderInput.addEventListener('change', (e) => this.handleFileSelect(e));
+        }
+        
         if (elements.uploadButton) {
             elements.uploadButton.addEventListener('click', () => this.handleUpload());
         }
         
+        if (elements.cancelButton) {
+            elements.cancelButton.addEventListener('click', () => this.cancel());
+        }
+        
+        if (elements.downloadExpandedButton) {
+            elements.downloadExpandedButton.addEventListener('click', () => this.downloadExpandedURDF());
+        }
+        
         // Initialize UI state
         this.updateUIState();
     }
     
     /**
      * Handle file selection
+     * Accepts a single URDF/xacro file, several loose files, a folder, or a .zip
      * @param {Event} event - File input change event
      */
-    handleFileSelect(event) {
-        const file = event.target.files[0];
+    async handleFileSelect(event) {
+        const selection = Array.from(event.target.files || []);
+        
+        this.includeFiles = new Map();
+        this.robotPackage = null;
+        this.mainPath = null;
+        this.expandedContent = null;
+        this.renderExpandedPreview(null);
+        
+        if (selection.length === 0) {
+            this.selectedFile = null;
+            this.updateUIState();
+            return;
+        }
+        
+        let robotPackage;
+        try {
+            robotPackage = selection.length === 1 && RobotPackage.isZipFile(selection[0])
+                ? await RobotPackage.fromZip(selection[0])
+                : RobotPackage.fromFiles(selection);
+        } catch (error) {
+            this.showError(`Failed to read ZIP archive: ${error.message}`);
+            this.selectedFile = null;
+            this.updateUIState();
+            return;
+        }
+        
+        const descriptions = robotPackage.getEntries()
+            .filter(entry => this.validateFileExtension(entry.path).valid);
+        const file = this.selectMainFile(descriptions.map(entry => entry.file));
         
         if (!file) {
+            // A lone file keeps the specific extension error
+            this.showError(selection.length === 1 && !RobotPackage.isZipFile(selection[0])
+                ? this.validateFile(selection[0]).error
+                : CONFIG.ERROR_MESSAGES.NO_ROBOT_DESCRIPTION);
             this.selectedFile = null;
             this.updateUIState();
             return;
@@ -56,6 +122,17 @@ export class FileUploadComponent {
             return;
         }
         
+        // Remaining description files are made available to xacro:include,
+        // everything else to mesh resolution
+        for (const entry of descriptions) {
+            if (entry.file === file) {
+                this.mainPath = entry.path;
+            } else {
+                this.includeFiles.set(entry.path, entry.file);
+            }
+        }
+        this.robotPackage = robotPackage;
+        
         // File is valid
         this.selectedFile = file;
         this.clearError();
@@ -63,9 +140,31 @@ export class FileUploadComponent {
         
         // Display file info
         if (this.elements.fileInfo) {
-            this.elements.fileInfo.textContent = `Selected: ${file.name} (${this.formatFileSize(file.size)})`;
+            const others = robotPackage.getEntries().length - 1;
+            const extra = others > 0 ? ` + ${others} other file(s)` : '';
+            this.elements.fileInfo.textContent = `Selected: ${this.mainPath} (${this.formatFileSize(file.size)})${extra}`;
             this.elements.fileInfo.style.display = 'block';
         }
+        
+        // Expand xacro right away so the user can inspect the generated URDF
+        if (XacroProcessor.isXacroFile(file.name)) {
+            this.readUploadContent().catch(error => this.showError(this.formatXacroError(error)));
+        }
+    }
+    
+    /**
+     * Pick the robot description from a multi-file selection
+     * Prefers *.urdf.xacro, then *.urdf, then the first *.xacro file
+     * @param {Array<File>} files - Selected files
+     * @returns {File|null}
+     */
+    selectMainFile(files) {
+        if (files.length <= 1) {
+            return files[0] || null;
+        }
+        
+        const byName = (suffix) => files.find(f => f.name.toLowerCase().endsWith(suffix));
+        return byName('.urdf.xacro') || byName('.urdf') || byName('.xacro') || files[0];
     }
     
     /**
@@ -270,6 +369,185 @@ export class FileUploadComponent {
         return tagStack.length === 0;
     }
     
+    /**
+     * Validate URDF semantics and render the diagnostics
+     * @param {string} content - The URDF content to validate
+     * @returns {{valid: boolean, errors: Array<Object>, warnings: Array<Object>}}
+     */
+    validateURDF(content) {
+        const result = URDFValidator.validate(content);
+        this.lastValidation = result;
+        this.renderDiagnostics(result);
+        return result;
+    }
+    
+    /**
+     * Render URDF validation diagnostics as a list
+     * @param {{errors: Array<Object>, warnings: Array<Object>}} result - Validation result
+     */
+    renderDiagnostics(result) {
+        if (!this.elements || !this.elements.diagnosticsDisplay) {
+            return;
+        }
+        
+        const container = this.elements.diagnosticsDisplay;
+        container.innerHTML = '';
+        
+        const diagnostics = [...result.errors, ...result.warnings];
+        
+        if (diagnostics.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+        
+        diagnostics.forEach(diagnostic => {
+            const item = document.createElement('li');
+            item.className = `urdf-diagnostic ${diagnostic.severity}`;
+            item.textContent = URDFValidator.format(diagnostic);
+            container.appendChild(item);
+        });
+        
+        container.style.display = 'block';
+    }
+    
+    /**
+     * Get the result of the most recent URDF validation
+     * @returns {{valid: boolean, errors: Array<Object>, warnings: Array<Object>}|null}
+     */
+    getLastValidation() {
+        return this.lastValidation;
+    }
+    
+    /**
+     * Read the selected file, expanding xacro into plain URDF
+     * @returns {Promise<string>} URDF content
+     * @throws {XacroError} If the xacro cannot be expanded
+     */
+    async readUploadContent() {
+        const content = await this.readFileContent(this.selectedFile);
+        
+        if (!XacroProcessor.isXacroFile(this.selectedFile.name)) {
+            return content;
+        }
+        
+        const files = new Map();
+        for (const [name, file] of this.includeFiles) {
+            files.set(name, await this.readFileContent(file));
+        }
+        
+        const processor = new XacroProcessor({ files });
+        this.expandedContent = processor.process(content, this.selectedFile.name);
+        this.renderExpandedPreview(this.expandedContent);
+        
+        return this.expandedContent;
+    }
+    
+    /**
+     * Format a xacro expansion error for display
+     * @param {Error} error - Error thrown while expanding
+     * @returns {string}
+     */
+    formatXacroError(error) {
+        if (!(error instanceof XacroError)) {
+            return error.message || CONFIG.ERROR_MESSAGES.UNKNOWN_ERROR;
+        }
+        
+        const location = error.line ? `${error.file}, line ${error.line}: ` : `${error.file}: `;
+        return `Xacro expansion failed - ${location}${error.message}`;
+    }
+    
+    /**
+     * Show or hide the expanded URDF preview
+     * @param {string|null} content - Expanded URDF, or null to hide the preview
+     */
+    renderExpandedPreview(content) {
+        if (!this.elements || !this.elements.expandedPreview) {
+            return;
+        }
+        
+        if (this.elements.expandedContent) {
+            this.elements.expandedContent.textContent = content || '';
+        }
+        this.elements.expandedPreview.style.display = content ? 'block' : 'none';
+    }
+    
+    /**
+     * Get the file name used for the expanded URDF
+     * @returns {string} e.g. "robot.urdf" for "robot.urdf.xacro"
+     */
+    getExpandedFilename() {
+        const name = this.selectedFile ? this.selectedFile.name.replace(/\.xacro$/i, '') : 'robot';
+        return name.toLowerCase().endsWith('.urdf') ? name : `${name}.urdf`;
+    }
+    
+    /**
+     * Download the expanded URDF
+     */
+    downloadExpandedURDF() {
+        if (!this.expandedContent) {
+            return;
+        }
+        
+        const blob = new Blob([this.expandedContent], { type: 'application/xml' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = this.getExpandedFilename();
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * Get the expanded URDF of the selected xacro file
+     * @returns {string|null}
+     */
+    getExpandedContent() {
+        return this.expandedContent;
+    }
+    
+    /**
+     * Match the URDF's mesh references to the selected files
+     * Missing meshes are added to the validation diagnostics and block upload
+     * @param {string} content - URDF content
+     * @returns {{valid: boolean, error?: string, content?: string, assets?: Array<{path: string, file: Blob}>}}
+     *     On success, the URDF with rewritten mesh paths and the meshes to upload
+     */
+    resolveMeshes(content) {
+        const robotPackage = this.robotPackage || new RobotPackage();
+        const { resolved, missing } = robotPackage.resolve(content, this.mainPath || '');
+        
+        if (missing.length > 0) {
+            const diagnostics = missing.map(reference => ({
+                severity: 'error',
+                code: 'missing-mesh',
+                message: `<${reference.element}> references "${reference.uri}", which is not among the selected files`,
+                line: reference.line,
+                column: reference.column
+            }));
+            const validation = this.lastValidation || { errors: [], warnings: [] };
+            this.lastValidation = {
+                valid: false,
+                errors: [...validation.errors, ...diagnostics],
+                warnings: validation.warnings
+            };
+            this.renderDiagnostics(this.lastValidation);
+            
+            return {
+                valid: false,
+                error: `${missing.length} mesh file(s) referenced by the URDF are missing. Select the whole robot description folder or a .zip of it.`
+            };
+        }
+        
+        const totalSize = resolved.reduce((sum, reference) => sum + reference.entry.file.size, 0);
+        if (totalSize > CONFIG.MAX_PACKAGE_SIZE) {
+            return { valid: false, error: CONFIG.ERROR_MESSAGES.PACKAGE_TOO_LARGE };
+        }
+        
+        return { valid: true, ...RobotPackage.rewrite(content, resolved, CONFIG.ASSET_DIR) };
+    }
+    
     /**
      * Handle file upload
      */
@@ -279,18 +557,30 @@ export class FileUploadComponent {
             return;
         }
         
+        const signal = this.operation.start();
+        this.clearResetTimer();
+        
         try {
             // Disable upload button
             if (this.elements.uploadButton) {
                 this.elements.uploadButton.disabled = true;
                 this.elements.uploadButton.textContent = 'Uploading...';
             }
+            this.showCancelButton(true);
             
             // Show progress bar
             this.showProgress(0);
             
-            // Read file content
-            const content = await this.readFileContent(this.selectedFile);
+            // Read file content, expanding xacro if needed
+            let content;
+            try {
+                content = await this.readUploadContent();
+            } catch (error) {
+                this.showError(this.formatXacroError(error));
+                this.hideProgress();
+                this.resetUploadButton();
+                return;
+            }
             
             // Validate XML structure
             const xmlValidation = this.validateXMLStructure(content);
@@ -300,11 +590,36 @@ export class FileUploadComponent {
                 return;
             }
             
+            // Validate URDF semantics - errors block upload, warnings do not
+            const urdfValidation = this.validateURDF(content);
+            if (!urdfValidation.valid) {
+                this.showError(`URDF validation failed with ${urdfValidation.errors.length} error(s), see details below`);
+                this.hideProgress();
+                this.resetUploadButton();
+                return;
+            }
+            
+            // Meshes must be part of the upload for urdf_to_collada to find them
+            const meshes = this.resolveMeshes(content);
+            if (!meshes.valid) {
+                this.showError(meshes.error);
+                this.hideProgress();
+                this.resetUploadButton();
+                return;
+            }
+            
             // Update progress
             this.showProgress(30);
+            CancellableOperation.throwIfAborted(signal);
+            
+            // Only a valid robot supersedes the flows still working on the previous upload
+            window.dispatchEvent(new CustomEvent('uploadStarted', {
+                detail: { jobId: this.jobId }
+            }));
             
             // Upload to GitHub
-            const result = await this.uploadToGitHub(content);
+            const result = await this.uploadToGitHub(meshes.content, meshes.assets, signal);
+            this.showCancelButton(false);
             
             // Update progress
             this.showProgress(100);
@@ -312,29 +627,65 @@ export class FileUploadComponent {
             // Show success message
             this.showSuccess('文件上传成功！');
             
-            // Show status message about link info fetching
-            this.showStatusMessage('URDF 文件上传成功，请等待 1-2 分钟获取机器人链接信息...');
+            // Show status message about link info parsing
+            this.showStatusMessage('URDF 文件上传成功，正在解析机器人链接信息...');
             
             // Trigger custom event for other components
+            // Content is included so link info can be built without a workflow run
             window.dispatchEvent(new CustomEvent('fileUploaded', {
                 detail: {
                     filename: this.selectedFile.name,
                     sha: result.sha,
-                    path: CONFIG.URDF_PATH
+                    path: JobSession.getURDFPath(this.jobId),
+                    jobId: this.jobId,
+                    content: meshes.content,
+                    assets: meshes.assets.map(asset => asset.path)
                 }
             }));
             
             // Reset UI after a delay
-            setTimeout(() => {
+            this.resetTimer = setTimeout(() => {
+                this.resetTimer = null;
                 this.hideProgress();
                 this.resetUploadButton();
             }, 2000);
             
         } catch (error) {
+            if (CancellableOperation.isAbortError(error)) {
+                // A newer upload owns the UI; only an explicit cancel resets it
+                if (!this.operation.isRunning()) {
+                    this.showError('Upload cancelled');
+                    this.hideProgress();
+                    this.resetUploadButton();
+                }
+                return;
+            }
             console.error('Upload error:', error);
             this.showError(error.message || CONFIG.ERROR_MESSAGES.UNKNOWN_ERROR);
             this.hideProgress();
             this.resetUploadButton();
+        } finally {
+            this.operation.finish(signal);
+        }
+    }
+    
+    /**
+     * Abandon the upload in progress
+     * Files already committed stay in the repository
+     */
+    cancel() {
+        this.clearResetTimer();
+        this.operation.cancel();
+    }
+    
+    /**
+     * Clear the pending reset of the upload UI
+     * @private
+     */
+    clearResetTimer() {
+        if (this.resetTimer) {
+            clearTimeout(this.resetTimer);
+            this.resetTimer = null;
         }
     }
     
@@ -359,34 +710,64 @@ export class FileUploadComponent {
         });
     }
     
+    /**
+     * Read file content as an ArrayBuffer
+     * @param {Blob} file - The file to read
+     * @returns {Promise<ArrayBuffer>}
+     */
+    readFileBinary(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            
+            reader.onload = (e) => {
+                resolve(e.target.result);
+            };
+            
+            reader.onerror = () => {
+                reject(new Error('File read failed'));
+            };
+            
+            reader.readAsArrayBuffer(file);
+        });
+    }
+    
     /**
      * Upload file to GitHub repository
      * @param {string} content - File content
-     * @returns {Promise<{success: boolean, sha: string}>}
+     * @param {Array<{path: string, file: Blob}>} [assets=[]] - Meshes to upload, with
+     *     paths relative to the URDF's directory
+     * @param {AbortSignal} [signal] - Aborts the commit
+     * @returns {Promise<{success: boolean, sha: string, commitSha: string}>} sha is the URDF blob SHA
      */
-    async uploadToGitHub(content) {
+    async uploadToGitHub(content, assets = [], signal = null) {
         try {
-            // Check if file already exists to get SHA (for overwrite)
-            let existingSha = null;
-            try {
-                const existingFile = await this.githubAPIClient.getFile(CONFIG.URDF_PATH);
-                if (existingFile) {
-                    existingSha = existingFile.sha;
-                }
-            } catch (error) {
-                // If file doesn't exist, that's fine - we'll create it
-                console.log('No existing file found, will create new file');
+            if (!JobSession.isValidId(this.jobId)) {
+                throw new Error('No job ID available for upload');
             }
             
-            // Upload file (will overwrite if exists)
-            const result = await this.githubAPIClient.uploadFile(
-                CONFIG.URDF_PATH,
-                content,
-                `Upload URDF file: ${this.selectedFile.name}`,
-                existingSha
-            );
+            const jobDir = JobSession.getJobDir(this.jobId);
+            const files = [{ path: JobSession.getURDFPath(this.jobId), content }];
             
-            return result;
+            for (const asset of assets) {
+                CancellableOperation.throwIfAborted(signal);
+                files.push({
+                    path: `${jobDir}/${asset.path}`,
+                    content: await this.readFileBinary(asset.file)
+                });
+            }
+            
+            // One commit for the URDF and its meshes, so the workflow never
+            // checks out a URDF whose meshes are not there yet
+            const message = assets.length > 0
+                ? `Upload URDF file: ${this.selectedFile.name} (${assets.length} mesh file(s))`
+                : `Upload URDF file: ${this.selectedFile.name}`;
+            const result = await this.githubAPIClient.commitFiles(files, message, undefined, { signal });
+            
+            return {
+                success: true,
+                sha: result.files[0].sha,
+                commitSha: result.commitSha
+            };
         } catch (error) {
             // Re-throw with more context
             if (error.name === 'GitHubAPIError') {
@@ -438,6 +819,18 @@ export class FileUploadComponent {
             this.elements.uploadButton.disabled = false;
             this.elements.uploadButton.textContent = '上传文件';
         }
+        this.showCancelButton(false);
+    }
+    
+    /**
+     * Show or hide the cancel button
+     * @param {boolean} show - Whether an upload is in progress
+     * @private
+     */
+    showCancelButton(show) {
+        if (this.elements && this.elements.cancelButton) {
+            this.elements.cancelButton.style.display = show ? 'inline-block' : 'none';
+        }
     }
     
     /**
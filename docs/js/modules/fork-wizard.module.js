@@ -0,0 +1,250 @@
+﻿/**
+ * ForkWizard - Provision a personal generator repository
+ * Forks the generator repository into the user's account, waits for the fork
+ * to be ready, checks the workflow and Actions, and switches the site to the
+ * fork. Every step reports its result in the wizard's step list.
+ * ES Module version for testing
+ */
+
+import { CONFIG } from '../config.js';
+import { RepoProfileManager } from './repo-profile.module.js';
+
+export const WizardStepStatus = Object.freeze({
+    PENDING: 'pending',
+    RUNNING: 'running',
+    PASSED: 'passed',
+    FAILED: 'failed'
+});
+
+const STEPS = [
+    { id: 'fork', label: 'Create fork' },
+    { id: 'ready', label: 'Wait for the fork to be ready' },
+    { id: 'workflow', label: `Check ${CONFIG.WORKFLOW_FILE}` },
+    { id: 'actions', label: 'Check that workflows are enabled' },
+    { id: 'switch', label: 'Switch to the fork' }
+];
+
+/**
+ * Error that stops the wizard at a step, optionally with steps for the user
+ * @private
+ */
+class StepFailure extends Error {
+    constructor(message, instructions = []) {
+        super(message);
+        this.name = 'StepFailure';
+        this.instructions = instructions;
+    }
+}
+
+export class ForkWizard {
+    /**
+     * @param {GitHubAPIClient} githubAPIClient - API client
+     * @param {RepoProfileManager} repoProfiles - Profiles the fork is saved to
+     */
+    constructor(githubAPIClient, repoProfiles) {
+        this.githubAPIClient = githubAPIClient;
+        this.repoProfiles = repoProfiles;
+        this.isRunning = false;
+        this.elements = null;
+        this.steps = [];
+
+        this.resetSteps();
+    }
+
+    /**
+     * Get the state of every step
+     * @returns {Array<{id: string, label: string, status: string, message: string, instructions: Array<string>}>}
+     */
+    getSteps() {
+        return this.steps.map(step => ({ ...step, instructions: [...step.instructions] }));
+    }
+
+    /**
+     * Mark every step pending
+     * @private
+     */
+    resetSteps() {
+        this.steps = STEPS.map(step => ({
+            ...step,
+            status: WizardStepStatus.PENDING,
+            message: '',
+            instructions: []
+        }));
+    }
+
+    /**
+     * Run the wizard
+     * Safe to run again after a failure: forking an already forked repository
+     * returns the existing fork, so the wizard picks up where it stopped.
+     * @param {string} [branch] - Branch jobs are dispatched to
+     * @returns {Promise<boolean>} True if the site now targets the fork
+     */
+    async run(branch = CONFIG.REPO_BRANCH) {
+        if (this.isRunning) {
+            return false;
+        }
+
+        this.isRunning = true;
+        this.resetSteps();
+        this.render();
+
+        const source = RepoProfileManager.getDefaultProfile();
+        let target = null;
+
+        try {
+            const fork = await this.runStep('fork', async () => {
+                const login = await this.githubAPIClient.getAuthenticatedUser();
+
+                if (login.toLowerCase() === source.owner.toLowerCase()) {
+                    return {
+                        result: { owner: source.owner, repo: source.repo },
+                        message: `You own ${source.owner}/${source.repo}, no fork needed`
+                    };
+                }
+
+                const created = await this.githubAPIClient.createFork(source);
+                return {
+                    result: created,
+                    message: `${created.owner}/${created.repo}`
+                };
+            });
+
+            target = { owner: fork.owner, repo: fork.repo, branch };
+
+            await this.runStep('ready', async () => {
+                await this.githubAPIClient.waitForBranch(target);
+                return { message: `Branch ${branch} is available` };
+            });
+
+            // One repository check answers both the workflow and the actions step
+            const checks = await this.runStep('workflow', async () => {
+                const { checks } = await this.githubAPIClient.checkRepository(target);
+                const workflow = checks.find(c => c.id === 'workflow') || { passed: false, message: '' };
+                if (!workflow.passed) {
+                    throw new StepFailure(workflow.message || `${CONFIG.WORKFLOW_FILE} not found`, [
+                        `Make sure branch ${branch} of ${target.owner}/${target.repo} contains .github/workflows/${CONFIG.WORKFLOW_FILE}`,
+                        `If the fork was created before the workflow existed, click "Sync fork" on https://github.com/${target.owner}/${target.repo}`,
+                        'Run the wizard again'
+                    ]);
+                }
+                return {
+                    result: checks,
+                    message: `.github/workflows/${CONFIG.WORKFLOW_FILE} found on ${branch}`
+                };
+            });
+
+            await this.runStep('actions', async () => {
+                const actions = checks.find(c => c.id === 'actions') || { passed: false, message: '' };
+                if (!actions.passed) {
+                    throw new StepFailure(actions.message || 'Workflows are disabled', [
+                        `Open https://github.com/${target.owner}/${target.repo}/actions`,
+                        'Click "I understand my workflows, go ahead and enable them"',
+                        `If the IKFast workflow is still listed as disabled, select it and click "Enable workflow"`,
+                        'Run the wizard again'
+                    ]);
+                }
+                return { message: 'Workflows are enabled' };
+            });
+
+            await this.runStep('switch', async () => {
+                const profile = this.repoProfiles.saveProfile(`${target.owner}/${target.repo}`, target);
+                this.repoProfiles.setActiveProfile(profile.name);
+                return { message: `Jobs now run in ${target.owner}/${target.repo}@${branch}` };
+            });
+
+            return true;
+        } catch (error) {
+            return false;
+        } finally {
+            this.isRunning = false;
+            this.render();
+        }
+    }
+
+    /**
+     * Run one step and record its outcome
+     * @param {string} id - Step ID
+     * @param {Function} action - Async function returning {result, message}
+     * @returns {Promise<*>} The step's result
+     * @throws {Error} The step's error, after it was recorded
+     * @private
+     */
+    async runStep(id, action) {
+        const step = this.steps.find(s => s.id === id);
+        step.status = WizardStepStatus.RUNNING;
+        this.render();
+
+        try {
+            const { result, message = '' } = await action();
+            step.status = WizardStepStatus.PASSED;
+            step.message = message;
+            return result;
+        } catch (error) {
+            step.status = WizardStepStatus.FAILED;
+            step.message = error.apiMessage ? `${error.message}: ${error.apiMessage}` : error.message;
+            step.instructions = error.instructions || [];
+            throw error;
+        } finally {
+            this.render();
+        }
+    }
+
+    /**
+     * Initialize the wizard UI
+     * @param {Object} elements - DOM elements for the wizard
+     */
+    initializeUI(elements) {
+        this.elements = elements;
+
+        if (elements.branchInput && !elements.branchInput.value) {
+            elements.branchInput.value = CONFIG.REPO_BRANCH;
+        }
+        if (elements.startButton) {
+            elements.startButton.addEventListener('click', () => {
+                const branch = elements.branchInput && elements.branchInput.value.trim();
+                this.run(branch || CONFIG.REPO_BRANCH);
+            });
+        }
+    }
+
+    /**
+     * Render the step list
+     * @private
+     */
+    render() {
+        if (!this.elements) {
+            return;
+        }
+
+        const { stepList, startButton } = this.elements;
+
+        if (startButton) {
+            startButton.disabled = this.isRunning;
+        }
+        if (!stepList) {
+            return;
+        }
+
+        stepList.innerHTML = '';
+        stepList.style.display = 'block';
+
+        for (const step of this.steps) {
+            const item = document.createElement('li');
+            item.className = `wizard-step ${step.status}`;
+            item.textContent = step.message ? `${step.label}: ${step.message}` : step.label;
+
+            if (step.instructions.length > 0) {
+                const instructions = document.createElement('ol');
+                instructions.className = 'wizard-instructions';
+                for (const text of step.instructions) {
+                    const line = document.createElement('li');
+                    line.textContent = text;
+                    instructions.appendChild(line);
+                }
+                item.appendChild(instructions);
+            }
+
+            stepList.appendChild(item);
+        }
+    }
+}
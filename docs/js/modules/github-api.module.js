@@ -5,19 +5,69 @@
  */
 
 import { CONFIG } from '../config.js';
+import { RateLimitScheduler, RequestPriority } from './rate-limit.module.js';
+import { ResponseCache } from './response-cache.module.js';
+import { CancellableOperation } from './cancellable-operation.module.js';
+
+// Never exists; dispatching it tells whether the token may dispatch at all
+const PERMISSION_PROBE_WORKFLOW = 'permission-probe-does-not-exist.yml';
 
 export class GitHubAPIClient {
-    constructor(authManager) {
+    /**
+     * @param {AuthenticationManager} authManager - Provides the token
+     * @param {RepoProfileManager} [repoProfiles] - Provides the target repository;
+     *     CONFIG's repository is used when omitted
+     */
+    constructor(authManager, repoProfiles = null) {
         this.authManager = authManager;
+        this.repoProfiles = repoProfiles;
         this.baseURL = CONFIG.GITHUB_API_BASE;
         this.apiVersion = CONFIG.GITHUB_API_VERSION;
+        this.rateLimit = new RateLimitScheduler();
+        this.responseCache = new ResponseCache();
+    }
+    
+    /**
+     * Get the repository requests go to
+     * @returns {{owner: string, repo: string, branch: string}} The active profile's coordinates
+     */
+    getRepo() {
+        if (this.repoProfiles) {
+            const { owner, repo, branch } = this.repoProfiles.getActiveProfile();
+            return { owner, repo, branch };
+        }
+        
+        return {
+            owner: CONFIG.REPO_OWNER,
+            repo: CONFIG.REPO_NAME,
+            branch: CONFIG.REPO_BRANCH
+        };
+    }
+    
+    /**
+     * Fill the {owner} and {repo} placeholders of an endpoint
+     * @param {string} template - Endpoint from CONFIG.API_ENDPOINTS
+     * @param {{owner: string, repo: string}} [repo] - Repository (defaults to the active one)
+     * @returns {string}
+     * @private
+     */
+    _repoEndpoint(template, repo = this.getRepo()) {
+        return template
+            .replace('{owner}', encodeURIComponent(repo.owner))
+            .replace('{repo}', encodeURIComponent(repo.repo));
     }
     
     /**
      * Make a base request to GitHub API
+     * Waits for the rate limit scheduler before sending
      * @param {string} endpoint - API endpoint
      * @param {Object} options - Fetch options
+     * @param {string} [options.priority=RequestPriority.HIGH] - Scheduling priority;
+     *     background requests (logs, quota) pass RequestPriority.LOW
+     * @param {AbortSignal} [options.signal] - Aborts the request, also while it
+     *     waits for the rate limit
      * @returns {Promise<Response>}
+     * @throws {DOMException} AbortError if the signal is aborted
      * @private
      */
     async _makeRequest(endpoint, options = {}) {
@@ -27,35 +77,156 @@ export class GitHubAPIClient {
             throw new GitHubAPIError('Not authenticated', 401, 'No authentication token available');
         }
         
+        const { priority = RequestPriority.HIGH, ...fetchOptions } = options;
         const url = `${this.baseURL}${endpoint}`;
         
         const headers = {
             'Authorization': `Bearer ${token}`,
             'Accept': 'application/vnd.github+json',
             'X-GitHub-Api-Version': this.apiVersion,
-            ...options.headers
+            ...fetchOptions.headers
         };
         
+        await this.rateLimit.acquire(priority, fetchOptions.signal);
+        
         try {
             const response = await fetch(url, {
-                ...options,
+                ...fetchOptions,
                 headers
             });
             
+            this.rateLimit.update(response.headers);
+            
             // Handle different error status codes
-            if (!response.ok) {
+            // 304 answers a conditional request from _getCachedPage
+            if (!response.ok && response.status !== 304) {
                 await this._handleErrorResponse(response);
             }
             
             return response;
         } catch (error) {
-            if (error instanceof GitHubAPIError) {
+            if (error instanceof GitHubAPIError || CancellableOperation.isAbortError(error)) {
                 throw error;
             }
             throw new NetworkError('Network request failed', 0, error.message);
         }
     }
     
+    /**
+     * Refuse an operation the token was found to lack permission for
+     * Saves a request that would fail with a less helpful 403/404
+     * @param {string} id - Permission ID from CONFIG.TOKEN_PERMISSIONS
+     * @throws {GitHubAPIError} With status 403 if the permission probe failed
+     * @private
+     */
+    _requirePermission(id) {
+        if (typeof this.authManager.lacksPermission !== 'function' || !this.authManager.lacksPermission(id)) {
+            return;
+        }
+        
+        const permission = CONFIG.TOKEN_PERMISSIONS.find(p => p.id === id);
+        throw new GitHubAPIError(
+            'Permission denied',
+            403,
+            `Token is missing "${permission.setting}" permission (${permission.label})`
+        );
+    }
+    
+    /**
+     * GET a JSON resource, revalidating the cached copy with If-None-Match
+     * An unchanged resource comes back as 304 and is served from the cache
+     * @param {string} endpoint - API endpoint, including the query string
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the request
+     * @returns {Promise<Object>} Response body
+     * @private
+     */
+    async _getCachedJSON(endpoint, { signal } = {}) {
+        const page = await this._getCachedPage(endpoint, { signal });
+        return page.data;
+    }
+    
+    /**
+     * GET a JSON resource with conditional headers, keeping its Link header
+     * The Link header is cached with the body, so a 304 still leads to the
+     * next page
+     * @param {string} endpoint - API endpoint, including the query string
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the request
+     * @returns {Promise<{data: Object, link: string|null}>} Response body and Link header
+     * @private
+     */
+    async _getCachedPage(endpoint, { signal } = {}) {
+        const response = await this._makeRequest(endpoint, {
+            method: 'GET',
+            signal,
+            headers: this.responseCache.getConditionalHeaders(endpoint)
+        });
+        
+        if (response.status === 304) {
+            return this.responseCache.revalidated(endpoint);
+        }
+        
+        const page = {
+            data: await response.json(),
+            link: response.headers && typeof response.headers.get === 'function'
+                ? response.headers.get('Link')
+                : null
+        };
+        this.responseCache.store(endpoint, response.headers, page);
+        return page;
+    }
+    
+    /**
+     * Walk a paginated list endpoint, following `rel="next"` Link headers
+     * Pages are only requested as the consumer asks for more items, so
+     * breaking out of a for await loop stops the requests
+     * @param {string} endpoint - API endpoint of the first page, including the query string
+     * @param {string} key - Property holding the page's items, e.g. 'workflow_runs'
+     * @param {Function} mapItem - Maps an API item to the value yielded
+     * @param {AbortSignal} [signal] - Aborts the page requests
+     * @returns {AsyncGenerator<*>}
+     * @private
+     */
+    async *_paginate(endpoint, key, mapItem, signal = null) {
+        let next = endpoint;
+        
+        while (next) {
+            const { data, link } = await this._getCachedPage(next, { signal });
+            
+            for (const item of data[key] || []) {
+                yield mapItem(item);
+            }
+            
+            const nextURL = GitHubAPIClient.parseLinkHeader(link).next;
+            next = nextURL ? nextURL.replace(this.baseURL, '') : null;
+        }
+    }
+    
+    /**
+     * Parse a Link response header
+     * @param {string|null} header - e.g. '<https://api.github.com/...&page=2>; rel="next", <...>; rel="last"'
+     * @returns {Object<string, string>} URL by relation (next, prev, first, last)
+     */
+    static parseLinkHeader(header) {
+        const links = {};
+        
+        if (!header) {
+            return links;
+        }
+        
+        for (const part of header.split(',')) {
+            const match = part.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/);
+            if (match) {
+                for (const rel of match[2].split(/\s+/)) {
+                    links[rel] = match[1];
+                }
+            }
+        }
+        
+        return links;
+    }
+    
     /**
      * Handle error responses from GitHub API
      * @param {Response} response - The error response
@@ -115,17 +286,18 @@ export class GitHubAPIClient {
     /**
      * Get file content from repository
      * @param {string} path - File path in repository
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the request
      * @returns {Promise<{sha: string, content: string, size: number}|null>} File info or null if not found
      */
-    async getFile(path) {
-        const endpoint = CONFIG.API_ENDPOINTS.UPLOAD_FILE
-            .replace('{owner}', CONFIG.REPO_OWNER)
-            .replace('{repo}', CONFIG.REPO_NAME)
+    async getFile(path, { signal } = {}) {
+        const endpoint = this._repoEndpoint(CONFIG.API_ENDPOINTS.UPLOAD_FILE)
             .replace('{path}', path);
         
         try {
             const response = await this._makeRequest(endpoint, {
-                method: 'GET'
+                method: 'GET',
+                signal
             });
             
             const data = await response.json();
@@ -145,26 +317,169 @@ export class GitHubAPIClient {
         }
     }
     
+    /**
+     * Check that a repository can run this site's jobs
+     * Used before saving or activating a repository profile
+     * @param {{owner: string, repo: string, branch: string}} target - Repository to check
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the request
+     * @returns {Promise<{ok: boolean, checks: Array<{id: string, label: string, passed: boolean, message: string}>}>}
+     *     Checks after the first failure are reported as not passed without being run
+     */
+    async checkRepository(target, { signal } = {}) {
+        const checks = [];
+        const add = (id, label, passed, message = '') => {
+            checks.push({ id, label, passed, message });
+            return passed;
+        };
+        const failure = (error) => (error instanceof GitHubAPIError && error.statusCode === 404)
+            ? null
+            : error.apiMessage || error.message;
+        
+        // 1. Repository exists and the token can see it
+        let repository = null;
+        try {
+            const response = await this._makeRequest(this._repoEndpoint(CONFIG.API_ENDPOINTS.GET_REPO, target), {
+                method: 'GET',
+                signal
+            });
+            repository = await response.json();
+        } catch (error) {
+            if (!(error instanceof GitHubAPIError)) {
+                throw error;
+            }
+        }
+        
+        const exists = add('repo', 'Repository exists', Boolean(repository),
+            repository ? '' : `${target.owner}/${target.repo} was not found or is not accessible with this token`);
+        
+        // 2. The workflow file is on the branch jobs are dispatched to
+        let workflowFile = false;
+        let workflowMessage = '';
+        if (exists) {
+            try {
+                const endpoint = this._repoEndpoint(CONFIG.API_ENDPOINTS.UPLOAD_FILE, target)
+                    .replace('{path}', `.github/workflows/${CONFIG.WORKFLOW_FILE}`);
+                await this._makeRequest(`${endpoint}?ref=${encodeURIComponent(target.branch)}`, { method: 'GET', signal });
+                workflowFile = true;
+            } catch (error) {
+                if (!(error instanceof GitHubAPIError)) {
+                    throw error;
+                }
+                workflowMessage = failure(error) ||
+                    `.github/workflows/${CONFIG.WORKFLOW_FILE} not found on branch ${target.branch}`;
+            }
+        }
+        add('workflow', `${CONFIG.WORKFLOW_FILE} is present`, workflowFile, workflowMessage);
+        
+        // 3. Actions are enabled for the workflow (forks start with workflows disabled)
+        let enabled = false;
+        let actionsMessage = '';
+        if (workflowFile) {
+            try {
+                const endpoint = this._repoEndpoint(CONFIG.API_ENDPOINTS.GET_WORKFLOW, target)
+                    .replace('{workflow_id}', CONFIG.WORKFLOW_FILE);
+                const response = await this._makeRequest(endpoint, { method: 'GET', signal });
+                const workflow = await response.json();
+                enabled = workflow.state === 'active';
+                actionsMessage = enabled ? '' : `Workflow is ${workflow.state}; enable Actions in the repository's Actions tab`;
+            } catch (error) {
+                if (!(error instanceof GitHubAPIError)) {
+                    throw error;
+                }
+                actionsMessage = failure(error) || 'Actions are disabled or the workflow is not registered yet';
+            }
+        }
+        add('actions', 'Actions are enabled', enabled, actionsMessage);
+        
+        return {
+            ok: checks.every(check => check.passed),
+            checks
+        };
+    }
+    
+    /**
+     * Fork a repository into the authenticated user's account
+     * GitHub creates the fork asynchronously; the repository is returned at
+     * once but its branches may take a while to appear (see waitForBranch).
+     * Forking again returns the existing fork.
+     * @param {{owner: string, repo: string}} source - Repository to fork
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the request
+     * @returns {Promise<{owner: string, repo: string, defaultBranch: string, htmlUrl: string}>}
+     */
+    async createFork(source, { signal } = {}) {
+        const response = await this._makeRequest(this._repoEndpoint(CONFIG.API_ENDPOINTS.CREATE_FORK, source), {
+            method: 'POST',
+            signal,
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ default_branch_only: false })
+        });
+        
+        const data = await response.json();
+        
+        return {
+            owner: data.owner.login,
+            repo: data.name,
+            defaultBranch: data.default_branch,
+            htmlUrl: data.html_url
+        };
+    }
+    
+    /**
+     * Poll until a branch exists, e.g. in a fork that is still being created
+     * @param {{owner: string, repo: string, branch: string}} target - Repository and branch
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the request
+     * @returns {Promise<void>}
+     * @throws {GitHubAPIError} If the branch does not appear within CONFIG.FORK_READY_TIMEOUT
+     */
+    async waitForBranch(target, { signal } = {}) {
+        const endpoint = this._repoEndpoint(CONFIG.API_ENDPOINTS.GET_BRANCH, target)
+            .replace('{branch}', encodeURIComponent(target.branch));
+        const deadline = Date.now() + CONFIG.FORK_READY_TIMEOUT;
+        
+        while (true) {
+            try {
+                await this._makeRequest(endpoint, { method: 'GET', signal });
+                return;
+            } catch (error) {
+                // 404 until GitHub has finished copying the repository
+                if (!(error instanceof GitHubAPIError) || error.statusCode !== 404) {
+                    throw error;
+                }
+            }
+            
+            if (Date.now() + CONFIG.FORK_READY_INTERVAL > deadline) {
+                throw new GitHubAPIError(CONFIG.ERROR_MESSAGES.FORK_NOT_READY, 404, `Branch ${target.branch} not found`);
+            }
+            
+            await this.sleep(CONFIG.FORK_READY_INTERVAL, signal);
+        }
+    }
+    
     /**
      * Upload a file to the repository
      * @param {string} path - File path in repository (e.g., 'jobs/current/robot.urdf')
-     * @param {string} content - File content (will be base64 encoded)
+     * @param {string|ArrayBuffer|Uint8Array} content - File content (will be base64 encoded)
      * @param {string} message - Commit message
      * @param {string|null} sha - SHA of existing file (for updates)
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the request
      * @returns {Promise<{success: boolean, sha: string, content: Object}>}
      */
-    async uploadFile(path, content, message = 'Upload file', sha = null) {
-        const endpoint = CONFIG.API_ENDPOINTS.UPLOAD_FILE
-            .replace('{owner}', CONFIG.REPO_OWNER)
-            .replace('{repo}', CONFIG.REPO_NAME)
-            .replace('{path}', path);
+    async uploadFile(path, content, message = 'Upload file', sha = null, { signal } = {}) {
+        this._requirePermission('contents');
         
-        // Base64 encode the content
-        const base64Content = btoa(unescape(encodeURIComponent(content)));
+        const endpoint = this._repoEndpoint(CONFIG.API_ENDPOINTS.UPLOAD_FILE)
+            .replace('{path}', path);
         
         const body = {
             message: message,
-            content: base64Content
+            content: this._encodeBase64(content),
+            branch: this.getRepo().branch
         };
         
         // Include SHA if updating existing file
@@ -174,6 +489,7 @@ export class GitHubAPIClient {
         
         const response = await this._makeRequest(endpoint, {
             method: 'PUT',
+            signal,
             headers: {
                 'Content-Type': 'application/json'
             },
@@ -190,29 +506,304 @@ export class GitHubAPIClient {
     }
     
     /**
-     * Trigger a workflow
-     * @param {string} workflowId - Workflow file name or ID
-     * @param {Object} inputs - Workflow inputs
-     * @param {string} ref - Git ref (branch/tag)
-     * @returns {Promise<{success: boolean}>}
+     * Base64 encode file content
+     * @param {string|ArrayBuffer|Uint8Array} content - Text (encoded as UTF-8) or binary content
+     * @returns {string} Base64 string
+     * @private
      */
-    async triggerWorkflow(workflowId, inputs = {}, ref = 'dev') {
-        const endpoint = CONFIG.API_ENDPOINTS.TRIGGER_WORKFLOW
-            .replace('{owner}', CONFIG.REPO_OWNER)
-            .replace('{repo}', CONFIG.REPO_NAME)
-            .replace('{workflow_id}', workflowId);
+    _encodeBase64(content) {
+        if (typeof content === 'string') {
+            return btoa(unescape(encodeURIComponent(content)));
+        }
+        
+        const bytes = content instanceof Uint8Array ? content : new Uint8Array(content);
+        const chunkSize = 0x8000;
+        let binary = '';
+        
+        // Encode in chunks to stay under the argument limit of fromCharCode
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+        }
+        
+        return btoa(binary);
+    }
+    
+    /**
+     * Get the commit a branch points to
+     * @param {string} branch - Branch name
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the request
+     * @returns {Promise<{ref: string, sha: string}>}
+     */
+    async getRef(branch, { signal } = {}) {
+        const endpoint = this._repoEndpoint(CONFIG.API_ENDPOINTS.GET_REF)
+            .replace('{branch}', branch);
+        
+        const response = await this._makeRequest(endpoint, {
+            method: 'GET',
+            signal
+        });
+        
+        const data = await response.json();
+        
+        return {
+            ref: data.ref,
+            sha: data.object.sha
+        };
+    }
+    
+    /**
+     * Get a commit object
+     * @param {string} commitSha - Commit SHA
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the request
+     * @returns {Promise<{sha: string, treeSha: string, message: string}>}
+     */
+    async getCommit(commitSha, { signal } = {}) {
+        const endpoint = this._repoEndpoint(CONFIG.API_ENDPOINTS.GET_COMMIT)
+            .replace('{commit_sha}', commitSha);
+        
+        const response = await this._makeRequest(endpoint, {
+            method: 'GET',
+            signal
+        });
+        
+        const data = await response.json();
+        
+        return {
+            sha: data.sha,
+            treeSha: data.tree.sha,
+            message: data.message
+        };
+    }
+    
+    /**
+     * Create a blob
+     * @param {string|ArrayBuffer|Uint8Array} content - File content
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the request
+     * @returns {Promise<{sha: string}>}
+     */
+    async createBlob(content, { signal } = {}) {
+        const endpoint = this._repoEndpoint(CONFIG.API_ENDPOINTS.CREATE_BLOB);
+        
+        const response = await this._makeRequest(endpoint, {
+            method: 'POST',
+            signal,
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                content: this._encodeBase64(content),
+                encoding: 'base64'
+            })
+        });
+        
+        const data = await response.json();
+        
+        return {
+            sha: data.sha
+        };
+    }
+    
+    /**
+     * Create a tree
+     * @param {Array<{path: string, sha: string, mode?: string}>} entries - Blobs to place in the tree
+     * @param {string|null} baseTreeSha - Tree to start from; entries replace or add to it
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the request
+     * @returns {Promise<{sha: string}>}
+     */
+    async createTree(entries, baseTreeSha = null, { signal } = {}) {
+        const endpoint = this._repoEndpoint(CONFIG.API_ENDPOINTS.CREATE_TREE);
+        
+        const body = {
+            tree: entries.map(entry => ({
+                path: entry.path,
+                mode: entry.mode || '100644',
+                type: 'blob',
+                sha: entry.sha
+            }))
+        };
+        
+        if (baseTreeSha) {
+            body.base_tree = baseTreeSha;
+        }
+        
+        const response = await this._makeRequest(endpoint, {
+            method: 'POST',
+            signal,
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+        
+        const data = await response.json();
+        
+        return {
+            sha: data.sha
+        };
+    }
+    
+    /**
+     * Create a commit
+     * @param {string} message - Commit message
+     * @param {string} treeSha - Tree of the new commit
+     * @param {Array<string>} parents - Parent commit SHAs
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the request
+     * @returns {Promise<{sha: string, htmlUrl: string}>}
+     */
+    async createCommit(message, treeSha, parents, { signal } = {}) {
+        const endpoint = this._repoEndpoint(CONFIG.API_ENDPOINTS.CREATE_COMMIT);
         
         const response = await this._makeRequest(endpoint, {
             method: 'POST',
+            signal,
             headers: {
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
-                ref: ref,
-                inputs: inputs
+                message: message,
+                tree: treeSha,
+                parents: parents
             })
         });
         
+        const data = await response.json();
+        
+        return {
+            sha: data.sha,
+            htmlUrl: data.html_url
+        };
+    }
+    
+    /**
+     * Move a branch to a commit
+     * @param {string} branch - Branch name
+     * @param {string} commitSha - Commit to point the branch at
+     * @param {boolean} force - Allow non-fast-forward updates
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the request
+     * @returns {Promise<{ref: string, sha: string}>}
+     * @throws {GitHubAPIError} 422 if the update is not a fast-forward and force is false
+     */
+    async updateRef(branch, commitSha, force = false, { signal } = {}) {
+        const endpoint = this._repoEndpoint(CONFIG.API_ENDPOINTS.UPDATE_REF)
+            .replace('{branch}', branch);
+        
+        const response = await this._makeRequest(endpoint, {
+            method: 'PATCH',
+            signal,
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                sha: commitSha,
+                force: force
+            })
+        });
+        
+        const data = await response.json();
+        
+        return {
+            ref: data.ref,
+            sha: data.object.sha
+        };
+    }
+    
+    /**
+     * Write several files in a single commit
+     * Blobs are created once; if another push moves the branch between reading
+     * it and updating it, the tree and commit are rebuilt on the new head
+     * @param {Array<{path: string, content: string|ArrayBuffer|Uint8Array}>} files - Files to write
+     * @param {string} message - Commit message
+     * @param {string} branch - Branch to commit to
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the request
+     * @returns {Promise<{success: boolean, commitSha: string, htmlUrl: string, files: Array<{path: string, sha: string}>}>}
+     */
+    async commitFiles(files, message, branch = this.getRepo().branch, { signal } = {}) {
+        this._requirePermission('contents');
+        
+        const blobs = [];
+        for (const file of files) {
+            const blob = await this.createBlob(file.content, { signal });
+            blobs.push({ path: file.path, sha: blob.sha });
+        }
+        
+        for (let attempt = 1; ; attempt++) {
+            const head = await this.getRef(branch, { signal });
+            const parent = await this.getCommit(head.sha, { signal });
+            const tree = await this.createTree(blobs, parent.treeSha, { signal });
+            const commit = await this.createCommit(message, tree.sha, [head.sha], { signal });
+            
+            try {
+                await this.updateRef(branch, commit.sha, false, { signal });
+                
+                return {
+                    success: true,
+                    commitSha: commit.sha,
+                    htmlUrl: commit.htmlUrl,
+                    files: blobs
+                };
+            } catch (error) {
+                if (!this._isNonFastForward(error) || attempt >= CONFIG.COMMIT_MAX_RETRIES) {
+                    throw error;
+                }
+                console.warn(`Branch ${branch} moved during commit, retrying (${attempt}/${CONFIG.COMMIT_MAX_RETRIES})`);
+            }
+        }
+    }
+    
+    /**
+     * Check whether an error is a rejected non-fast-forward ref update
+     * @param {Error} error - Error from updateRef
+     * @returns {boolean}
+     * @private
+     */
+    _isNonFastForward(error) {
+        return error instanceof GitHubAPIError &&
+            error.statusCode === 422 &&
+            /fast.forward/i.test(error.apiMessage || '');
+    }
+    
+    /**
+     * Trigger a workflow
+     * @param {string} workflowId - Workflow file name or ID
+     * @param {Object} inputs - Workflow inputs
+     * @param {string} ref - Git ref (branch/tag)
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the request
+     * @returns {Promise<{success: boolean}>}
+     */
+    async triggerWorkflow(workflowId, inputs = {}, ref = 'dev', { signal } = {}) {
+        this._requirePermission('actions');
+        
+        const endpoint = this._repoEndpoint(CONFIG.API_ENDPOINTS.TRIGGER_WORKFLOW)
+            .replace('{workflow_id}', workflowId);
+        
+        // The dispatch is what proves Actions write access of a fine-grained token
+        let response;
+        try {
+            response = await this._makeRequest(endpoint, {
+                method: 'POST',
+                signal,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    ref: ref,
+                    inputs: inputs
+                })
+            });
+        } catch (error) {
+            this._recordPermission('actions', error);
+            throw error;
+        }
+        this._recordPermission('actions');
+        
         // 204 No Content indicates success
         return {
             success: response.status === 204
@@ -222,19 +813,15 @@ export class GitHubAPIClient {
     /**
      * Get workflow run details
      * @param {number} runId - Workflow run ID
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the request
      * @returns {Promise<Object>} Workflow run details
      */
-    async getWorkflowRun(runId) {
-        const endpoint = CONFIG.API_ENDPOINTS.GET_WORKFLOW_RUN
-            .replace('{owner}', CONFIG.REPO_OWNER)
-            .replace('{repo}', CONFIG.REPO_NAME)
+    async getWorkflowRun(runId, { signal } = {}) {
+        const endpoint = this._repoEndpoint(CONFIG.API_ENDPOINTS.GET_WORKFLOW_RUN)
             .replace('{run_id}', runId);
         
-        const response = await this._makeRequest(endpoint, {
-            method: 'GET'
-        });
-        
-        const data = await response.json();
+        const data = await this._getCachedJSON(endpoint, { signal });
         
         return {
             id: data.id,
@@ -246,57 +833,470 @@ export class GitHubAPIClient {
             updatedAt: data.updated_at,
             htmlUrl: data.html_url,
             runNumber: data.run_number,
+            runAttempt: data.run_attempt,
+            runStartedAt: data.run_started_at,
             event: data.event
         };
     }
     
     /**
-     * List workflow runs for a specific workflow
-     * @param {string} workflowId - Workflow file name or ID
-     * @param {number} perPage - Number of results per page
-     * @returns {Promise<Array>} List of workflow runs
+     * List the jobs of a workflow run's latest attempt, with their steps
+     * @param {number} runId - Workflow run ID
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the requests
+     * @returns {Promise<Array>} Jobs with their steps in execution order
      */
-    async listWorkflowRuns(workflowId, perPage = 10) {
-        const endpoint = CONFIG.API_ENDPOINTS.LIST_WORKFLOW_RUNS
-            .replace('{owner}', CONFIG.REPO_OWNER)
-            .replace('{repo}', CONFIG.REPO_NAME)
-            .replace('{workflow_id}', workflowId);
+    async listWorkflowJobs(runId, { signal } = {}) {
+        const endpoint = this._repoEndpoint(CONFIG.API_ENDPOINTS.LIST_WORKFLOW_RUN_JOBS)
+            .replace('{run_id}', runId);
         
-        const response = await this._makeRequest(endpoint + `?per_page=${perPage}`, {
-            method: 'GET'
-        });
+        const jobs = [];
+        const pages = this._paginate(`${endpoint}?per_page=100`, 'jobs', job => ({
+            id: job.id,
+            name: job.name,
+            status: job.status,
+            conclusion: job.conclusion,
+            runAttempt: job.run_attempt,
+            startedAt: job.started_at,
+            completedAt: job.completed_at,
+            htmlUrl: job.html_url,
+            steps: (job.steps || []).map(step => ({
+                number: step.number,
+                name: step.name,
+                status: step.status,
+                conclusion: step.conclusion,
+                startedAt: step.started_at,
+                completedAt: step.completed_at
+            }))
+        }), signal);
         
-        const data = await response.json();
+        for await (const job of pages) {
+            jobs.push(job);
+        }
+        return jobs;
+    }
+    
+    /**
+     * Cancel a workflow run and wait until it has stopped
+     * A run that finishes before the cancellation lands keeps its own
+     * conclusion, so check `conclusion === 'cancelled'` on the result
+     * @param {number} runId - Workflow run ID
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the request and the wait
+     * @returns {Promise<Object>} The completed run, as returned by getWorkflowRun
+     * @throws {GitHubAPIError} If the run is still running after CONFIG.RUN_CONTROL_TIMEOUT
+     */
+    async cancelWorkflowRun(runId, { signal } = {}) {
+        this._requirePermission('actions');
+        
+        const endpoint = this._repoEndpoint(CONFIG.API_ENDPOINTS.CANCEL_WORKFLOW_RUN)
+            .replace('{run_id}', runId);
         
-        return data.workflow_runs.map(run => ({
+        try {
+            await this._makeRequest(endpoint, { method: 'POST', signal });
+        } catch (error) {
+            // 409 when the run has already completed; its conclusion is the answer
+            if (!(error instanceof GitHubAPIError) || error.statusCode !== 409) {
+                throw error;
+            }
+        }
+        
+        return await this._waitForRun(
+            runId,
+            run => run.status === 'completed',
+            CONFIG.ERROR_MESSAGES.RUN_NOT_CANCELLED,
+            signal
+        );
+    }
+    
+    /**
+     * Re-run every job of a completed workflow run
+     * @param {number} runId - Workflow run ID
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the request and the wait
+     * @returns {Promise<Object>} The run with its new `runAttempt`, as returned by getWorkflowRun
+     * @throws {GitHubAPIError} If no new attempt appears within CONFIG.RUN_CONTROL_TIMEOUT
+     */
+    async rerunWorkflow(runId, { signal } = {}) {
+        return await this._rerun(CONFIG.API_ENDPOINTS.RERUN_WORKFLOW_RUN, runId, signal);
+    }
+    
+    /**
+     * Re-run only the failed jobs of a completed workflow run, and the jobs depending on them
+     * @param {number} runId - Workflow run ID
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the request and the wait
+     * @returns {Promise<Object>} The run with its new `runAttempt`, as returned by getWorkflowRun
+     * @throws {GitHubAPIError} If no new attempt appears within CONFIG.RUN_CONTROL_TIMEOUT
+     */
+    async rerunFailedJobs(runId, { signal } = {}) {
+        return await this._rerun(CONFIG.API_ENDPOINTS.RERUN_FAILED_JOBS, runId, signal);
+    }
+    
+    /**
+     * Request a re-run and wait for the attempt it starts
+     * @param {string} template - Re-run endpoint template
+     * @param {number} runId - Workflow run ID
+     * @param {AbortSignal} [signal] - Aborts the requests and the wait
+     * @returns {Promise<Object>} The run with its new attempt number
+     * @private
+     */
+    async _rerun(template, runId, signal) {
+        this._requirePermission('actions');
+        
+        const previous = await this.getWorkflowRun(runId, { signal });
+        const endpoint = this._repoEndpoint(template).replace('{run_id}', runId);
+        
+        await this._makeRequest(endpoint, { method: 'POST', signal });
+        
+        return await this._waitForRun(
+            runId,
+            run => run.runAttempt > previous.runAttempt,
+            CONFIG.ERROR_MESSAGES.RERUN_NOT_STARTED,
+            signal
+        );
+    }
+    
+    /**
+     * Poll a run until it satisfies a condition
+     * @param {number} runId - Workflow run ID
+     * @param {Function} isDone - Predicate on the run from getWorkflowRun
+     * @param {string} timeoutMessage - Error message when the wait times out
+     * @param {AbortSignal} [signal] - Aborts the wait
+     * @returns {Promise<Object>} The run that satisfied the condition
+     * @throws {GitHubAPIError} If the condition is not met within CONFIG.RUN_CONTROL_TIMEOUT
+     * @private
+     */
+    async _waitForRun(runId, isDone, timeoutMessage, signal) {
+        const deadline = Date.now() + CONFIG.RUN_CONTROL_TIMEOUT;
+        
+        while (true) {
+            const run = await this.getWorkflowRun(runId, { signal });
+            if (isDone(run)) {
+                return run;
+            }
+            
+            if (Date.now() + CONFIG.RUN_CONTROL_INTERVAL > deadline) {
+                throw new GitHubAPIError(timeoutMessage, 408, `Run ${runId} is ${run.status}`);
+            }
+            
+            await this.sleep(CONFIG.RUN_CONTROL_INTERVAL, signal);
+        }
+    }
+    
+    /**
+     * Iterate over the runs of a workflow, newest first, across all pages
+     * @param {Object} [filters] - Query filters supported by the API
+     * @param {string} [filters.status] - Run status or conclusion
+     * @param {string} [filters.actor] - Login of the user who triggered the run
+     * @param {string} [filters.created] - Date range, e.g. '>=2024-01-01T00:00:00Z'
+     * @param {string} [filters.branch] - Branch name
+     * @param {string} [filters.event] - Triggering event, e.g. 'workflow_dispatch'
+     * @param {string} [filters.workflowId=CONFIG.WORKFLOW_FILE] - Workflow file name or ID
+     * @param {number} [filters.perPage=100] - Page size
+     * @param {AbortSignal} [filters.signal] - Stops the iteration with an AbortError
+     * @returns {AsyncGenerator<Object>} Workflow runs
+     */
+    async *iterateWorkflowRuns({ workflowId = CONFIG.WORKFLOW_FILE, perPage = 100, signal = null, ...filters } = {}) {
+        const endpoint = this._repoEndpoint(CONFIG.API_ENDPOINTS.LIST_WORKFLOW_RUNS)
+            .replace('{workflow_id}', workflowId);
+        
+        const params = new URLSearchParams({ per_page: String(perPage) });
+        for (const [key, value] of Object.entries(filters)) {
+            if (value !== undefined && value !== null && value !== '') {
+                params.set(key, value);
+            }
+        }
+        
+        yield* this._paginate(`${endpoint}?${params}`, 'workflow_runs', run => ({
             id: run.id,
             name: run.name,
+            displayTitle: run.display_title,
             status: run.status,
             conclusion: run.conclusion,
+            event: run.event,
+            actor: run.actor ? run.actor.login : null,
+            runNumber: run.run_number,
+            runAttempt: run.run_attempt,
             createdAt: run.created_at,
             updatedAt: run.updated_at,
+            runStartedAt: run.run_started_at,
             htmlUrl: run.html_url
-        }));
+        }), signal);
     }
     
     /**
-     * List artifacts for a workflow run
-     * @param {number} runId - Workflow run ID
-     * @returns {Promise<Array>} List of artifacts
+     * List workflow runs for a specific workflow
+     * @param {string} workflowId - Workflow file name or ID
+     * @param {number} limit - Maximum number of runs, newest first
+     * @param {Object} [filters] - Query filters, see iterateWorkflowRuns
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the request
+     * @returns {Promise<Array>} List of workflow runs
      */
-    async listArtifacts(runId) {
-        const endpoint = CONFIG.API_ENDPOINTS.LIST_ARTIFACTS
-            .replace('{owner}', CONFIG.REPO_OWNER)
-            .replace('{repo}', CONFIG.REPO_NAME)
-            .replace('{run_id}', runId);
+    async listWorkflowRuns(workflowId, limit = 10, filters = {}, { signal } = {}) {
+        const runs = [];
         
-        const response = await this._makeRequest(endpoint, {
-            method: 'GET'
-        });
+        if (limit <= 0) {
+            return runs;
+        }
         
-        const data = await response.json();
+        for await (const run of this.iterateWorkflowRuns({
+            ...filters,
+            workflowId,
+            perPage: Math.min(limit, 100),
+            signal
+        })) {
+            runs.push(run);
+            if (runs.length >= limit) {
+                break;
+            }
+        }
+        
+        return runs;
+    }
+    
+    /**
+     * Check what the token can do on the active repository
+     * Fine-grained tokens do not report scopes, so each permission is checked
+     * with a request that needs it:
+     * - metadata: read the repository
+     * - contents: create an empty blob; it is never referenced, and every
+     *   check writes the same object, so the repository does not grow
+     * - actions: dispatch a workflow file that does not exist; GitHub refuses
+     *   it with 403 without Actions write access, and with 404 or 422 otherwise
+     * - artifacts: list the repository's artifacts
+     * Classic tokens report their scopes, which decide Actions write access.
+     * Only a refusal denies a permission; a check that failed for another
+     * reason (rate limit, network) leaves it unverified (granted: null).
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the requests
+     * @returns {Promise<Object<string, {granted: boolean|null, message: string}>>}
+     *     Result by CONFIG.TOKEN_PERMISSIONS ID
+     * @throws {DOMException} AbortError if the signal is aborted
+     */
+    async checkPermissions({ signal } = {}) {
+        const check = async (endpoint, options = {}, allowedStatuses = []) => {
+            try {
+                const response = await this._makeRequest(endpoint, {
+                    method: 'GET',
+                    signal,
+                    ...options
+                });
+                return { granted: true, message: '', response };
+            } catch (error) {
+                if (CancellableOperation.isAbortError(error)) {
+                    throw error;
+                }
+                if (error instanceof GitHubAPIError && allowedStatuses.includes(error.statusCode)) {
+                    return { granted: true, message: '' };
+                }
+                const refused = GitHubAPIClient._isForbidden(error) ||
+                    (error instanceof GitHubAPIError && error.statusCode === 404);
+                return { granted: refused ? false : null, message: error.apiMessage || error.message };
+            }
+        };
+        
+        const [metadata, contents, dispatch, artifacts] = await Promise.all([
+            check(this._repoEndpoint(CONFIG.API_ENDPOINTS.GET_REPO)),
+            check(this._repoEndpoint(CONFIG.API_ENDPOINTS.CREATE_BLOB), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ content: '', encoding: 'utf-8' })
+            }),
+            check(this._repoEndpoint(CONFIG.API_ENDPOINTS.TRIGGER_WORKFLOW)
+                .replace('{workflow_id}', PERMISSION_PROBE_WORKFLOW), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ref: this.getRepo().branch })
+            }, [404, 422]),
+            check(`${this._repoEndpoint(CONFIG.API_ENDPOINTS.LIST_REPO_ARTIFACTS)}?per_page=1`)
+        ]);
+        
+        const result = ({ granted, message }) => ({ granted, message });
+        let actions = result(dispatch);
+        if (metadata.granted === false) {
+            // A repository the token cannot see answers the dispatch with 404 too
+            actions = result(metadata);
+        } else if (metadata.response) {
+            actions = GitHubAPIClient._actionsPermission(
+                metadata.response.headers, await metadata.response.json()
+            ) || actions;
+        }
+        
+        return {
+            metadata: result(metadata),
+            contents: result(contents),
+            actions,
+            artifacts: result(artifacts)
+        };
+    }
+    
+    /**
+     * Tell from a classic token's scopes whether it may dispatch workflows
+     * @param {Headers} headers - Response headers; classic tokens list their scopes
+     * @param {Object} repository - Repository as returned by the API
+     * @returns {{granted: boolean, message: string}|null} null for a fine-grained token
+     * @private
+     */
+    static _actionsPermission(headers, repository) {
+        const scopes = headers && typeof headers.get === 'function' ? headers.get('X-OAuth-Scopes') : null;
+        if (scopes === null) {
+            return null;
+        }
+        
+        const granted = scopes.split(',').map(scope => scope.trim())
+            .some(scope => scope === 'repo' || (scope === 'public_repo' && !repository.private));
+        return { granted, message: granted ? '' : 'Classic tokens need the "repo" scope to trigger workflows' };
+    }
+    
+    /**
+     * Whether an error is GitHub refusing the token, not a rate limit
+     * @param {Error} error - Error of a request
+     * @returns {boolean}
+     * @private
+     */
+    static _isForbidden(error) {
+        return error instanceof GitHubAPIError && error.statusCode === 403 &&
+            !/rate limit/i.test(error.apiMessage || '');
+    }
+    
+    /**
+     * Tell the auth manager what a request proved about a permission
+     * Only a 403 that is not a rate limit proves the permission missing
+     * @param {string} id - Permission ID from CONFIG.TOKEN_PERMISSIONS
+     * @param {Error|null} [error] - The request's error, null if it succeeded
+     * @private
+     */
+    _recordPermission(id, error = null) {
+        if (typeof this.authManager.recordPermission !== 'function') {
+            return;
+        }
+        
+        if (!error) {
+            this.authManager.recordPermission(id, true);
+        } else if (GitHubAPIClient._isForbidden(error)) {
+            this.authManager.recordPermission(id, false, error.apiMessage);
+        }
+    }
+    
+    /**
+     * Get the login of the authenticated user
+     * Cached, since it cannot change for a given token
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the request
+     * @returns {Promise<string>}
+     */
+    async getAuthenticatedUser({ signal } = {}) {
+        const token = this.authManager.getToken();
+        
+        if (!this._user || this._user.token !== token) {
+            const response = await this._makeRequest(CONFIG.API_ENDPOINTS.GET_USER, {
+                method: 'GET',
+                signal
+            });
+            const data = await response.json();
+            this._user = { token, login: data.login };
+        }
+        
+        return this._user.login;
+    }
+    
+    /**
+     * Dispatch a workflow and find the run it created
+     * A unique correlation token is sent as the `correlation_id` input; the
+     * workflow puts it into its run-name, so the run can be told apart from
+     * runs dispatched at the same time by anyone else
+     * @param {string} workflowId - Workflow file name or ID
+     * @param {Object} inputs - Workflow inputs
+     * @param {string} ref - Git ref (branch/tag)
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the request
+     * @returns {Promise<Object>} The dispatched run, as returned by listWorkflowRuns
+     * @throws {RunNotFoundError} If the run does not appear within CONFIG.RUN_LOOKUP_TIMEOUT
+     */
+    async dispatchWorkflowRun(workflowId, inputs = {}, ref = this.getRepo().branch, { signal } = {}) {
+        const correlationId = GitHubAPIClient.generateCorrelationId();
+        const actor = await this.getAuthenticatedUser({ signal });
+        // Two minutes of slack for clock skew between this machine and GitHub
+        const since = new Date(Date.now() - 2 * 60 * 1000);
+        
+        const result = await this.triggerWorkflow(workflowId, {
+            ...inputs,
+            correlation_id: correlationId
+        }, ref, { signal });
+        
+        if (!result.success) {
+            throw new GitHubAPIError('Workflow dispatch failed', 0, 'Dispatch was not accepted');
+        }
+        
+        return await this.findWorkflowRun(workflowId, correlationId, { actor, since, signal });
+    }
+    
+    /**
+     * Poll the runs list until the run carrying a correlation token appears
+     * @param {string} workflowId - Workflow file name or ID
+     * @param {string} correlationId - Token sent with the dispatch
+     * @param {Object} criteria - Narrow the runs list
+     * @param {string} criteria.actor - Login of the user who dispatched the run
+     * @param {Date} criteria.since - Earliest creation time to consider
+     * @param {AbortSignal} [criteria.signal] - Stops the search with an AbortError
+     * @returns {Promise<Object>} The matching run
+     * @throws {RunNotFoundError} If the run does not appear within CONFIG.RUN_LOOKUP_TIMEOUT
+     */
+    async findWorkflowRun(workflowId, correlationId, { actor, since, signal = null }) {
+        const filters = {
+            event: 'workflow_dispatch',
+            actor,
+            created: `>=${since.toISOString().replace(/\.\d{3}Z$/, 'Z')}`
+        };
+        const deadline = Date.now() + CONFIG.RUN_LOOKUP_TIMEOUT;
+        
+        while (true) {
+            for await (const run of this.iterateWorkflowRuns({ ...filters, workflowId, signal })) {
+                if ((run.displayTitle || '').includes(`[${correlationId}]`)) {
+                    return run;
+                }
+            }
+            
+            if (Date.now() + CONFIG.RUN_LOOKUP_INTERVAL > deadline) {
+                throw new RunNotFoundError(CONFIG.ERROR_MESSAGES.RUN_NOT_FOUND, correlationId);
+            }
+            
+            await this.sleep(CONFIG.RUN_LOOKUP_INTERVAL, signal);
+        }
+    }
+    
+    /**
+     * Generate a correlation token for a workflow dispatch
+     * @returns {string}
+     */
+    static generateCorrelationId() {
+        return crypto.randomUUID();
+    }
+    
+    /**
+     * Iterate over artifacts across all pages
+     * @param {Object} [options]
+     * @param {number} [options.runId] - Workflow run ID; all artifacts of the repository when omitted
+     * @param {string} [options.name] - Only artifacts with this name (repository-wide listing only)
+     * @param {number} [options.perPage=100] - Page size
+     * @param {AbortSignal} [options.signal] - Stops the iteration with an AbortError
+     * @returns {AsyncGenerator<Object>} Artifacts
+     */
+    async *iterateArtifacts({ runId, name, perPage = 100, signal = null } = {}) {
+        this._requirePermission('artifacts');
+        
+        const endpoint = runId
+            ? this._repoEndpoint(CONFIG.API_ENDPOINTS.LIST_ARTIFACTS).replace('{run_id}', runId)
+            : this._repoEndpoint(CONFIG.API_ENDPOINTS.LIST_REPO_ARTIFACTS);
+        
+        const params = new URLSearchParams({ per_page: String(perPage) });
+        if (name && !runId) {
+            params.set('name', name);
+        }
         
-        return data.artifacts.map(artifact => ({
+        yield* this._paginate(`${endpoint}?${params}`, 'artifacts', artifact => ({
             id: artifact.id,
             name: artifact.name,
             sizeInBytes: artifact.size_in_bytes,
@@ -304,23 +1304,42 @@ export class GitHubAPIClient {
             archiveDownloadUrl: artifact.archive_download_url,
             expired: artifact.expired,
             createdAt: artifact.created_at,
-            expiresAt: artifact.expires_at
-        }));
+            expiresAt: artifact.expires_at,
+            runId: artifact.workflow_run ? artifact.workflow_run.id : null
+        }), signal);
+    }
+    
+    /**
+     * List artifacts for a workflow run
+     * @param {number} runId - Workflow run ID
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the request
+     * @returns {Promise<Array>} List of artifacts
+     */
+    async listArtifacts(runId, { signal } = {}) {
+        const artifacts = [];
+        for await (const artifact of this.iterateArtifacts({ runId, signal })) {
+            artifacts.push(artifact);
+        }
+        return artifacts;
     }
     
     /**
      * Download an artifact
      * @param {number} artifactId - Artifact ID
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the request
      * @returns {Promise<Blob>} Artifact content as Blob (ZIP file)
      */
-    async downloadArtifact(artifactId) {
-        const endpoint = CONFIG.API_ENDPOINTS.DOWNLOAD_ARTIFACT
-            .replace('{owner}', CONFIG.REPO_OWNER)
-            .replace('{repo}', CONFIG.REPO_NAME)
+    async downloadArtifact(artifactId, { signal } = {}) {
+        this._requirePermission('artifacts');
+        
+        const endpoint = this._repoEndpoint(CONFIG.API_ENDPOINTS.DOWNLOAD_ARTIFACT)
             .replace('{artifact_id}', artifactId);
         
         const response = await this._makeRequest(endpoint, {
-            method: 'GET'
+            method: 'GET',
+            signal
         });
         
         // Return as Blob for download
@@ -330,59 +1349,70 @@ export class GitHubAPIClient {
     /**
      * Get workflow logs
      * @param {number} runId - Workflow run ID
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the request
      * @returns {Promise<Blob>} Logs as Blob (ZIP file)
      */
-    async getWorkflowLogs(runId) {
-        const endpoint = CONFIG.API_ENDPOINTS.GET_WORKFLOW_LOGS
-            .replace('{owner}', CONFIG.REPO_OWNER)
-            .replace('{repo}', CONFIG.REPO_NAME)
+    async getWorkflowLogs(runId, { signal } = {}) {
+        const endpoint = this._repoEndpoint(CONFIG.API_ENDPOINTS.GET_WORKFLOW_LOGS)
             .replace('{run_id}', runId);
         
         const response = await this._makeRequest(endpoint, {
-            method: 'GET'
+            method: 'GET',
+            signal,
+            priority: RequestPriority.LOW
         });
         
         return await response.blob();
     }
     
     /**
-     * Check if there are any active workflows
-     * @param {string} workflowId - Workflow file name or ID
-     * @returns {Promise<boolean>} True if there are active workflows
+     * Get the plain-text log of a job
+     * The log of a running job grows between calls. The endpoint has no range
+     * support, so the whole log is returned and callers keep their own offset.
+     * @param {number} jobId - Job ID from listWorkflowJobs
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the request
+     * @returns {Promise<Uint8Array>} UTF-8 log bytes
      */
-    async hasActiveWorkflow(workflowId) {
-        const runs = await this.listWorkflowRuns(workflowId, 5);
+    async getJobLogs(jobId, { signal } = {}) {
+        const endpoint = this._repoEndpoint(CONFIG.API_ENDPOINTS.GET_JOB_LOGS)
+            .replace('{job_id}', jobId);
         
-        return runs.some(run => 
-            run.status === 'queued' || 
-            run.status === 'in_progress'
-        );
+        const response = await this._makeRequest(endpoint, {
+            method: 'GET',
+            signal,
+            priority: RequestPriority.LOW
+        });
+        
+        return new Uint8Array(await response.arrayBuffer());
     }
     
     /**
-     * Get the most recent workflow run
-     * @param {string} workflowId - Workflow file name or ID
-     * @returns {Promise<Object|null>} Most recent workflow run or null
+     * Sleep utility
+     * @param {number} ms - Milliseconds to sleep
+     * @param {AbortSignal} [signal] - Ends the sleep early with an AbortError
+     * @returns {Promise<void>}
      */
-    async getMostRecentWorkflowRun(workflowId) {
-        const runs = await this.listWorkflowRuns(workflowId, 1);
-        
-        return runs.length > 0 ? runs[0] : null;
+    sleep(ms, signal = null) {
+        return CancellableOperation.sleep(ms, signal);
     }
     
     /**
      * Get GitHub Actions billing usage for the repository
      * Note: This endpoint requires admin access to the repository
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the request
      * @returns {Promise<{totalMinutesUsed: number, includedMinutes: number, percentUsed: number}|null>}
      */
-    async getActionsBillingUsage() {
+    async getActionsBillingUsage({ signal } = {}) {
         try {
-            const endpoint = CONFIG.API_ENDPOINTS.GET_BILLING_ACTIONS
-                .replace('{owner}', CONFIG.REPO_OWNER)
-                .replace('{repo}', CONFIG.REPO_NAME);
+            const endpoint = this._repoEndpoint(CONFIG.API_ENDPOINTS.GET_BILLING_ACTIONS);
             
             const response = await this._makeRequest(endpoint, {
-                method: 'GET'
+                method: 'GET',
+                signal,
+                priority: RequestPriority.LOW
             });
             
             const data = await response.json();
@@ -410,10 +1440,12 @@ export class GitHubAPIClient {
     
     /**
      * Check if quota warning should be displayed
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the request
      * @returns {Promise<{shouldWarn: boolean, percentUsed: number, message: string}|null>}
      */
-    async checkQuotaWarning() {
-        const usage = await this.getActionsBillingUsage();
+    async checkQuotaWarning({ signal } = {}) {
+        const usage = await this.getActionsBillingUsage({ signal });
         
         if (!usage) {
             // Can't check quota without billing access
@@ -456,6 +1488,14 @@ export class GitHubAPIError extends Error {
     }
 }
 
+export class RunNotFoundError extends Error {
+    constructor(message, correlationId) {
+        super(message);
+        this.name = 'RunNotFoundError';
+        this.correlationId = correlationId;
+    }
+}
+
 export class ValidationError extends Error {
     constructor(message, field, value) {
         super(message);
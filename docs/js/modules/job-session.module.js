@@ -0,0 +1,133 @@
+﻿/**
+ * JobSession - Gives each browser session its own job ID and working directory
+ * Uploads go to jobs/<jobId>/ and the ID is passed to the workflow, so
+ * concurrent users no longer overwrite or cancel each other's runs
+ * ES Module version for testing
+ */
+
+import { CONFIG } from '../config.js';
+
+export class JobSession {
+    constructor() {
+        this.jobId = null;
+        this.storageKey = 'ikfast_job_id';
+
+        // Reuse the job of this tab across reloads
+        this.loadJobId();
+
+        if (!this.jobId) {
+            this.newJob();
+        }
+    }
+
+    /**
+     * Generate a new job ID
+     * Time-prefixed so job directories sort by creation, with a random suffix
+     * to keep IDs unique between users
+     * @returns {string} e.g. "lq3k9x2a-5f1c9e0b"
+     */
+    static generateId() {
+        const bytes = new Uint8Array(4);
+        crypto.getRandomValues(bytes);
+        const random = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+        return `${Date.now().toString(36)}-${random}`;
+    }
+
+    /**
+     * Check whether a string is a usable job ID
+     * Must match the pattern the workflow accepts
+     * @param {string} jobId - Job ID to check
+     * @returns {boolean}
+     */
+    static isValidId(jobId) {
+        return typeof jobId === 'string' && CONFIG.JOB_ID_PATTERN.test(jobId);
+    }
+
+    /**
+     * Get the repository directory of a job
+     * @param {string} jobId - Job ID
+     * @returns {string} e.g. "jobs/lq3k9x2a-5f1c9e0b"
+     */
+    static getJobDir(jobId) {
+        return `${CONFIG.JOBS_DIR}/${jobId}`;
+    }
+
+    /**
+     * Get the repository path of a job's URDF
+     * @param {string} jobId - Job ID
+     * @returns {string} e.g. "jobs/lq3k9x2a-5f1c9e0b/robot.urdf"
+     */
+    static getURDFPath(jobId) {
+        return `${JobSession.getJobDir(jobId)}/${CONFIG.URDF_FILENAME}`;
+    }
+
+    /**
+     * Get the name of the artifact a job's workflow runs upload
+     * @param {string} jobId - Job ID
+     * @returns {string} e.g. "ikfast-result-lq3k9x2a-5f1c9e0b"
+     */
+    static getArtifactName(jobId) {
+        return `${CONFIG.ARTIFACT_NAME}-${jobId}`;
+    }
+
+    /**
+     * Find the artifact of a run's latest attempt
+     * A re-run run lists one artifact per attempt; the newest belongs to the latest attempt
+     * @param {Array<Object>} artifacts - Artifacts from the API client
+     * @param {string|Function} match - Artifact name, or a predicate artifacts must satisfy
+     * @returns {Object|undefined} The newest matching artifact
+     */
+    static findLatestArtifact(artifacts, match) {
+        const matches = typeof match === 'function' ? match : artifact => artifact.name === match;
+        return artifacts
+            .filter(matches)
+            .reduce((newest, artifact) => (
+                !newest || Date.parse(artifact.createdAt) > Date.parse(newest.createdAt) ? artifact : newest
+            ), undefined);
+    }
+
+    /**
+     * Get the current job ID
+     * @returns {string}
+     */
+    getJobId() {
+        return this.jobId;
+    }
+
+    /**
+     * Start a new job, replacing the current one
+     * @returns {string} The new job ID
+     */
+    newJob() {
+        this.jobId = JobSession.generateId();
+        sessionStorage.setItem(this.storageKey, this.jobId);
+        return this.jobId;
+    }
+
+    /**
+     * Continue an existing job, e.g. one restored from a saved session
+     * @param {string} jobId - Job ID
+     * @returns {string} The job ID
+     * @throws {Error} If the ID is not a valid job ID
+     */
+    setJobId(jobId) {
+        if (!JobSession.isValidId(jobId)) {
+            throw new Error(`Invalid job ID: ${jobId}`);
+        }
+
+        this.jobId = jobId;
+        sessionStorage.setItem(this.storageKey, this.jobId);
+        return this.jobId;
+    }
+
+    /**
+     * Load the job ID from sessionStorage
+     * @private
+     */
+    loadJobId() {
+        const storedId = sessionStorage.getItem(this.storageKey);
+        if (JobSession.isValidId(storedId)) {
+            this.jobId = storedId;
+        }
+    }
+}
@@ -1,10 +1,15 @@
 ﻿/**
  * LinkInfoComponent - Handles robot link information extraction and display
- * Parses OpenRAVE link output and provides UI for link selection
+ * Builds link information from the uploaded URDF in the browser, optionally
+ * cross-checks it against OpenRAVE output, and provides UI for link selection
  * ES Module version for testing
  */
 
 import { CONFIG } from '../config.js';
+import { URDFModel } from './urdf-model.module.js';
+import { JobSession } from './job-session.module.js';
+import { CancellableOperation } from './cancellable-operation.module.js';
+import { ZipReader } from './zip-reader.module.js';
 
 export class LinkInfoComponent {
     constructor(githubAPIClient) {
@@ -13,6 +18,17 @@ export class LinkInfoComponent {
         this.elements = null;
         this.isLoading = false;
         this.currentRunId = null;
+        this.model = null;
+        this.jobId = null;
+        this.operation = new CancellableOperation();
+    }
+    
+    /**
+     * Set the job whose URDF the info workflow reads
+     * @param {string} jobId - Job ID
+     */
+    setJobId(jobId) {
+        this.jobId = jobId;
     }
     
     /**
@@ -26,28 +42,162 @@ export class LinkInfoComponent {
         if (elements.fetchButton) {
             elements.fetchButton.addEventListener('click', () => this.fetchLinkInfo());
         }
+        if (elements.cancelButton) {
+            elements.cancelButton.addEventListener('click', () => this.cancel());
+        }
         
-        // Listen for file upload events to auto-trigger link info fetch
-        window.addEventListener('fileUploaded', () => {
-            this.autoFetchLinkInfo();
+        // Listen for file upload events to build link info from the URDF
+        window.addEventListener('fileUploaded', (event) => {
+            this.handleFileUploaded(event);
         });
         
         // Initialize UI state
         this.updateUIState();
     }
     
+    /**
+     * Handle a file upload by parsing the URDF locally
+     * Falls back to the info workflow when the event carries no content
+     * @param {CustomEvent} event - File uploaded event
+     * @private
+     */
+    handleFileUploaded(event) {
+        const detail = event && event.detail ? event.detail : {};
+        const content = detail.content;
+        
+        // A verification of the previous robot no longer applies
+        this.cancel();
+        
+        if (detail.jobId) {
+            this.jobId = detail.jobId;
+        }
+        
+        if (typeof content === 'string') {
+            this.loadFromURDF(content);
+        } else {
+            this.autoFetchLinkInfo();
+        }
+    }
+    
+    /**
+     * Build link information from URDF content without a workflow round trip
+     * @param {string} content - URDF XML content
+     * @returns {Array<Object>} Link records (empty if the URDF could not be parsed)
+     */
+    loadFromURDF(content) {
+        this.clearError();
+        
+        try {
+            this.model = URDFModel.parse(content);
+        } catch (error) {
+            console.error('Error parsing URDF:', error);
+            this.model = null;
+            this.showError(`Failed to parse URDF: ${error.message}`);
+            return [];
+        }
+        
+        const links = this.model.getLinkRecords();
+        
+        if (links.length === 0) {
+            this.showError('No links found in URDF');
+            return [];
+        }
+        
+        this.links = links;
+        this.renderLinkTable(links);
+        
+        window.dispatchEvent(new CustomEvent('linkInfoFetched', {
+            detail: {
+                links: links,
+                count: links.length,
+                source: 'urdf'
+            }
+        }));
+        
+        return links;
+    }
+    
+    /**
+     * Show links saved by an earlier session
+     * The URDF itself is not saved; restoreModel() reads it back from the job
+     * @param {Array<Object>} links - Link records from getLinks()
+     */
+    restoreLinks(links) {
+        this.clearError();
+        this.model = null;
+        this.links = links;
+        this.renderLinkTable(links);
+    }
+    
+    /**
+     * Rebuild the model of restored links from the URDF uploaded to the job
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the request
+     * @returns {Promise<URDFModel|null>} The model, null if the URDF is gone,
+     *     unreadable, or another URDF was loaded meanwhile
+     * @throws {DOMException} AbortError if the signal is aborted
+     */
+    async restoreModel({ signal } = {}) {
+        const links = this.links;
+        
+        try {
+            const file = await this.githubAPIClient.getFile(JobSession.getURDFPath(this.jobId), { signal });
+            if (!file || file.encoding !== 'base64' || this.links !== links) {
+                return null;
+            }
+            
+            const bytes = Uint8Array.from(atob(file.content.replace(/\s/g, '')), c => c.charCodeAt(0));
+            this.model = URDFModel.parse(new TextDecoder().decode(bytes));
+            return this.model;
+        } catch (error) {
+            if (CancellableOperation.isAbortError(error)) {
+                throw error;
+            }
+            console.error('Error restoring URDF model:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Get the kinematic model built from the uploaded URDF
+     * @returns {URDFModel|null}
+     */
+    getModel() {
+        return this.model;
+    }
+    
     /**
      * Automatically fetch link info after file upload
      * @private
      */
     async autoFetchLinkInfo() {
+        const signal = this.operation.start();
+        
         // Wait a moment for the file to be committed
-        await new Promise(resolve => setTimeout(resolve, 2000));
+        try {
+            await CancellableOperation.sleep(2000, signal);
+        } catch (error) {
+            return;
+        }
+        
+        this.operation.finish(signal);
         await this.fetchLinkInfo();
     }
     
+    /**
+     * Abandon the link verification in progress
+     * The info workflow run itself is not cancelled on GitHub
+     */
+    cancel() {
+        if (this.operation.cancel()) {
+            this.isLoading = false;
+            this.showLoading(false);
+        }
+    }
+    
     /**
      * Fetch link information by triggering info mode workflow
+     * When links were already built from the URDF, this acts as a cross-check
      * @returns {Promise<void>}
      */
     async fetchLinkInfo() {
@@ -55,62 +205,63 @@ export class LinkInfoComponent {
             return;
         }
         
+        const signal = this.operation.start();
+        
         try {
             this.isLoading = true;
             this.showLoading(true);
             this.clearError();
             
-            // Trigger workflow in info mode
-            const result = await this.githubAPIClient.triggerWorkflow(
-                CONFIG.WORKFLOW_FILE,
-                { mode: 'info' },
-                CONFIG.REPO_BRANCH
-            );
-            
-            if (!result.success) {
-                throw new Error('Failed to trigger workflow');
+            if (!JobSession.isValidId(this.jobId)) {
+                throw new Error('Upload a URDF file before verifying links');
             }
             
-            // Wait a moment for workflow to be created
-            await new Promise(resolve => setTimeout(resolve, 3000));
-            
-            // Get the most recent workflow run
-            const recentRun = await this.githubAPIClient.getMostRecentWorkflowRun(CONFIG.WORKFLOW_FILE);
-            
-            if (!recentRun) {
-                throw new Error('Could not find workflow run');
-            }
+            // Trigger workflow in info mode and find the run it created
+            const run = await this.githubAPIClient.dispatchWorkflowRun(
+                CONFIG.WORKFLOW_FILE,
+                { mode: 'info', job_id: this.jobId },
+                undefined,
+                { signal }
+            );
             
-            this.currentRunId = recentRun.id;
+            this.currentRunId = run.id;
             
             // Poll for workflow completion
-            await this.pollWorkflowCompletion(recentRun.id);
+            await this.pollWorkflowCompletion(run.id, signal);
             
         } catch (error) {
+            if (CancellableOperation.isAbortError(error)) {
+                this.showWarning('Link verification cancelled');
+                return;
+            }
             console.error('Error fetching link info:', error);
             this.showError(error.message || 'Failed to fetch link information');
         } finally {
-            this.isLoading = false;
-            this.showLoading(false);
+            // A cancelled or superseded flow leaves the UI to its successor
+            if (this.operation.finish(signal)) {
+                this.isLoading = false;
+                this.showLoading(false);
+            }
         }
     }
     
     /**
      * Poll workflow until completion
      * @param {number} runId - Workflow run ID
+     * @param {AbortSignal} [signal] - Stops polling with an AbortError
      * @private
      */
-    async pollWorkflowCompletion(runId) {
+    async pollWorkflowCompletion(runId, signal = null) {
         const maxAttempts = 60; // 5 minutes max (5 seconds * 60)
         let attempts = 0;
         
         while (attempts < maxAttempts) {
-            const run = await this.githubAPIClient.getWorkflowRun(runId);
+            const run = await this.githubAPIClient.getWorkflowRun(runId, { signal });
             
             if (run.status === 'completed') {
                 if (run.conclusion === 'success') {
                     // Workflow completed successfully, fetch the logs
-                    await this.fetchAndParseLogs(runId);
+                    await this.fetchAndParseLogs(runId, signal);
                     return;
                 } else {
                     throw new Error(`Workflow failed with conclusion: ${run.conclusion}`);
@@ -121,7 +272,7 @@ export class LinkInfoComponent {
             this.updateStatusDisplay(run.status);
             
             // Wait before next poll
-            await new Promise(resolve => setTimeout(resolve, CONFIG.POLLING_INTERVAL));
+            await CancellableOperation.sleep(CONFIG.POLLING_INTERVAL, signal);
             attempts++;
         }
         
@@ -131,22 +282,23 @@ export class LinkInfoComponent {
     /**
      * Fetch and parse workflow logs to extract link information
      * @param {number} runId - Workflow run ID
+     * @param {AbortSignal} [signal] - Aborts the downloads
      * @private
      */
-    async fetchAndParseLogs(runId) {
+    async fetchAndParseLogs(runId, signal = null) {
         try {
             // Get artifacts from the workflow run
-            const artifacts = await this.githubAPIClient.listArtifacts(runId);
+            const artifacts = await this.githubAPIClient.listArtifacts(runId, { signal });
             
-            // Find the ikfast-result artifact
-            const resultArtifact = artifacts.find(a => a.name === CONFIG.ARTIFACT_NAME);
+            // Find this job's ikfast-result artifact
+            const resultArtifact = artifacts.find(a => a.name === JobSession.getArtifactName(this.jobId));
             
             if (!resultArtifact) {
                 throw new Error('Link info artifact not found');
             }
             
             // Download the artifact
-            const artifactBlob = await this.githubAPIClient.downloadArtifact(resultArtifact.id);
+            const artifactBlob = await this.githubAPIClient.downloadArtifact(resultArtifact.id, { signal });
             
             // Extract info.log from the ZIP
             const logContent = await this.extractLogFromZip(artifactBlob, 'info.log');
@@ -158,6 +310,20 @@ export class LinkInfoComponent {
                 throw new Error('No link information found in logs');
             }
             
+            // Cross-check against the links built from the URDF
+            if (this.model) {
+                const differences = this.compareLinks(this.links, links);
+                
+                if (differences.length > 0) {
+                    // OpenRAVE indices are what the generate step uses, so prefer them
+                    this.showWarning(
+                        `Link info from OpenRAVE differs from the URDF parser: ${differences.join('; ')}. Using OpenRAVE indices.`
+                    );
+                } else {
+                    this.showSuccess(`OpenRAVE confirmed all ${links.length} links`);
+                }
+            }
+            
             this.links = links;
             this.renderLinkTable(links);
             
@@ -165,11 +331,15 @@ export class LinkInfoComponent {
             window.dispatchEvent(new CustomEvent('linkInfoFetched', {
                 detail: {
                     links: links,
-                    count: links.length
+                    count: links.length,
+                    source: 'workflow'
                 }
             }));
             
         } catch (error) {
+            if (CancellableOperation.isAbortError(error)) {
+                throw error;
+            }
             console.error('Error fetching logs:', error);
             throw new Error(`Failed to parse link information: ${error.message}`);
         }
@@ -183,27 +353,15 @@ export class LinkInfoComponent {
      * @private
      */
     async extractLogFromZip(zipBlob, filename) {
-        // For browser environment, we need to use a ZIP library
-        // For now, we'll use a simple approach with JSZip if available
-        // Otherwise, we'll try to get logs directly from the API
-        
         try {
-            // Try to use JSZip if available
-            if (typeof JSZip !== 'undefined') {
-                const zip = new JSZip();
-                const zipData = await zip.loadAsync(zipBlob);
-                const file = zipData.file(filename);
-                
-                if (!file) {
-                    throw new Error(`File ${filename} not found in artifact`);
-                }
-                
-                return await file.async('string');
-            } else {
-                // Fallback: try to get workflow logs directly
-                const logsBlob = await this.githubAPIClient.getWorkflowLogs(this.currentRunId);
-                return await logsBlob.text();
+            const zip = await ZipReader.open(zipBlob);
+            const entry = zip.getEntry(filename);
+            
+            if (!entry) {
+                throw new Error(`File ${filename} not found in artifact`);
             }
+            
+            return await zip.extractText(entry);
         } catch (error) {
             console.error('Error extracting log from ZIP:', error);
             throw error;
@@ -278,6 +436,43 @@ export class LinkInfoComponent {
         return this.enrichLinkData(links);
     }
     
+    /**
+     * Compare two sets of link records
+     * @param {Array<Object>} expected - Link records built from the URDF
+     * @param {Array<Object>} actual - Link records reported by OpenRAVE
+     * @returns {Array<string>} Human-readable differences (empty if they agree)
+     */
+    compareLinks(expected, actual) {
+        const differences = [];
+        
+        if (expected.length !== actual.length) {
+            differences.push(`${expected.length} links in URDF, ${actual.length} in OpenRAVE`);
+        }
+        
+        const actualByName = new Map(actual.map(link => [link.name, link]));
+        
+        for (const link of expected) {
+            const other = actualByName.get(link.name);
+            
+            if (!other) {
+                differences.push(`${link.name} missing from OpenRAVE output`);
+            } else if (other.index !== link.index) {
+                differences.push(`${link.name} has index ${other.index}, expected ${link.index}`);
+            } else if (other.parent !== link.parent) {
+                differences.push(`${link.name} has parent ${other.parent || '(none)'}, expected ${link.parent || '(none)'}`);
+            }
+        }
+        
+        const expectedNames = new Set(expected.map(link => link.name));
+        for (const link of actual) {
+            if (!expectedNames.has(link.name)) {
+                differences.push(`${link.name} not found in URDF`);
+            }
+        }
+        
+        return differences;
+    }
+    
     /**
      * Enrich link data with isRoot and isLeaf properties
      * @param {Array<Object>} links - Array of link objects
@@ -477,7 +672,11 @@ export class LinkInfoComponent {
         
         if (this.elements && this.elements.fetchButton) {
             this.elements.fetchButton.disabled = show;
-            this.elements.fetchButton.textContent = show ? 'Fetching...' : 'Fetch Link Info';
+            this.elements.fetchButton.textContent = show ? 'Fetching...' : 'Verify with OpenRAVE';
+        }
+        
+        if (this.elements && this.elements.cancelButton) {
+            this.elements.cancelButton.style.display = show ? 'inline-block' : 'none';
         }
     }
     
@@ -521,6 +720,34 @@ export class LinkInfoComponent {
         }
     }
     
+    /**
+     * Show warning message
+     * @param {string} message - Warning message
+     */
+    showWarning(message) {
+        if (this.elements && this.elements.errorDisplay) {
+            this.elements.errorDisplay.textContent = message;
+            this.elements.errorDisplay.style.display = 'block';
+            this.elements.errorDisplay.className = 'link-message warning';
+        } else {
+            console.warn('Link Info Warning:', message);
+        }
+    }
+    
+    /**
+     * Show success message
+     * @param {string} message - Success message
+     */
+    showSuccess(message) {
+        if (this.elements && this.elements.errorDisplay) {
+            this.elements.errorDisplay.textContent = message;
+            this.elements.errorDisplay.style.display = 'block';
+            this.elements.errorDisplay.className = 'link-message success';
+        } else {
+            console.log('Link Info:', message);
+        }
+    }
+    
     /**
      * Clear error message
      */
@@ -3,6 +3,8 @@
  * ES Module version for testing
  */
 
+const NEWLINE = 0x0a;
+
 export class LogViewerComponent {
     constructor(githubAPIClient) {
         this.githubAPIClient = githubAPIClient;
@@ -10,6 +12,8 @@ export class LogViewerComponent {
         this.logContent = '';
         this.autoScroll = true;
         this.runId = null;
+        // Bytes of each job's log already appended, by job ID
+        this.jobOffsets = new Map();
     }
     
     /**
@@ -38,27 +42,33 @@ export class LogViewerComponent {
     /**
      * Fetch logs from workflow run or artifact
      * @param {number} runId - Workflow run ID
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the downloads
      * @returns {Promise<string>} Log content
      */
-    async fetchLogs(runId) {
+    async fetchLogs(runId, { signal } = {}) {
         try {
             this.runId = runId;
             
             // Try to get logs from workflow run first
             try {
-                const logs = await this.githubAPIClient.getWorkflowLogs(runId);
+                const logs = await this.githubAPIClient.getWorkflowLogs(runId, { signal });
                 return logs;
             } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw error;
+                }
+                
                 // If workflow logs not available, try to get from artifact
                 console.log('Workflow logs not available, trying artifact...');
                 
-                const artifacts = await this.githubAPIClient.listArtifacts(runId);
+                const artifacts = await this.githubAPIClient.listArtifacts(runId, { signal });
                 const logArtifact = artifacts.find(a => 
                     a.name === 'ikfast-result' || a.name.includes('log')
                 );
                 
                 if (logArtifact) {
-                    const artifactData = await this.githubAPIClient.downloadArtifact(logArtifact.id);
+                    const artifactData = await this.githubAPIClient.downloadArtifact(logArtifact.id, { signal });
                     // Extract log file from ZIP (simplified - in real implementation would use JSZip)
                     return artifactData;
                 }
@@ -66,13 +76,68 @@ export class LogViewerComponent {
                 throw new Error('No logs available');
             }
         } catch (error) {
-            console.error('Error fetching logs:', error);
+            if (error.name !== 'AbortError') {
+                console.error('Error fetching logs:', error);
+            }
             throw error;
         }
     }
     
+    /**
+     * Append the new lines of a run's job logs
+     * Job logs are plain text. While a job runs only complete lines are
+     * appended, so a line is never split between updates; the byte offset
+     * of each job records what was appended already.
+     * @param {number} runId - Workflow run ID
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the downloads
+     * @returns {Promise<number>} Number of new bytes appended
+     */
+    async streamLogs(runId, { signal } = {}) {
+        if (runId !== this.runId) {
+            this.clearLog();
+            this.runId = runId;
+        }
+        
+        const jobs = await this.githubAPIClient.listWorkflowJobs(runId, { signal });
+        const decoder = new TextDecoder();
+        let appended = 0;
+        
+        for (const job of jobs) {
+            if (job.status === 'queued' || job.status === 'waiting') {
+                continue;
+            }
+            
+            const bytes = await this.githubAPIClient.getJobLogs(job.id, { signal });
+            const offset = this.jobOffsets.get(job.id) || 0;
+            const isComplete = job.status === 'completed';
+            const end = isComplete ? bytes.length : bytes.lastIndexOf(NEWLINE) + 1;
+            
+            if (end <= offset) {
+                continue;
+            }
+            
+            if (offset === 0 && jobs.length > 1) {
+                this.appendLog(`=== Job: ${job.name} ===\n`);
+            }
+            
+            let text = decoder.decode(bytes.subarray(offset, end));
+            if (isComplete && !text.endsWith('\n')) {
+                text += '\n';
+            }
+            
+            this.appendLog(text);
+            this.jobOffsets.set(job.id, end);
+            appended += end - offset;
+        }
+        
+        return appended;
+    }
+    
     /**
      * Append log content (incremental, not clearing)
+     * Content following a complete line is rendered on its own, so earlier
+     * lines and the reader's scroll position are left alone
      * @param {string} content - Log content to append
      */
     appendLog(content) {
@@ -80,9 +145,21 @@ export class LogViewerComponent {
             return;
         }
         
+        const startsNewLine = this.logContent === '' || this.logContent.endsWith('\n');
+        
         // Append to internal log content
         this.logContent += content;
         
+        const logViewer = this.elements && this.elements.logViewer;
+        if (startsNewLine && logViewer && typeof logViewer.insertAdjacentHTML === 'function') {
+            logViewer.insertAdjacentHTML('beforeend', this.processLogContent(content));
+            
+            if (this.autoScroll) {
+                this.scrollToBottom();
+            }
+            return;
+        }
+        
         // Update display
         this.updateDisplay();
     }
@@ -95,15 +172,19 @@ export class LogViewerComponent {
             return;
         }
         
+        const scrollTop = this.elements.logViewer.scrollTop;
+        
         // Process log content: highlight STEP markers, handle ANSI codes, style errors
         const processedContent = this.processLogContent(this.logContent);
         
         // Update DOM
         this.elements.logViewer.innerHTML = processedContent;
         
-        // Auto-scroll to bottom if enabled
+        // Auto-scroll to bottom if enabled, otherwise stay where the reader was
         if (this.autoScroll) {
             this.scrollToBottom();
+        } else {
+            this.elements.logViewer.scrollTop = scrollTop;
         }
     }
     
@@ -222,6 +303,7 @@ export class LogViewerComponent {
      */
     clearLog() {
         this.logContent = '';
+        this.jobOffsets.clear();
         this.updateDisplay();
     }
     
@@ -268,6 +350,7 @@ export class LogViewerComponent {
     reset() {
         this.logContent = '';
         this.runId = null;
+        this.jobOffsets.clear();
         this.updateDisplay();
     }
 }
@@ -5,15 +5,34 @@
 
 import { CONFIG } from '../config.js';
 
+// Joint types IKFast can drive; fixed joints only move the frames
+const ACTUATED_JOINT_TYPES = ['revolute', 'continuous', 'prismatic'];
+
 export class ParameterConfigComponent {
     constructor() {
         this.parameters = {
             baseLink: null,
             eeLink: null,
-            ikType: 'transform6d'
+            ikType: 'transform6d',
+            freeJoints: []
         };
         this.elements = null;
         this.validationErrors = {};
+        this.model = null;
+        this.links = [];
+    }
+    
+    /**
+     * Set the robot the parameters are chosen for
+     * With a URDF model the IK type is checked against the chain between the
+     * chosen links; without one only the values themselves are checked
+     * @param {URDFModel|null} model - Model built from the uploaded URDF
+     * @param {Array<{name: string, index: number}>} [links] - Link records whose indices the inputs refer to
+     */
+    setKinematics(model, links = []) {
+        this.model = model;
+        this.links = links;
+        this.updateUIState();
     }
     
     /**
@@ -22,6 +41,7 @@ export class ParameterConfigComponent {
      */
     initializeUI(elements) {
         this.elements = elements;
+        this.renderIkTypeOptions();
         
         // Set up event listeners
         if (elements.baseLinkInput) {
@@ -38,11 +58,43 @@ export class ParameterConfigComponent {
             elements.ikTypeSelect.addEventListener('change', () => this.handleIkTypeChange());
         }
         
+        if (elements.freeJointsList) {
+            elements.freeJointsList.addEventListener('change', (event) => {
+                if (event.target.type === 'checkbox') {
+                    this.handleFreeJointChange(event.target.value, event.target.checked);
+                }
+            });
+        }
+        
         // Initialize UI state
         this.setDefaults();
         this.updateUIState();
     }
     
+    /**
+     * Fill the IK type dropdown from the catalog, grouped by category
+     */
+    renderIkTypeOptions() {
+        const select = this.elements.ikTypeSelect;
+        if (!select || !select.options) {
+            return;
+        }
+        
+        select.innerHTML = '';
+        for (const category of CONFIG.IKTYPE_CATEGORIES) {
+            const group = document.createElement('optgroup');
+            group.label = category.label;
+            for (const type of CONFIG.IK_TYPES.filter(t => t.category === category.value)) {
+                const option = document.createElement('option');
+                option.value = type.value;
+                option.textContent = type.label;
+                option.title = type.description;
+                group.appendChild(option);
+            }
+            select.appendChild(group);
+        }
+    }
+    
     /**
      * Set default values
      */
@@ -97,6 +149,28 @@ export class ParameterConfigComponent {
         this.updateUIState();
     }
     
+    /**
+     * Handle a free joint being ticked or unticked
+     * @param {string} name - Joint name
+     * @param {boolean} checked - Whether the joint is left free
+     */
+    handleFreeJointChange(name, checked) {
+        const freeJoints = this.parameters.freeJoints.filter(joint => joint !== name);
+        if (checked) {
+            freeJoints.push(name);
+        }
+        
+        // Keep the chain's order so identical choices give identical runs
+        const chain = this.analyzeChain();
+        if (chain && chain.valid) {
+            freeJoints.sort((a, b) => chain.joints.indexOf(a) - chain.joints.indexOf(b));
+        }
+        
+        this.parameters.freeJoints = freeJoints;
+        this.clearValidationError('freeJoints');
+        this.updateUIState();
+    }
+    
     /**
      * Validate base link index
      * @returns {boolean} True if valid
@@ -187,6 +261,127 @@ export class ParameterConfigComponent {
         return { valid: true };
     }
     
+    /**
+     * Find the actuated joints between the chosen base and end effector links
+     * Mimic joints follow another joint and do not count
+     * @param {Object} [params] - Parameters (defaults to the current ones)
+     * @returns {{valid: boolean, error?: string, base?: string, ee?: string, joints?: Array<string>, dof?: number}|null}
+     *     null if the robot is unknown or a link index is not set
+     */
+    analyzeChain(params = this.parameters) {
+        if (!this.model || !Number.isInteger(params.baseLink) || !Number.isInteger(params.eeLink)) {
+            return null;
+        }
+        
+        const base = this.links.find(link => link.index === params.baseLink);
+        const ee = this.links.find(link => link.index === params.eeLink);
+        if (!base || !ee) {
+            return {
+                valid: false,
+                error: `No link with index ${base ? params.eeLink : params.baseLink}`
+            };
+        }
+        
+        const chain = this.model.getChain(base.name, ee.name);
+        if (!chain) {
+            return {
+                valid: false,
+                error: `${ee.name} is not below ${base.name} in the kinematic tree`
+            };
+        }
+        
+        const joints = chain
+            .filter(joint => ACTUATED_JOINT_TYPES.includes(joint.type) && !joint.mimic)
+            .map(joint => joint.name);
+        
+        return { valid: true, base: base.name, ee: ee.name, joints, dof: joints.length };
+    }
+    
+    /**
+     * Rank the IK types for a chain
+     * Types the chain has exactly enough joints for come first, then those
+     * leaving the fewest joints free; types needing more joints than the
+     * chain has cannot be generated and come last
+     * @param {number} dof - Actuated joints on the chain
+     * @returns {Array<Object>} IK type options with fits and freeJoints
+     */
+    static rankIkTypes(dof) {
+        return CONFIG.IK_TYPES
+            .map(type => ({ ...type, fits: type.dof <= dof, freeJoints: Math.max(dof - type.dof, 0) }))
+            .sort((a, b) => {
+                if (a.fits !== b.fits) {
+                    return a.fits ? -1 : 1;
+                }
+                return a.fits ? a.freeJoints - b.freeJoints : a.dof - b.dof;
+            });
+    }
+    
+    /**
+     * Check that the chosen IK type can be solved on the chosen chain
+     * @param {Object} params - Parameters
+     * @returns {{valid: boolean, field?: string, error?: string}}
+     */
+    validateChain(params) {
+        const chain = this.analyzeChain(params);
+        if (!chain) {
+            return { valid: true };
+        }
+        
+        if (!chain.valid) {
+            return { valid: false, field: 'general', error: chain.error };
+        }
+        
+        const type = CONFIG.IK_TYPES.find(t => t.value === params.ikType);
+        if (!type) {
+            return { valid: true };
+        }
+        
+        if (chain.dof < type.dof) {
+            return {
+                valid: false,
+                field: 'ikType',
+                error: `${type.label} needs ${type.dof} actuated joints, but the chain from ${chain.base} to ${chain.ee} has ${chain.dof}`
+            };
+        }
+        
+        // IKFast solves for type.dof joints and takes the others as inputs
+        const freeJoints = params.freeJoints || [];
+        const stray = freeJoints.find(name => !chain.joints.includes(name));
+        if (stray) {
+            return {
+                valid: false,
+                field: 'freeJoints',
+                error: `${stray} is not an actuated joint between ${chain.base} and ${chain.ee}`
+            };
+        }
+        
+        const required = chain.dof - type.dof;
+        if (freeJoints.length !== required) {
+            return {
+                valid: false,
+                field: 'freeJoints',
+                error: `${type.label} on a chain of ${chain.dof} joints needs ${required} free joint(s), ${freeJoints.length} chosen`
+            };
+        }
+        
+        return { valid: true };
+    }
+    
+    /**
+     * Count the free joints the chosen IK type leaves on the chosen chain
+     * @param {Object} [params] - Parameters (defaults to the current ones)
+     * @returns {number|null} null if the chain is unknown or cannot be solved
+     */
+    getRequiredFreeJoints(params = this.parameters) {
+        const chain = this.analyzeChain(params);
+        const type = CONFIG.IK_TYPES.find(t => t.value === params.ikType);
+        if (!chain || !chain.valid || !type || chain.dof < type.dof) {
+            return null;
+        }
+        
+        return chain.dof - type.dof;
+    }
+    
     /**
      * Validate all parameters
      * @returns {{valid: boolean, errors: Object}}
@@ -222,6 +417,15 @@ export class ParameterConfigComponent {
             valid = false;
         }
         
+        // Block combinations IKFast cannot solve before a run is spent on them
+        if (valid) {
+            const chainValidation = this.validateChain(params);
+            if (!chainValidation.valid) {
+                errors[chainValidation.field] = chainValidation.error;
+                valid = false;
+            }
+        }
+        
         return { valid, errors };
     }
     
@@ -230,7 +434,7 @@ export class ParameterConfigComponent {
      * @returns {Object} Current parameters
      */
     getParameters() {
-        return { ...this.parameters };
+        return { ...this.parameters, freeJoints: [...this.parameters.freeJoints] };
     }
     
     /**
@@ -259,6 +463,10 @@ export class ParameterConfigComponent {
             }
         }
         
+        if (params.freeJoints !== undefined) {
+            this.parameters.freeJoints = [...params.freeJoints];
+        }
+        
         this.updateUIState();
     }
     
@@ -312,7 +520,7 @@ export class ParameterConfigComponent {
         this.validationErrors = {};
         
         if (this.elements) {
-            ['baseLink', 'eeLink', 'ikType', 'general'].forEach(field => {
+            ['baseLink', 'eeLink', 'ikType', 'freeJoints', 'general'].forEach(field => {
                 this.clearValidationError(field);
             });
         }
@@ -334,7 +542,152 @@ export class ParameterConfigComponent {
      * Update UI state
      */
     updateUIState() {
-        // This method can be extended to update button states, etc.
+        this.updateFreeJoints();
+        this.updateIkTypeAdvice();
+        this.updateIkTypeHelp();
+    }
+    
+    /**
+     * Describe the chosen IK type and how its solver is called
+     */
+    updateIkTypeHelp() {
+        const help = this.elements && this.elements.ikTypeHelp;
+        const type = CONFIG.IK_TYPES.find(t => t.value === this.parameters.ikType);
+        if (!help || !type) {
+            return;
+        }
+        
+        help.textContent = `${type.description}; solves ${type.dof} joint(s). `;
+        const signature = document.createElement('code');
+        signature.textContent = type.signature;
+        help.appendChild(signature);
+    }
+    
+    /**
+     * Rank the IK types within each category for the chosen chain and explain the fit
+     * Options the chain cannot solve are disabled
+     */
+    updateIkTypeAdvice() {
+        if (!this.elements) {
+            return;
+        }
+        
+        const chain = this.analyzeChain();
+        const ranking = chain && chain.valid ? ParameterConfigComponent.rankIkTypes(chain.dof) : null;
+        
+        const select = this.elements.ikTypeSelect;
+        if (select && select.options) {
+            const options = Array.from(select.querySelectorAll('option'));
+            for (const type of ranking || CONFIG.IK_TYPES) {
+                const option = options.find(o => o.value === type.value);
+                if (!option) {
+                    continue;
+                }
+                if (option.dataset.label === undefined) {
+                    option.dataset.label = option.textContent;
+                }
+                option.textContent = option.dataset.label + (ranking ? ParameterConfigComponent.describeFit(type) : '');
+                option.disabled = ranking ? !type.fits : false;
+                option.parentNode.appendChild(option);
+            }
+            select.value = this.parameters.ikType;
+        }
+        
+        const advice = this.elements.ikTypeAdvice;
+        if (!advice) {
+            return;
+        }
+        
+        if (!chain) {
+            advice.textContent = '';
+            advice.style.display = 'none';
+            return;
+        }
+        
+        // Free joints are explained next to their own picker
+        const chainValidation = this.validateChain(this.parameters);
+        const blocked = !chainValidation.valid && chainValidation.field !== 'freeJoints';
+        if (!chain.valid) {
+            advice.textContent = chain.error;
+        } else {
+            const best = ranking[0];
+            advice.textContent = `${chain.base} → ${chain.ee}: ${chain.dof} actuated joint(s)` +
+                (best.fits ? `, best fit ${best.label}` : ', too few for any IK type') +
+                (blocked ? `. ${chainValidation.error}` : '');
+        }
+        advice.className = `ik-type-advice ${blocked ? 'error' : 'info'}`;
+        advice.style.display = 'block';
+    }
+    
+    /**
+     * List the chain's joints for the free joint picker
+     * Joints that left the chain are dropped from the choice; the picker is
+     * hidden while the IK type constrains every joint
+     */
+    updateFreeJoints() {
+        const chain = this.analyzeChain();
+        const required = this.getRequiredFreeJoints();
+        
+        if (chain && chain.valid) {
+            this.parameters.freeJoints = required ?
+                this.parameters.freeJoints.filter(name => chain.joints.includes(name)) :
+                [];
+        }
+        
+        if (!this.elements || !this.elements.freeJointsList) {
+            return;
+        }
+        
+        const { freeJointsList: list, freeJointsGroup: group, freeJointsHelp: help } = this.elements;
+        if (!required) {
+            if (group) {
+                group.style.display = 'none';
+            }
+            return;
+        }
+        
+        // Rebuilding only for a new chain keeps focus on the ticked box
+        const key = chain.joints.join('\n');
+        if (list.dataset.joints !== key) {
+            list.innerHTML = '';
+            for (const name of chain.joints) {
+                const label = document.createElement('label');
+                label.className = 'checkbox-label free-joint';
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.value = name;
+                label.appendChild(checkbox);
+                label.appendChild(document.createTextNode(` ${name}`));
+                list.appendChild(label);
+            }
+            list.dataset.joints = key;
+        }
+        
+        const chosen = this.parameters.freeJoints;
+        list.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+            checkbox.checked = chosen.includes(checkbox.value);
+            checkbox.disabled = !checkbox.checked && chosen.length >= required;
+        });
+        
+        if (help) {
+            help.textContent = `Choose ${required} joint(s) IKFast leaves free (${chosen.length} chosen); ` +
+                'the solver takes their values as inputs';
+        }
+        if (group) {
+            group.style.display = 'block';
+        }
+    }
+    
+    /**
+     * Describe how an IK type fits a chain, for its dropdown option
+     * @param {Object} type - Ranked IK type from rankIkTypes()
+     * @returns {string}
+     */
+    static describeFit(type) {
+        if (!type.fits) {
+            return ` (needs ${type.dof} joints)`;
+        }
+        return type.freeJoints === 0 ? ' (exact fit)' : ` (${type.freeJoints} free joint(s))`;
     }
     
     /**
@@ -344,7 +697,8 @@ export class ParameterConfigComponent {
         this.parameters = {
             baseLink: null,
             eeLink: null,
-            ikType: 'transform6d'
+            ikType: 'transform6d',
+            freeJoints: []
         };
         
         if (this.elements) {
@@ -0,0 +1,282 @@
+﻿/**
+ * RateLimitScheduler - Tracks the GitHub API rate limit and holds requests back
+ * Status polling, log polling and quota checks share one hourly budget; when it
+ * runs low, low-priority requests are spaced out and then held until the reset,
+ * so dispatches and status checks keep working. At zero, every request waits
+ * for the reset.
+ * ES Module version for testing
+ */
+
+import { CONFIG } from '../config.js';
+import { CancellableOperation } from './cancellable-operation.module.js';
+
+export const RequestPriority = Object.freeze({
+    HIGH: 'high',
+    LOW: 'low'
+});
+
+export class RateLimitScheduler {
+    constructor() {
+        this.limit = null;
+        this.remaining = null;
+        this.used = null;
+        this.resetAt = null;
+        this.isLow = false;
+        this.exhausted = false;
+        this.queue = [];
+        this.timer = null;
+        this.lastLowPriorityAt = 0;
+    }
+
+    /**
+     * Wait until a request of the given priority may be sent
+     * High-priority requests are released before queued low-priority ones
+     * @param {string} [priority=RequestPriority.HIGH] - Request priority
+     * @param {AbortSignal} [signal] - Removes the request from the queue when aborted
+     * @returns {Promise<void>} Rejects with an AbortError if the signal is aborted first
+     */
+    acquire(priority = RequestPriority.HIGH, signal = null) {
+        CancellableOperation.throwIfAborted(signal);
+        this.checkReset();
+
+        const blockedByQueue = priority === RequestPriority.LOW
+            ? this.queue.length > 0
+            : this.queue.some(request => request.priority === RequestPriority.HIGH);
+
+        if (!blockedByQueue && this.canSend(priority)) {
+            this.markSent(priority);
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = { priority, resolve, signal, onAbort: null };
+
+            if (signal) {
+                request.onAbort = () => {
+                    this.queue = this.queue.filter(queued => queued !== request);
+                    reject(CancellableOperation.abortReason(signal));
+                };
+                signal.addEventListener('abort', request.onAbort, { once: true });
+            }
+
+            this.queue.push(request);
+            // Stable sort keeps FIFO order within a priority
+            this.queue.sort((a, b) => this.rank(a.priority) - this.rank(b.priority));
+            this.scheduleDrain();
+        });
+    }
+
+    /**
+     * Update the budget from a response's X-RateLimit-* headers
+     * @param {Headers} [headers] - Response headers
+     */
+    update(headers) {
+        const remaining = headers && typeof headers.get === 'function'
+            ? headers.get('X-RateLimit-Remaining')
+            : null;
+
+        if (remaining === null || remaining === undefined) {
+            return;
+        }
+
+        this.remaining = Number(remaining);
+        this.limit = Number(headers.get('X-RateLimit-Limit')) || this.limit;
+        this.used = Number(headers.get('X-RateLimit-Used')) || 0;
+        const reset = Number(headers.get('X-RateLimit-Reset'));
+        if (reset) {
+            this.resetAt = reset * 1000;
+        }
+
+        this.emit('rateLimitUpdated');
+
+        if (this.remaining === 0) {
+            if (!this.exhausted) {
+                this.exhausted = true;
+                this.emit('rateLimitExhausted');
+            }
+        } else {
+            if (this.exhausted) {
+                // GitHub already started the new window
+                this.exhausted = false;
+                this.emit('rateLimitReset');
+            }
+            if (this.remaining <= CONFIG.RATE_LIMIT.LOW_THRESHOLD) {
+                if (!this.isLow) {
+                    this.isLow = true;
+                    this.emit('rateLimitLow');
+                }
+            } else {
+                this.isLow = false;
+            }
+        }
+
+        this.scheduleDrain();
+    }
+
+    /**
+     * Get the current budget
+     * @returns {{limit: number|null, remaining: number|null, used: number|null,
+     *     resetAt: number|null, isLow: boolean, isExhausted: boolean, queued: number}}
+     */
+    getStatus() {
+        return {
+            limit: this.limit,
+            remaining: this.remaining,
+            used: this.used,
+            resetAt: this.resetAt,
+            isLow: this.isLow,
+            isExhausted: this.exhausted,
+            queued: this.queue.length
+        };
+    }
+
+    /**
+     * Whether requests are currently held until the reset
+     * @returns {boolean}
+     */
+    isExhausted() {
+        this.checkReset();
+        return this.exhausted;
+    }
+
+    /**
+     * Check whether a request may be sent now
+     * @param {string} priority - Request priority
+     * @returns {boolean}
+     * @private
+     */
+    canSend(priority) {
+        if (this.exhausted) {
+            return false;
+        }
+
+        if (priority === RequestPriority.LOW && this.remaining !== null) {
+            // Keep the last requests of the hour for dispatch and status
+            if (this.remaining <= CONFIG.RATE_LIMIT.RESERVE) {
+                return false;
+            }
+            if (this.remaining <= CONFIG.RATE_LIMIT.LOW_THRESHOLD) {
+                return Date.now() - this.lastLowPriorityAt >= CONFIG.RATE_LIMIT.LOW_PRIORITY_INTERVAL;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Account for a request that is about to be sent
+     * @param {string} priority - Request priority
+     * @private
+     */
+    markSent(priority) {
+        if (priority === RequestPriority.LOW) {
+            this.lastLowPriorityAt = Date.now();
+        }
+        if (this.remaining !== null && this.remaining > 0) {
+            this.remaining--;
+        }
+    }
+
+    /**
+     * Release queued requests that may be sent now
+     * @private
+     */
+    drain() {
+        this.timer = null;
+        this.checkReset();
+
+        const waiting = [];
+        for (const request of this.queue) {
+            // Low-priority requests never overtake a waiting high-priority one
+            const highWaiting = waiting.some(r => r.priority === RequestPriority.HIGH);
+            if (!(request.priority === RequestPriority.LOW && highWaiting) && this.canSend(request.priority)) {
+                this.markSent(request.priority);
+                if (request.signal) {
+                    request.signal.removeEventListener('abort', request.onAbort);
+                }
+                request.resolve();
+            } else {
+                waiting.push(request);
+            }
+        }
+        this.queue = waiting;
+
+        this.scheduleDrain();
+    }
+
+    /**
+     * Wake up when the next queued request could be released
+     * @private
+     */
+    scheduleDrain() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        // An exhausted budget always wakes up at the reset to announce it
+        if (this.queue.length === 0 && !this.exhausted) {
+            return;
+        }
+
+        const now = Date.now();
+        const untilReset = this.resetAt !== null
+            ? Math.max(this.resetAt - now, 0)
+            : CONFIG.RATE_LIMIT.LOW_PRIORITY_INTERVAL;
+        let delay;
+
+        if (this.exhausted) {
+            delay = untilReset;
+        } else if (this.queue.some(request => request.priority === RequestPriority.HIGH)) {
+            delay = 0;
+        } else if (this.remaining !== null && this.remaining <= CONFIG.RATE_LIMIT.RESERVE) {
+            delay = untilReset;
+        } else {
+            delay = Math.max(this.lastLowPriorityAt + CONFIG.RATE_LIMIT.LOW_PRIORITY_INTERVAL - now, 0);
+        }
+
+        this.timer = setTimeout(() => this.drain(), delay);
+    }
+
+    /**
+     * Start a new budget window once the reset time has passed
+     * @private
+     */
+    checkReset() {
+        if (this.resetAt === null || Date.now() < this.resetAt) {
+            return;
+        }
+
+        const wasHeld = this.exhausted || this.isLow;
+        this.remaining = null;
+        this.used = 0;
+        this.resetAt = null;
+        this.isLow = false;
+        this.exhausted = false;
+
+        if (wasHeld) {
+            this.emit('rateLimitReset');
+        }
+    }
+
+    /**
+     * @param {string} priority - Request priority
+     * @returns {number} Sort key, lower goes first
+     * @private
+     */
+    rank(priority) {
+        return priority === RequestPriority.HIGH ? 0 : 1;
+    }
+
+    /**
+     * Dispatch a budget event on window
+     * @param {string} type - Event name
+     * @private
+     */
+    emit(type) {
+        if (typeof window !== 'undefined') {
+            window.dispatchEvent(new CustomEvent(type, {
+                detail: this.getStatus()
+            }));
+        }
+    }
+}
@@ -0,0 +1,372 @@
+﻿/**
+ * RepoProfileManager - Named target repository profiles
+ * Lets the site run jobs in another repository (usually your own fork, which
+ * spends your own Actions minutes) without editing config.js. Profiles are
+ * kept in localStorage; GitHubAPIClient reads the active one for every request.
+ * ES Module version for testing
+ */
+
+import { CONFIG } from '../config.js';
+
+const DEFAULT_PROFILE_NAME = 'default';
+
+export class RepoProfileManager {
+    constructor() {
+        this.storageKey = 'ikfast_repo_profiles';
+        this.profiles = {};
+        this.activeName = DEFAULT_PROFILE_NAME;
+        this.elements = null;
+        this.githubAPIClient = null;
+
+        this.loadProfiles();
+    }
+
+    /**
+     * The built-in profile for the repository in CONFIG
+     * @returns {{name: string, owner: string, repo: string, branch: string}}
+     */
+    static getDefaultProfile() {
+        return {
+            name: DEFAULT_PROFILE_NAME,
+            owner: CONFIG.REPO_OWNER,
+            repo: CONFIG.REPO_NAME,
+            branch: CONFIG.REPO_BRANCH
+        };
+    }
+
+    /**
+     * Validate repository coordinates
+     * @param {{owner: string, repo: string, branch: string}} profile - Coordinates
+     * @returns {{valid: boolean, errors: Array<string>}}
+     */
+    static validateProfile(profile) {
+        const errors = [];
+        const { owner = '', repo = '', branch = '' } = profile || {};
+
+        if (!/^[A-Za-z0-9](?:[A-Za-z0-9-]{0,38})$/.test(owner)) {
+            errors.push('Owner must be a GitHub user or organization name');
+        }
+        if (!/^[A-Za-z0-9._-]{1,100}$/.test(repo) || repo === '.' || repo === '..') {
+            errors.push('Repository name may only contain letters, digits, ".", "-" and "_"');
+        }
+        if (!branch || /\s|\.\.|^\/|\/$|[~^:?*[\\]/.test(branch)) {
+            errors.push('Branch must be a valid branch name');
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Get all profiles, the default one first
+     * @returns {Array<{name: string, owner: string, repo: string, branch: string}>}
+     */
+    getProfiles() {
+        return [
+            RepoProfileManager.getDefaultProfile(),
+            ...Object.entries(this.profiles).map(([name, profile]) => ({ name, ...profile }))
+        ];
+    }
+
+    /**
+     * Get a profile by name
+     * @param {string} name - Profile name
+     * @returns {{name: string, owner: string, repo: string, branch: string}|null}
+     */
+    getProfile(name) {
+        return this.getProfiles().find(profile => profile.name === name) || null;
+    }
+
+    /**
+     * Get the profile requests currently go to
+     * @returns {{name: string, owner: string, repo: string, branch: string}}
+     */
+    getActiveProfile() {
+        return this.getProfile(this.activeName) || RepoProfileManager.getDefaultProfile();
+    }
+
+    /**
+     * Save (or replace) a named profile
+     * @param {string} name - Profile name
+     * @param {{owner: string, repo: string, branch: string}} coordinates - Repository
+     * @returns {{name: string, owner: string, repo: string, branch: string}} The saved profile
+     * @throws {Error} If the name is reserved or the coordinates are invalid
+     */
+    saveProfile(name, coordinates) {
+        const profileName = (name || '').trim();
+
+        if (!profileName) {
+            throw new Error('Profile name is required');
+        }
+        if (profileName === DEFAULT_PROFILE_NAME) {
+            throw new Error(`"${DEFAULT_PROFILE_NAME}" is reserved for the built-in profile`);
+        }
+
+        const profile = {
+            owner: (coordinates.owner || '').trim(),
+            repo: (coordinates.repo || '').trim(),
+            branch: (coordinates.branch || '').trim()
+        };
+        const validation = RepoProfileManager.validateProfile(profile);
+        if (!validation.valid) {
+            throw new Error(validation.errors.join('; '));
+        }
+
+        this.profiles[profileName] = profile;
+        this.persist();
+
+        if (profileName === this.activeName) {
+            this.notifyChange();
+        }
+
+        return { name: profileName, ...profile };
+    }
+
+    /**
+     * Delete a saved profile; the default profile becomes active if it was
+     * @param {string} name - Profile name
+     */
+    deleteProfile(name) {
+        if (!this.profiles[name]) {
+            return;
+        }
+
+        delete this.profiles[name];
+
+        if (this.activeName === name) {
+            this.activeName = DEFAULT_PROFILE_NAME;
+            this.notifyChange();
+        }
+
+        this.persist();
+    }
+
+    /**
+     * Make a profile the target of all requests
+     * @param {string} name - Profile name
+     * @throws {Error} If the profile does not exist
+     */
+    setActiveProfile(name) {
+        if (!this.getProfile(name)) {
+            throw new Error(`Unknown repository profile: ${name}`);
+        }
+        if (name === this.activeName) {
+            return;
+        }
+
+        this.activeName = name;
+        this.persist();
+        this.notifyChange();
+    }
+
+    /**
+     * Load profiles from localStorage
+     * @private
+     */
+    loadProfiles() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (stored && typeof stored.profiles === 'object') {
+                for (const [name, profile] of Object.entries(stored.profiles)) {
+                    if (name !== DEFAULT_PROFILE_NAME && RepoProfileManager.validateProfile(profile).valid) {
+                        this.profiles[name] = {
+                            owner: profile.owner,
+                            repo: profile.repo,
+                            branch: profile.branch
+                        };
+                    }
+                }
+                if (this.getProfile(stored.active)) {
+                    this.activeName = stored.active;
+                }
+            }
+        } catch (error) {
+            console.warn('Ignoring unreadable repository profiles:', error);
+        }
+    }
+
+    /**
+     * Save profiles to localStorage
+     * @private
+     */
+    persist() {
+        localStorage.setItem(this.storageKey, JSON.stringify({
+            profiles: this.profiles,
+            active: this.activeName
+        }));
+    }
+
+    /**
+     * Announce the active repository
+     * @private
+     */
+    notifyChange() {
+        this.renderProfiles();
+        window.dispatchEvent(new CustomEvent('repoProfileChanged', {
+            detail: { profile: this.getActiveProfile() }
+        }));
+    }
+
+    /**
+     * Initialize the profile UI
+     * @param {Object} elements - DOM elements for the profile UI
+     * @param {GitHubAPIClient} githubAPIClient - Client used to check repositories
+     */
+    initializeUI(elements, githubAPIClient) {
+        this.elements = elements;
+        this.githubAPIClient = githubAPIClient;
+
+        if (elements.profileSelect) {
+            elements.profileSelect.addEventListener('change', () => {
+                this.setActiveProfile(elements.profileSelect.value);
+            });
+        }
+        if (elements.checkButton) {
+            elements.checkButton.addEventListener('click', () => this.handleCheck());
+        }
+        if (elements.saveButton) {
+            elements.saveButton.addEventListener('click', () => this.handleSave());
+        }
+        if (elements.deleteButton) {
+            elements.deleteButton.addEventListener('click', () => {
+                this.deleteProfile(this.activeName);
+                this.renderProfiles();
+            });
+        }
+
+        this.renderProfiles();
+    }
+
+    /**
+     * Read the coordinates typed into the form
+     * @returns {{name: string, owner: string, repo: string, branch: string}}
+     * @private
+     */
+    readForm() {
+        const value = (element) => (element ? element.value.trim() : '');
+        return {
+            name: value(this.elements.nameInput),
+            owner: value(this.elements.ownerInput),
+            repo: value(this.elements.repoInput),
+            branch: value(this.elements.branchInput)
+        };
+    }
+
+    /**
+     * Check the repository in the form
+     * @returns {Promise<boolean>} True if every check passed
+     */
+    async handleCheck() {
+        const target = this.readForm();
+        const validation = RepoProfileManager.validateProfile(target);
+
+        if (!validation.valid) {
+            this.showMessage(validation.errors.join('; '), 'error');
+            return false;
+        }
+
+        this.showMessage(`Checking ${target.owner}/${target.repo}...`, 'info');
+
+        try {
+            const result = await this.githubAPIClient.checkRepository(target);
+            this.renderChecks(result.checks);
+
+            if (result.ok) {
+                this.showMessage(`${target.owner}/${target.repo} is ready to run jobs`, 'success');
+            } else {
+                this.showMessage('The repository cannot run jobs yet, see the checks below', 'error');
+            }
+            return result.ok;
+        } catch (error) {
+            this.showMessage(`Repository check failed: ${error.message}`, 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Check, save and activate the profile in the form
+     * @returns {Promise<void>}
+     */
+    async handleSave() {
+        const form = this.readForm();
+
+        if (!(await this.handleCheck())) {
+            return;
+        }
+
+        try {
+            const profile = this.saveProfile(form.name, form);
+            this.setActiveProfile(profile.name);
+            this.showMessage(`Profile "${profile.name}" saved and active`, 'success');
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * Fill the profile selector and the form from the active profile
+     * @private
+     */
+    renderProfiles() {
+        if (!this.elements) {
+            return;
+        }
+
+        const active = this.getActiveProfile();
+        const { profileSelect, nameInput, ownerInput, repoInput, branchInput, deleteButton } = this.elements;
+
+        if (profileSelect) {
+            profileSelect.innerHTML = '';
+            for (const profile of this.getProfiles()) {
+                const option = document.createElement('option');
+                option.value = profile.name;
+                option.textContent = `${profile.name} (${profile.owner}/${profile.repo}@${profile.branch})`;
+                option.selected = profile.name === active.name;
+                profileSelect.appendChild(option);
+            }
+        }
+
+        if (nameInput) nameInput.value = active.name === DEFAULT_PROFILE_NAME ? '' : active.name;
+        if (ownerInput) ownerInput.value = active.owner;
+        if (repoInput) repoInput.value = active.repo;
+        if (branchInput) branchInput.value = active.branch;
+        if (deleteButton) deleteButton.disabled = active.name === DEFAULT_PROFILE_NAME;
+    }
+
+    /**
+     * Render the repository checklist
+     * @param {Array<{label: string, passed: boolean, message: string}>} checks - Check results
+     * @private
+     */
+    renderChecks(checks) {
+        const list = this.elements && this.elements.checkList;
+        if (!list) {
+            return;
+        }
+
+        list.innerHTML = '';
+        list.style.display = 'block';
+
+        for (const check of checks) {
+            const item = document.createElement('li');
+            item.className = `permission-item ${check.passed ? 'granted' : 'denied'}`;
+            item.textContent = check.passed
+                ? `✓ ${check.label}`
+                : `✗ ${check.label}${check.message ? ` — ${check.message}` : ''}`;
+            list.appendChild(item);
+        }
+    }
+
+    /**
+     * Show a message below the profile form
+     * @param {string} message - Message text
+     * @param {string} type - 'info', 'success' or 'error'
+     * @private
+     */
+    showMessage(message, type) {
+        if (this.elements && this.elements.message) {
+            this.elements.message.textContent = message;
+            this.elements.message.className = `auth-message ${type}`;
+            this.elements.message.style.display = 'block';
+        }
+    }
+}
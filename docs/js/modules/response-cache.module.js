@@ -0,0 +1,148 @@
+﻿/**
+ * ResponseCache - ETag/Last-Modified cache for polled GitHub API endpoints
+ * GitHubAPIClient sends the stored validators with the next request; a 304
+ * means the resource is unchanged, is served from here and does not count
+ * against the rate limit
+ * ES Module version for testing
+ */
+
+import { CONFIG } from '../config.js';
+
+export class ResponseCache {
+    /**
+     * @param {number} [maxEntries=CONFIG.RESPONSE_CACHE_MAX_ENTRIES] - Least recently
+     *     used entries are dropped beyond this size
+     */
+    constructor(maxEntries = CONFIG.RESPONSE_CACHE_MAX_ENTRIES) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    /**
+     * Get the cached response for a URL
+     * @param {string} url - Request URL
+     * @returns {{etag: string|null, lastModified: string|null, data: *, storedAt: number, hits: number}|null}
+     */
+    get(url) {
+        const entry = this.entries.get(url);
+        if (!entry) {
+            return null;
+        }
+
+        // Re-insert to mark as most recently used
+        this.entries.delete(url);
+        this.entries.set(url, entry);
+        return entry;
+    }
+
+    /**
+     * Get the conditional request headers for a URL
+     * @param {string} url - Request URL
+     * @returns {Object} If-None-Match and/or If-Modified-Since, empty when not cached
+     */
+    getConditionalHeaders(url) {
+        const entry = this.entries.get(url);
+        const headers = {};
+
+        if (entry && entry.etag) {
+            headers['If-None-Match'] = entry.etag;
+        }
+        if (entry && entry.lastModified) {
+            headers['If-Modified-Since'] = entry.lastModified;
+        }
+
+        return headers;
+    }
+
+    /**
+     * Store a response body with its validators
+     * Responses without an ETag or Last-Modified header are not cached
+     * @param {string} url - Request URL
+     * @param {Headers} headers - Response headers
+     * @param {*} data - Parsed response body
+     */
+    store(url, headers, data) {
+        const etag = headers && typeof headers.get === 'function' ? headers.get('ETag') : null;
+        const lastModified = headers && typeof headers.get === 'function' ? headers.get('Last-Modified') : null;
+
+        this.misses++;
+
+        if (!etag && !lastModified) {
+            this.entries.delete(url);
+            return;
+        }
+
+        this.entries.delete(url);
+        this.entries.set(url, {
+            etag,
+            lastModified,
+            data,
+            storedAt: Date.now(),
+            hits: 0
+        });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Serve an unchanged (304) response from the cache
+     * @param {string} url - Request URL
+     * @returns {*} Cached response body
+     * @throws {Error} If nothing is cached for the URL
+     */
+    revalidated(url) {
+        const entry = this.get(url);
+        if (!entry) {
+            throw new Error(`No cached response for ${url}`);
+        }
+
+        entry.hits++;
+        this.hits++;
+        return entry.data;
+    }
+
+    /**
+     * Remove one URL, or every URL starting with a prefix
+     * @param {string} urlOrPrefix - URL or prefix
+     */
+    invalidate(urlOrPrefix) {
+        for (const url of [...this.entries.keys()]) {
+            if (url.startsWith(urlOrPrefix)) {
+                this.entries.delete(url);
+            }
+        }
+    }
+
+    /**
+     * Remove all entries and reset the statistics
+     */
+    clear() {
+        this.entries.clear();
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    /**
+     * Describe the cache contents for inspection
+     * @returns {{size: number, hits: number, misses: number,
+     *     entries: Array<{url: string, etag: string|null, lastModified: string|null, storedAt: number, hits: number}>}}
+     */
+    inspect() {
+        return {
+            size: this.entries.size,
+            hits: this.hits,
+            misses: this.misses,
+            entries: [...this.entries].map(([url, entry]) => ({
+                url,
+                etag: entry.etag,
+                lastModified: entry.lastModified,
+                storedAt: entry.storedAt,
+                hits: entry.hits
+            }))
+        };
+    }
+}
@@ -0,0 +1,246 @@
+﻿/**
+ * RobotPackage - A robot description package provided as a folder, a .zip
+ * or several loose files. Matches the URDF's mesh URIs (package://, file://
+ * and relative paths) to the provided files and rewrites them to paths
+ * inside the job directory so urdf_to_collada can load them
+ * ES Module version for testing
+ */
+
+import { XMLParser } from './xml-parser.module.js';
+import { ZipReader } from './zip-reader.module.js';
+
+const PACKAGE_SCHEME = 'package://';
+const FILE_SCHEME = 'file://';
+const REFERENCE_ELEMENTS = ['mesh', 'texture'];
+
+export class RobotPackage {
+    /**
+     * @param {Array<{path: string, file: Blob}>} entries - Files in the package,
+     *     with paths relative to the folder or archive root
+     */
+    constructor(entries = []) {
+        this.entries = entries.map(entry => ({
+            path: RobotPackage.normalizePath(entry.path),
+            file: entry.file
+        }));
+    }
+
+    /**
+     * Build a package from a file input selection
+     * Folder selections keep their relative paths via webkitRelativePath
+     * @param {Array<File>|FileList} files - Selected files
+     * @returns {RobotPackage}
+     */
+    static fromFiles(files) {
+        return new RobotPackage(Array.from(files).map(file => ({
+            path: file.webkitRelativePath || file.name,
+            file
+        })));
+    }
+
+    /**
+     * Build a package from a .zip archive
+     * @param {Blob} zipFile - ZIP archive
+     * @returns {Promise<RobotPackage>}
+     */
+    static async fromZip(zipFile) {
+        const zip = await ZipReader.open(zipFile);
+        const entries = [];
+
+        for (const entry of zip.getEntries()) {
+            // Skip directories and macOS resource forks
+            if (entry.dir || entry.name.startsWith('__MACOSX/')) {
+                continue;
+            }
+
+            const data = await zip.extract(entry);
+            const name = entry.name.split('/').pop();
+            entries.push({ path: entry.name, file: new File([data], name) });
+        }
+
+        return new RobotPackage(entries);
+    }
+
+    /**
+     * Check whether a file is a .zip archive
+     * @param {File} file - File to check
+     * @returns {boolean}
+     */
+    static isZipFile(file) {
+        return Boolean(file) && file.name.toLowerCase().endsWith('.zip');
+    }
+
+    /**
+     * Normalize a path: forward slashes, no leading "./" or "/", "." and ".." resolved
+     * @param {string} path - Path to normalize
+     * @returns {string}
+     */
+    static normalizePath(path) {
+        const parts = [];
+
+        for (const part of path.replace(/\\/g, '/').split('/')) {
+            if (part === '' || part === '.') {
+                continue;
+            }
+            if (part === '..') {
+                parts.pop();
+            } else {
+                parts.push(part);
+            }
+        }
+
+        return parts.join('/');
+    }
+
+    /**
+     * Get the files in the package
+     * @returns {Array<{path: string, file: Blob}>}
+     */
+    getEntries() {
+        return this.entries;
+    }
+
+    /**
+     * Find a package entry by exact path
+     * @param {string} path - Entry path
+     * @returns {{path: string, file: Blob}|null}
+     */
+    getEntry(path) {
+        const normalized = RobotPackage.normalizePath(path);
+        return this.entries.find(entry => entry.path === normalized) || null;
+    }
+
+    /**
+     * Collect mesh and texture references from URDF content
+     * @param {string} content - URDF XML content
+     * @returns {Array<{uri: string, element: string, line: number, column: number}>}
+     */
+    static findReferences(content) {
+        const references = [];
+
+        const visit = (node) => {
+            if (node.type !== 'element') {
+                return;
+            }
+            if (REFERENCE_ELEMENTS.includes(node.name) && node.attributes.filename) {
+                references.push({
+                    uri: node.attributes.filename,
+                    element: node.name,
+                    line: node.line,
+                    column: node.column
+                });
+            }
+            node.children.forEach(visit);
+        };
+
+        visit(XMLParser.parse(content));
+        return references;
+    }
+
+    /**
+     * Match a URI from the URDF to a package entry
+     * Paths are compared from the end, so "package://my_robot/meshes/base.stl"
+     * matches both "my_robot/meshes/base.stl" and "meshes/base.stl" when the
+     * folder was selected without its package directory
+     * @param {string} uri - Mesh URI
+     * @param {string} [urdfPath=''] - Path of the URDF inside the package, for relative URIs
+     * @returns {{path: string, file: Blob}|null}
+     */
+    resolveURI(uri, urdfPath = '') {
+        let requested;
+        let required;
+
+        if (uri.startsWith(PACKAGE_SCHEME)) {
+            requested = RobotPackage.normalizePath(uri.slice(PACKAGE_SCHEME.length)).split('/');
+            // Everything after the package name must match
+            required = requested.length - 1;
+        } else if (uri.startsWith(FILE_SCHEME)) {
+            requested = RobotPackage.normalizePath(uri.slice(FILE_SCHEME.length)).split('/');
+            required = 1;
+        } else {
+            const directory = urdfPath.includes('/') ? urdfPath.slice(0, urdfPath.lastIndexOf('/')) : '';
+            const exact = this.getEntry(`${directory}/${uri}`);
+            if (exact) {
+                return exact;
+            }
+            requested = RobotPackage.normalizePath(uri).split('/');
+            required = requested.length;
+        }
+
+        let best = null;
+        let bestScore = 0;
+
+        for (const entry of this.entries) {
+            const candidate = entry.path.split('/');
+            let score = 0;
+
+            while (
+                score < requested.length &&
+                score < candidate.length &&
+                requested[requested.length - 1 - score] === candidate[candidate.length - 1 - score]
+            ) {
+                score++;
+            }
+
+            if (score >= required && score > bestScore) {
+                best = entry;
+                bestScore = score;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Resolve every mesh reference in a URDF against the package
+     * @param {string} content - URDF XML content
+     * @param {string} [urdfPath=''] - Path of the URDF inside the package
+     * @returns {{resolved: Array<Object>, missing: Array<Object>}} Resolved references
+     *     carry the matched entry as `entry`; each URI is reported once
+     */
+    resolve(content, urdfPath = '') {
+        const resolved = [];
+        const missing = [];
+        const seen = new Set();
+
+        for (const reference of RobotPackage.findReferences(content)) {
+            if (seen.has(reference.uri)) {
+                continue;
+            }
+            seen.add(reference.uri);
+
+            const entry = this.resolveURI(reference.uri, urdfPath);
+            if (entry) {
+                resolved.push({ ...reference, entry });
+            } else {
+                missing.push(reference);
+            }
+        }
+
+        return { resolved, missing };
+    }
+
+    /**
+     * Rewrite resolved mesh URIs to paths relative to the uploaded URDF
+     * @param {string} content - URDF XML content
+     * @param {Array<Object>} resolved - Resolved references from resolve()
+     * @param {string} assetDir - Directory, relative to the URDF, that holds the meshes
+     * @returns {{content: string, assets: Array<{path: string, file: Blob}>}} Rewritten
+     *     URDF and the files to upload, with paths relative to the URDF
+     */
+    static rewrite(content, resolved, assetDir) {
+        const assets = [];
+        let rewritten = content;
+
+        for (const reference of resolved) {
+            const path = `${assetDir}/${reference.entry.path}`;
+            const escaped = XMLParser.escape(reference.uri).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const pattern = new RegExp(`(filename\\s*=\\s*)(["'])${escaped}\\2`, 'g');
+
+            rewritten = rewritten.replace(pattern, (match, prefix, quote) => `${prefix}${quote}${path}${quote}`);
+            assets.push({ path, file: reference.entry.file });
+        }
+
+        return { content: rewritten, assets };
+    }
+}
@@ -0,0 +1,284 @@
+﻿/**
+ * RunHistoryComponent - Browse past workflow runs and reopen any of them
+ * Lists the recent runs of ikfast.yml with their mode, job, solver
+ * parameters, conclusion, duration and artifact expiry. Opening a run
+ * dispatches a `runHistoryOpened` event so the status monitor, log viewer
+ * and downloads can be attached to it.
+ * ES Module version for testing
+ */
+
+import { CONFIG } from '../config.js';
+import { CancellableOperation } from './cancellable-operation.module.js';
+import { JobSession } from './job-session.module.js';
+import { StepTimeline } from './step-timeline.module.js';
+
+// ikfast.yml's run-name: "IKFast <mode> <job_id> [<iktype> base=<n> ee=<n> [free=<joints>]] [<correlation_id>]".
+// Runs from before the job and parameters were added carry only the mode
+const RUN_NAME_PATTERN = /^IKFast (\w+)(?: (\S+?))?(?: (\w+) base=(\S*) ee=(\S*)(?: free=(\S+))?)? \[[^\]]*\]$/;
+const ARTIFACT_PREFIX = `${CONFIG.ARTIFACT_NAME}-`;
+
+export class RunHistoryComponent {
+    constructor(githubAPIClient) {
+        this.githubAPIClient = githubAPIClient;
+        this.elements = null;
+        this.entries = [];
+        this.openRunId = null;
+        this.operation = new CancellableOperation();
+    }
+
+    /**
+     * Initialize the component with DOM elements
+     * @param {Object} elements - list, refreshButton and message elements
+     */
+    initializeUI(elements) {
+        this.elements = elements;
+
+        if (this.elements.refreshButton) {
+            this.elements.refreshButton.addEventListener('click', () => this.refresh());
+        }
+
+        this.render();
+    }
+
+    /**
+     * Load the most recent runs
+     * Artifact expiry is extra detail; if the artifacts cannot be listed the
+     * runs are shown without it
+     * @returns {Promise<Array<Object>>} History entries, newest first
+     */
+    async refresh() {
+        const signal = this.operation.start();
+        this.showMessage('Loading run history...');
+
+        try {
+            const runs = await this.githubAPIClient.listWorkflowRuns(
+                CONFIG.WORKFLOW_FILE, CONFIG.RUN_HISTORY_LIMIT, {}, { signal }
+            );
+
+            let artifacts = [];
+            try {
+                artifacts = await this.loadArtifacts(runs, signal);
+            } catch (error) {
+                if (CancellableOperation.isAbortError(error)) {
+                    throw error;
+                }
+                console.warn('Run history: artifacts unavailable:', error.message);
+            }
+
+            this.entries = runs.map(run => RunHistoryComponent.toEntry(run, artifacts));
+            this.showMessage(this.entries.length === 0 ? 'No runs yet' : '');
+            this.render();
+        } catch (error) {
+            if (!CancellableOperation.isAbortError(error)) {
+                this.showMessage(`Failed to load run history: ${error.message}`, 'error');
+            }
+        } finally {
+            this.operation.finish(signal);
+        }
+
+        return this.getEntries();
+    }
+
+    /**
+     * List the result artifacts of the given runs
+     * Artifacts are listed newest first, so the listing stops at the first
+     * artifact older than the oldest run
+     * @param {Array<Object>} runs - Runs from listWorkflowRuns
+     * @param {AbortSignal} [signal] - Aborts the requests
+     * @returns {Promise<Array<Object>>}
+     * @private
+     */
+    async loadArtifacts(runs, signal) {
+        if (runs.length === 0) {
+            return [];
+        }
+
+        const runIds = new Set(runs.map(run => run.id));
+        const oldest = Math.min(...runs.map(run => Date.parse(run.createdAt)));
+        const artifacts = [];
+
+        for await (const artifact of this.githubAPIClient.iterateArtifacts({ signal })) {
+            if (Date.parse(artifact.createdAt) < oldest) {
+                break;
+            }
+            if (runIds.has(artifact.runId) && artifact.name.startsWith(ARTIFACT_PREFIX)) {
+                artifacts.push(artifact);
+            }
+        }
+
+        return artifacts;
+    }
+
+    /**
+     * Reopen a run from the history
+     * @param {number} runId - Workflow run ID
+     * @returns {Object|null} The opened entry, null if the run is not listed
+     */
+    open(runId) {
+        const entry = this.entries.find(item => item.runId === runId);
+        if (!entry) {
+            return null;
+        }
+
+        this.openRunId = runId;
+        this.render();
+
+        window.dispatchEvent(new CustomEvent('runHistoryOpened', {
+            detail: { ...entry }
+        }));
+
+        return entry;
+    }
+
+    /**
+     * Get the history entries
+     * @returns {Array<Object>}
+     */
+    getEntries() {
+        return this.entries.map(entry => ({ ...entry }));
+    }
+
+    /**
+     * Empty the history, e.g. after switching to another repository
+     */
+    clear() {
+        this.operation.cancel();
+        this.entries = [];
+        this.openRunId = null;
+        this.showMessage('');
+        this.render();
+    }
+
+    /**
+     * Build a history entry from a run and the artifacts of all listed runs
+     * @param {Object} run - Run from listWorkflowRuns
+     * @param {Array<Object>} [artifacts] - Artifacts from iterateArtifacts
+     * @returns {Object}
+     */
+    static toEntry(run, artifacts = []) {
+        const details = RunHistoryComponent.parseRunName(run.displayTitle || run.name || '');
+        const artifact = JobSession.findLatestArtifact(artifacts, item => item.runId === run.id) || null;
+
+        return {
+            runId: run.id,
+            runNumber: run.runNumber,
+            htmlUrl: run.htmlUrl,
+            mode: details.mode,
+            jobId: details.jobId || (artifact ? artifact.name.slice(ARTIFACT_PREFIX.length) : null),
+            parameters: details.parameters,
+            status: run.status,
+            conclusion: run.conclusion,
+            createdAt: run.createdAt,
+            duration: StepTimeline.getDuration({
+                startedAt: run.runStartedAt || run.createdAt,
+                completedAt: run.status === 'completed' ? run.updatedAt : null
+            }),
+            artifact: artifact
+                ? { id: artifact.id, name: artifact.name, expiresAt: artifact.expiresAt, expired: artifact.expired }
+                : null
+        };
+    }
+
+    /**
+     * Read the mode, job and solver parameters from a run name
+     * @param {string} name - Run name (display title)
+     * @returns {{mode: string|null, jobId: string|null, parameters: Object|null}}
+     */
+    static parseRunName(name) {
+        const match = RUN_NAME_PATTERN.exec(name);
+        if (!match) {
+            return { mode: null, jobId: null, parameters: null };
+        }
+
+        const [, mode, jobId, ikType, baseLink, eeLink, freeJoints] = match;
+        return {
+            mode,
+            jobId: jobId || null,
+            parameters: ikType ? { ikType, baseLink, eeLink, freeJoints: freeJoints ? freeJoints.split(',') : [] } : null
+        };
+    }
+
+    /**
+     * Describe when an entry's artifact expires
+     * @param {Object} entry - History entry
+     * @returns {string}
+     */
+    static describeArtifact(entry) {
+        if (!entry.artifact) {
+            return 'no artifact';
+        }
+        if (entry.artifact.expired) {
+            return 'artifact expired';
+        }
+        return `artifact expires ${new Date(entry.artifact.expiresAt).toLocaleDateString()}`;
+    }
+
+    /**
+     * Render the history list
+     * @private
+     */
+    render() {
+        if (!this.elements || !this.elements.list) {
+            return;
+        }
+
+        const list = this.elements.list;
+        list.innerHTML = '';
+
+        for (const entry of this.entries) {
+            const item = document.createElement('li');
+            item.className = `history-entry ${entry.conclusion || entry.status}`;
+            if (entry.runId === this.openRunId) {
+                item.setAttribute('aria-current', 'true');
+            }
+
+            const title = document.createElement('span');
+            title.className = 'history-entry-title';
+            title.textContent = [`#${entry.runNumber}`, entry.mode, entry.jobId].filter(Boolean).join(' · ');
+            item.appendChild(title);
+
+            const details = [];
+            if (entry.parameters) {
+                const { ikType, baseLink, eeLink, freeJoints } = entry.parameters;
+                details.push(`${ikType}, base ${baseLink} → ee ${eeLink}` +
+                    (freeJoints.length > 0 ? `, free ${freeJoints.join(', ')}` : ''));
+            }
+            details.push((entry.conclusion || entry.status).replace('_', ' '));
+            details.push(new Date(entry.createdAt).toLocaleString());
+            if (entry.duration !== null) {
+                details.push(StepTimeline.formatDuration(entry.duration));
+            }
+            details.push(RunHistoryComponent.describeArtifact(entry));
+
+            const meta = document.createElement('span');
+            meta.className = 'history-entry-meta';
+            meta.textContent = details.join(' · ');
+            item.appendChild(meta);
+
+            const openButton = document.createElement('button');
+            openButton.className = 'btn btn-secondary history-open-button';
+            openButton.textContent = '打开';
+            openButton.setAttribute('aria-label', `打开运行 #${entry.runNumber}`);
+            openButton.addEventListener('click', () => this.open(entry.runId));
+            item.appendChild(openButton);
+
+            list.appendChild(item);
+        }
+    }
+
+    /**
+     * Show a status message below the list
+     * @param {string} message - Message, empty to hide
+     * @param {string} [type='info'] - 'info' or 'error'
+     * @private
+     */
+    showMessage(message, type = 'info') {
+        if (!this.elements || !this.elements.message) {
+            return;
+        }
+
+        this.elements.message.textContent = message;
+        this.elements.message.className = `run-history-message ${type}`;
+        this.elements.message.style.display = message ? 'block' : 'none';
+    }
+}
@@ -0,0 +1,216 @@
+﻿/**
+ * SessionRecovery - Keep the essential state of a job across page reloads
+ * AppState only lives in memory, so a refresh in the middle of a generation
+ * would lose the run being followed. A snapshot of the job, uploaded file,
+ * links, parameters and workflow run is kept in localStorage; after a reload
+ * the user is offered to resume it, which dispatches a `sessionResumed`
+ * event for main.js to rehydrate the components.
+ * ES Module version for testing
+ */
+
+import { CONFIG } from '../config.js';
+import { JobSession } from './job-session.module.js';
+
+// Bumped when the snapshot layout changes; older snapshots are discarded
+const SNAPSHOT_VERSION = 1;
+
+export class SessionRecovery {
+    constructor() {
+        this.storageKey = 'ikfast_session';
+        this.elements = null;
+        this.pending = null;
+        this.offered = false;
+    }
+
+    /**
+     * Initialize the component with DOM elements
+     * @param {Object} elements - banner, summary, resumeButton and dismissButton elements
+     */
+    initializeUI(elements) {
+        this.elements = elements;
+
+        if (this.elements.resumeButton) {
+            this.elements.resumeButton.addEventListener('click', () => this.resume());
+        }
+        if (this.elements.dismissButton) {
+            this.elements.dismissButton.addEventListener('click', () => this.dismiss());
+        }
+
+        this.showBanner(false);
+    }
+
+    /**
+     * Build the part of the application state worth restoring
+     * @param {Object} state - AppState
+     * @param {{owner: string, repo: string, branch: string}} repo - Repository the job runs in
+     * @returns {Object} Snapshot
+     */
+    static createSnapshot(state, repo) {
+        const { runId, attempt, status, conclusion, startTime, endTime, cacheKey, parameters } = state.workflow;
+
+        return {
+            version: SNAPSHOT_VERSION,
+            savedAt: Date.now(),
+            repo: { owner: repo.owner, repo: repo.repo, branch: repo.branch },
+            jobId: state.jobId,
+            file: {
+                uploaded: state.file.uploaded,
+                filename: state.file.filename,
+                size: state.file.size,
+                sha: state.file.sha,
+                checksum: state.file.checksum
+            },
+            links: state.links,
+            parameters: { ...state.parameters },
+            workflow: { runId, attempt, status, conclusion, startTime, endTime, cacheKey, parameters }
+        };
+    }
+
+    /**
+     * Save the application state
+     * Nothing is saved before the earlier session has been offered or while
+     * it is still on offer, so the fresh state of the reloaded page does not
+     * overwrite it
+     * @param {Object} state - AppState
+     * @param {{owner: string, repo: string, branch: string}} repo - Repository the job runs in
+     */
+    save(state, repo) {
+        if (!this.offered || this.pending) {
+            return;
+        }
+
+        if (!state.file.uploaded && !state.workflow.runId) {
+            this.clear();
+            return;
+        }
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(SessionRecovery.createSnapshot(state, repo)));
+        } catch (error) {
+            console.warn('Failed to save session:', error);
+        }
+    }
+
+    /**
+     * Load the saved session
+     * @param {{owner: string, repo: string}} repo - Active repository
+     * @returns {Object|null} Snapshot, or null if there is none that applies
+     */
+    load(repo) {
+        let snapshot;
+        try {
+            snapshot = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+        } catch (error) {
+            console.warn('Ignoring unreadable saved session:', error);
+            return null;
+        }
+
+        if (!snapshot || snapshot.version !== SNAPSHOT_VERSION || !JobSession.isValidId(snapshot.jobId)) {
+            return null;
+        }
+        // Jobs and runs belong to the repository they were started in
+        if (!snapshot.repo || snapshot.repo.owner !== repo.owner || snapshot.repo.repo !== repo.repo) {
+            return null;
+        }
+        if (!(Date.now() - snapshot.savedAt <= CONFIG.SESSION_MAX_AGE)) {
+            return null;
+        }
+
+        return snapshot;
+    }
+
+    /**
+     * Forget the saved session
+     */
+    clear() {
+        localStorage.removeItem(this.storageKey);
+    }
+
+    /**
+     * Offer to resume the saved session, if there is one
+     * @param {{owner: string, repo: string}} repo - Active repository
+     * @returns {Object|null} The snapshot on offer
+     */
+    offer(repo) {
+        const snapshot = this.load(repo);
+        this.pending = snapshot;
+        this.offered = true;
+
+        if (!snapshot) {
+            this.showBanner(false);
+            return null;
+        }
+
+        if (this.elements && this.elements.summary) {
+            this.elements.summary.textContent = SessionRecovery.describe(snapshot);
+        }
+        this.showBanner(true);
+
+        return snapshot;
+    }
+
+    /**
+     * Resume the session on offer
+     * @returns {Object|null} The resumed snapshot
+     */
+    resume() {
+        const snapshot = this.pending;
+        this.pending = null;
+        this.showBanner(false);
+
+        if (!snapshot) {
+            return null;
+        }
+
+        window.dispatchEvent(new CustomEvent('sessionResumed', {
+            detail: { snapshot }
+        }));
+
+        return snapshot;
+    }
+
+    /**
+     * Decline the session on offer and forget it
+     */
+    dismiss() {
+        this.pending = null;
+        this.showBanner(false);
+        this.clear();
+    }
+
+    /**
+     * Check whether a saved session is waiting for the user's decision
+     * @returns {boolean}
+     */
+    isOfferPending() {
+        return this.pending !== null;
+    }
+
+    /**
+     * Describe a snapshot for the resume banner
+     * @param {Object} snapshot - Saved session
+     * @returns {string}
+     */
+    static describe(snapshot) {
+        const parts = [snapshot.file.filename || `job ${snapshot.jobId}`];
+        const { runId, status, endTime } = snapshot.workflow;
+
+        if (runId) {
+            parts.push(`run #${runId} ${endTime ? status || 'finished' : 'in progress'}`);
+        }
+        parts.push(`saved at ${new Date(snapshot.savedAt).toLocaleString()}`);
+
+        return parts.join(', ');
+    }
+
+    /**
+     * Show or hide the resume banner
+     * @param {boolean} show - Whether to show it
+     * @private
+     */
+    showBanner(show) {
+        if (this.elements && this.elements.banner) {
+            this.elements.banner.style.display = show ? 'block' : 'none';
+        }
+    }
+}
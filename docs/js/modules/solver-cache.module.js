@@ -0,0 +1,242 @@
+﻿/**
+ * SolverCache - Reuse the artifacts of earlier identical generations
+ * A solver only depends on the URDF and the base link, end effector link and
+ * IK type it was generated for. The cache key is the SHA-256 of the uploaded
+ * URDF plus those parameters; a successful run uploads an index artifact named
+ * after the key's hash, so a repeated request from any browser can download
+ * the earlier artifact instead of spending Actions minutes on a new run.
+ * localStorage only memoizes the runs found, saving the repository-wide
+ * artifact lookup.
+ * ES Module version for testing
+ */
+
+import { CONFIG } from '../config.js';
+import { FileVerification } from './file-verification.module.js';
+import { JobSession } from './job-session.module.js';
+
+export class SolverCache {
+    constructor(githubAPIClient) {
+        this.githubAPIClient = githubAPIClient;
+        this.storageKey = 'ikfast_solver_cache';
+        this.entries = {};
+
+        this.loadEntries();
+    }
+
+    /**
+     * Hash URDF content the way the cache keys it
+     * @param {string} content - URDF content as uploaded
+     * @returns {Promise<string>} Hex-encoded SHA-256 checksum
+     */
+    static computeChecksum(content) {
+        return FileVerification.computeChecksum(new Blob([content]));
+    }
+
+    /**
+     * Build the cache key of a generation
+     * @param {string} checksum - SHA-256 of the URDF
+     * @param {{baseLink: number, eeLink: number, ikType: string, freeJoints?: Array<string>}} parameters - Solver parameters
+     * @returns {string|null} Key, or null if the checksum or a parameter is missing
+     */
+    static createKey(checksum, { baseLink, eeLink, ikType, freeJoints = [] }) {
+        if (!checksum || baseLink === null || baseLink === undefined ||
+            eeLink === null || eeLink === undefined || !ikType) {
+            return null;
+        }
+
+        // Keys without free joints keep the format of earlier entries
+        const free = freeJoints.length > 0 ? `:${freeJoints.join(',')}` : '';
+        return `${checksum}:${baseLink}:${eeLink}:${ikType}${free}`;
+    }
+
+    /**
+     * Hash a cache key for the index artifact name
+     * Keys contain characters artifact names do not allow
+     * @param {string} key - Cache key from createKey()
+     * @returns {Promise<string>} Hex-encoded SHA-256 of the key, the workflow's cache_id input
+     */
+    static computeIndexId(key) {
+        return FileVerification.computeChecksum(new Blob([key]));
+    }
+
+    /**
+     * Get the name of the index artifact a successful run uploads for a key
+     * @param {string} key - Cache key from createKey()
+     * @returns {Promise<string>} e.g. "ikfast-solver-index-<sha256>"
+     */
+    static async getIndexName(key) {
+        return `${CONFIG.SOLVER_INDEX_ARTIFACT_NAME}-${await SolverCache.computeIndexId(key)}`;
+    }
+
+    /**
+     * Remember the artifact of a successful run
+     * @param {string} key - Cache key from createKey()
+     * @param {Object} run - The run and its artifact
+     * @param {number} run.runId - Workflow run ID
+     * @param {string} run.jobId - Job the run generated for
+     * @param {{id: number, expiresAt: string}} run.artifact - The job's result artifact
+     */
+    record(key, { runId, jobId, artifact }) {
+        if (!key || !artifact) {
+            return;
+        }
+
+        const { owner, repo } = this.githubAPIClient.getRepo();
+        this.entries[key] = {
+            owner,
+            repo,
+            runId,
+            jobId,
+            artifactId: artifact.id,
+            expiresAt: artifact.expiresAt,
+            savedAt: Date.now()
+        };
+        this.persist();
+    }
+
+    /**
+     * Find a reusable artifact for a generation
+     * A remembered artifact is looked up again, it may have been deleted
+     * since; entries whose artifact is gone are dropped. Without one, the
+     * index artifacts of the repository are searched for the key.
+     * @param {string} key - Cache key from createKey()
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the artifact lookup
+     * @returns {Promise<Object|null>} Cache entry, or null on a miss
+     * @throws {DOMException} AbortError if the signal is aborted
+     */
+    async find(key, { signal } = {}) {
+        if (!key) {
+            return null;
+        }
+
+        const entry = this.get(key);
+        if (entry) {
+            const artifacts = await this.githubAPIClient.listArtifacts(entry.runId, { signal });
+            const artifact = artifacts.find(item => item.id === entry.artifactId);
+
+            if (artifact && !artifact.expired && !SolverCache.isExpired(artifact)) {
+                return { ...entry, expiresAt: artifact.expiresAt };
+            }
+            this.remove(key);
+        }
+
+        return this.lookup(key, { signal });
+    }
+
+    /**
+     * Search the repository for a run that generated the solver of a key
+     * Index artifacts are listed newest first; the first run whose result
+     * artifact still exists is remembered and returned
+     * @param {string} key - Cache key from createKey()
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the artifact lookup
+     * @returns {Promise<Object|null>} Cache entry, or null on a miss
+     * @throws {DOMException} AbortError if the signal is aborted
+     */
+    async lookup(key, { signal } = {}) {
+        const name = await SolverCache.getIndexName(key);
+        const prefix = `${CONFIG.ARTIFACT_NAME}-`;
+
+        for await (const index of this.githubAPIClient.iterateArtifacts({ name, signal })) {
+            if (!index.runId || index.expired || SolverCache.isExpired(index)) {
+                continue;
+            }
+
+            const artifact = JobSession.findLatestArtifact(
+                await this.githubAPIClient.listArtifacts(index.runId, { signal }),
+                item => item.name.startsWith(prefix) && !item.expired && !SolverCache.isExpired(item)
+            );
+            const jobId = artifact ? artifact.name.slice(prefix.length) : null;
+
+            if (JobSession.isValidId(jobId)) {
+                this.record(key, { runId: index.runId, jobId, artifact });
+                return this.get(key);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the indexed entry for a key in the active repository
+     * @param {string} key - Cache key
+     * @returns {Object|null} Cache entry, or null if there is none or it expired
+     */
+    get(key) {
+        const entry = key ? this.entries[key] : null;
+        if (!entry) {
+            return null;
+        }
+
+        // Artifacts belong to the repository whose run produced them
+        const { owner, repo } = this.githubAPIClient.getRepo();
+        if (entry.owner !== owner || entry.repo !== repo || SolverCache.isExpired(entry)) {
+            return null;
+        }
+
+        return entry;
+    }
+
+    /**
+     * Drop an entry
+     * @param {string} key - Cache key
+     */
+    remove(key) {
+        if (this.entries[key]) {
+            delete this.entries[key];
+            this.persist();
+        }
+    }
+
+    /**
+     * Drop every entry
+     */
+    clear() {
+        this.entries = {};
+        localStorage.removeItem(this.storageKey);
+    }
+
+    /**
+     * Check whether an artifact (or the entry for it) has passed its expiry
+     * @param {{expiresAt: string}} item - Artifact or cache entry
+     * @returns {boolean}
+     */
+    static isExpired(item) {
+        const expiresAt = Date.parse(item.expiresAt);
+        return !Number.isNaN(expiresAt) && expiresAt <= Date.now();
+    }
+
+    /**
+     * Load entries from localStorage
+     * @private
+     */
+    loadEntries() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (stored && typeof stored === 'object') {
+                for (const [key, entry] of Object.entries(stored)) {
+                    if (entry && JobSession.isValidId(entry.jobId) && !SolverCache.isExpired(entry)) {
+                        this.entries[key] = entry;
+                    }
+                }
+            }
+        } catch (error) {
+            console.warn('Ignoring unreadable solver cache:', error);
+        }
+    }
+
+    /**
+     * Save entries to localStorage, keeping the most recent ones
+     * @private
+     */
+    persist() {
+        const kept = Object.entries(this.entries)
+            .filter(([, entry]) => !SolverCache.isExpired(entry))
+            .sort(([, a], [, b]) => b.savedAt - a.savedAt)
+            .slice(0, CONFIG.SOLVER_CACHE_LIMIT);
+
+        this.entries = Object.fromEntries(kept);
+        localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+    }
+}
@@ -1,15 +1,21 @@
 ﻿/**
  * StatusMonitorComponent - Monitors GitHub Actions workflow execution status
+ * Also cancels and re-runs the watched run from the status panel
  * ES Module version for testing
  */
 
 import { CONFIG } from '../config.js';
+import { CancellableOperation } from './cancellable-operation.module.js';
+import { StepTimeline } from './step-timeline.module.js';
 
 export class StatusMonitorComponent {
     constructor(githubAPIClient) {
         this.githubAPIClient = githubAPIClient;
         this.elements = null;
         this.runId = null;
+        this.runAttempt = null;
+        this.lastRun = null;
+        this.isControlling = false;
         this.pollingInterval = null;
         this.currentInterval = CONFIG.POLLING_INTERVAL;
         this.startTime = null;
@@ -19,6 +25,11 @@ export class StatusMonitorComponent {
         this.onStatusChange = null;
         this.onComplete = null;
         this.onTimeout = null;
+        this.onRerun = null;
+        this.operation = new CancellableOperation();
+        // Cancel and re-run requests wait for GitHub; abortable like polling
+        this.control = new CancellableOperation();
+        this.timeline = new StepTimeline();
     }
     
     /**
@@ -27,6 +38,20 @@ export class StatusMonitorComponent {
      */
     initializeUI(elements) {
         this.elements = elements;
+        
+        if (elements.cancelRunButton) {
+            elements.cancelRunButton.addEventListener('click', () => this.cancelRun());
+        }
+        if (elements.rerunButton) {
+            elements.rerunButton.addEventListener('click', () => this.rerun());
+        }
+        if (elements.rerunFailedButton) {
+            elements.rerunFailedButton.addEventListener('click', () => this.rerun(true));
+        }
+        if (elements.stepTimeline) {
+            this.timeline.attach(elements.stepTimeline);
+        }
+        
         this.updateStatusDisplay('not_started');
     }
     
@@ -40,11 +65,16 @@ export class StatusMonitorComponent {
             this.stopPolling();
         }
         
+        this.operation.start();
         this.runId = runId;
+        this.runAttempt = null;
+        this.lastRun = null;
+        this.timeline.clear();
         this.currentInterval = Math.max(interval, CONFIG.POLLING_INTERVAL); // Ensure minimum 5 seconds
         this.startTime = Date.now();
         this.lastPollTime = null;
         this.pollCount = 0;
+        this.updateControls();
         
         // Start polling immediately
         this.poll();
@@ -55,8 +85,15 @@ export class StatusMonitorComponent {
     
     /**
      * Stop polling
+     * Aborts the status request in flight, a cancel or re-run request still
+     * waiting for GitHub, and clears the scheduled poll
      */
     stopPolling() {
+        this.operation.cancel();
+        if (this.control.cancel()) {
+            this.setControlling(false);
+        }
+        
         if (this.pollingInterval) {
             clearTimeout(this.pollingInterval);
             this.pollingInterval = null;
@@ -69,6 +106,11 @@ export class StatusMonitorComponent {
     scheduleNextPoll() {
         if (this.pollingInterval) {
             clearTimeout(this.pollingInterval);
+            this.pollingInterval = null;
+        }
+        
+        if (!this.operation.isRunning()) {
+            return;
         }
         
         // Calculate next interval with exponential backoff
@@ -86,10 +128,14 @@ export class StatusMonitorComponent {
      * Poll for workflow status
      */
     async poll() {
+        const signal = this.operation.getSignal();
+        if (!signal) {
+            return;
+        }
+        
         try {
             // Check for timeout (30 minutes)
-            const elapsed = Date.now() - this.startTime;
-            if (elapsed > CONFIG.POLLING_TIMEOUT) {
+            if (this.hasTimedOut()) {
                 this.handleTimeout();
                 return;
             }
@@ -99,7 +145,7 @@ export class StatusMonitorComponent {
                 const timeSinceLastPoll = Date.now() - this.lastPollTime;
                 if (timeSinceLastPoll < CONFIG.POLLING_INTERVAL) {
                     // Wait for the remaining time
-                    await this.sleep(CONFIG.POLLING_INTERVAL - timeSinceLastPoll);
+                    await this.sleep(CONFIG.POLLING_INTERVAL - timeSinceLastPoll, signal);
                 }
             }
             
@@ -107,36 +153,32 @@ export class StatusMonitorComponent {
             this.pollCount++;
             
             // Get workflow run status
-            const run = await this.githubAPIClient.getWorkflowRun(this.runId);
-            
-            // Map status
-            const mappedStatus = this.mapStatus(run.status, run.conclusion);
+            const run = await this.githubAPIClient.getWorkflowRun(this.runId, { signal });
             
-            // Update display
-            this.updateStatusDisplay(mappedStatus, run);
+            if (!this.operation.isCurrent(signal)) {
+                return;
+            }
             
-            // Check if status changed
-            if (this.currentStatus !== mappedStatus) {
-                this.currentStatus = mappedStatus;
-                
-                if (this.onStatusChange) {
-                    this.onStatusChange(mappedStatus, run);
-                }
+            await this.refreshTimeline(signal);
+            if (!this.operation.isCurrent(signal)) {
+                return;
             }
             
-            // Check if workflow is complete
-            if (run.status === 'completed') {
-                this.stopPolling();
-                
-                if (this.onComplete) {
-                    this.onComplete(mappedStatus, run);
+            if (!this.handleRun(run)) {
+                if (this.hasTimedOut()) {
+                    this.handleTimeout();
+                    return;
                 }
-            } else {
+                
                 // Schedule next poll
                 this.scheduleNextPoll();
             }
             
         } catch (error) {
+            if (CancellableOperation.isAbortError(error) || !this.operation.isCurrent(signal)) {
+                return;
+            }
+            
             console.error('Polling error:', error);
             
             // Continue polling even on error (might be temporary network issue)
@@ -144,6 +186,249 @@ export class StatusMonitorComponent {
         }
     }
     
+    /**
+     * Update the step timeline from the run's jobs
+     * The timeline is extra detail, so a failed request leaves the previous one
+     * @param {AbortSignal} [signal] - Aborts the request
+     * @returns {Promise<void>}
+     * @throws {DOMException} AbortError if the signal is aborted
+     */
+    async refreshTimeline(signal = null) {
+        try {
+            const jobs = await this.githubAPIClient.listWorkflowJobs(this.runId, { signal });
+            this.timeline.update(jobs);
+        } catch (error) {
+            if (CancellableOperation.isAbortError(error)) {
+                throw error;
+            }
+            console.warn('Step timeline not updated:', error.message);
+        }
+    }
+    
+    /**
+     * Get the step timeline of the watched run
+     * @returns {Array<Object>} Steps with status, times, duration and phase
+     */
+    getTimeline() {
+        return this.timeline.getSteps();
+    }
+    
+    /**
+     * Show a run's state and report changes and completion
+     * @param {Object} run - Workflow run from getWorkflowRun
+     * @returns {boolean} True if the run has completed
+     * @private
+     */
+    handleRun(run) {
+        this.lastRun = run;
+        this.runAttempt = run.runAttempt || this.runAttempt;
+        
+        // Elapsed time and the timeout count from when the run's latest attempt
+        // started on GitHub, so reloading the page does not restart the clock
+        const startedAt = Date.parse(run.runStartedAt || run.createdAt);
+        if (!Number.isNaN(startedAt)) {
+            this.startTime = startedAt;
+        }
+        
+        // Map status
+        const mappedStatus = this.mapStatus(run.status, run.conclusion);
+        
+        // Update display
+        this.updateStatusDisplay(mappedStatus, run);
+        
+        // Check if status changed
+        if (this.currentStatus !== mappedStatus) {
+            this.currentStatus = mappedStatus;
+            
+            if (this.onStatusChange) {
+                this.onStatusChange(mappedStatus, run);
+            }
+        }
+        
+        // Check if workflow is complete
+        if (run.status !== 'completed') {
+            return false;
+        }
+        
+        this.stopPolling();
+        
+        if (this.onComplete) {
+            this.onComplete(mappedStatus, run);
+        }
+        return true;
+    }
+    
+    /**
+     * Check whether the watched run has exceeded the workflow timeout
+     * @returns {boolean}
+     * @private
+     */
+    hasTimedOut() {
+        return Date.now() - this.startTime > CONFIG.POLLING_TIMEOUT;
+    }
+    
+    /**
+     * Cancel the watched run and wait for GitHub to confirm it stopped
+     * @returns {Promise<Object|null>} The completed run, or null if nothing was cancelled
+     */
+    async cancelRun() {
+        if (!this.runId || this.isControlling) {
+            return null;
+        }
+        
+        const runId = this.runId;
+        
+        // Polling would race the confirmation for onComplete
+        this.stopPolling();
+        
+        const signal = this.control.start();
+        this.setControlling(true);
+        this.showControlMessage('Cancelling the run...', 'info');
+        
+        try {
+            const run = await this.githubAPIClient.cancelWorkflowRun(runId, { signal });
+            await this.refreshTimeline(signal);
+            
+            if (!this.control.isCurrent(signal)) {
+                return null;
+            }
+            
+            if (run.conclusion === 'cancelled') {
+                this.showControlMessage('Run cancelled', 'success');
+            } else {
+                this.showControlMessage(`Run finished before it could be cancelled (${run.conclusion})`, 'warning');
+            }
+            
+            this.handleRun(run);
+            return run;
+        } catch (error) {
+            // Stopped by stopPolling() or reset(); the run is no longer watched
+            if (CancellableOperation.isAbortError(error) || !this.control.isCurrent(signal)) {
+                return null;
+            }
+            
+            console.error('Cancel error:', error);
+            this.showControlMessage(`Cancel failed: ${error.apiMessage || error.message}`, 'error');
+            
+            // Keep watching the run that is still going
+            this.operation.start();
+            this.scheduleNextPoll();
+            return null;
+        } finally {
+            this.finishControl(signal);
+        }
+    }
+    
+    /**
+     * Re-run the watched run and follow its new attempt
+     * @param {boolean} [failedOnly=false] - Only re-run the failed jobs
+     * @returns {Promise<Object|null>} The run with its new attempt, or null on failure
+     */
+    async rerun(failedOnly = false) {
+        if (!this.runId || this.isControlling) {
+            return null;
+        }
+        
+        const runId = this.runId;
+        const signal = this.control.start();
+        this.setControlling(true);
+        this.showControlMessage(failedOnly ? 'Re-running failed jobs...' : 'Re-running the workflow...', 'info');
+        
+        try {
+            const run = failedOnly
+                ? await this.githubAPIClient.rerunFailedJobs(runId, { signal })
+                : await this.githubAPIClient.rerunWorkflow(runId, { signal });
+            
+            if (!this.control.isCurrent(signal)) {
+                return null;
+            }
+            
+            this.showControlMessage(`Attempt ${run.runAttempt} started`, 'success');
+            
+            // startPolling() would abort the finished request as if stopped
+            this.finishControl(signal);
+            this.currentStatus = null;
+            this.startPolling(runId);
+            this.runAttempt = run.runAttempt;
+            
+            if (this.onRerun) {
+                this.onRerun(run);
+            }
+            return run;
+        } catch (error) {
+            if (CancellableOperation.isAbortError(error) || !this.control.isCurrent(signal)) {
+                return null;
+            }
+            
+            console.error('Re-run error:', error);
+            this.showControlMessage(`Re-run failed: ${error.apiMessage || error.message}`, 'error');
+            return null;
+        } finally {
+            this.finishControl(signal);
+        }
+    }
+    
+    /**
+     * End a cancel or re-run request, unless stopPolling() already did
+     * @param {AbortSignal} signal - Signal of the request
+     * @private
+     */
+    finishControl(signal) {
+        if (this.control.finish(signal)) {
+            this.setControlling(false);
+        }
+    }
+    
+    /**
+     * Mark a cancel or re-run request in progress
+     * @param {boolean} isControlling - Whether a request is in progress
+     * @private
+     */
+    setControlling(isControlling) {
+        this.isControlling = isControlling;
+        this.updateControls();
+    }
+    
+    /**
+     * Show the run controls that apply to the watched run
+     * Cancel while it runs; re-run once it completed, failed jobs only if some failed
+     */
+    updateControls() {
+        if (!this.elements) {
+            return;
+        }
+        
+        const run = this.lastRun;
+        const isRunning = Boolean(this.runId) && (!run || run.status !== 'completed');
+        const isCompleted = Boolean(this.runId) && Boolean(run) && run.status === 'completed';
+        const hasFailedJobs = isCompleted && ['failure', 'cancelled', 'timed_out'].includes(run.conclusion);
+        
+        const show = (button, visible) => {
+            if (button) {
+                button.style.display = visible ? 'inline-block' : 'none';
+                button.disabled = this.isControlling;
+            }
+        };
+        
+        show(this.elements.cancelRunButton, isRunning);
+        show(this.elements.rerunButton, isCompleted);
+        show(this.elements.rerunFailedButton, hasFailedJobs);
+    }
+    
+    /**
+     * Show the outcome of a cancel or re-run request
+     * @param {string} message - Message text
+     * @param {string} type - Message type ('info', 'success', 'warning', 'error')
+     * @private
+     */
+    showControlMessage(message, type) {
+        if (this.elements && this.elements.controlMessage) {
+            this.elements.controlMessage.textContent = message;
+            this.elements.controlMessage.className = `run-control-message ${type}`;
+            this.elements.controlMessage.style.display = 'block';
+        }
+    }
+    
     /**
      * Map GitHub workflow status to display status
      * @param {string} status - GitHub workflow status
@@ -210,10 +495,13 @@ export class StatusMonitorComponent {
             this.elements.runDetails.innerHTML = `
                 <div>Run ID: ${run.id}</div>
                 <div>Run Number: ${run.runNumber}</div>
+                <div>Attempt: ${run.runAttempt || 1}</div>
                 <div>Created: ${new Date(run.createdAt).toLocaleString()}</div>
                 <div>Updated: ${new Date(run.updatedAt).toLocaleString()}</div>
             `;
         }
+        
+        this.updateControls();
     }
     
     /**
@@ -279,12 +567,15 @@ export class StatusMonitorComponent {
     
     /**
      * Get polling state
-     * @returns {{isPolling: boolean, runId: number|null, pollCount: number}}
+     * A cancel or re-run request waiting for GitHub counts as polling, so
+     * stopPolling() is called to abandon it
+     * @returns {{isPolling: boolean, runId: number|null, runAttempt: number|null, pollCount: number}}
      */
     getPollingState() {
         return {
-            isPolling: this.pollingInterval !== null,
+            isPolling: this.pollingInterval !== null || this.control.isRunning(),
             runId: this.runId,
+            runAttempt: this.runAttempt,
             pollCount: this.pollCount,
             currentInterval: this.currentInterval
         };
@@ -296,6 +587,9 @@ export class StatusMonitorComponent {
     reset() {
         this.stopPolling();
         this.runId = null;
+        this.runAttempt = null;
+        this.lastRun = null;
+        this.timeline.clear();
         this.currentInterval = CONFIG.POLLING_INTERVAL;
         this.startTime = null;
         this.lastPollTime = null;
@@ -316,15 +610,20 @@ export class StatusMonitorComponent {
             if (this.elements.runDetails) {
                 this.elements.runDetails.innerHTML = '';
             }
+            
+            if (this.elements.controlMessage) {
+                this.elements.controlMessage.style.display = 'none';
+            }
         }
     }
     
     /**
      * Sleep utility
      * @param {number} ms - Milliseconds to sleep
+     * @param {AbortSignal} [signal] - Ends the wait early with an AbortError
      * @returns {Promise<void>}
      */
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    sleep(ms, signal = null) {
+        return CancellableOperation.sleep(ms, signal);
     }
 }
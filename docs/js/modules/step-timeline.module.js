@@ -0,0 +1,191 @@
+﻿/**
+ * StepTimeline - Per-step progress of a workflow run
+ * Built from the Actions jobs API; each step shows its status, start time,
+ * duration and conclusion, and the failing step is highlighted with the
+ * phase (conversion, generation, packaging) it belongs to.
+ * ES Module version for testing
+ */
+
+import { CONFIG } from '../config.js';
+
+export class StepTimeline {
+    constructor() {
+        this.steps = [];
+        this.container = null;
+    }
+
+    /**
+     * Set the element the timeline renders into
+     * @param {HTMLElement} container - List element
+     */
+    attach(container) {
+        this.container = container;
+        this.render();
+    }
+
+    /**
+     * Replace the timeline with the steps of a run's jobs
+     * @param {Array} jobs - Jobs from GitHubAPIClient.listWorkflowJobs
+     */
+    update(jobs) {
+        this.steps = StepTimeline.fromJobs(jobs);
+        this.render();
+    }
+
+    /**
+     * Empty the timeline
+     */
+    clear() {
+        this.steps = [];
+        this.render();
+    }
+
+    /**
+     * Get the timeline entries
+     * @returns {Array<Object>}
+     */
+    getSteps() {
+        return this.steps.map(step => ({ ...step }));
+    }
+
+    /**
+     * Get the step that failed, if any
+     * @returns {Object|null}
+     */
+    getFailedStep() {
+        return this.steps.find(step => step.isFailed) || null;
+    }
+
+    /**
+     * Build timeline entries from the jobs of a run
+     * @param {Array} jobs - Jobs from GitHubAPIClient.listWorkflowJobs
+     * @returns {Array<Object>} Steps in execution order
+     */
+    static fromJobs(jobs) {
+        const multipleJobs = jobs.length > 1;
+
+        return jobs.flatMap(job => job.steps.map(step => {
+            const phase = StepTimeline.getPhase(step.name);
+            return {
+                number: step.number,
+                name: multipleJobs ? `${job.name} / ${step.name}` : step.name,
+                status: step.status,
+                conclusion: step.conclusion,
+                startedAt: step.startedAt,
+                completedAt: step.completedAt,
+                phase: phase ? phase.id : null,
+                phaseLabel: phase ? phase.label : null,
+                isFailed: step.conclusion === 'failure' || step.conclusion === 'timed_out'
+            };
+        }));
+    }
+
+    /**
+     * Find the phase a workflow step belongs to
+     * @param {string} stepName - Step name from ikfast.yml
+     * @returns {{id: string, label: string}|null} Null for steps GitHub adds, e.g. 'Post Checkout repository'
+     */
+    static getPhase(stepName) {
+        return CONFIG.WORKFLOW_PHASES.find(phase =>
+            phase.steps.some(prefix => stepName.startsWith(prefix))
+        ) || null;
+    }
+
+    /**
+     * Get a step's display state
+     * @param {Object} step - Timeline entry
+     * @returns {string} 'pending', 'in_progress' or the step's conclusion
+     */
+    static getState(step) {
+        if (step.status === 'completed') {
+            return step.conclusion || 'success';
+        }
+        return step.status === 'in_progress' ? 'in_progress' : 'pending';
+    }
+
+    /**
+     * Get how long a step ran, or has been running so far
+     * @param {Object} step - Timeline entry
+     * @param {number} [now=Date.now()] - Current time in ms
+     * @returns {number|null} Duration in ms, null if the step has not started
+     */
+    static getDuration(step, now = Date.now()) {
+        if (!step.startedAt) {
+            return null;
+        }
+
+        const end = step.completedAt ? Date.parse(step.completedAt) : now;
+        return Math.max(0, end - Date.parse(step.startedAt));
+    }
+
+    /**
+     * Format a duration
+     * @param {number} ms - Milliseconds
+     * @returns {string} e.g. '2m 5s'
+     */
+    static formatDuration(ms) {
+        const seconds = Math.round(ms / 1000);
+        const minutes = Math.floor(seconds / 60);
+        return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+    }
+
+    /**
+     * Render the timeline
+     * @private
+     */
+    render() {
+        if (!this.container) {
+            return;
+        }
+
+        this.container.innerHTML = '';
+        this.container.style.display = this.steps.length > 0 ? 'block' : 'none';
+
+        const failed = this.getFailedStep();
+        if (failed) {
+            const summary = document.createElement('li');
+            summary.className = 'timeline-summary failure';
+            summary.textContent = failed.phaseLabel
+                ? `${failed.phaseLabel} failed at "${failed.name}"`
+                : `Failed at "${failed.name}"`;
+            this.container.appendChild(summary);
+        }
+
+        for (const step of this.steps) {
+            const state = StepTimeline.getState(step);
+            const item = document.createElement('li');
+            item.className = `timeline-step ${state}`;
+            if (step.isFailed) {
+                item.setAttribute('aria-current', 'step');
+            }
+
+            const name = document.createElement('span');
+            name.className = 'timeline-step-name';
+            name.textContent = step.name;
+            item.appendChild(name);
+
+            if (step.phaseLabel) {
+                const phase = document.createElement('span');
+                phase.className = 'timeline-step-phase';
+                phase.textContent = step.phaseLabel;
+                item.appendChild(phase);
+            }
+
+            const details = [state.replace('_', ' ')];
+            if (step.startedAt) {
+                details.push(`started ${new Date(step.startedAt).toLocaleTimeString()}`);
+            }
+            const duration = StepTimeline.getDuration(step);
+            if (duration !== null && state !== 'skipped') {
+                details.push(StepTimeline.formatDuration(duration));
+            }
+
+            const meta = document.createElement('span');
+            meta.className = 'timeline-step-meta';
+            meta.textContent = details.join(' · ');
+            item.appendChild(meta);
+
+            this.container.appendChild(item);
+        }
+    }
+}
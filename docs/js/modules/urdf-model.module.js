@@ -0,0 +1,295 @@
+﻿/**
+ * URDFModel - Client-side kinematic model of a URDF robot description
+ * Extracts links, joints, origins, axes, limits and the parent/child graph
+ * so link information is available without running the info workflow
+ * ES Module version for testing
+ */
+
+import { XMLParser, XMLParseError } from './xml-parser.module.js';
+
+export class URDFModel {
+    /**
+     * @param {Object} data - Parsed robot data
+     * @param {string} data.name - Robot name
+     * @param {Array<Object>} data.links - Link definitions
+     * @param {Array<Object>} data.joints - Joint definitions
+     */
+    constructor({ name = '', links = [], joints = [] } = {}) {
+        this.name = name;
+        this.links = links;
+        this.joints = joints;
+    }
+
+    /**
+     * Parse URDF content into a model
+     * @param {string} content - URDF XML content
+     * @returns {URDFModel}
+     * @throws {URDFParseError} If the content is not well-formed or has no <robot> root
+     */
+    static parse(content) {
+        let root;
+
+        try {
+            root = XMLParser.parse(content);
+        } catch (error) {
+            if (error instanceof XMLParseError) {
+                throw new URDFParseError(error.message, error.line, error.column);
+            }
+            throw error;
+        }
+
+        return URDFModel.fromElement(root);
+    }
+
+    /**
+     * Build a model from a parsed <robot> element
+     * @param {Object} root - Root element node from XMLParser
+     * @returns {URDFModel}
+     * @throws {URDFParseError} If the root element is not <robot>
+     */
+    static fromElement(root) {
+        if (root.name !== 'robot') {
+            throw new URDFParseError(
+                `Root element must be <robot>, found <${root.name}>`,
+                root.line,
+                root.column
+            );
+        }
+
+        const links = XMLParser.childElements(root, 'link').map(node => ({
+            name: node.attributes.name || '',
+            line: node.line,
+            column: node.column
+        }));
+
+        const joints = XMLParser.childElements(root, 'joint').map(node => URDFModel.parseJoint(node));
+
+        return new URDFModel({
+            name: root.attributes.name || '',
+            links,
+            joints
+        });
+    }
+
+    /**
+     * Parse a <joint> element
+     * @param {Object} node - Joint element node
+     * @returns {Object} Joint definition
+     * @private
+     */
+    static parseJoint(node) {
+        const parentNode = XMLParser.firstChild(node, 'parent');
+        const childNode = XMLParser.firstChild(node, 'child');
+        const originNode = XMLParser.firstChild(node, 'origin');
+        const axisNode = XMLParser.firstChild(node, 'axis');
+        const limitNode = XMLParser.firstChild(node, 'limit');
+        const mimicNode = XMLParser.firstChild(node, 'mimic');
+
+        return {
+            name: node.attributes.name || '',
+            type: node.attributes.type || '',
+            parent: parentNode ? parentNode.attributes.link || null : null,
+            child: childNode ? childNode.attributes.link || null : null,
+            origin: {
+                xyz: URDFModel.parseVector(originNode && originNode.attributes.xyz, [0, 0, 0]),
+                rpy: URDFModel.parseVector(originNode && originNode.attributes.rpy, [0, 0, 0])
+            },
+            // URDF defaults the axis to (1, 0, 0) when <axis> is omitted
+            axis: URDFModel.parseVector(axisNode && axisNode.attributes.xyz, [1, 0, 0]),
+            limit: limitNode ? {
+                lower: URDFModel.parseNumber(limitNode.attributes.lower, 0),
+                upper: URDFModel.parseNumber(limitNode.attributes.upper, 0),
+                effort: URDFModel.parseNumber(limitNode.attributes.effort, null),
+                velocity: URDFModel.parseNumber(limitNode.attributes.velocity, null)
+            } : null,
+            // A mimic joint follows another joint and is not actuated on its own
+            mimic: mimicNode ? { joint: mimicNode.attributes.joint || null } : null,
+            line: node.line,
+            column: node.column,
+            elements: {
+                parent: parentNode,
+                child: childNode,
+                axis: axisNode,
+                limit: limitNode
+            }
+        };
+    }
+
+    /**
+     * Parse a space-separated vector attribute
+     * @param {string|undefined} value - Attribute value (e.g. "0 0 1")
+     * @param {Array<number>} fallback - Value used when the attribute is missing
+     * @returns {Array<number>} Parsed vector (NaN for unparsable components)
+     */
+    static parseVector(value, fallback) {
+        if (value === undefined || value === null || value.trim() === '') {
+            return [...fallback];
+        }
+        return value.trim().split(/\s+/).map(Number);
+    }
+
+    /**
+     * Parse a numeric attribute
+     * @param {string|undefined} value - Attribute value
+     * @param {number|null} fallback - Value used when the attribute is missing
+     * @returns {number|null}
+     */
+    static parseNumber(value, fallback) {
+        if (value === undefined || value === null || value.trim() === '') {
+            return fallback;
+        }
+        return Number(value);
+    }
+
+    /**
+     * Get a link definition by name
+     * @param {string} name - Link name
+     * @returns {Object|null}
+     */
+    getLink(name) {
+        return this.links.find(link => link.name === name) || null;
+    }
+
+    /**
+     * Get a joint definition by name
+     * @param {string} name - Joint name
+     * @returns {Object|null}
+     */
+    getJoint(name) {
+        return this.joints.find(joint => joint.name === name) || null;
+    }
+
+    /**
+     * Get the joint whose child is the given link
+     * @param {string} linkName - Link name
+     * @returns {Object|null}
+     */
+    getParentJoint(linkName) {
+        return this.joints.find(joint => joint.child === linkName) || null;
+    }
+
+    /**
+     * Get the joints whose parent is the given link, in OpenRAVE traversal order
+     * urdfdom keeps joints in a std::map, so children are visited sorted by joint name
+     * @param {string} linkName - Link name
+     * @returns {Array<Object>}
+     */
+    getChildJoints(linkName) {
+        return this.joints
+            .filter(joint => joint.parent === linkName)
+            .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    }
+
+    /**
+     * Get the links that are not the child of any joint
+     * @returns {Array<Object>}
+     */
+    getRootLinks() {
+        const childNames = new Set(this.joints.map(joint => joint.child));
+        return this.links.filter(link => !childNames.has(link.name));
+    }
+
+    /**
+     * Get link names in the order OpenRAVE indexes them
+     * urdf_to_collada writes links depth-first from the root, and OpenRAVE
+     * numbers them in that order. Links unreachable from a root (e.g. inside
+     * a cycle) are appended in declaration order.
+     * @returns {Array<string>}
+     */
+    getLinkOrder() {
+        const order = [];
+        const visited = new Set();
+
+        const visit = (linkName) => {
+            if (visited.has(linkName)) {
+                return;
+            }
+            visited.add(linkName);
+            order.push(linkName);
+
+            for (const joint of this.getChildJoints(linkName)) {
+                if (joint.child && this.getLink(joint.child)) {
+                    visit(joint.child);
+                }
+            }
+        };
+
+        this.getRootLinks().forEach(link => visit(link.name));
+        this.links.forEach(link => {
+            if (!visited.has(link.name)) {
+                order.push(link.name);
+                visited.add(link.name);
+            }
+        });
+
+        return order;
+    }
+
+    /**
+     * Build link records in the same shape as LinkInfoComponent.enrichLinkData
+     * @returns {Array<{name: string, index: number, parent: string|null, isRoot: boolean, isLeaf: boolean}>}
+     */
+    getLinkRecords() {
+        const childLinks = new Set();
+        const parentOf = new Map();
+
+        for (const joint of this.joints) {
+            if (joint.parent && joint.child) {
+                parentOf.set(joint.child, joint.parent);
+                childLinks.add(joint.parent);
+            }
+        }
+
+        return this.getLinkOrder().map((name, index) => {
+            const parent = parentOf.get(name) || null;
+            return {
+                name,
+                index,
+                parent,
+                isRoot: parent === null,
+                isLeaf: !childLinks.has(name)
+            };
+        });
+    }
+
+    /**
+     * Get the joints on the kinematic chain from a base link to an end-effector link
+     * @param {string} baseLink - Base link name
+     * @param {string} eeLink - End-effector link name
+     * @returns {Array<Object>|null} Joints ordered from base to end effector, or null if
+     *     the end effector is not a descendant of the base
+     */
+    getChain(baseLink, eeLink) {
+        const chain = [];
+        const visited = new Set();
+        let current = eeLink;
+
+        while (current !== baseLink) {
+            if (visited.has(current)) {
+                return null;
+            }
+            visited.add(current);
+
+            const joint = this.getParentJoint(current);
+            if (!joint) {
+                return null;
+            }
+            chain.unshift(joint);
+            current = joint.parent;
+        }
+
+        return chain;
+    }
+}
+
+/**
+ * Error thrown when URDF content cannot be turned into a model
+ */
+export class URDFParseError extends Error {
+    constructor(message, line, column) {
+        super(message);
+        this.name = 'URDFParseError';
+        this.line = line;
+        this.column = column;
+    }
+}
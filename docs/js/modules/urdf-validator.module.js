@@ -0,0 +1,336 @@
+﻿/**
+ * URDFValidator - Semantic validation of URDF robot descriptions
+ * Catches problems that would otherwise only surface inside urdf_to_collada,
+ * reporting each one with the line and column of the offending element
+ * ES Module version for testing
+ */
+
+import { XMLParser, XMLParseError } from './xml-parser.module.js';
+import { URDFModel } from './urdf-model.module.js';
+
+const JOINT_TYPES = ['revolute', 'continuous', 'prismatic', 'fixed', 'floating', 'planar'];
+const UNSUPPORTED_JOINT_TYPES = ['floating', 'planar'];
+const LIMITED_JOINT_TYPES = ['revolute', 'prismatic'];
+const AXIS_NORM_TOLERANCE = 1e-6;
+
+export class URDFValidator {
+    /**
+     * Validate URDF content
+     * @param {string} content - URDF XML content
+     * @returns {{valid: boolean, errors: Array<Object>, warnings: Array<Object>}}
+     *     Each diagnostic is {severity, code, message, line, column}. Errors block upload.
+     */
+    static validate(content) {
+        const diagnostics = [];
+        let root;
+
+        try {
+            root = XMLParser.parse(content);
+        } catch (error) {
+            if (error instanceof XMLParseError) {
+                diagnostics.push(URDFValidator.diagnostic('error', 'xml-syntax', error.message, error));
+                return URDFValidator.summarize(diagnostics);
+            }
+            throw error;
+        }
+
+        if (root.name !== 'robot') {
+            diagnostics.push(URDFValidator.diagnostic(
+                'error',
+                'missing-robot',
+                `Root element must be <robot>, found <${root.name}>`,
+                root
+            ));
+            return URDFValidator.summarize(diagnostics);
+        }
+
+        const model = URDFModel.fromElement(root);
+
+        URDFValidator.checkNames(model, diagnostics);
+        URDFValidator.checkJoints(model, diagnostics);
+        URDFValidator.checkTree(model, diagnostics);
+
+        return URDFValidator.summarize(diagnostics);
+    }
+
+    /**
+     * Check for missing and duplicate link/joint names
+     * @param {URDFModel} model - Robot model
+     * @param {Array<Object>} diagnostics - Collected diagnostics
+     * @private
+     */
+    static checkNames(model, diagnostics) {
+        const check = (items, kind) => {
+            const seen = new Map();
+
+            for (const item of items) {
+                if (!item.name) {
+                    diagnostics.push(URDFValidator.diagnostic(
+                        'error', 'missing-name', `<${kind}> is missing a name attribute`, item
+                    ));
+                    continue;
+                }
+
+                if (seen.has(item.name)) {
+                    const first = seen.get(item.name);
+                    diagnostics.push(URDFValidator.diagnostic(
+                        'error',
+                        'duplicate-name',
+                        `Duplicate ${kind} name "${item.name}" (first defined on line ${first.line})`,
+                        item
+                    ));
+                } else {
+                    seen.set(item.name, item);
+                }
+            }
+        };
+
+        check(model.links, 'link');
+        check(model.joints, 'joint');
+    }
+
+    /**
+     * Check joint types, link references, axes and limits
+     * @param {URDFModel} model - Robot model
+     * @param {Array<Object>} diagnostics - Collected diagnostics
+     * @private
+     */
+    static checkJoints(model, diagnostics) {
+        const linkNames = new Set(model.links.map(link => link.name));
+
+        for (const joint of model.joints) {
+            const label = joint.name ? `Joint "${joint.name}"` : 'Joint';
+
+            if (!JOINT_TYPES.includes(joint.type)) {
+                diagnostics.push(URDFValidator.diagnostic(
+                    'error',
+                    'invalid-joint-type',
+                    `${label} has unknown type "${joint.type}"`,
+                    joint
+                ));
+            } else if (UNSUPPORTED_JOINT_TYPES.includes(joint.type)) {
+                diagnostics.push(URDFValidator.diagnostic(
+                    'error',
+                    'unsupported-joint-type',
+                    `${label} is ${joint.type}, which IKFast does not support`,
+                    joint
+                ));
+            }
+
+            for (const role of ['parent', 'child']) {
+                const element = joint.elements[role];
+
+                if (!joint[role]) {
+                    diagnostics.push(URDFValidator.diagnostic(
+                        'error', `missing-${role}`, `${label} has no <${role} link="...">`, element || joint
+                    ));
+                } else if (!linkNames.has(joint[role])) {
+                    diagnostics.push(URDFValidator.diagnostic(
+                        'error',
+                        'undefined-link',
+                        `${label} references undefined ${role} link "${joint[role]}"`,
+                        element
+                    ));
+                }
+            }
+
+            if (joint.parent && joint.parent === joint.child) {
+                diagnostics.push(URDFValidator.diagnostic(
+                    'error', 'self-loop', `${label} connects link "${joint.parent}" to itself`, joint
+                ));
+            }
+
+            if (joint.type !== 'fixed' && !UNSUPPORTED_JOINT_TYPES.includes(joint.type)) {
+                URDFValidator.checkAxis(joint, label, diagnostics);
+            }
+
+            if (LIMITED_JOINT_TYPES.includes(joint.type) && !joint.limit) {
+                diagnostics.push(URDFValidator.diagnostic(
+                    'error',
+                    'missing-limit',
+                    `${label} is ${joint.type} but has no <limit> element`,
+                    joint
+                ));
+            }
+        }
+    }
+
+    /**
+     * Check that a joint axis is a non-zero unit vector
+     * @param {Object} joint - Joint definition
+     * @param {string} label - Joint label for messages
+     * @param {Array<Object>} diagnostics - Collected diagnostics
+     * @private
+     */
+    static checkAxis(joint, label, diagnostics) {
+        const position = joint.elements.axis || joint;
+        const axis = joint.axis;
+
+        if (axis.length !== 3 || axis.some(component => !Number.isFinite(component))) {
+            diagnostics.push(URDFValidator.diagnostic(
+                'error', 'invalid-axis', `${label} axis must have three numeric components`, position
+            ));
+            return;
+        }
+
+        const norm = Math.hypot(...axis);
+
+        if (norm === 0) {
+            diagnostics.push(URDFValidator.diagnostic(
+                'error', 'zero-axis', `${label} has a zero-length axis`, position
+            ));
+        } else if (Math.abs(norm - 1) > AXIS_NORM_TOLERANCE) {
+            diagnostics.push(URDFValidator.diagnostic(
+                'warning',
+                'non-normalized-axis',
+                `${label} axis (${axis.join(' ')}) is not normalized (length ${norm.toFixed(4)})`,
+                position
+            ));
+        }
+    }
+
+    /**
+     * Check the kinematic tree: exactly one root, no cycles, one parent per link
+     * @param {URDFModel} model - Robot model
+     * @param {Array<Object>} diagnostics - Collected diagnostics
+     * @private
+     */
+    static checkTree(model, diagnostics) {
+        const parentJoints = new Map();
+
+        for (const joint of model.joints) {
+            if (!joint.child) {
+                continue;
+            }
+            if (parentJoints.has(joint.child)) {
+                diagnostics.push(URDFValidator.diagnostic(
+                    'error',
+                    'multiple-parents',
+                    `Link "${joint.child}" is the child of both "${parentJoints.get(joint.child).name}" and "${joint.name}"`,
+                    joint
+                ));
+            } else {
+                parentJoints.set(joint.child, joint);
+            }
+        }
+
+        const roots = model.getRootLinks();
+
+        if (model.links.length > 0 && roots.length > 1) {
+            for (const link of roots.slice(1)) {
+                diagnostics.push(URDFValidator.diagnostic(
+                    'error',
+                    'multiple-roots',
+                    `Link "${link.name}" has no parent; "${roots[0].name}" is already the root link`,
+                    link
+                ));
+            }
+        }
+
+        // Depth-first search over parent -> child edges; reaching a link that is
+        // still on the stack means the joints form a cycle
+        const childJoints = new Map();
+        for (const joint of model.joints) {
+            if (joint.parent && joint.child) {
+                if (!childJoints.has(joint.parent)) {
+                    childJoints.set(joint.parent, []);
+                }
+                childJoints.get(joint.parent).push(joint);
+            }
+        }
+
+        const reported = new Set();
+        const state = new Map();
+        const stack = [];
+
+        const visit = (linkName) => {
+            state.set(linkName, 'active');
+            stack.push(linkName);
+
+            for (const joint of childJoints.get(linkName) || []) {
+                const childState = state.get(joint.child);
+
+                if (childState === 'active') {
+                    const cycle = stack.slice(stack.indexOf(joint.child));
+                    const key = [...cycle].sort().join('|');
+
+                    if (!reported.has(key)) {
+                        reported.add(key);
+                        diagnostics.push(URDFValidator.diagnostic(
+                            'error',
+                            'kinematic-cycle',
+                            `Kinematic cycle detected: ${[...cycle, joint.child].join(' -> ')}`,
+                            joint
+                        ));
+                    }
+                } else if (childState === undefined) {
+                    visit(joint.child);
+                }
+            }
+
+            stack.pop();
+            state.set(linkName, 'done');
+        };
+
+        for (const name of childJoints.keys()) {
+            if (!state.has(name)) {
+                visit(name);
+            }
+        }
+
+        if (model.links.length > 0 && roots.length === 0 && reported.size === 0) {
+            diagnostics.push(URDFValidator.diagnostic(
+                'error', 'no-root', 'Robot has no root link', model.links[0]
+            ));
+        }
+    }
+
+    /**
+     * Create a diagnostic record
+     * @param {string} severity - 'error' or 'warning'
+     * @param {string} code - Machine-readable diagnostic code
+     * @param {string} message - Human-readable message
+     * @param {{line?: number, column?: number}|null} position - Source position
+     * @returns {Object}
+     * @private
+     */
+    static diagnostic(severity, code, message, position) {
+        return {
+            severity,
+            code,
+            message,
+            line: position && position.line ? position.line : null,
+            column: position && position.column ? position.column : null
+        };
+    }
+
+    /**
+     * Split diagnostics into errors and warnings, sorted by position
+     * @param {Array<Object>} diagnostics - Collected diagnostics
+     * @returns {{valid: boolean, errors: Array<Object>, warnings: Array<Object>}}
+     * @private
+     */
+    static summarize(diagnostics) {
+        const byPosition = (a, b) => (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0);
+        const errors = diagnostics.filter(d => d.severity === 'error').sort(byPosition);
+        const warnings = diagnostics.filter(d => d.severity === 'warning').sort(byPosition);
+
+        return {
+            valid: errors.length === 0,
+            errors,
+            warnings
+        };
+    }
+
+    /**
+     * Format a diagnostic for display
+     * @param {Object} diagnostic - Diagnostic record
+     * @returns {string} e.g. "Line 12, column 5: Joint "j1" references undefined child link "foo""
+     */
+    static format(diagnostic) {
+        if (diagnostic.line === null) {
+            return diagnostic.message;
+        }
+        return `Line ${diagnostic.line}, column ${diagnostic.column}: ${diagnostic.message}`;
+    }
+}
@@ -1,9 +1,12 @@
-﻿﻿/**
+﻿/**
  * WorkflowTriggerComponent - Handles GitHub Actions workflow triggering
  * ES Module version for testing
  */
 
 import { CONFIG } from '../config.js';
+import { JobSession } from './job-session.module.js';
+import { CancellableOperation } from './cancellable-operation.module.js';
+import { SolverCache } from './solver-cache.module.js';
 
 export class WorkflowTriggerComponent {
     constructor(githubAPIClient) {
@@ -11,6 +14,28 @@ export class WorkflowTriggerComponent {
         this.elements = null;
         this.isWorkflowActive = false;
         this.currentRunId = null;
+        this.jobId = null;
+        this.solverCache = null;
+        this.operation = new CancellableOperation();
+        
+        // Asked whether to reuse a cached solver; resolves to true to reuse it
+        this.onCacheHit = null;
+    }
+    
+    /**
+     * Set the job that triggered workflows run against
+     * @param {string} jobId - Job ID
+     */
+    setJobId(jobId) {
+        this.jobId = jobId;
+    }
+    
+    /**
+     * Set the cache of earlier generations consulted before dispatching
+     * @param {SolverCache} solverCache - Solver cache
+     */
+    setSolverCache(solverCache) {
+        this.solverCache = solverCache;
     }
     
     /**
@@ -49,21 +74,34 @@ export class WorkflowTriggerComponent {
      * @param {number} [parameters.base_link] - Base link index (required for generate mode)
      * @param {number} [parameters.ee_link] - End effector link index (required for generate mode)
      * @param {string} [parameters.iktype] - IK solver type (required for generate mode)
-     * @returns {Promise<{success: boolean, runId?: number}>}
+     * @param {Array<string>} [parameters.free_joints] - Names of the joints IKFast leaves free
+     * @param {string} [parameters.job_id] - Job ID (defaults to the component's job)
+     * @param {string} [parameters.cache_key] - Solver cache key of a generate run, see SolverCache.createKey();
+     *   sent as the hashed cache_id input
+     * @returns {Promise<{success: boolean, runId?: number, cached?: boolean, jobId?: string}>}
+     *   cached is true when an earlier run's artifact is reused; runId and jobId are then that run's
      */
     async triggerWorkflow(parameters) {
+        const signal = this.operation.start();
+        
         try {
             // Check if there's already an active workflow
-            const hasActive = await this.checkActiveWorkflow();
+            const hasActive = await this.checkActiveWorkflow(signal);
             
             if (hasActive) {
                 this.displayMessage('Workflow is running, please wait for completion', 'warning');
                 return { success: false };
             }
             
+            const jobId = parameters.job_id || this.jobId;
+            if (!JobSession.isValidId(jobId)) {
+                throw new Error('A valid job ID is required');
+            }
+            
             // Prepare workflow inputs
             const inputs = {
-                mode: parameters.mode
+                mode: parameters.mode,
+                job_id: jobId
             };
             
             // Add parameters for generate mode
@@ -75,61 +113,129 @@ export class WorkflowTriggerComponent {
                 inputs.base_link = String(parameters.base_link);
                 inputs.ee_link = String(parameters.ee_link);
                 inputs.iktype = parameters.iktype || 'transform6d';
-            }
-            
-            // Trigger the workflow
-            this.displayMessage('Triggering workflow...', 'info');
-            
-            const result = await this.githubAPIClient.triggerWorkflow(
-                CONFIG.WORKFLOW_FILE,
-                inputs,
-                CONFIG.REPO_BRANCH
-            );
-            
-            if (result.success) {
-                this.isWorkflowActive = true;
                 
-                // Get the most recent workflow run to get the run ID
-                // Wait a bit for the workflow to be created
-                await this.sleep(2000);
+                // Only sent when needed, so workflows without the input still run
+                if (parameters.free_joints && parameters.free_joints.length > 0) {
+                    inputs.free_joints = parameters.free_joints.join(',');
+                }
                 
-                const recentRun = await this.githubAPIClient.getMostRecentWorkflowRun(CONFIG.WORKFLOW_FILE);
+                // A successful run indexes its artifact under the key's hash
+                if (parameters.cache_key) {
+                    inputs.cache_id = await SolverCache.computeIndexId(parameters.cache_key);
+                }
                 
-                if (recentRun) {
-                    this.currentRunId = recentRun.id;
-                    this.displayMessage(`Workflow triggered (Run ID: ${recentRun.id})`, 'success');
-                    
+                // An identical earlier generation is offered instead of a new run
+                const cached = await this.findCachedSolver(parameters.cache_key, signal);
+                if (cached) {
+                    this.displayMessage(`Reusing the solver of run ${cached.runId}`, 'success');
                     return {
                         success: true,
-                        runId: recentRun.id
+                        cached: true,
+                        runId: cached.runId,
+                        jobId: cached.jobId
                     };
-                } else {
-                    this.displayMessage('Workflow triggered, but unable to get Run ID', 'warning');
-                    return { success: true };
                 }
-            } else {
-                this.displayMessage('Workflow trigger failed', 'error');
-                return { success: false };
             }
             
+            // Trigger the workflow and wait for its run to show up
+            this.displayMessage('Triggering workflow...', 'info');
+            
+            const run = await this.githubAPIClient.dispatchWorkflowRun(
+                CONFIG.WORKFLOW_FILE,
+                inputs,
+                undefined,
+                { signal }
+            );
+            
+            this.isWorkflowActive = true;
+            this.currentRunId = run.id;
+            this.displayMessage(`Workflow triggered (Run ID: ${run.id})`, 'success');
+            
+            return {
+                success: true,
+                runId: run.id
+            };
+            
         } catch (error) {
+            if (CancellableOperation.isAbortError(error)) {
+                this.displayMessage('Workflow trigger cancelled', 'warning');
+                return { success: false, cancelled: true };
+            }
             console.error('Workflow trigger error:', error);
             this.displayMessage(`Workflow trigger failed: ${error.message}`, 'error');
             return { success: false };
+        } finally {
+            this.operation.finish(signal);
+        }
+    }
+    
+    /**
+     * Look up a reusable solver and ask whether to use it
+     * The cache only saves Actions minutes, so a failed lookup falls back to a new run
+     * @param {string} [cacheKey] - Solver cache key
+     * @param {AbortSignal} signal - Aborts the lookup
+     * @returns {Promise<Object|null>} The accepted cache entry
+     * @throws {DOMException} AbortError if the signal is aborted
+     * @private
+     */
+    async findCachedSolver(cacheKey, signal) {
+        if (!cacheKey || !this.solverCache || !this.onCacheHit) {
+            return null;
+        }
+        
+        let entry;
+        try {
+            entry = await this.solverCache.find(cacheKey, { signal });
+        } catch (error) {
+            if (CancellableOperation.isAbortError(error)) {
+                throw error;
+            }
+            console.warn('Solver cache lookup failed:', error.message);
+            return null;
+        }
+        
+        if (!entry) {
+            return null;
         }
+        
+        const accepted = await this.onCacheHit(entry);
+        CancellableOperation.throwIfAborted(signal);
+        
+        return accepted ? entry : null;
+    }
+    
+    /**
+     * Abandon the trigger in progress
+     * A run already dispatched keeps going on GitHub; only the wait for it stops
+     * @returns {boolean} True if a trigger was in progress
+     */
+    cancel() {
+        return this.operation.cancel();
     }
     
     /**
-     * Check if there are any active workflows
-     * @returns {Promise<boolean>} True if there are active workflows
+     * Check if this job already has an active workflow
+     * Runs of other jobs are in their own concurrency group and do not block
+     * @param {AbortSignal} [signal] - Aborts the status request
+     * @returns {Promise<boolean>} True if the job's current run is still queued or running
+     * @throws {DOMException} AbortError if the signal is aborted
      */
-    async checkActiveWorkflow() {
+    async checkActiveWorkflow(signal = null) {
         try {
-            const hasActive = await this.githubAPIClient.hasActiveWorkflow(CONFIG.WORKFLOW_FILE);
+            let hasActive = false;
+            
+            if (this.currentRunId) {
+                const run = await this.githubAPIClient.getWorkflowRun(this.currentRunId, { signal });
+                hasActive = run.status !== 'completed';
+            }
+            
             this.isWorkflowActive = hasActive;
             this.updateUIState();
             return hasActive;
         } catch (error) {
+            if (CancellableOperation.isAbortError(error)) {
+                throw error;
+            }
             console.error('Error checking active workflow:', error);
             return false;
         }
@@ -0,0 +1,940 @@
+﻿/**
+ * XacroProcessor - In-browser xacro macro expansion
+ * Supports xacro:property, xacro:arg, xacro:macro / xacro:call, block
+ * parameters, ${} math expressions, xacro:if / xacro:unless and
+ * xacro:include resolved against files provided by the user
+ * ES Module version for testing
+ */
+
+import { XMLParser, XMLParseError } from './xml-parser.module.js';
+
+const XACRO_PREFIX = 'xacro:';
+const MAX_INCLUDE_DEPTH = 20;
+const MAX_MACRO_DEPTH = 100;
+
+const MATH_CONSTANTS = {
+    pi: Math.PI,
+    e: Math.E,
+    inf: Infinity,
+    nan: NaN,
+    True: true,
+    False: false,
+    true: true,
+    false: false
+};
+
+const MATH_FUNCTIONS = {
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    asin: Math.asin,
+    acos: Math.acos,
+    atan: Math.atan,
+    atan2: Math.atan2,
+    sqrt: Math.sqrt,
+    exp: Math.exp,
+    log: Math.log,
+    fabs: Math.abs,
+    abs: Math.abs,
+    floor: Math.floor,
+    ceil: Math.ceil,
+    pow: Math.pow,
+    min: Math.min,
+    max: Math.max,
+    radians: (deg) => deg * Math.PI / 180,
+    degrees: (rad) => rad * 180 / Math.PI,
+    float: (value) => Number(value),
+    int: (value) => Math.trunc(Number(value)),
+    str: (value) => XacroProcessor.stringify(value),
+    bool: (value) => XacroProcessor.toBoolean(value)
+};
+
+export class XacroProcessor {
+    /**
+     * @param {Object} [options]
+     * @param {Map<string, string>|Object} [options.files] - Other files the user provided,
+     *     keyed by file name or relative path, used to resolve xacro:include
+     * @param {Object} [options.args] - Values for xacro:arg, overriding their defaults
+     */
+    constructor({ files = new Map(), args = {} } = {}) {
+        this.files = files instanceof Map ? files : new Map(Object.entries(files));
+        this.args = { ...args };
+        this.macros = new Map();
+        this.includeStack = [];
+        this.macroDepth = 0;
+    }
+
+    /**
+     * Check whether a file name looks like a xacro file
+     * @param {string} filename - File name
+     * @returns {boolean}
+     */
+    static isXacroFile(filename) {
+        return typeof filename === 'string' && filename.toLowerCase().endsWith('.xacro');
+    }
+
+    /**
+     * Expand a xacro document into plain URDF
+     * @param {string} content - Xacro XML content
+     * @param {string} [filename='robot.urdf.xacro'] - Name of the document, used in errors
+     * @returns {string} Expanded URDF XML
+     * @throws {XacroError} If the document cannot be expanded
+     */
+    process(content, filename = 'robot.urdf.xacro') {
+        const root = this.parseDocument(content, filename);
+        const scope = new XacroScope(null);
+
+        this.includeStack = [filename];
+        const children = this.expandNodes(root.children, scope);
+        this.includeStack = [];
+
+        const attributes = {};
+        for (const [name, value] of Object.entries(root.attributes)) {
+            // The xacro namespace declaration is meaningless in the output
+            if (name !== 'xmlns:xacro') {
+                attributes[name] = this.stringify(this.evaluateText(value, scope, root));
+            }
+        }
+
+        const robot = { ...root, attributes, children };
+
+        return `<?xml version="1.0"?>\n<!-- Generated from ${filename} by xacro expansion -->\n${XMLParser.serialize(robot)}\n`;
+    }
+
+    /**
+     * Parse a document, wrapping XML errors as XacroError
+     * @param {string} content - XML content
+     * @param {string} filename - File name for error messages
+     * @returns {Object} Root element node
+     * @private
+     */
+    parseDocument(content, filename) {
+        try {
+            return XMLParser.parse(content);
+        } catch (error) {
+            if (error instanceof XMLParseError) {
+                throw new XacroError(`${filename}: ${error.message}`, filename, error.line, error.column);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Expand a list of nodes
+     * @param {Array<Object>} nodes - Input nodes
+     * @param {XacroScope} scope - Property scope
+     * @returns {Array<Object>} Expanded nodes
+     * @private
+     */
+    expandNodes(nodes, scope) {
+        const output = [];
+
+        for (let i = 0; i < nodes.length; i++) {
+            const node = nodes[i];
+
+            if (node.type === 'comment') {
+                output.push(node);
+            } else if (node.type === 'text') {
+                output.push({ type: 'text', value: this.stringify(this.evaluateText(node.value, scope, node)) });
+            } else if (node.name.startsWith(XACRO_PREFIX)) {
+                output.push(...this.expandXacroElement(node, scope));
+            } else {
+                output.push(this.expandElement(node, scope));
+            }
+        }
+
+        return output;
+    }
+
+    /**
+     * Expand a regular (non-xacro) element
+     * @param {Object} node - Element node
+     * @param {XacroScope} scope - Property scope
+     * @returns {Object} Expanded element
+     * @private
+     */
+    expandElement(node, scope) {
+        const attributes = {};
+        for (const [name, value] of Object.entries(node.attributes)) {
+            attributes[name] = this.stringify(this.evaluateText(value, scope, node));
+        }
+
+        return {
+            ...node,
+            attributes,
+            children: this.expandNodes(node.children, scope)
+        };
+    }
+
+    /**
+     * Expand a xacro:* element
+     * @param {Object} node - Element node
+     * @param {XacroScope} scope - Property scope
+     * @returns {Array<Object>} Expanded nodes
+     * @private
+     */
+    expandXacroElement(node, scope) {
+        const tag = node.name.slice(XACRO_PREFIX.length);
+        const attr = (name) => node.attributes[name];
+
+        switch (tag) {
+            case 'property':
+                this.defineProperty(node, scope);
+                return [];
+
+            case 'arg': {
+                const name = this.requireAttribute(node, 'name');
+                if (!Object.prototype.hasOwnProperty.call(this.args, name)) {
+                    if (attr('default') === undefined) {
+                        throw this.error(`Argument "${name}" has no default and was not provided`, node);
+                    }
+                    this.args[name] = this.stringify(this.evaluateText(attr('default'), scope, node));
+                }
+                return [];
+            }
+
+            case 'macro': {
+                const name = this.requireAttribute(node, 'name');
+                this.macros.set(name, {
+                    name,
+                    params: this.parseParams(attr('params') || '', node),
+                    body: node.children
+                });
+                return [];
+            }
+
+            case 'include':
+                return this.include(node, scope);
+
+            case 'if':
+            case 'unless': {
+                const value = this.evaluateText(this.requireAttribute(node, 'value'), scope, node);
+                const condition = this.toBoolean(value, node);
+                return condition === (tag === 'if') ? this.expandNodes(node.children, scope) : [];
+            }
+
+            case 'insert_block': {
+                const name = this.stringify(this.evaluateText(this.requireAttribute(node, 'name'), scope, node));
+                const block = scope.lookup(name);
+                if (!block || !block.block) {
+                    throw this.error(`Unknown block "${name}"`, node);
+                }
+                return this.expandNodes(block.block, block.scope);
+            }
+
+            case 'element': {
+                const name = this.stringify(this.evaluateText(this.requireAttribute(node, 'xacro:name'), scope, node));
+                const attributes = { ...node.attributes };
+                delete attributes['xacro:name'];
+                return [this.expandElement({ ...node, name, attributes }, scope)];
+            }
+
+            case 'call': {
+                const name = this.stringify(this.evaluateText(this.requireAttribute(node, 'macro'), scope, node));
+                const attributes = { ...node.attributes };
+                delete attributes.macro;
+                return this.callMacro(name, { ...node, attributes }, scope);
+            }
+
+            default:
+                return this.callMacro(tag, node, scope);
+        }
+    }
+
+    /**
+     * Define a property (plain or block) in the current scope
+     * @param {Object} node - xacro:property element
+     * @param {XacroScope} scope - Property scope
+     * @private
+     */
+    defineProperty(node, scope) {
+        const name = this.requireAttribute(node, 'name');
+        const value = node.attributes.value;
+        const fallback = node.attributes.default;
+        const target = node.attributes.scope === 'global' ? scope.root() : scope;
+
+        if (value !== undefined) {
+            target.define(name, { raw: value, scope });
+        } else if (fallback !== undefined) {
+            if (!scope.lookup(name)) {
+                target.define(name, { raw: fallback, scope });
+            }
+        } else {
+            target.define(name, {
+                block: node.children.filter(child => child.type !== 'text' || child.value.trim().length > 0),
+                scope
+            });
+        }
+    }
+
+    /**
+     * Process a xacro:include element
+     * @param {Object} node - xacro:include element
+     * @param {XacroScope} scope - Property scope
+     * @returns {Array<Object>} Nodes from the included document
+     * @private
+     */
+    include(node, scope) {
+        const filename = this.stringify(this.evaluateText(this.requireAttribute(node, 'filename'), scope, node));
+        const resolved = this.resolveInclude(filename);
+
+        if (!resolved) {
+            throw this.error(
+                `Included file "${filename}" was not provided. Add it alongside the main xacro file.`,
+                node
+            );
+        }
+
+        if (this.includeStack.includes(resolved.name) || this.includeStack.length > MAX_INCLUDE_DEPTH) {
+            throw this.error(`Recursive include of "${resolved.name}"`, node);
+        }
+
+        const root = this.parseDocument(resolved.content, resolved.name);
+
+        this.includeStack.push(resolved.name);
+        // Included documents share the including scope, like xacro does
+        try {
+            return this.expandNodes(root.name === 'robot' ? root.children : [root], scope);
+        } finally {
+            this.includeStack.pop();
+        }
+    }
+
+    /**
+     * Find a provided file matching an include path
+     * Matches the longest path suffix, so "package://pkg/urdf/arm.xacro",
+     * "urdf/arm.xacro" and "arm.xacro" all resolve to a file named "arm.xacro"
+     * @param {string} filename - Include path after substitution
+     * @returns {{name: string, content: string}|null}
+     */
+    resolveInclude(filename) {
+        const requested = filename.replace(/^package:\/\/[^/]+\//, '').replace(/^\.?\//, '').split('/');
+        let best = null;
+        let bestScore = 0;
+
+        for (const [name, content] of this.files) {
+            const candidate = name.replace(/^\.?\//, '').split('/');
+            let score = 0;
+
+            while (
+                score < requested.length &&
+                score < candidate.length &&
+                requested[requested.length - 1 - score] === candidate[candidate.length - 1 - score]
+            ) {
+                score++;
+            }
+
+            if (score > bestScore) {
+                best = { name, content };
+                bestScore = score;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Parse a macro params attribute
+     * @param {string} text - e.g. "prefix parent *origin length:=1 **content"
+     * @param {Object} node - Macro element (for errors)
+     * @returns {Array<{name: string, block: number, default: string|undefined}>}
+     * @private
+     */
+    parseParams(text, node) {
+        return text.trim().split(/\s+/).filter(Boolean).map(token => {
+            let block = 0;
+            let spec = token;
+
+            if (spec.startsWith('**')) {
+                block = 2;
+                spec = spec.slice(2);
+            } else if (spec.startsWith('*')) {
+                block = 1;
+                spec = spec.slice(1);
+            }
+
+            const separator = spec.indexOf(':=');
+            const name = separator === -1 ? spec : spec.slice(0, separator);
+            const fallback = separator === -1 ? undefined : spec.slice(separator + 2);
+
+            if (!name) {
+                throw this.error(`Invalid macro parameter "${token}"`, node);
+            }
+
+            return { name, block, default: fallback };
+        });
+    }
+
+    /**
+     * Expand a macro call
+     * @param {string} name - Macro name
+     * @param {Object} node - Call element
+     * @param {XacroScope} scope - Caller scope
+     * @returns {Array<Object>} Expanded macro body
+     * @private
+     */
+    callMacro(name, node, scope) {
+        const macro = this.macros.get(name);
+
+        if (!macro) {
+            throw this.error(`Unknown macro "${name}"`, node);
+        }
+
+        if (this.macroDepth >= MAX_MACRO_DEPTH) {
+            throw this.error(`Macro "${name}" recursion is too deep`, node);
+        }
+
+        const macroScope = new XacroScope(scope);
+        const blocks = node.children.filter(child => child.type === 'element');
+        const remaining = new Set(Object.keys(node.attributes));
+
+        for (const param of macro.params) {
+            if (param.block) {
+                const block = blocks.shift();
+                if (!block) {
+                    throw this.error(`Macro "${name}" is missing block parameter "${param.name}"`, node);
+                }
+                macroScope.define(param.name, {
+                    block: param.block === 2 ? block.children : [block],
+                    scope
+                });
+                continue;
+            }
+
+            if (Object.prototype.hasOwnProperty.call(node.attributes, param.name)) {
+                remaining.delete(param.name);
+                macroScope.define(param.name, {
+                    value: this.evaluateText(node.attributes[param.name], scope, node)
+                });
+            } else if (param.default !== undefined) {
+                macroScope.define(param.name, { value: this.resolveDefault(param, scope, node) });
+            } else {
+                throw this.error(`Macro "${name}" is missing parameter "${param.name}"`, node);
+            }
+        }
+
+        if (remaining.size > 0) {
+            throw this.error(`Macro "${name}" has no parameter "${[...remaining][0]}"`, node);
+        }
+
+        this.macroDepth++;
+        try {
+            return this.expandNodes(macro.body, macroScope);
+        } finally {
+            this.macroDepth--;
+        }
+    }
+
+    /**
+     * Resolve a macro parameter default, including the ^ and ^| forms
+     * @param {Object} param - Parameter spec
+     * @param {XacroScope} scope - Caller scope
+     * @param {Object} node - Call element (for errors)
+     * @returns {*} Default value
+     * @private
+     */
+    resolveDefault(param, scope, node) {
+        if (param.default.startsWith('^')) {
+            if (scope.lookup(param.name)) {
+                return this.resolveProperty(param.name, scope, node);
+            }
+            if (param.default.startsWith('^|')) {
+                return this.evaluateText(param.default.slice(2), scope, node);
+            }
+            throw this.error(`Parameter "${param.name}" is not defined in an outer scope`, node);
+        }
+        return this.evaluateText(param.default, scope, node);
+    }
+
+    /**
+     * Substitute $(arg), $(find) and ${} expressions in text
+     * @param {string} text - Text to evaluate
+     * @param {XacroScope} scope - Property scope
+     * @param {Object} node - Owning element (for errors)
+     * @returns {*} A number/boolean when the text is a single expression, otherwise a string
+     */
+    evaluateText(text, scope, node) {
+        const parts = [];
+        let pos = 0;
+
+        while (pos < text.length) {
+            const dollar = text.indexOf('$', pos);
+
+            if (dollar === -1 || dollar === text.length - 1) {
+                parts.push(text.slice(pos));
+                break;
+            }
+
+            parts.push(text.slice(pos, dollar));
+            const next = text[dollar + 1];
+
+            if (next === '$') {
+                // $$ escapes a literal dollar sign
+                parts.push('$');
+                pos = dollar + 2;
+            } else if (next === '{' || next === '(') {
+                const close = next === '{' ? '}' : ')';
+                const end = text.indexOf(close, dollar + 2);
+                if (end === -1) {
+                    throw this.error(`Unterminated "$${next}" in "${text}"`, node);
+                }
+
+                const inner = text.slice(dollar + 2, end);
+                parts.push(next === '{'
+                    ? this.evaluateExpression(inner, scope, node)
+                    : this.evaluateSubstitution(inner, node));
+                pos = end + 1;
+            } else {
+                parts.push('$');
+                pos = dollar + 1;
+            }
+        }
+
+        const nonEmpty = parts.filter(part => part !== '');
+        if (nonEmpty.length === 1) {
+            return nonEmpty[0];
+        }
+        return nonEmpty.map(part => this.stringify(part)).join('');
+    }
+
+    /**
+     * Evaluate a $(...) substitution
+     * @param {string} inner - Substitution body, e.g. "arg prefix"
+     * @param {Object} node - Owning element (for errors)
+     * @returns {string}
+     * @private
+     */
+    evaluateSubstitution(inner, node) {
+        const [command, ...rest] = inner.trim().split(/\s+/);
+        const argument = rest.join(' ');
+
+        switch (command) {
+            case 'arg':
+                if (!Object.prototype.hasOwnProperty.call(this.args, argument)) {
+                    throw this.error(`Undefined argument "${argument}"`, node);
+                }
+                return this.args[argument];
+            case 'find':
+                // Resolved later through the uploaded package files
+                return `package://${argument}`;
+            case 'env':
+            case 'optenv':
+                return command === 'optenv' ? rest.slice(1).join(' ') : '';
+            default:
+                throw this.error(`Unsupported substitution "$(${inner})"`, node);
+        }
+    }
+
+    /**
+     * Evaluate a ${} expression
+     * @param {string} source - Expression source
+     * @param {XacroScope} scope - Property scope
+     * @param {Object} node - Owning element (for errors)
+     * @returns {*}
+     */
+    evaluateExpression(source, scope, node) {
+        const lookup = (name) => {
+            if (scope.lookup(name)) {
+                return this.resolveProperty(name, scope, node);
+            }
+            const bare = name.startsWith('math.') ? name.slice(5) : name;
+            if (Object.prototype.hasOwnProperty.call(MATH_CONSTANTS, bare)) {
+                return MATH_CONSTANTS[bare];
+            }
+            if (Object.prototype.hasOwnProperty.call(MATH_FUNCTIONS, bare)) {
+                return MATH_FUNCTIONS[bare];
+            }
+            throw this.error(`Undefined property "${name}" in "\${${source}}"`, node);
+        };
+
+        try {
+            return new XacroExpression(source, lookup).evaluate();
+        } catch (error) {
+            if (error instanceof XacroError) {
+                throw error;
+            }
+            throw this.error(`Invalid expression "\${${source}}": ${error.message}`, node);
+        }
+    }
+
+    /**
+     * Resolve a property value, evaluating its definition lazily
+     * @param {string} name - Property name
+     * @param {XacroScope} scope - Property scope
+     * @param {Object} node - Owning element (for errors)
+     * @returns {*}
+     * @private
+     */
+    resolveProperty(name, scope, node) {
+        const entry = scope.lookup(name);
+
+        if (entry.block) {
+            throw this.error(`Block property "${name}" can only be used with xacro:insert_block`, node);
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(entry, 'value')) {
+            if (entry.evaluating) {
+                throw this.error(`Property "${name}" is defined in terms of itself`, node);
+            }
+            entry.evaluating = true;
+            try {
+                entry.value = XacroProcessor.coerce(this.evaluateText(entry.raw, entry.scope, node));
+            } finally {
+                entry.evaluating = false;
+            }
+        }
+
+        return entry.value;
+    }
+
+    /**
+     * Get a required attribute
+     * @param {Object} node - Element node
+     * @param {string} name - Attribute name
+     * @returns {string}
+     * @private
+     */
+    requireAttribute(node, name) {
+        const value = node.attributes[name];
+        if (value === undefined) {
+            throw this.error(`<${node.name}> is missing the "${name}" attribute`, node);
+        }
+        return value;
+    }
+
+    /**
+     * Interpret a value as a xacro:if / xacro:unless condition
+     * @param {*} value - Evaluated value
+     * @param {Object} node - Owning element (for errors)
+     * @returns {boolean}
+     * @private
+     */
+    toBoolean(value, node) {
+        try {
+            return XacroProcessor.toBoolean(value);
+        } catch (error) {
+            throw this.error(error.message, node);
+        }
+    }
+
+    /**
+     * Convert a value to text the way xacro prints it
+     * @param {*} value - Value
+     * @returns {string}
+     */
+    stringify(value) {
+        return XacroProcessor.stringify(value);
+    }
+
+    /**
+     * Create a XacroError pointing at a node in the current file
+     * @param {string} message - Error message
+     * @param {Object} node - Node the error relates to
+     * @returns {XacroError}
+     * @private
+     */
+    error(message, node) {
+        const file = this.includeStack[this.includeStack.length - 1] || null;
+        return new XacroError(message, file, node ? node.line || null : null, node ? node.column || null : null);
+    }
+
+    /**
+     * Convert a value to text the way xacro prints it
+     * @param {*} value - Value
+     * @returns {string}
+     */
+    static stringify(value) {
+        if (typeof value === 'boolean') {
+            return value ? 'True' : 'False';
+        }
+        return String(value);
+    }
+
+    /**
+     * Turn numeric strings into numbers, as xacro does for property values
+     * @param {*} value - Value
+     * @returns {*}
+     */
+    static coerce(value) {
+        if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+            return Number(value);
+        }
+        return value;
+    }
+
+    /**
+     * Interpret a value as a boolean condition
+     * @param {*} value - Value
+     * @returns {boolean}
+     * @throws {Error} If the value is not a recognizable boolean
+     */
+    static toBoolean(value) {
+        if (typeof value === 'boolean') {
+            return value;
+        }
+        if (typeof value === 'number') {
+            return value !== 0;
+        }
+
+        const text = String(value).trim().toLowerCase();
+        if (text === 'true' || text === '1') {
+            return true;
+        }
+        if (text === 'false' || text === '0') {
+            return false;
+        }
+        throw new Error(`Expected a boolean value, got "${value}"`);
+    }
+}
+
+/**
+ * Lexically nested property table
+ */
+class XacroScope {
+    constructor(parent) {
+        this.parent = parent;
+        this.entries = new Map();
+    }
+
+    define(name, entry) {
+        this.entries.set(name, entry);
+    }
+
+    lookup(name) {
+        for (let scope = this; scope; scope = scope.parent) {
+            if (scope.entries.has(name)) {
+                return scope.entries.get(name);
+            }
+        }
+        return null;
+    }
+
+    root() {
+        let scope = this;
+        while (scope.parent) {
+            scope = scope.parent;
+        }
+        return scope;
+    }
+}
+
+/**
+ * Recursive-descent evaluator for the Python-like ${} expression language
+ * Never uses eval, so uploaded files cannot run arbitrary code
+ */
+class XacroExpression {
+    constructor(source, lookup) {
+        this.tokens = XacroExpression.tokenize(source);
+        this.lookup = lookup;
+        this.pos = 0;
+    }
+
+    static tokenize(source) {
+        const tokens = [];
+        const pattern = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|('[^']*'|"[^"]*")|([A-Za-z_][\w.]*)|(\*\*|\/\/|==|!=|<=|>=|[-+*/%()<>,]))/y;
+        let match;
+
+        pattern.lastIndex = 0;
+        while (pattern.lastIndex < source.length) {
+            if (/^\s*$/.test(source.slice(pattern.lastIndex))) {
+                break;
+            }
+            match = pattern.exec(source);
+            if (!match) {
+                throw new Error(`unexpected character "${source.slice(pattern.lastIndex).trim()[0]}"`);
+            }
+            if (match[1] !== undefined) {
+                tokens.push({ type: 'number', value: Number(match[1]) });
+            } else if (match[2] !== undefined) {
+                tokens.push({ type: 'string', value: match[2].slice(1, -1) });
+            } else if (match[3] !== undefined) {
+                const keyword = ['and', 'or', 'not', 'if', 'else'].includes(match[3]);
+                tokens.push({ type: keyword ? 'op' : 'name', value: match[3] });
+            } else {
+                tokens.push({ type: 'op', value: match[4] });
+            }
+        }
+
+        return tokens;
+    }
+
+    evaluate() {
+        const value = this.conditional();
+        if (this.pos < this.tokens.length) {
+            throw new Error(`unexpected "${this.tokens[this.pos].value}"`);
+        }
+        return value;
+    }
+
+    peek(value) {
+        const token = this.tokens[this.pos];
+        return token && token.type === 'op' && token.value === value;
+    }
+
+    accept(value) {
+        if (this.peek(value)) {
+            this.pos++;
+            return true;
+        }
+        return false;
+    }
+
+    expect(value) {
+        if (!this.accept(value)) {
+            throw new Error(`expected "${value}"`);
+        }
+    }
+
+    conditional() {
+        const value = this.or();
+        if (this.accept('if')) {
+            const condition = this.or();
+            this.expect('else');
+            const otherwise = this.conditional();
+            return XacroProcessor.toBoolean(condition) ? value : otherwise;
+        }
+        return value;
+    }
+
+    or() {
+        let value = this.and();
+        while (this.accept('or')) {
+            const right = this.and();
+            value = XacroExpression.truthy(value) ? value : right;
+        }
+        return value;
+    }
+
+    and() {
+        let value = this.not();
+        while (this.accept('and')) {
+            const right = this.not();
+            value = XacroExpression.truthy(value) ? right : value;
+        }
+        return value;
+    }
+
+    not() {
+        if (this.accept('not')) {
+            return !XacroExpression.truthy(this.not());
+        }
+        return this.comparison();
+    }
+
+    comparison() {
+        let value = this.additive();
+        const operators = ['==', '!=', '<=', '>=', '<', '>'];
+
+        while (operators.some(op => this.peek(op))) {
+            const op = this.tokens[this.pos++].value;
+            const right = this.additive();
+            switch (op) {
+                case '==': value = value === right; break;
+                case '!=': value = value !== right; break;
+                case '<=': value = value <= right; break;
+                case '>=': value = value >= right; break;
+                case '<': value = value < right; break;
+                default: value = value > right;
+            }
+        }
+        return value;
+    }
+
+    additive() {
+        let value = this.term();
+        while (this.peek('+') || this.peek('-')) {
+            const op = this.tokens[this.pos++].value;
+            const right = this.term();
+            value = op === '+' ? value + right : value - right;
+        }
+        return value;
+    }
+
+    term() {
+        let value = this.unary();
+        while (this.peek('*') || this.peek('/') || this.peek('//') || this.peek('%')) {
+            const op = this.tokens[this.pos++].value;
+            const right = this.unary();
+            if ((op === '/' || op === '//' || op === '%') && right === 0) {
+                throw new Error('division by zero');
+            }
+            switch (op) {
+                case '*': value = value * right; break;
+                case '/': value = value / right; break;
+                case '//': value = Math.floor(value / right); break;
+                default: value = ((value % right) + right) % right;
+            }
+        }
+        return value;
+    }
+
+    unary() {
+        if (this.accept('-')) {
+            return -this.unary();
+        }
+        if (this.accept('+')) {
+            return +this.unary();
+        }
+        return this.power();
+    }
+
+    power() {
+        const base = this.call();
+        if (this.accept('**')) {
+            return Math.pow(base, this.unary());
+        }
+        return base;
+    }
+
+    call() {
+        const value = this.primary();
+        if (typeof value === 'function' && this.accept('(')) {
+            const args = [];
+            if (!this.accept(')')) {
+                do {
+                    args.push(this.conditional());
+                } while (this.accept(','));
+                this.expect(')');
+            }
+            return value(...args);
+        }
+        return value;
+    }
+
+    primary() {
+        const token = this.tokens[this.pos++];
+
+        if (!token) {
+            throw new Error('unexpected end of expression');
+        }
+        if (token.type === 'number' || token.type === 'string') {
+            return token.value;
+        }
+        if (token.type === 'name') {
+            return this.lookup(token.value);
+        }
+        if (token.value === '(') {
+            const value = this.conditional();
+            this.expect(')');
+            return value;
+        }
+        throw new Error(`unexpected "${token.value}"`);
+    }
+
+    static truthy(value) {
+        return Boolean(value) && value !== '' && !(typeof value === 'number' && Number.isNaN(value));
+    }
+}
+
+/**
+ * Error thrown when a xacro document cannot be expanded
+ */
+export class XacroError extends Error {
+    constructor(message, file, line, column) {
+        super(message);
+        this.name = 'XacroError';
+        this.file = file;
+        this.line = line;
+        this.column = column;
+    }
+}
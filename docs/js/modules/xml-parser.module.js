@@ -0,0 +1,306 @@
+﻿/**
+ * XMLParser - Lightweight XML parser that keeps source positions
+ * Builds a plain element tree where every node records its line and column,
+ * so URDF diagnostics can point at the offending tag
+ * ES Module version for testing
+ */
+
+export class XMLParser {
+    /**
+     * Parse an XML string into an element tree
+     * @param {string} content - XML source
+     * @returns {Object} Root element node ({type, name, attributes, children, line, column})
+     * @throws {XMLParseError} If the document is not well-formed
+     */
+    static parse(content) {
+        if (typeof content !== 'string') {
+            throw new XMLParseError('XML content must be a string', 1, 1);
+        }
+
+        const locator = XMLParser.createLocator(content);
+        const stack = [];
+        let root = null;
+        let pos = 0;
+
+        const fail = (message, offset) => {
+            const { line, column } = locator(offset);
+            throw new XMLParseError(message, line, column);
+        };
+
+        const appendNode = (node, offset) => {
+            if (stack.length > 0) {
+                stack[stack.length - 1].children.push(node);
+            } else if (node.type === 'element') {
+                if (root) {
+                    fail('Document has more than one root element', offset);
+                }
+                root = node;
+            } else if (node.type === 'text' && node.value.trim().length > 0) {
+                fail('Text is not allowed outside the root element', offset);
+            }
+        };
+
+        while (pos < content.length) {
+            const lt = content.indexOf('<', pos);
+
+            // Text content up to the next tag
+            if (lt !== pos) {
+                const end = lt === -1 ? content.length : lt;
+                const raw = content.slice(pos, end);
+                appendNode({ type: 'text', value: XMLParser.decodeEntities(raw) }, pos);
+                pos = end;
+                continue;
+            }
+
+            if (content.startsWith('<?', pos)) {
+                const end = content.indexOf('?>', pos + 2);
+                if (end === -1) {
+                    fail('Unterminated processing instruction', pos);
+                }
+                pos = end + 2;
+            } else if (content.startsWith('<!--', pos)) {
+                const end = content.indexOf('-->', pos + 4);
+                if (end === -1) {
+                    fail('Unterminated comment', pos);
+                }
+                appendNode({ type: 'comment', value: content.slice(pos + 4, end) }, pos);
+                pos = end + 3;
+            } else if (content.startsWith('<![CDATA[', pos)) {
+                const end = content.indexOf(']]>', pos + 9);
+                if (end === -1) {
+                    fail('Unterminated CDATA section', pos);
+                }
+                appendNode({ type: 'text', value: content.slice(pos + 9, end) }, pos);
+                pos = end + 3;
+            } else if (content.startsWith('<!', pos)) {
+                // DOCTYPE and other declarations are skipped
+                const end = content.indexOf('>', pos + 2);
+                if (end === -1) {
+                    fail('Unterminated declaration', pos);
+                }
+                pos = end + 1;
+            } else if (content.startsWith('</', pos)) {
+                const match = /^<\/([A-Za-z_][\w:.-]*)\s*>/.exec(content.slice(pos, pos + 256));
+                if (!match) {
+                    fail('Malformed closing tag', pos);
+                }
+                const open = stack.pop();
+                if (!open) {
+                    fail(`Unexpected closing tag </${match[1]}>`, pos);
+                }
+                if (open.name !== match[1]) {
+                    fail(`Mismatched closing tag </${match[1]}>, expected </${open.name}>`, pos);
+                }
+                pos += match[0].length;
+            } else {
+                const tag = XMLParser.readStartTag(content, pos, fail);
+                const { line, column } = locator(pos);
+                const node = {
+                    type: 'element',
+                    name: tag.name,
+                    attributes: tag.attributes,
+                    children: [],
+                    line,
+                    column
+                };
+                appendNode(node, pos);
+                if (!tag.selfClosing) {
+                    stack.push(node);
+                }
+                pos = tag.end;
+            }
+        }
+
+        if (stack.length > 0) {
+            const open = stack[stack.length - 1];
+            throw new XMLParseError(`Unclosed tag <${open.name}>`, open.line, open.column);
+        }
+
+        if (!root) {
+            fail('Document has no root element', 0);
+        }
+
+        return root;
+    }
+
+    /**
+     * Read a start tag beginning at the given offset
+     * @param {string} content - XML source
+     * @param {number} start - Offset of the '<' character
+     * @param {Function} fail - Error reporter
+     * @returns {{name: string, attributes: Object, selfClosing: boolean, end: number}}
+     * @private
+     */
+    static readStartTag(content, start, fail) {
+        const nameMatch = /^<([A-Za-z_][\w:.-]*)/.exec(content.slice(start, start + 256));
+        if (!nameMatch) {
+            fail('Malformed start tag', start);
+        }
+
+        const attributes = {};
+        let pos = start + nameMatch[0].length;
+
+        while (pos < content.length) {
+            // Skip whitespace between attributes
+            while (pos < content.length && /\s/.test(content[pos])) {
+                pos++;
+            }
+
+            if (content[pos] === '>') {
+                return { name: nameMatch[1], attributes, selfClosing: false, end: pos + 1 };
+            }
+            if (content.startsWith('/>', pos)) {
+                return { name: nameMatch[1], attributes, selfClosing: true, end: pos + 2 };
+            }
+
+            const attrMatch = /^([A-Za-z_][\w:.-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/.exec(content.slice(pos));
+            if (!attrMatch) {
+                fail(`Malformed attribute in <${nameMatch[1]}>`, pos);
+            }
+
+            const attrName = attrMatch[1];
+            if (Object.prototype.hasOwnProperty.call(attributes, attrName)) {
+                fail(`Duplicate attribute "${attrName}" in <${nameMatch[1]}>`, pos);
+            }
+
+            const rawValue = attrMatch[2] !== undefined ? attrMatch[2] : attrMatch[3];
+            attributes[attrName] = XMLParser.decodeEntities(rawValue);
+            pos += attrMatch[0].length;
+        }
+
+        fail(`Unterminated start tag <${nameMatch[1]}>`, start);
+    }
+
+    /**
+     * Create a function that maps a character offset to a line/column pair
+     * @param {string} content - XML source
+     * @returns {function(number): {line: number, column: number}}
+     * @private
+     */
+    static createLocator(content) {
+        const lineStarts = [0];
+        for (let i = 0; i < content.length; i++) {
+            if (content[i] === '\n') {
+                lineStarts.push(i + 1);
+            }
+        }
+
+        return (offset) => {
+            // Binary search for the last line start <= offset
+            let low = 0;
+            let high = lineStarts.length - 1;
+            while (low < high) {
+                const mid = (low + high + 1) >> 1;
+                if (lineStarts[mid] <= offset) {
+                    low = mid;
+                } else {
+                    high = mid - 1;
+                }
+            }
+            return { line: low + 1, column: offset - lineStarts[low] + 1 };
+        };
+    }
+
+    /**
+     * Decode the predefined XML entities and character references
+     * @param {string} text - Raw text
+     * @returns {string} Decoded text
+     */
+    static decodeEntities(text) {
+        return text.replace(/&(#x[0-9a-fA-F]+|#\d+|lt|gt|amp|quot|apos);/g, (match, entity) => {
+            switch (entity) {
+                case 'lt': return '<';
+                case 'gt': return '>';
+                case 'amp': return '&';
+                case 'quot': return '"';
+                case 'apos': return "'";
+                default:
+                    return entity[1] === 'x'
+                        ? String.fromCodePoint(parseInt(entity.slice(2), 16))
+                        : String.fromCodePoint(parseInt(entity.slice(1), 10));
+            }
+        });
+    }
+
+    /**
+     * Escape text for use inside XML content or attribute values
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Serialize an element tree back to indented XML
+     * Whitespace-only text nodes are dropped and the tree is re-indented
+     * @param {Object} node - Element node
+     * @param {string} [indent=''] - Indentation of this node
+     * @returns {string} XML text
+     */
+    static serialize(node, indent = '') {
+        if (node.type === 'text') {
+            return `${indent}${XMLParser.escape(node.value.trim())}`;
+        }
+        if (node.type === 'comment') {
+            return `${indent}<!--${node.value}-->`;
+        }
+
+        const attributes = Object.entries(node.attributes)
+            .map(([name, value]) => ` ${name}="${XMLParser.escape(value)}"`)
+            .join('');
+        const children = node.children.filter(child =>
+            child.type !== 'text' || child.value.trim().length > 0
+        );
+
+        if (children.length === 0) {
+            return `${indent}<${node.name}${attributes}/>`;
+        }
+
+        // Keep simple text content on one line, e.g. <name>value</name>
+        if (children.length === 1 && children[0].type === 'text') {
+            return `${indent}<${node.name}${attributes}>${XMLParser.escape(children[0].value.trim())}</${node.name}>`;
+        }
+
+        const inner = children.map(child => XMLParser.serialize(child, `${indent}  `)).join('\n');
+        return `${indent}<${node.name}${attributes}>\n${inner}\n${indent}</${node.name}>`;
+    }
+
+    /**
+     * Get the child elements of a node, optionally filtered by tag name
+     * @param {Object} node - Element node
+     * @param {string} [name] - Tag name to filter by
+     * @returns {Array<Object>} Child element nodes
+     */
+    static childElements(node, name) {
+        return node.children.filter(child =>
+            child.type === 'element' && (name === undefined || child.name === name)
+        );
+    }
+
+    /**
+     * Get the first child element with the given tag name
+     * @param {Object} node - Element node
+     * @param {string} name - Tag name
+     * @returns {Object|null} Child element node or null if not found
+     */
+    static firstChild(node, name) {
+        return node.children.find(child => child.type === 'element' && child.name === name) || null;
+    }
+}
+
+/**
+ * Error thrown for documents that are not well-formed XML
+ */
+export class XMLParseError extends Error {
+    constructor(message, line, column) {
+        super(message);
+        this.name = 'XMLParseError';
+        this.line = line;
+        this.column = column;
+    }
+}
@@ -0,0 +1,292 @@
+﻿/**
+ * ZipReader - Reads ZIP archives without a third-party library
+ * Parses the central directory and inflates deflate entries with the
+ * browser's DecompressionStream('deflate-raw'). Used for workflow artifacts,
+ * OpenRAVE info logs and uploaded robot packages.
+ * ES Module version for testing
+ */
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const MAX_COMMENT_LENGTH = 0xffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8 = 0x0800;
+
+let crcTable = null;
+
+export class ZipReader {
+    /**
+     * @param {Uint8Array} bytes - Whole archive
+     * @param {Array<Object>} entries - Entries from the central directory
+     */
+    constructor(bytes, entries) {
+        this.bytes = bytes;
+        this.entries = entries;
+    }
+
+    /**
+     * Open a ZIP archive
+     * @param {Blob|ArrayBuffer|Uint8Array} source - Archive contents
+     * @returns {Promise<ZipReader>}
+     * @throws {ZipError} If the data is not a readable ZIP archive
+     */
+    static async open(source) {
+        let bytes;
+        if (source instanceof Uint8Array) {
+            bytes = source;
+        } else if (source instanceof ArrayBuffer) {
+            bytes = new Uint8Array(source);
+        } else {
+            bytes = new Uint8Array(await source.arrayBuffer());
+        }
+
+        return new ZipReader(bytes, ZipReader.readCentralDirectory(bytes));
+    }
+
+    /**
+     * Parse the central directory of an archive
+     * @param {Uint8Array} bytes - Whole archive
+     * @returns {Array<Object>} Entries ({name, dir, method, flags, crc32, compressedSize, size, localHeaderOffset})
+     * @throws {ZipError} If the central directory is missing or truncated
+     */
+    static readCentralDirectory(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const eocd = ZipReader.findEndOfCentralDirectory(view);
+        const count = view.getUint16(eocd + 10, true);
+        const size = view.getUint32(eocd + 12, true);
+        const offset = view.getUint32(eocd + 16, true);
+
+        if (count === 0xffff || size === 0xffffffff || offset === 0xffffffff) {
+            throw new ZipError('ZIP64 archives are not supported');
+        }
+        if (offset + size > eocd) {
+            throw new ZipError('ZIP central directory is truncated');
+        }
+
+        const utf8 = new TextDecoder();
+        const entries = [];
+        let pos = offset;
+
+        for (let i = 0; i < count; i++) {
+            if (pos + 46 > eocd || view.getUint32(pos, true) !== CENTRAL_DIRECTORY_HEADER) {
+                throw new ZipError('ZIP central directory is corrupted');
+            }
+
+            const flags = view.getUint16(pos + 8, true);
+            const nameLength = view.getUint16(pos + 28, true);
+            const extraLength = view.getUint16(pos + 30, true);
+            const commentLength = view.getUint16(pos + 32, true);
+            const nameBytes = bytes.subarray(pos + 46, pos + 46 + nameLength);
+            // Names without the UTF-8 flag use a legacy code page; read as Latin-1, ASCII names are unaffected
+            const name = (flags & FLAG_UTF8) ? utf8.decode(nameBytes) : String.fromCharCode(...nameBytes);
+
+            entries.push({
+                name,
+                dir: name.endsWith('/'),
+                method: view.getUint16(pos + 10, true),
+                flags,
+                crc32: view.getUint32(pos + 16, true),
+                compressedSize: view.getUint32(pos + 20, true),
+                size: view.getUint32(pos + 24, true),
+                localHeaderOffset: view.getUint32(pos + 42, true)
+            });
+
+            pos += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    /**
+     * Find the end of central directory record
+     * It is the last record of the archive, followed only by the archive comment
+     * @param {DataView} view - Whole archive
+     * @returns {number} Offset of the record
+     * @throws {ZipError} If there is no such record
+     */
+    static findEndOfCentralDirectory(view) {
+        const last = view.byteLength - END_OF_CENTRAL_DIRECTORY_SIZE;
+        const first = Math.max(0, last - MAX_COMMENT_LENGTH);
+
+        for (let pos = last; pos >= first; pos--) {
+            if (view.getUint32(pos, true) === END_OF_CENTRAL_DIRECTORY) {
+                return pos;
+            }
+        }
+
+        throw new ZipError('Not a ZIP archive');
+    }
+
+    /**
+     * Get all entries, including directories
+     * @returns {Array<Object>}
+     */
+    getEntries() {
+        return this.entries;
+    }
+
+    /**
+     * Get a file entry by its path in the archive
+     * @param {string} name - Path in the archive
+     * @returns {Object|null}
+     */
+    getEntry(name) {
+        return this.entries.find(entry => !entry.dir && entry.name === name) || null;
+    }
+
+    /**
+     * Extract an entry
+     * @param {Object|string} entry - Entry or its path
+     * @returns {Promise<Uint8Array>} Uncompressed contents
+     * @throws {ZipError} If the entry is missing, encrypted, uses an unsupported method or fails its CRC check
+     */
+    async extract(entry) {
+        const target = typeof entry === 'string' ? this.getEntry(entry) : entry;
+        if (!target) {
+            throw new ZipError(`File ${entry} not found in ZIP archive`);
+        }
+        if (target.flags & FLAG_ENCRYPTED) {
+            throw new ZipError(`File ${target.name} is encrypted`);
+        }
+
+        const data = this.readEntryData(target);
+        let contents;
+
+        if (target.method === METHOD_STORED) {
+            contents = data;
+        } else if (target.method === METHOD_DEFLATE) {
+            contents = await ZipReader.inflateRaw(data);
+        } else {
+            throw new ZipError(`File ${target.name} uses unsupported compression method ${target.method}`);
+        }
+
+        if (contents.length !== target.size || ZipReader.crc32(contents) !== target.crc32) {
+            throw new ZipError(`File ${target.name} is corrupted`);
+        }
+
+        return contents;
+    }
+
+    /**
+     * Extract an entry as UTF-8 text
+     * @param {Object|string} entry - Entry or its path
+     * @returns {Promise<string>}
+     */
+    async extractText(entry) {
+        return new TextDecoder().decode(await this.extract(entry));
+    }
+
+    /**
+     * Extract an entry as a Blob
+     * @param {Object|string} entry - Entry or its path
+     * @param {string} [type] - MIME type of the Blob
+     * @returns {Promise<Blob>}
+     */
+    async extractBlob(entry, type = '') {
+        return new Blob([await this.extract(entry)], { type });
+    }
+
+    /**
+     * Get the compressed data of an entry
+     * Sizes come from the central directory, which is also correct for entries
+     * written with a trailing data descriptor
+     * @param {Object} entry - Entry from the central directory
+     * @returns {Uint8Array}
+     * @private
+     */
+    readEntryData(entry) {
+        const view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+        const header = entry.localHeaderOffset;
+
+        if (header + 30 > this.bytes.length || view.getUint32(header, true) !== LOCAL_FILE_HEADER) {
+            throw new ZipError(`File ${entry.name} has no local header`);
+        }
+
+        const start = header + 30 + view.getUint16(header + 26, true) + view.getUint16(header + 28, true);
+        const end = start + entry.compressedSize;
+
+        if (end > this.bytes.length) {
+            throw new ZipError(`File ${entry.name} is truncated`);
+        }
+
+        return this.bytes.subarray(start, end);
+    }
+
+    /**
+     * Inflate raw deflate data
+     * @param {Uint8Array} data - Deflate stream without zlib header
+     * @returns {Promise<Uint8Array>}
+     */
+    static async inflateRaw(data) {
+        const stream = new DecompressionStream('deflate-raw');
+        const writer = stream.writable.getWriter();
+        // Errors surface on the reading side; reading drains the stream so writing can finish
+        writer.write(data).catch(() => {});
+        writer.close().catch(() => {});
+
+        const reader = stream.readable.getReader();
+        const chunks = [];
+        let length = 0;
+
+        try {
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) {
+                    break;
+                }
+                chunks.push(value);
+                length += value.length;
+            }
+        } catch (error) {
+            throw new ZipError(`Invalid deflate data: ${error.message}`);
+        }
+
+        const result = new Uint8Array(length);
+        let offset = 0;
+        for (const chunk of chunks) {
+            result.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return result;
+    }
+
+    /**
+     * Compute the CRC-32 checksum used by ZIP
+     * @param {Uint8Array} data - Data to check
+     * @returns {number} Unsigned checksum
+     */
+    static crc32(data) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = (c & 1) ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) {
+            crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+}
+
+/**
+ * Error thrown for archives that cannot be read
+ */
+export class ZipError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ZipError';
+    }
+}
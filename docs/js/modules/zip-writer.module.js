@@ -0,0 +1,104 @@
+﻿/**
+ * ZipWriter - Builds ZIP archives without a third-party library
+ * Entries are stored uncompressed, which is enough for bundling generated
+ * solvers into one download; ZipReader reads the result.
+ * ES Module version for testing
+ */
+
+import { ZipReader } from './zip-reader.module.js';
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const LOCAL_HEADER_SIZE = 30;
+const CENTRAL_HEADER_SIZE = 46;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+
+const VERSION = 20;
+const FLAG_UTF8 = 0x0800;
+const MAX_ENTRIES = 0xffff;
+const MAX_SIZE = 0xffffffff;
+
+export class ZipWriter {
+    /**
+     * Build a ZIP archive
+     * @param {Array<{name: string, data: Blob|string|Uint8Array}>} files - Entries in archive order
+     * @returns {Promise<Blob>} The archive
+     * @throws {Error} If the archive would need ZIP64
+     */
+    static async create(files) {
+        if (files.length > MAX_ENTRIES) {
+            throw new Error('Too many files for a ZIP archive');
+        }
+
+        const encoder = new TextEncoder();
+        const parts = [];
+        const centrals = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const name = encoder.encode(file.name);
+            const data = await ZipWriter.toBytes(file.data);
+            const crc = ZipReader.crc32(data);
+
+            if (offset + LOCAL_HEADER_SIZE + name.length + data.length > MAX_SIZE) {
+                throw new Error('Files are too large for a ZIP archive');
+            }
+
+            const local = new Uint8Array(LOCAL_HEADER_SIZE + name.length);
+            const localView = new DataView(local.buffer);
+            localView.setUint32(0, LOCAL_FILE_HEADER, true);
+            localView.setUint16(4, VERSION, true);
+            localView.setUint16(6, FLAG_UTF8, true);
+            localView.setUint32(14, crc, true);
+            localView.setUint32(18, data.length, true);
+            localView.setUint32(22, data.length, true);
+            localView.setUint16(26, name.length, true);
+            local.set(name, LOCAL_HEADER_SIZE);
+
+            const central = new Uint8Array(CENTRAL_HEADER_SIZE + name.length);
+            const centralView = new DataView(central.buffer);
+            centralView.setUint32(0, CENTRAL_DIRECTORY_HEADER, true);
+            centralView.setUint16(4, VERSION, true);
+            centralView.setUint16(6, VERSION, true);
+            centralView.setUint16(8, FLAG_UTF8, true);
+            centralView.setUint32(16, crc, true);
+            centralView.setUint32(20, data.length, true);
+            centralView.setUint32(24, data.length, true);
+            centralView.setUint16(28, name.length, true);
+            centralView.setUint32(42, offset, true);
+            central.set(name, CENTRAL_HEADER_SIZE);
+
+            parts.push(local, data);
+            centrals.push(central);
+            offset += local.length + data.length;
+        }
+
+        const centralSize = centrals.reduce((sum, central) => sum + central.length, 0);
+        const end = new Uint8Array(END_OF_CENTRAL_DIRECTORY_SIZE);
+        const endView = new DataView(end.buffer);
+        endView.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+        endView.setUint16(8, centrals.length, true);
+        endView.setUint16(10, centrals.length, true);
+        endView.setUint32(12, centralSize, true);
+        endView.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...centrals, end], { type: 'application/zip' });
+    }
+
+    /**
+     * Read entry contents as bytes
+     * @param {Blob|string|Uint8Array} data - Entry contents
+     * @returns {Promise<Uint8Array>}
+     * @private
+     */
+    static async toBytes(data) {
+        if (data instanceof Uint8Array) {
+            return data;
+        }
+        if (typeof data === 'string') {
+            return new TextEncoder().encode(data);
+        }
+        return new Uint8Array(await data.arrayBuffer());
+    }
+}
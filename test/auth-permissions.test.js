@@ -0,0 +1,212 @@
+/**
+ * Unit Tests for token permission probing
+ * Tests the per-permission checklist for fine-grained tokens and the
+ * blocking of operations whose permission is missing
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { AuthenticationManager } from '../docs/js/modules/auth.module.js';
+import { GitHubAPIClient, GitHubAPIError } from '../docs/js/modules/github-api.module.js';
+import { CONFIG } from '../docs/js/config.js';
+
+const REPO = `https://api.github.com/repos/${CONFIG.REPO_OWNER}/${CONFIG.REPO_NAME}`;
+
+/**
+ * Fake GitHub that answers each check with the status a token with the
+ * given permissions would get
+ * @param {Object} granted - Permissions by ID; null makes their check fail with a server error
+ * @param {string|null} [scopes] - X-OAuth-Scopes of a classic token, null for a fine-grained one
+ */
+function mockGitHub(granted, scopes = null) {
+    const headers = (extra = {}) => new Headers({ 'X-RateLimit-Remaining': '4990', 'X-RateLimit-Limit': '5000', ...extra });
+    const refused = (status, message) => ({ ok: false, status, headers: headers(), json: async () => ({ message }) });
+    const answer = (permission, allowed) => {
+        if (granted[permission] === null) {
+            return refused(500, 'Server Error');
+        }
+        return granted[permission] ? allowed() : refused(403, 'Resource not accessible by personal access token');
+    };
+
+    global.fetch = vi.fn(async (url) => {
+        if (url === REPO) {
+            return granted.metadata
+                ? {
+                    ok: true,
+                    status: 200,
+                    headers: headers(scopes === null ? {} : { 'X-OAuth-Scopes': scopes }),
+                    json: async () => ({ private: true })
+                }
+                : refused(404, 'Not Found');
+        }
+        if (url === `${REPO}/git/blobs`) {
+            return answer('contents', () => ({ ok: true, status: 201, headers: headers(), json: async () => ({ sha: 'e69de29' }) }));
+        }
+        if (url.endsWith('/dispatches')) {
+            return answer('actions', () => (url.includes(`/${CONFIG.WORKFLOW_FILE}/`)
+                ? { ok: true, status: 204, headers: headers() }
+                : refused(404, 'Not Found')));
+        }
+        if (url.startsWith(`${REPO}/actions/artifacts`)) {
+            return answer('artifacts', () => ({ ok: true, status: 200, headers: headers(), json: async () => ({ artifacts: [] }) }));
+        }
+        return refused(404, 'Not Found');
+    });
+}
+
+const ALL = { metadata: true, contents: true, actions: true, artifacts: true };
+
+describe('AuthenticationManager - permission probing', () => {
+    let auth;
+    let client;
+
+    beforeEach(() => {
+        auth = new AuthenticationManager();
+        auth.token = 'github_pat_test';
+        client = new GitHubAPIClient(auth);
+        auth.setAPIClient(client);
+    });
+
+    it('should report the permissions of a complete fine-grained token', async () => {
+        mockGitHub(ALL);
+
+        const permissions = await auth.probePermissions();
+
+        expect(permissions.map(p => p.id)).toEqual(['metadata', 'contents', 'actions', 'artifacts']);
+        expect(permissions.every(p => p.granted === true)).toBe(true);
+        expect(auth.lacksPermission('actions')).toBe(false);
+    });
+
+    it('should read Actions write access from the scopes of a classic token', async () => {
+        mockGitHub(ALL, 'repo, workflow');
+        expect((await auth.probePermissions()).every(p => p.granted)).toBe(true);
+
+        mockGitHub(ALL, 'read:user');
+        await auth.probePermissions();
+        expect(auth.lacksPermission('actions')).toBe(true);
+    });
+
+    it('should fail the permissions a read-only token lacks', async () => {
+        mockGitHub({ metadata: true, contents: false, actions: false, artifacts: true });
+
+        const permissions = await auth.probePermissions();
+
+        const contents = permissions.find(p => p.id === 'contents');
+        expect(contents.granted).toBe(false);
+        expect(contents.setting).toBe('Contents: Read and write');
+        expect(contents.message).toContain('not accessible');
+        expect(auth.lacksPermission('actions')).toBe(true);
+        expect(auth.lacksPermission('artifacts')).toBe(false);
+    });
+
+    it('should leave permissions unverified when their check fails for another reason', async () => {
+        mockGitHub({ metadata: true, contents: null, actions: null, artifacts: true });
+
+        const permissions = await auth.probePermissions();
+
+        expect(permissions.find(p => p.id === 'contents')).toMatchObject({ granted: null, message: 'Server Error' });
+        expect(permissions.find(p => p.id === 'actions').granted).toBeNull();
+        expect(auth.lacksPermission('contents')).toBe(false);
+        expect(auth.lacksPermission('actions')).toBe(false);
+    });
+
+    it('should not report a rate limited check as a missing permission', async () => {
+        mockGitHub(ALL);
+        global.fetch.mockResolvedValue({
+            ok: false,
+            status: 403,
+            headers: new Headers({ 'X-RateLimit-Remaining': '0', 'X-RateLimit-Limit': '5000' }),
+            json: async () => ({ message: 'API rate limit exceeded for user ID 1.' })
+        });
+
+        const permissions = await auth.probePermissions();
+
+        expect(permissions.every(p => p.granted === null)).toBe(true);
+    });
+
+    it('should deny every permission on a repository the token cannot see', async () => {
+        mockGitHub({ ...ALL, metadata: false });
+
+        const permissions = await auth.probePermissions();
+
+        expect(permissions.find(p => p.id === 'metadata').granted).toBe(false);
+        expect(permissions.find(p => p.id === 'actions')).toMatchObject({ granted: false, message: 'Not Found' });
+    });
+
+    it('should probe without dispatching a real workflow', async () => {
+        mockGitHub(ALL);
+
+        await auth.probePermissions();
+
+        const dispatches = global.fetch.mock.calls.filter(call => call[0].endsWith('/dispatches'));
+        expect(dispatches).toHaveLength(1);
+        expect(dispatches[0][0]).not.toContain(CONFIG.WORKFLOW_FILE);
+        const blob = global.fetch.mock.calls.find(call => call[0].endsWith('/git/blobs'));
+        expect(JSON.parse(blob[1].body).content).toBe('');
+    });
+
+    it('should send the checks through the client and its rate limit tracking', async () => {
+        mockGitHub(ALL);
+        const acquire = vi.spyOn(client.rateLimit, 'acquire');
+
+        await auth.probePermissions();
+
+        expect(acquire).toHaveBeenCalledTimes(4);
+        expect(client.rateLimit.remaining).toBe(4990);
+    });
+
+    it('should settle unverified Actions write access with the answer to a dispatch', async () => {
+        mockGitHub({ ...ALL, actions: null });
+        await auth.probePermissions();
+        expect(auth.lacksPermission('actions')).toBe(false);
+
+        mockGitHub({ ...ALL, actions: false });
+
+        await expect(client.triggerWorkflow('ikfast.yml', {}, 'main')).rejects.toMatchObject({ statusCode: 403 });
+        expect(auth.lacksPermission('actions')).toBe(true);
+
+        global.fetch.mockClear();
+        await expect(client.triggerWorkflow('ikfast.yml', {}, 'main')).rejects.toMatchObject({ statusCode: 403 });
+        expect(global.fetch).not.toHaveBeenCalled();
+
+        mockGitHub(ALL);
+        await auth.probePermissions();
+        expect(await client.triggerWorkflow('ikfast.yml', {}, 'main')).toEqual({ success: true });
+        expect(auth.getPermissions().find(p => p.id === 'actions').granted).toBe(true);
+    });
+
+    it('should not report unprobed permissions as missing', () => {
+        expect(auth.lacksPermission('contents')).toBe(false);
+    });
+
+    it('should render a checklist with the setting to grant', async () => {
+        const list = document.createElement('ul');
+        auth.initializeUI({ permissionList: list });
+        mockGitHub({ ...ALL, contents: false, actions: null });
+
+        await auth.probePermissions();
+
+        const items = [...list.querySelectorAll('li')];
+        expect(items).toHaveLength(4);
+        expect(items.filter(item => item.classList.contains('denied'))).toHaveLength(1);
+        expect(items[1].textContent).toContain('Contents: Read and write');
+        expect(items[2].className).toBe('permission-item unverified');
+        expect(items[2].textContent).toContain('Actions: Read and write');
+    });
+});
+
+describe('GitHubAPIClient - permission blocking', () => {
+    it('should refuse operations whose permission is missing', async () => {
+        const auth = new AuthenticationManager();
+        auth.token = 'github_pat_test';
+        const client = new GitHubAPIClient(auth);
+        auth.setAPIClient(client);
+        mockGitHub({ ...ALL, contents: false });
+        await auth.probePermissions();
+        global.fetch.mockClear();
+
+        await expect(client.commitFiles([{ path: 'a.txt', content: 'a' }], 'msg'))
+            .rejects.toBeInstanceOf(GitHubAPIError);
+        await expect(client.uploadFile('a.txt', 'a')).rejects.toMatchObject({ statusCode: 403 });
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,162 @@
+/**
+ * Unit Tests for BatchQueueComponent
+ * Tests queueing robots and parameter sets, running them one after another,
+ * surviving failed entries and bundling the solvers into one archive
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { BatchQueueComponent } from '../docs/js/modules/batch-queue.module.js';
+import { CancellableOperation } from '../docs/js/modules/cancellable-operation.module.js';
+import { ZipReader } from '../docs/js/modules/zip-reader.module.js';
+import { ZipWriter } from '../docs/js/modules/zip-writer.module.js';
+import { createZip } from './helpers/zip.js';
+
+const LEFT = { baseLink: 0, eeLink: 6, ikType: 'transform6d' };
+const RIGHT = { baseLink: 0, eeLink: 12, ikType: 'transform6d' };
+
+describe('BatchQueueComponent', () => {
+    let api;
+    let queue;
+    let elements;
+    let runs;
+    let calls;
+
+    beforeEach(() => {
+        runs = {};
+        calls = [];
+        let nextRunId = 100;
+        api = {
+            dispatchWorkflowRun: vi.fn(async (workflow, inputs) => {
+                const id = nextRunId++;
+                runs[id] = { inputs, polls: 0 };
+                calls.push(`dispatch ${id}`);
+                return { id };
+            }),
+            getWorkflowRun: vi.fn(async (id) => {
+                const run = runs[id];
+                run.polls++;
+                calls.push(`poll ${id}`);
+                if (run.polls === 1) {
+                    return { id, status: 'in_progress', createdAt: new Date().toISOString() };
+                }
+                return { id, status: 'completed', conclusion: run.inputs.ee_link === '12' ? 'failure' : 'success' };
+            }),
+            listArtifacts: vi.fn(async (runId) => [
+                { id: runId * 10, name: `ikfast-result-${runs[runId].inputs.job_id}`, createdAt: '2024-01-01T10:00:00Z' }
+            ]),
+            downloadArtifact: vi.fn(async (artifactId) => new Blob([
+                createZip({ 'ikfast_solver.cpp': `// solver of artifact ${artifactId}\n`, 'build.log': 'ok' })
+            ]))
+        };
+        elements = {
+            table: document.createElement('tbody'),
+            runButton: document.createElement('button'),
+            cancelButton: document.createElement('button'),
+            downloadButton: document.createElement('button'),
+            message: document.createElement('p')
+        };
+        queue = new BatchQueueComponent(api);
+        queue.initializeUI(elements);
+        vi.spyOn(CancellableOperation, 'sleep').mockResolvedValue();
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should queue robots and parameter sets once each', () => {
+        queue.addEntry({ jobId: 'job-dual', filename: 'dual_arm.urdf', parameters: LEFT });
+        queue.addEntry({ jobId: 'job-dual', filename: 'dual_arm.urdf', parameters: RIGHT });
+
+        expect(() => queue.addEntry({ jobId: 'job-dual', filename: 'dual_arm.urdf', parameters: { ...LEFT } }))
+            .toThrow('already in the batch');
+        expect(() => queue.addEntry({ jobId: 'job-arm', filename: 'arm.urdf', parameters: { ...LEFT, eeLink: null } }))
+            .toThrow('Choose the base link');
+        expect(() => queue.addEntry({ jobId: null, filename: 'arm.urdf', parameters: LEFT }))
+            .toThrow('Upload a robot');
+
+        expect(queue.usesJob('job-dual')).toBe(true);
+        expect(queue.usesJob('job-other')).toBe(false);
+        expect(elements.table.querySelectorAll('tr')).toHaveLength(2);
+        expect(elements.runButton.disabled).toBe(false);
+    });
+
+    it('should run entries one after another and move on after a failure', async () => {
+        queue.addEntry({ jobId: 'job-dual', filename: 'dual_arm.urdf', parameters: LEFT });
+        queue.addEntry({ jobId: 'job-dual', filename: 'dual_arm.urdf', parameters: RIGHT });
+        queue.addEntry({ jobId: 'job-arm', filename: 'arm.urdf', parameters: LEFT });
+        const completed = vi.fn();
+        window.addEventListener('batchCompleted', completed);
+
+        const summary = await queue.run();
+
+        window.removeEventListener('batchCompleted', completed);
+        expect(summary).toEqual({ completed: 2, failed: 1, cancelled: false });
+        expect(completed.mock.calls[0][0].detail).toEqual(summary);
+
+        // Each run is dispatched only after the previous one completed
+        expect(calls.slice(0, 4)).toEqual(['dispatch 100', 'poll 100', 'poll 100', 'dispatch 101']);
+        expect(api.dispatchWorkflowRun.mock.calls[1][1]).toEqual({
+            mode: 'generate', job_id: 'job-dual', base_link: '0', ee_link: '12', iktype: 'transform6d'
+        });
+
+        expect(queue.getEntries().map(entry => entry.status)).toEqual(['completed', 'failed', 'completed']);
+        expect(queue.getEntries()[1].error).toBe('Run #101 ended with failure');
+        const rows = elements.table.querySelectorAll('tr');
+        expect(rows[1].className).toBe('batch-entry failed');
+        expect(rows[1].textContent).toContain('失败 (#101)');
+        expect(elements.message.textContent).toBe('2 / 3 solver(s) generated, 1 failed');
+        expect(elements.downloadButton.disabled).toBe(false);
+    });
+
+    it('should bundle the solvers of completed entries', async () => {
+        queue.addEntry({ jobId: 'job-dual', filename: 'dual_arm.urdf', parameters: LEFT });
+        queue.addEntry({ jobId: 'job-dual', filename: 'dual_arm.urdf', parameters: RIGHT });
+        queue.addEntry({ jobId: 'job-arm', filename: 'arm.xacro', parameters: LEFT });
+        await queue.run();
+
+        const zip = await ZipReader.open(await queue.createArchive());
+
+        expect(zip.getEntries().map(entry => entry.name)).toEqual([
+            'dual_arm_transform6d_base0_ee6_ikfast_solver.cpp',
+            'arm_transform6d_base0_ee6_ikfast_solver.cpp'
+        ]);
+        expect(await zip.extractText('arm_transform6d_base0_ee6_ikfast_solver.cpp')).toBe('// solver of artifact 1020\n');
+    });
+
+    it('should stop when cancelled and retry unfinished entries on the next run', async () => {
+        queue.addEntry({ jobId: 'job-arm', filename: 'arm.urdf', parameters: LEFT });
+        queue.addEntry({ jobId: 'job-other', filename: 'other.urdf', parameters: LEFT });
+        CancellableOperation.sleep.mockImplementationOnce(async () => {
+            queue.cancel();
+            throw new DOMException('Aborted', 'AbortError');
+        });
+
+        const summary = await queue.run();
+
+        expect(summary).toEqual({ completed: 0, failed: 0, cancelled: true });
+        expect(queue.getEntries().map(entry => entry.status)).toEqual(['cancelled', 'pending']);
+        expect(queue.canRun()).toBe(true);
+
+        await queue.run();
+        expect(queue.getEntries().map(entry => entry.status)).toEqual(['completed', 'completed']);
+        expect(queue.canRun()).toBe(false);
+        expect(queue.usesJob('job-arm')).toBe(false);
+    });
+});
+
+describe('ZipWriter', () => {
+    it('should build archives ZipReader can read', async () => {
+        const blob = await ZipWriter.create([
+            { name: 'a.cpp', data: 'int a;\n' },
+            { name: '机器人/b.cpp', data: new Blob(['int b;\n']) }
+        ]);
+
+        const zip = await ZipReader.open(blob);
+
+        expect(blob.type).toBe('application/zip');
+        expect(await zip.extractText('a.cpp')).toBe('int a;\n');
+        expect(await zip.extractText('机器人/b.cpp')).toBe('int b;\n');
+    });
+});
@@ -0,0 +1,196 @@
+/**
+ * Unit Tests for cancellation
+ * Tests CancellableOperation, aborting queued and in-flight API requests and
+ * cancelling component flows without leaving timers behind
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { CancellableOperation } from '../docs/js/modules/cancellable-operation.module.js';
+import { RateLimitScheduler, RequestPriority } from '../docs/js/modules/rate-limit.module.js';
+import { GitHubAPIClient } from '../docs/js/modules/github-api.module.js';
+import { LinkInfoComponent } from '../docs/js/modules/link-info.module.js';
+import { StatusMonitorComponent } from '../docs/js/modules/status-monitor.module.js';
+import { WorkflowTriggerComponent } from '../docs/js/modules/workflow-trigger.module.js';
+import { FileUploadComponent } from '../docs/js/modules/file-upload.module.js';
+import { CONFIG } from '../docs/js/config.js';
+
+const JOB_ID = 'job-20240101-abcdef';
+
+describe('CancellableOperation', () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('should abort the previous operation when a new one starts', () => {
+        const operation = new CancellableOperation();
+        const first = operation.start();
+        const second = operation.start();
+
+        expect(first.aborted).toBe(true);
+        expect(second.aborted).toBe(false);
+        expect(operation.finish(first)).toBe(false);
+        expect(operation.finish(second)).toBe(true);
+        expect(operation.isRunning()).toBe(false);
+    });
+
+    it('should clear the sleep timer when aborted', async () => {
+        const operation = new CancellableOperation();
+        const sleeping = CancellableOperation.sleep(60000, operation.start());
+
+        expect(vi.getTimerCount()).toBe(1);
+        operation.cancel();
+
+        await expect(sleeping).rejects.toMatchObject({ name: 'AbortError' });
+        expect(vi.getTimerCount()).toBe(0);
+    });
+});
+
+describe('GitHubAPIClient - abort signals', () => {
+    let client;
+
+    beforeEach(() => {
+        client = new GitHubAPIClient({ getToken: () => 'ghp_test' });
+        global.fetch = vi.fn();
+    });
+
+    it('should not send a request whose signal is already aborted', async () => {
+        const controller = new AbortController();
+        controller.abort();
+
+        await expect(client.getWorkflowRun(1, { signal: controller.signal }))
+            .rejects.toMatchObject({ name: 'AbortError' });
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should pass the signal to fetch and surface the abort unchanged', async () => {
+        const controller = new AbortController();
+        global.fetch = vi.fn((url, options) => new Promise((resolve, reject) => {
+            options.signal.addEventListener('abort', () => reject(CancellableOperation.abortReason(options.signal)));
+        }));
+
+        const request = client.getWorkflowRun(1, { signal: controller.signal });
+        await vi.waitFor(() => expect(global.fetch).toHaveBeenCalled());
+        controller.abort();
+
+        await expect(request).rejects.toMatchObject({ name: 'AbortError' });
+    });
+
+    it('should remove an aborted request from the rate limit queue', async () => {
+        vi.useFakeTimers();
+        const scheduler = new RateLimitScheduler();
+        scheduler.update(new Headers({
+            'X-RateLimit-Limit': '5000',
+            'X-RateLimit-Remaining': '0',
+            'X-RateLimit-Reset': String(Math.floor(Date.now() / 1000) + 600)
+        }));
+        const controller = new AbortController();
+
+        const waiting = scheduler.acquire(RequestPriority.HIGH, controller.signal);
+        controller.abort();
+
+        await expect(waiting).rejects.toMatchObject({ name: 'AbortError' });
+        expect(scheduler.queue).toHaveLength(0);
+        vi.useRealTimers();
+    });
+});
+
+describe('Component cancellation', () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('should stop link verification polling on cancel', async () => {
+        const api = {
+            dispatchWorkflowRun: vi.fn().mockResolvedValue({ id: 7 }),
+            getWorkflowRun: vi.fn().mockResolvedValue({ id: 7, status: 'in_progress' })
+        };
+        const component = new LinkInfoComponent(api);
+        component.setJobId(JOB_ID);
+
+        const fetching = component.fetchLinkInfo();
+        await vi.advanceTimersByTimeAsync(0);
+        expect(api.getWorkflowRun).toHaveBeenCalledTimes(1);
+
+        component.cancel();
+        await fetching;
+
+        expect(component.isLoading).toBe(false);
+        expect(vi.getTimerCount()).toBe(0);
+        await vi.advanceTimersByTimeAsync(CONFIG.POLLING_INTERVAL * 3);
+        expect(api.getWorkflowRun).toHaveBeenCalledTimes(1);
+    });
+
+    it('should leave no status poll scheduled or in flight after stopPolling', async () => {
+        let seenSignal = null;
+        const api = {
+            getWorkflowRun: vi.fn((runId, { signal }) => {
+                seenSignal = signal;
+                return new Promise(() => {});
+            })
+        };
+        const monitor = new StatusMonitorComponent(api);
+
+        monitor.startPolling(123);
+        await vi.advanceTimersByTimeAsync(0);
+        monitor.stopPolling();
+
+        expect(seenSignal.aborted).toBe(true);
+        expect(monitor.getPollingState().isPolling).toBe(false);
+        expect(vi.getTimerCount()).toBe(0);
+    });
+
+    it('should report a cancelled trigger without an error', async () => {
+        const api = {
+            dispatchWorkflowRun: vi.fn((workflowId, inputs, ref, { signal }) => new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => reject(CancellableOperation.abortReason(signal)));
+            }))
+        };
+        const trigger = new WorkflowTriggerComponent(api);
+        trigger.setJobId(JOB_ID);
+
+        const triggering = trigger.triggerWorkflow({ mode: 'info' });
+        await vi.advanceTimersByTimeAsync(0);
+
+        expect(trigger.cancel()).toBe(true);
+        expect(await triggering).toEqual({ success: false, cancelled: true });
+        expect(trigger.getWorkflowState().isActive).toBe(false);
+    });
+});
+
+describe('FileUploadComponent - superseding uploads', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should only supersede the previous robot once the new file is valid', async () => {
+        const api = { commitFiles: vi.fn(() => new Promise(() => {})) };
+        const component = new FileUploadComponent(api);
+        component.initializeUI({ errorDisplay: document.createElement('div') });
+        component.setJobId(JOB_ID);
+        const uploadStarted = vi.fn();
+        window.addEventListener('uploadStarted', uploadStarted);
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+
+        try {
+            component.selectedFile = new File(['<robot name="arm"><link name="base"'], 'arm.urdf');
+            await component.handleUpload();
+            expect(uploadStarted).not.toHaveBeenCalled();
+
+            component.selectedFile = new File(['<robot name="arm"><link name="base"/></robot>'], 'arm.urdf');
+            component.handleUpload();
+            await vi.waitFor(() => expect(uploadStarted).toHaveBeenCalledTimes(1));
+            expect(uploadStarted.mock.calls[0][0].detail).toEqual({ jobId: JOB_ID });
+        } finally {
+            component.cancel();
+            window.removeEventListener('uploadStarted', uploadStarted);
+        }
+    });
+});
@@ -153,7 +153,7 @@ describe('Checkpoint 8: Basic Functionality Verification', () => {
       expect(htmlContent).toContain('id="upload"');
       expect(htmlContent).toContain('id="file-input"');
       expect(htmlContent).toContain('type="file"');
-      expect(htmlContent).toContain('accept=".urdf"');
+      expect(htmlContent).toMatch(/accept="\.urdf,\.xacro[^"]*"/);
       expect(htmlContent).toContain('id="upload-button"');
     });
 
@@ -1,25 +1,11 @@
 import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
 import { DownloadComponent } from '../web/download.module.js';
+import { createZip } from './helpers/zip.js';
 
-// Mock JSZip
-global.JSZip = class {
-  async loadAsync(blob) {
-    return {
-      file: (filename) => {
-        if (filename === 'ikfast_solver.cpp' || filename === 'build.log') {
-          return {
-            async: async (type) => {
-              if (type === 'blob') {
-                return new Blob(['mock file content'], { type: 'text/plain' });
-              }
-            }
-          };
-        }
-        return null;
-      }
-    };
-  }
-};
+const mockArtifactZip = () => new Blob([createZip({
+  'ikfast_solver.cpp': 'mock file content',
+  'build.log': 'mock file content'
+})], { type: 'application/zip' });
 
 // Mock GitHubAPIClient
 class MockGitHubAPIClient {
@@ -32,7 +18,7 @@ class MockGitHubAPIClient {
   }
 
   async downloadArtifact(artifactId) {
-    return new Blob(['mock zip content'], { type: 'application/zip' });
+    return mockArtifactZip();
   }
 
   setMockArtifacts(artifacts) {
@@ -161,7 +147,7 @@ describe('DownloadComponent - Unit Tests', () => {
 
   describe('ZIP Extraction', () => {
     it('should extract file from ZIP blob', async () => {
-      const zipBlob = new Blob(['mock zip'], { type: 'application/zip' });
+      const zipBlob = mockArtifactZip();
       
       const extractedBlob = await downloadComponent.extractFileFromZip(zipBlob, 'ikfast_solver.cpp');
       
@@ -169,24 +155,19 @@ describe('DownloadComponent - Unit Tests', () => {
     });
 
     it('should throw error if file not found in ZIP', async () => {
-      const zipBlob = new Blob(['mock zip'], { type: 'application/zip' });
+      const zipBlob = mockArtifactZip();
       
       await expect(
         downloadComponent.extractFileFromZip(zipBlob, 'nonexistent.txt')
       ).rejects.toThrow('File nonexistent.txt not found in artifact');
     });
 
-    it('should throw error if JSZip not loaded', async () => {
-      const originalJSZip = global.JSZip;
-      global.JSZip = undefined;
-      
+    it('should throw error if the artifact is not a ZIP archive', async () => {
       const zipBlob = new Blob(['mock zip'], { type: 'application/zip' });
       
       await expect(
         downloadComponent.extractFileFromZip(zipBlob, 'test.txt')
-      ).rejects.toThrow('JSZip library not loaded');
-      
-      global.JSZip = originalJSZip;
+      ).rejects.toThrow('Not a ZIP archive');
     });
   });
 
@@ -0,0 +1,153 @@
+/**
+ * Unit Tests for ForkWizard
+ * Tests the fork bootstrap steps, their reported results and the API calls
+ * that create a fork and wait for it
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ForkWizard, WizardStepStatus } from '../docs/js/modules/fork-wizard.module.js';
+import { RepoProfileManager } from '../docs/js/modules/repo-profile.module.js';
+import { GitHubAPIClient, GitHubAPIError } from '../docs/js/modules/github-api.module.js';
+import { CONFIG } from '../docs/js/config.js';
+
+function mockClient({ login = 'someone', actionsEnabled = true, workflowPresent = true } = {}) {
+    return {
+        getAuthenticatedUser: vi.fn().mockResolvedValue(login),
+        createFork: vi.fn().mockResolvedValue({ owner: login, repo: CONFIG.REPO_NAME, defaultBranch: 'main' }),
+        waitForBranch: vi.fn().mockResolvedValue(),
+        checkRepository: vi.fn().mockResolvedValue({
+            ok: actionsEnabled && workflowPresent,
+            checks: [
+                { id: 'repo', passed: true, message: '' },
+                { id: 'workflow', passed: workflowPresent, message: workflowPresent ? '' : 'not found' },
+                { id: 'actions', passed: actionsEnabled, message: actionsEnabled ? '' : 'Workflow is disabled_fork' }
+            ]
+        })
+    };
+}
+
+describe('ForkWizard', () => {
+    let profiles;
+
+    beforeEach(() => {
+        localStorage.clear();
+        profiles = new RepoProfileManager();
+    });
+
+    it('should fork, check and switch the site to the fork', async () => {
+        const client = mockClient();
+        const wizard = new ForkWizard(client, profiles);
+
+        const done = await wizard.run('dev');
+
+        expect(done).toBe(true);
+        expect(wizard.getSteps().every(step => step.status === WizardStepStatus.PASSED)).toBe(true);
+        expect(client.waitForBranch).toHaveBeenCalledWith({ owner: 'someone', repo: CONFIG.REPO_NAME, branch: 'dev' });
+        expect(profiles.getActiveProfile()).toMatchObject({ owner: 'someone', repo: CONFIG.REPO_NAME, branch: 'dev' });
+    });
+
+    it('should stop with the steps to enable workflows when they are disabled', async () => {
+        const wizard = new ForkWizard(mockClient({ actionsEnabled: false }), profiles);
+
+        const done = await wizard.run('dev');
+        const steps = wizard.getSteps();
+
+        expect(done).toBe(false);
+        expect(steps.map(step => step.status)).toEqual(['passed', 'passed', 'passed', 'failed', 'pending']);
+        expect(steps[3].message).toContain('disabled_fork');
+        expect(steps[3].instructions[0]).toBe(`Open https://github.com/someone/${CONFIG.REPO_NAME}/actions`);
+        expect(profiles.getActiveProfile().name).toBe('default');
+    });
+
+    it('should not fork a repository the user owns', async () => {
+        const client = mockClient({ login: CONFIG.REPO_OWNER });
+        const wizard = new ForkWizard(client, profiles);
+
+        await wizard.run();
+
+        expect(client.createFork).not.toHaveBeenCalled();
+        expect(wizard.getSteps()[0].message).toContain('no fork needed');
+    });
+
+    it('should report API errors on the failing step and render every step', async () => {
+        const client = mockClient();
+        client.createFork.mockRejectedValue(new GitHubAPIError('Permission denied', 403, 'Resource not accessible'));
+        const wizard = new ForkWizard(client, profiles);
+        const stepList = document.createElement('ol');
+        wizard.initializeUI({ stepList });
+
+        await wizard.run();
+
+        const items = [...stepList.children];
+        expect(items).toHaveLength(5);
+        expect(items[0].className).toBe('wizard-step failed');
+        expect(items[0].textContent).toContain('Resource not accessible');
+        expect(client.waitForBranch).not.toHaveBeenCalled();
+    });
+
+    it('should fail the workflow step when the repository check fails', async () => {
+        const client = mockClient();
+        client.checkRepository.mockRejectedValue(new GitHubAPIError('Not found', 404, 'Not Found'));
+        const wizard = new ForkWizard(client, profiles);
+
+        const done = await wizard.run('dev');
+        const steps = wizard.getSteps();
+
+        expect(done).toBe(false);
+        expect(steps.map(step => step.status)).toEqual(['passed', 'passed', 'failed', 'pending', 'pending']);
+        expect(steps[2].message).toBe('Not found: Not Found');
+    });
+});
+
+describe('GitHubAPIClient - forks', () => {
+    let client;
+
+    beforeEach(() => {
+        client = new GitHubAPIClient({ getToken: () => 'ghp_test' });
+        client.sleep = vi.fn().mockResolvedValue();
+    });
+
+    it('should create a fork of the source repository', async () => {
+        global.fetch = vi.fn(async () => ({
+            ok: true,
+            status: 202,
+            json: async () => ({
+                name: 'ikfast-fork',
+                owner: { login: 'someone' },
+                default_branch: 'main',
+                html_url: 'https://github.com/someone/ikfast-fork'
+            })
+        }));
+
+        const fork = await client.createFork({ owner: 'upstream', repo: 'ikfast' });
+
+        expect(global.fetch.mock.calls[0][0]).toBe('https://api.github.com/repos/upstream/ikfast/forks');
+        expect(global.fetch.mock.calls[0][1].method).toBe('POST');
+        expect(fork).toMatchObject({ owner: 'someone', repo: 'ikfast-fork', defaultBranch: 'main' });
+    });
+
+    it('should poll until the branch of a new fork appears', async () => {
+        let attempts = 0;
+        global.fetch = vi.fn(async () => (++attempts < 3
+            ? { ok: false, status: 404, json: async () => ({ message: 'Branch not found' }) }
+            : { ok: true, status: 200, json: async () => ({ name: 'dev' }) }));
+
+        await client.waitForBranch({ owner: 'someone', repo: 'ikfast-fork', branch: 'dev' });
+
+        expect(global.fetch).toHaveBeenCalledTimes(3);
+        expect(global.fetch.mock.calls[0][0]).toBe('https://api.github.com/repos/someone/ikfast-fork/branches/dev');
+        expect(client.sleep).toHaveBeenCalledWith(CONFIG.FORK_READY_INTERVAL, undefined);
+    });
+
+    it('should give up on a fork that never becomes ready', async () => {
+        let now = 0;
+        vi.spyOn(Date, 'now').mockImplementation(() => now);
+        client.sleep = vi.fn(async (ms) => { now += ms; });
+        global.fetch = vi.fn(async () => ({ ok: false, status: 404, json: async () => ({}) }));
+
+        await expect(client.waitForBranch({ owner: 'someone', repo: 'ikfast-fork', branch: 'dev' }))
+            .rejects.toThrow(CONFIG.ERROR_MESSAGES.FORK_NOT_READY);
+
+        vi.restoreAllMocks();
+    });
+});
@@ -0,0 +1,146 @@
+/**
+ * Unit Tests for free joints of redundant chains
+ * Tests picking the joints IKFast leaves free, passing them to the workflow
+ * and showing them with the downloads
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ParameterConfigComponent } from '../docs/js/modules/parameter-config.module.js';
+import { WorkflowTriggerComponent } from '../docs/js/modules/workflow-trigger.module.js';
+import { SolverCache } from '../docs/js/modules/solver-cache.module.js';
+import { DownloadComponent } from '../docs/js/modules/download.module.js';
+import { BatchQueueComponent } from '../docs/js/modules/batch-queue.module.js';
+import { URDFModel } from '../docs/js/modules/urdf-model.module.js';
+
+// base_link=0, link1..link7=1..7, tool0=8
+const SEVEN_DOF_ARM = `<robot name="arm">
+    <link name="base_link"/>
+    ${[1, 2, 3, 4, 5, 6, 7].map(i => `<link name="link${i}"/>
+    <joint name="joint${i}" type="revolute">
+        <parent link="${i === 1 ? 'base_link' : `link${i - 1}`}"/><child link="link${i}"/>
+        <axis xyz="0 0 1"/><limit lower="-3" upper="3" effort="1" velocity="1"/>
+    </joint>`).join('\n')}
+    <link name="tool0"/>
+    <joint name="tool_joint" type="fixed"><parent link="link7"/><child link="tool0"/></joint>
+</robot>`;
+
+const PARAMETERS = { baseLink: 0, eeLink: 8, ikType: 'transform6d' };
+
+describe('ParameterConfigComponent - free joints', () => {
+    let component;
+    let elements;
+
+    const checkboxes = () => Array.from(elements.freeJointsList.querySelectorAll('input'));
+    const tick = (name, checked = true) => {
+        const checkbox = checkboxes().find(box => box.value === name);
+        checkbox.checked = checked;
+        checkbox.dispatchEvent(new Event('change', { bubbles: true }));
+    };
+
+    beforeEach(() => {
+        elements = {
+            baseLinkInput: document.createElement('input'),
+            eeLinkInput: document.createElement('input'),
+            ikTypeSelect: document.createElement('select'),
+            freeJointsList: document.createElement('div'),
+            freeJointsGroup: document.createElement('div'),
+            freeJointsHelp: document.createElement('span')
+        };
+        component = new ParameterConfigComponent();
+        component.initializeUI(elements);
+        const model = URDFModel.parse(SEVEN_DOF_ARM);
+        component.setKinematics(model, model.getLinkRecords());
+    });
+
+    it('should list the chain joints and require one free joint on a 7-DOF arm', () => {
+        component.setParameters(PARAMETERS);
+
+        expect(elements.freeJointsGroup.style.display).toBe('block');
+        expect(checkboxes().map(box => box.value)).toEqual([
+            'joint1', 'joint2', 'joint3', 'joint4', 'joint5', 'joint6', 'joint7'
+        ]);
+        expect(component.getRequiredFreeJoints()).toBe(1);
+        expect(component.validateParameters().errors.freeJoints).toBe(
+            '6D Transform (Default) on a chain of 7 joints needs 1 free joint(s), 0 chosen'
+        );
+
+        tick('joint3');
+
+        expect(component.getParameters().freeJoints).toEqual(['joint3']);
+        expect(component.validateParameters().valid).toBe(true);
+        expect(checkboxes().filter(box => box.disabled)).toHaveLength(6);
+        expect(elements.freeJointsHelp.textContent).toContain('Choose 1 joint(s) IKFast leaves free (1 chosen)');
+    });
+
+    it('should keep free joints in chain order and drop them when the chain changes', () => {
+        component.setParameters({ ...PARAMETERS, ikType: 'translation3d' });
+        tick('joint5');
+        tick('joint2');
+        tick('joint7');
+        tick('joint1');
+
+        expect(component.getParameters().freeJoints).toEqual(['joint1', 'joint2', 'joint5', 'joint7']);
+        expect(component.validateParameters().valid).toBe(true);
+
+        component.setParameters({ eeLink: 6 });
+        component.setParameters({ ikType: 'transform6d' });
+
+        expect(component.getParameters().freeJoints).toEqual([]);
+        expect(elements.freeJointsGroup.style.display).toBe('none');
+        expect(component.validateParameters().valid).toBe(true);
+    });
+
+    it('should reject free joints that are not on the chain', () => {
+        expect(component.validateParameters({ ...PARAMETERS, freeJoints: ['tool_joint'] }).errors.freeJoints)
+            .toBe('tool_joint is not an actuated joint between base_link and tool0');
+    });
+});
+
+describe('Free joints downstream of the parameters', () => {
+    it('should send the free joints to the workflow only when chosen', async () => {
+        const api = {
+            dispatchWorkflowRun: vi.fn().mockResolvedValue({ id: 99 }),
+            getWorkflowRun: vi.fn()
+        };
+        const trigger = new WorkflowTriggerComponent(api);
+        trigger.setJobId('job-1');
+
+        await trigger.triggerWorkflow({ mode: 'generate', base_link: 0, ee_link: 8, iktype: 'transform6d', free_joints: ['joint3'] });
+        trigger.setWorkflowActive(false, null);
+        await trigger.triggerWorkflow({ mode: 'generate', base_link: 0, ee_link: 6, iktype: 'transform6d', free_joints: [] });
+
+        expect(api.dispatchWorkflowRun.mock.calls[0][1].free_joints).toBe('joint3');
+        expect(api.dispatchWorkflowRun.mock.calls[1][1]).not.toHaveProperty('free_joints');
+    });
+
+    it('should key cached solvers by their free joints', () => {
+        expect(SolverCache.createKey('abc', { ...PARAMETERS, freeJoints: ['joint3'] })).toBe('abc:0:8:transform6d:joint3');
+        expect(SolverCache.createKey('abc', { ...PARAMETERS, freeJoints: [] })).toBe('abc:0:8:transform6d');
+    });
+
+    it('should show the free parameters with the downloads', () => {
+        const solverSummary = document.createElement('p');
+        const download = new DownloadComponent({});
+        download.initializeUI({ solverSummary });
+
+        download.setSolverParameters({ ...PARAMETERS, freeJoints: ['joint3'] });
+        expect(solverSummary.textContent).toBe('transform6d, base 0 → ee 8，自由参数: joint3（调用求解器时需给定其值）');
+        expect(solverSummary.style.display).toBe('block');
+
+        download.reset();
+        expect(solverSummary.style.display).toBe('none');
+
+        download.setSolverParameters({ ...PARAMETERS, freeJoints: [] });
+        expect(solverSummary.textContent).toBe('transform6d, base 0 → ee 8，无自由参数');
+    });
+
+    it('should queue the same chain once per choice of free joints', () => {
+        const queue = new BatchQueueComponent({});
+        const entry = queue.addEntry({ jobId: 'job-1', filename: 'arm.urdf', parameters: { ...PARAMETERS, freeJoints: ['joint3'] } });
+        queue.addEntry({ jobId: 'job-1', filename: 'arm.urdf', parameters: { ...PARAMETERS, freeJoints: ['joint5'] } });
+
+        expect(() => queue.addEntry({ jobId: 'job-1', filename: 'arm.urdf', parameters: { ...PARAMETERS, freeJoints: ['joint3'] } }))
+            .toThrow('already in the batch');
+        expect(BatchQueueComponent.getSolverFilename(entry)).toBe('arm_transform6d_base0_ee8_free-joint3_ikfast_solver.cpp');
+    });
+});
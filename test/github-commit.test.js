@@ -0,0 +1,147 @@
+/**
+ * Unit Tests for GitHubAPIClient Git Data API methods
+ * Tests blob/tree/commit/ref requests and atomic multi-file commits
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { GitHubAPIClient, GitHubAPIError } from '../docs/js/modules/github-api.module.js';
+import { CONFIG } from '../docs/js/config.js';
+
+const REPO = `https://api.github.com/repos/${CONFIG.REPO_OWNER}/${CONFIG.REPO_NAME}`;
+
+function jsonResponse(data, status = 200) {
+    return {
+        ok: status < 400,
+        status,
+        statusText: '',
+        json: async () => data
+    };
+}
+
+/**
+ * Fake Git Data API backed by a branch head that tests can move
+ */
+function createGitServer() {
+    const server = {
+        head: 'commit-0',
+        blobs: 0,
+        commits: 0,
+        refUpdates: [],
+        rejectUpdates: 0
+    };
+
+    server.fetch = vi.fn(async (url, options) => {
+        const path = url.replace(REPO, '');
+        const body = options.body ? JSON.parse(options.body) : null;
+
+        if (path === '/git/blobs') {
+            server.blobs++;
+            return jsonResponse({ sha: `blob-${server.blobs}` }, 201);
+        }
+        if (path.startsWith('/git/ref/heads/')) {
+            return jsonResponse({ ref: 'refs/heads/master', object: { sha: server.head } });
+        }
+        if (path.startsWith('/git/commits/')) {
+            return jsonResponse({ sha: path.split('/').pop(), tree: { sha: `tree-of-${server.head}` }, message: '' });
+        }
+        if (path === '/git/trees') {
+            return jsonResponse({ sha: `tree-${body.base_tree}-${body.tree.length}` }, 201);
+        }
+        if (path === '/git/commits') {
+            server.commits++;
+            return jsonResponse({ sha: `commit-new-${server.commits}`, html_url: 'https://github.com/c' }, 201);
+        }
+        if (path.startsWith('/git/refs/heads/')) {
+            server.refUpdates.push(body);
+            if (server.rejectUpdates > 0) {
+                server.rejectUpdates--;
+                // Someone else pushed in the meantime
+                server.head = `commit-other-${server.rejectUpdates}`;
+                return jsonResponse({ message: 'Update is not a fast forward' }, 422);
+            }
+            server.head = body.sha;
+            return jsonResponse({ ref: 'refs/heads/master', object: { sha: body.sha } });
+        }
+        return jsonResponse({ message: 'Not Found' }, 404);
+    });
+
+    return server;
+}
+
+describe('GitHubAPIClient - Git Data API', () => {
+    let client;
+    let server;
+
+    beforeEach(() => {
+        client = new GitHubAPIClient({ getToken: () => 'ghp_test' });
+        server = createGitServer();
+        global.fetch = server.fetch;
+    });
+
+    it('should create base64 blobs for text and binary content', async () => {
+        await client.createBlob('<robot name="ü"/>');
+        await client.createBlob(new Uint8Array([0, 255, 1]));
+
+        const bodies = server.fetch.mock.calls.map(call => JSON.parse(call[1].body));
+        expect(bodies[0].encoding).toBe('base64');
+        expect(decodeURIComponent(escape(atob(bodies[0].content)))).toBe('<robot name="ü"/>');
+        expect(bodies[1].content).toBe(btoa(String.fromCharCode(0, 255, 1)));
+    });
+
+    it('should commit several files in one commit on top of the branch head', async () => {
+        const result = await client.commitFiles([
+            { path: 'jobs/job-1/robot.urdf', content: '<robot/>' },
+            { path: 'jobs/job-1/meshes/base.stl', content: new Uint8Array([1, 2, 3]) }
+        ], 'Upload robot', 'master');
+
+        expect(result.commitSha).toBe('commit-new-1');
+        expect(result.files).toEqual([
+            { path: 'jobs/job-1/robot.urdf', sha: 'blob-1' },
+            { path: 'jobs/job-1/meshes/base.stl', sha: 'blob-2' }
+        ]);
+
+        const treeCall = server.fetch.mock.calls.find(call => call[0].endsWith('/git/trees'));
+        const tree = JSON.parse(treeCall[1].body);
+        expect(tree.base_tree).toBe('tree-of-commit-0');
+        expect(tree.tree.map(entry => entry.path)).toEqual(['jobs/job-1/robot.urdf', 'jobs/job-1/meshes/base.stl']);
+
+        const commitCall = server.fetch.mock.calls.find(call => call[0].endsWith('/git/commits'));
+        expect(JSON.parse(commitCall[1].body).parents).toEqual(['commit-0']);
+        expect(server.refUpdates).toEqual([{ sha: 'commit-new-1', force: false }]);
+    });
+
+    it('should rebuild the commit on the new head after a non-fast-forward rejection', async () => {
+        server.rejectUpdates = 1;
+
+        const result = await client.commitFiles([{ path: 'a.txt', content: 'a' }], 'msg', 'master');
+
+        expect(result.commitSha).toBe('commit-new-2');
+        expect(server.blobs).toBe(1);
+        expect(server.refUpdates).toHaveLength(2);
+
+        const commitBodies = server.fetch.mock.calls
+            .filter(call => call[0].endsWith('/git/commits'))
+            .map(call => JSON.parse(call[1].body));
+        expect(commitBodies[1].parents).toEqual(['commit-other-0']);
+    });
+
+    it('should give up after the configured number of attempts', async () => {
+        server.rejectUpdates = CONFIG.COMMIT_MAX_RETRIES;
+
+        await expect(client.commitFiles([{ path: 'a.txt', content: 'a' }], 'msg', 'master'))
+            .rejects.toThrow(GitHubAPIError);
+        expect(server.refUpdates).toHaveLength(CONFIG.COMMIT_MAX_RETRIES);
+    });
+
+    it('should not retry other errors', async () => {
+        global.fetch = vi.fn(async (url) => (
+            url.endsWith('/git/blobs')
+                ? jsonResponse({ sha: 'blob-1' }, 201)
+                : jsonResponse({ message: 'Resource not accessible by integration' }, 403)
+        ));
+
+        await expect(client.commitFiles([{ path: 'a.txt', content: 'a' }], 'msg', 'master'))
+            .rejects.toMatchObject({ statusCode: 403 });
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+});
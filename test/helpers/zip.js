@@ -0,0 +1,80 @@
+/**
+ * ZIP Test Helpers
+ *
+ * Builds small ZIP archives in memory for tests that read artifacts and
+ * robot packages.
+ */
+
+import { deflateRawSync } from 'node:zlib';
+import { ZipReader } from '../../docs/js/modules/zip-reader.module.js';
+
+/**
+ * Build a ZIP archive
+ * @param {Object<string, string|Uint8Array>} files - Contents by path; paths ending in "/" are directories
+ * @param {Object} [options]
+ * @param {boolean} [options.deflate=true] - Deflate file contents instead of storing them
+ * @returns {Uint8Array} Archive bytes
+ */
+export function createZip(files, { deflate = true } = {}) {
+  const encoder = new TextEncoder();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(files)) {
+    const nameBytes = encoder.encode(name);
+    const data = typeof content === 'string' ? encoder.encode(content) : content;
+    const method = deflate && data.length > 0 ? 8 : 0;
+    const stored = method === 8 ? new Uint8Array(deflateRawSync(data)) : data;
+    const crc = ZipReader.crc32(data);
+
+    const local = new Uint8Array(30 + nameBytes.length + stored.length);
+    const localView = new DataView(local.buffer);
+    localView.setUint32(0, 0x04034b50, true);
+    localView.setUint16(4, 20, true);
+    localView.setUint16(6, 0x0800, true);
+    localView.setUint16(8, method, true);
+    localView.setUint32(14, crc, true);
+    localView.setUint32(18, stored.length, true);
+    localView.setUint32(22, data.length, true);
+    localView.setUint16(26, nameBytes.length, true);
+    local.set(nameBytes, 30);
+    local.set(stored, 30 + nameBytes.length);
+
+    const central = new Uint8Array(46 + nameBytes.length);
+    const centralView = new DataView(central.buffer);
+    centralView.setUint32(0, 0x02014b50, true);
+    centralView.setUint16(4, 20, true);
+    centralView.setUint16(6, 20, true);
+    centralView.setUint16(8, 0x0800, true);
+    centralView.setUint16(10, method, true);
+    centralView.setUint32(16, crc, true);
+    centralView.setUint32(20, stored.length, true);
+    centralView.setUint32(24, data.length, true);
+    centralView.setUint16(28, nameBytes.length, true);
+    centralView.setUint32(42, offset, true);
+    central.set(nameBytes, 46);
+
+    locals.push(local);
+    centrals.push(central);
+    offset += local.length;
+  }
+
+  const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+  const end = new Uint8Array(22);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, 0x06054b50, true);
+  endView.setUint16(8, centrals.length, true);
+  endView.setUint16(10, centrals.length, true);
+  endView.setUint32(12, centralSize, true);
+  endView.setUint32(16, offset, true);
+
+  const parts = [...locals, ...centrals, end];
+  const zip = new Uint8Array(offset + centralSize + end.length);
+  let pos = 0;
+  for (const part of parts) {
+    zip.set(part, pos);
+    pos += part.length;
+  }
+  return zip;
+}
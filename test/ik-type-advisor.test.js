@@ -0,0 +1,162 @@
+/**
+ * Unit Tests for the IK type advisor
+ * Tests counting the actuated joints between the chosen links, blocking IK
+ * types the chain cannot solve and ranking the dropdown by fit
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ParameterConfigComponent } from '../docs/js/modules/parameter-config.module.js';
+import { URDFModel } from '../docs/js/modules/urdf-model.module.js';
+import { CONFIG } from '../docs/js/config.js';
+
+/**
+ * Build a serial chain URDF
+ * @param {Array<string>} types - Joint types from the base outwards
+ * @param {string} [extra] - Additional joints and links
+ * @returns {string}
+ */
+function serialChain(types, extra = '') {
+    const links = ['<link name="base_link"/>'];
+    const joints = [];
+    types.forEach((type, i) => {
+        const parent = i === 0 ? 'base_link' : `link${i}`;
+        links.push(`<link name="link${i + 1}"/>`);
+        joints.push(`<joint name="joint${i + 1}" type="${type}">
+            <parent link="${parent}"/><child link="link${i + 1}"/>
+            <axis xyz="0 0 1"/><limit lower="-1" upper="1" effort="1" velocity="1"/>
+        </joint>`);
+    });
+    return `<robot name="robot">${links.join('')}${joints.join('')}${extra}</robot>`;
+}
+
+function createComponent(urdf) {
+    const elements = {
+        baseLinkInput: document.createElement('input'),
+        eeLinkInput: document.createElement('input'),
+        ikTypeSelect: document.createElement('select'),
+        ikTypeHelp: document.createElement('span'),
+        ikTypeAdvice: document.createElement('p')
+    };
+
+    const component = new ParameterConfigComponent();
+    component.initializeUI(elements);
+    const model = URDFModel.parse(urdf);
+    component.setKinematics(model, model.getLinkRecords());
+
+    return { component, elements };
+}
+
+describe('ParameterConfigComponent - IK type advisor', () => {
+    let scara;
+
+    beforeEach(() => {
+        // base_link=0, link1..link4=1..4, tool0=5
+        scara = createComponent(serialChain(['revolute', 'revolute', 'prismatic', 'revolute'], `
+            <link name="tool0"/>
+            <joint name="tool_joint" type="fixed"><parent link="link4"/><child link="tool0"/></joint>`));
+    });
+
+    it('should count the actuated joints between the chosen links', () => {
+        expect(scara.component.analyzeChain({ baseLink: 0, eeLink: 5 })).toEqual({
+            valid: true,
+            base: 'base_link',
+            ee: 'tool0',
+            joints: ['joint1', 'joint2', 'joint3', 'joint4'],
+            dof: 4
+        });
+        expect(scara.component.analyzeChain({ baseLink: 2, eeLink: 4 }).dof).toBe(2);
+        expect(scara.component.analyzeChain({ baseLink: 5, eeLink: 0 })).toEqual({
+            valid: false,
+            error: 'base_link is not below tool0 in the kinematic tree'
+        });
+        expect(scara.component.analyzeChain({ baseLink: 0, eeLink: 9 }).error).toBe('No link with index 9');
+    });
+
+    it('should not count mimic joints', () => {
+        const { component } = createComponent(serialChain(['revolute', 'revolute', 'revolute'], `
+            <link name="finger"/>
+            <joint name="finger_joint" type="prismatic">
+                <parent link="link3"/><child link="finger"/><mimic joint="joint3"/>
+            </joint>`));
+
+        expect(component.analyzeChain({ baseLink: 0, eeLink: 4 }).joints).toEqual(['joint1', 'joint2', 'joint3']);
+    });
+
+    it('should block IK types that need more joints than the chain has', () => {
+        const validation = scara.component.validateParameters({ baseLink: 0, eeLink: 5, ikType: 'transform6d' });
+
+        expect(validation.valid).toBe(false);
+        expect(validation.errors.ikType).toBe(
+            '6D Transform (Default) needs 6 actuated joints, but the chain from base_link to tool0 has 4'
+        );
+        expect(scara.component.validateParameters({ baseLink: 0, eeLink: 5, ikType: 'ray4d' }).valid).toBe(true);
+        expect(scara.component.validateParameters({ baseLink: 5, eeLink: 0, ikType: 'ray4d' }).errors.general)
+            .toContain('is not below');
+    });
+
+    it('should render the catalog grouped by category with the solver call', () => {
+        const { component, elements } = scara;
+        const groups = Array.from(elements.ikTypeSelect.querySelectorAll('optgroup'));
+
+        expect(groups.map(group => group.label)).toEqual(CONFIG.IKTYPE_CATEGORIES.map(category => category.label));
+        expect(elements.ikTypeSelect.querySelectorAll('option')).toHaveLength(16);
+        expect(Array.from(groups[3].querySelectorAll('option')).map(o => o.value)).toEqual([
+            'translationxaxisangle4d', 'translationyaxisangle4d', 'translationzaxisangle4d',
+            'translationxaxisangleznorm4d', 'translationyaxisanglexnorm4d', 'translationzaxisangleynorm4d'
+        ]);
+
+        component.setParameters({ ikType: 'rotation3d' });
+
+        expect(elements.ikTypeSelect.value).toBe('rotation3d');
+        expect(elements.ikTypeHelp.textContent).toBe(
+            'Orientation only, no position; solves 3 joint(s). ' +
+            'ComputeIk(eetrans = unused, eerot = 3x3 rotation matrix, pfree, solutions)'
+        );
+    });
+
+    it('should offer exactly the IkParameterizationType names of ikfast.py', () => {
+        const dofs = Object.fromEntries(CONFIG.IK_TYPES.map(type => [type.value, type.dof]));
+
+        expect(dofs).toEqual({
+            transform6d: 6, rotation3d: 3, translation3d: 3, direction3d: 2, ray4d: 4, lookat3d: 2,
+            translationdirection5d: 5, translationxy2d: 2, translationxyorientation3d: 3,
+            translationlocalglobal6d: 3,
+            translationxaxisangle4d: 4, translationyaxisangle4d: 4, translationzaxisangle4d: 4,
+            translationxaxisangleznorm4d: 4, translationyaxisanglexnorm4d: 4, translationzaxisangleynorm4d: 4
+        });
+        expect(scara.component.validateIkType('translationxy2d').valid).toBe(true);
+        expect(scara.component.validateIkType('translationxy5d').valid).toBe(false);
+    });
+
+    it('should rank each category by fit and explain the chain', () => {
+        const { component, elements } = scara;
+
+        component.setParameters({ baseLink: 0, eeLink: 5, ikType: 'transform6d' });
+
+        const groups = Array.from(elements.ikTypeSelect.querySelectorAll('optgroup'));
+        const values = group => Array.from(group.querySelectorAll('option')).map(o => o.value);
+        expect(values(groups[0])).toEqual(['rotation3d', 'translationxyorientation3d', 'transform6d']);
+        expect(values(groups[2])).toEqual(['ray4d', 'direction3d', 'lookat3d', 'translationdirection5d']);
+
+        const option = value => elements.ikTypeSelect.querySelector(`option[value="${value}"]`);
+        expect(option('ray4d').textContent).toBe('4D Ray (exact fit)');
+        expect(option('translation3d').textContent).toBe('3D Translation (1 free joint(s))');
+        expect(option('transform6d').disabled).toBe(true);
+        expect(option('transform6d').textContent).toBe('6D Transform (Default) (needs 6 joints)');
+        expect(elements.ikTypeSelect.value).toBe('transform6d');
+        expect(elements.ikTypeAdvice.className).toBe('ik-type-advice error');
+        expect(elements.ikTypeAdvice.textContent).toContain('base_link → tool0: 4 actuated joint(s), best fit 4D Ray');
+    });
+
+    it('should leave the IK types alone without a model', () => {
+        const { component, elements } = scara;
+
+        component.setKinematics(null, []);
+        component.setParameters({ baseLink: 0, eeLink: 5, ikType: 'transform6d' });
+
+        expect(Array.from(elements.ikTypeSelect.querySelectorAll('option')).map(o => o.textContent))
+            .toEqual(CONFIG.IK_TYPES.map(type => type.label));
+        expect(elements.ikTypeAdvice.style.display).toBe('none');
+        expect(component.validateParameters().valid).toBe(true);
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * Unit Tests for JobSession
+ * Tests per-session job IDs and the job-scoped paths passed to the workflow
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { JobSession } from '../docs/js/modules/job-session.module.js';
+import { WorkflowTriggerComponent } from '../docs/js/modules/workflow-trigger.module.js';
+
+describe('JobSession', () => {
+    it('should generate valid, distinct job IDs', () => {
+        const ids = new Set(Array.from({ length: 20 }, () => JobSession.generateId()));
+
+        expect(ids.size).toBe(20);
+        ids.forEach(id => expect(JobSession.isValidId(id)).toBe(true));
+    });
+
+    it('should reject IDs that could escape the jobs directory', () => {
+        expect(JobSession.isValidId('../current')).toBe(false);
+        expect(JobSession.isValidId('a/b')).toBe(false);
+        expect(JobSession.isValidId('')).toBe(false);
+        expect(JobSession.isValidId(null)).toBe(false);
+    });
+
+    it('should keep the job ID of a tab across reloads', () => {
+        const first = new JobSession();
+        const second = new JobSession();
+
+        expect(second.getJobId()).toBe(first.getJobId());
+        expect(second.newJob()).not.toBe(first.getJobId());
+    });
+
+    it('should derive job-scoped paths and artifact names', () => {
+        expect(JobSession.getURDFPath('job-1')).toBe('jobs/job-1/robot.urdf');
+        expect(JobSession.getArtifactName('job-1')).toBe('ikfast-result-job-1');
+    });
+});
+
+describe('WorkflowTriggerComponent - job isolation', () => {
+    function createComponent() {
+        const api = {
+            dispatchWorkflowRun: vi.fn().mockResolvedValue({ id: 7 }),
+            getWorkflowRun: vi.fn()
+        };
+        const component = new WorkflowTriggerComponent(api);
+        return { api, component };
+    }
+
+    it('should pass the job ID as a workflow input', async () => {
+        const { api, component } = createComponent();
+        component.setJobId('job-1');
+
+        await component.triggerWorkflow({ mode: 'info' });
+
+        expect(api.dispatchWorkflowRun.mock.calls[0][1]).toEqual({ mode: 'info', job_id: 'job-1' });
+    });
+
+    it('should refuse to trigger without a job', async () => {
+        const { api, component } = createComponent();
+
+        const result = await component.triggerWorkflow({ mode: 'info' });
+
+        expect(result.success).toBe(false);
+        expect(api.dispatchWorkflowRun).not.toHaveBeenCalled();
+    });
+
+    it('should only be blocked by its own run', async () => {
+        const { api, component } = createComponent();
+
+        expect(await component.checkActiveWorkflow()).toBe(false);
+        expect(api.getWorkflowRun).not.toHaveBeenCalled();
+
+        component.currentRunId = 7;
+        api.getWorkflowRun.mockResolvedValue({ id: 7, status: 'in_progress' });
+        expect(await component.checkActiveWorkflow()).toBe(true);
+    });
+});
@@ -0,0 +1,103 @@
+/**
+ * Unit Tests for log streaming
+ * Tests appending only the new lines of per-job logs, byte offsets across
+ * polls and keeping the reader's scroll position
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { LogViewerComponent } from '../docs/js/modules/log-viewer.module.js';
+import { GitHubAPIClient } from '../docs/js/modules/github-api.module.js';
+
+const encoder = new TextEncoder();
+
+describe('LogViewerComponent - streaming', () => {
+    let api;
+    let viewer;
+    let logViewer;
+    let jobLogs;
+
+    beforeEach(() => {
+        jobLogs = {};
+        api = {
+            listWorkflowJobs: vi.fn().mockResolvedValue([{ id: 1, name: 'ikfast', status: 'in_progress' }]),
+            getJobLogs: vi.fn(async (jobId) => encoder.encode(jobLogs[jobId] || ''))
+        };
+        logViewer = document.createElement('pre');
+        viewer = new LogViewerComponent(api);
+        viewer.initializeUI({ logViewer });
+    });
+
+    it('should append only complete new lines of a running job', async () => {
+        jobLogs[1] = 'STEP 1: Convert\npartial';
+        await viewer.streamLogs(42);
+        expect(viewer.getContent()).toBe('STEP 1: Convert\n');
+
+        jobLogs[1] = 'STEP 1: Convert\npartial line\nERROR: failed\n';
+        const appended = await viewer.streamLogs(42);
+
+        expect(appended).toBe(encoder.encode('partial line\nERROR: failed\n').length);
+        expect(viewer.getContent()).toBe('STEP 1: Convert\npartial line\nERROR: failed\n');
+        expect(logViewer.querySelectorAll('.log-step')).toHaveLength(1);
+        expect(logViewer.querySelectorAll('.log-error')).toHaveLength(1);
+    });
+
+    it('should keep offsets in bytes for multi-byte characters', async () => {
+        jobLogs[1] = '生成中\n';
+        await viewer.streamLogs(42);
+        jobLogs[1] = '生成中\n完成\n';
+        await viewer.streamLogs(42);
+
+        expect(viewer.getContent()).toBe('生成中\n完成\n');
+    });
+
+    it('should add the tail of finished jobs and a header per job', async () => {
+        api.listWorkflowJobs.mockResolvedValue([
+            { id: 1, name: 'ikfast', status: 'completed' },
+            { id: 2, name: 'report', status: 'queued' }
+        ]);
+        jobLogs[1] = 'done';
+
+        await viewer.streamLogs(42);
+
+        expect(api.getJobLogs).toHaveBeenCalledTimes(1);
+        expect(viewer.getContent()).toBe('=== Job: ikfast ===\ndone\n');
+    });
+
+    it('should start over for another run', async () => {
+        jobLogs[1] = 'first run\n';
+        await viewer.streamLogs(42);
+        await viewer.streamLogs(43);
+
+        expect(viewer.getContent()).toBe('first run\n');
+        expect(api.listWorkflowJobs).toHaveBeenLastCalledWith(43, { signal: undefined });
+    });
+
+    it('should keep the scroll position when auto-scroll is off', async () => {
+        viewer.setAutoScroll(false);
+        jobLogs[1] = 'line 1\n';
+        await viewer.streamLogs(42);
+        logViewer.scrollTop = 5;
+
+        viewer.appendLog('no newline');
+        viewer.appendLog(' yet\n');
+
+        expect(logViewer.scrollTop).toBe(5);
+        expect(viewer.getContent()).toBe('line 1\nno newline yet\n');
+    });
+});
+
+describe('GitHubAPIClient.getJobLogs', () => {
+    it('should download the plain-text log of a job', async () => {
+        const client = new GitHubAPIClient({ getToken: () => 'ghp_test' });
+        global.fetch = vi.fn(async () => ({
+            ok: true,
+            status: 200,
+            arrayBuffer: async () => encoder.encode('hello\n').buffer
+        }));
+
+        const bytes = await client.getJobLogs(7);
+
+        expect(global.fetch.mock.calls[0][0]).toMatch(/\/actions\/jobs\/7\/logs$/);
+        expect(new TextDecoder().decode(bytes)).toBe('hello\n');
+    });
+});
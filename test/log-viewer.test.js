@@ -277,7 +277,7 @@ describe('LogViewerComponent - Unit Tests', () => {
             const logs = await component.fetchLogs(12345);
             
             expect(logs).toBe(mockLogs);
-            expect(mockGitHubAPI.getWorkflowLogs).toHaveBeenCalledWith(12345);
+            expect(mockGitHubAPI.getWorkflowLogs).toHaveBeenCalledWith(12345, { signal: undefined });
         });
         
         it('should fallback to artifact if workflow logs not available', async () => {
@@ -290,8 +290,8 @@ describe('LogViewerComponent - Unit Tests', () => {
             const logs = await component.fetchLogs(12345);
             
             expect(logs).toBe('Artifact log content');
-            expect(mockGitHubAPI.listArtifacts).toHaveBeenCalledWith(12345);
-            expect(mockGitHubAPI.downloadArtifact).toHaveBeenCalledWith(1);
+            expect(mockGitHubAPI.listArtifacts).toHaveBeenCalledWith(12345, { signal: undefined });
+            expect(mockGitHubAPI.downloadArtifact).toHaveBeenCalledWith(1, { signal: undefined });
         });
         
         it('should throw error if no logs available', async () => {
@@ -0,0 +1,124 @@
+/**
+ * Unit Tests for paginated listings
+ * Tests Link header parsing, the run and artifact iterators and the helpers
+ * built on them
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { GitHubAPIClient } from '../docs/js/modules/github-api.module.js';
+
+const API = 'https://api.github.com';
+
+/**
+ * Fake list endpoint serving `items` in pages linked by Link headers
+ */
+function mockPages(key, items, pageSize) {
+    global.fetch = vi.fn(async (url) => {
+        const parsed = new URL(url);
+        const page = Number(parsed.searchParams.get('page') || 1);
+        const status = parsed.searchParams.get('status');
+        const matching = status ? items.filter(item => item.status === status) : items;
+        const pages = Math.max(1, Math.ceil(matching.length / pageSize));
+        const headers = new Headers();
+
+        if (page < pages) {
+            parsed.searchParams.set('page', String(page + 1));
+            headers.set('Link', `<${parsed}>; rel="next", <${API}/last>; rel="last"`);
+        }
+
+        return {
+            ok: true,
+            status: 200,
+            headers,
+            json: async () => ({ [key]: matching.slice((page - 1) * pageSize, page * pageSize) })
+        };
+    });
+}
+
+const runs = (count, status = 'completed') =>
+    Array.from({ length: count }, (_, i) => ({ id: i + 1, status, display_title: `IKFast run [${i + 1}]` }));
+
+describe('GitHubAPIClient.parseLinkHeader', () => {
+    it('should map every relation to its URL', () => {
+        const links = GitHubAPIClient.parseLinkHeader(
+            `<${API}/x?page=2>; rel="next", <${API}/x?page=5>; rel="last"`
+        );
+
+        expect(links).toEqual({ next: `${API}/x?page=2`, last: `${API}/x?page=5` });
+    });
+
+    it('should return no relations without a header', () => {
+        expect(GitHubAPIClient.parseLinkHeader(null)).toEqual({});
+    });
+});
+
+describe('GitHubAPIClient - pagination', () => {
+    let client;
+
+    beforeEach(() => {
+        client = new GitHubAPIClient({ getToken: () => 'ghp_test' });
+    });
+
+    it('should follow next links through every page of runs', async () => {
+        mockPages('workflow_runs', runs(7), 3);
+
+        const ids = [];
+        for await (const run of client.iterateWorkflowRuns({ actor: 'someone', perPage: 3 })) {
+            ids.push(run.id);
+        }
+
+        expect(ids).toEqual([1, 2, 3, 4, 5, 6, 7]);
+        expect(global.fetch).toHaveBeenCalledTimes(3);
+        expect(global.fetch.mock.calls[0][0]).toContain('actor=someone');
+    });
+
+    it('should stop requesting pages when the loop breaks early', async () => {
+        mockPages('workflow_runs', runs(10), 2);
+
+        for await (const run of client.iterateWorkflowRuns({ perPage: 2 })) {
+            if (run.id === 3) {
+                break;
+            }
+        }
+
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should collect runs up to the limit in listWorkflowRuns', async () => {
+        mockPages('workflow_runs', runs(250), 100);
+
+        const listed = await client.listWorkflowRuns('ikfast.yml', 150);
+
+        expect(listed).toHaveLength(150);
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should find a queued run however many runs are newer', async () => {
+        mockPages('workflow_runs', [...runs(30), { id: 99, status: 'queued' }], 5);
+
+        const { value } = await client.iterateWorkflowRuns({ workflowId: 'ikfast.yml', status: 'queued', perPage: 1 }).next();
+
+        expect(value.id).toBe(99);
+        expect(global.fetch.mock.calls[0][0]).toContain('status=queued');
+    });
+
+    it('should list artifacts from every page', async () => {
+        const artifacts = Array.from({ length: 5 }, (_, i) => ({ id: i + 1, name: `a${i}` }));
+        mockPages('artifacts', artifacts, 2);
+
+        const listed = await client.listArtifacts(42);
+
+        expect(listed.map(artifact => artifact.id)).toEqual([1, 2, 3, 4, 5]);
+        expect(global.fetch.mock.calls[0][0]).toContain('/actions/runs/42/artifacts');
+    });
+
+    it('should iterate repository artifacts by name', async () => {
+        mockPages('artifacts', [{ id: 1, name: 'ikfast-result' }], 10);
+
+        for await (const artifact of client.iterateArtifacts({ name: 'ikfast-result' })) {
+            expect(artifact.name).toBe('ikfast-result');
+        }
+
+        expect(global.fetch.mock.calls[0][0]).toMatch(/\/actions\/artifacts\?per_page=100&name=ikfast-result$/);
+    });
+});
@@ -0,0 +1,170 @@
+/**
+ * Unit Tests for RateLimitScheduler
+ * Tests budget tracking from X-RateLimit-* headers, request priorities and
+ * budget events
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { RateLimitScheduler, RequestPriority } from '../docs/js/modules/rate-limit.module.js';
+import { GitHubAPIClient } from '../docs/js/modules/github-api.module.js';
+import { CONFIG } from '../docs/js/config.js';
+
+const NOW = Date.UTC(2024, 0, 1, 12, 0, 0);
+const RESET_IN = 10 * 60 * 1000;
+
+function rateLimitHeaders(remaining, limit = 5000) {
+    return new Headers({
+        'X-RateLimit-Limit': String(limit),
+        'X-RateLimit-Remaining': String(remaining),
+        'X-RateLimit-Used': String(limit - remaining),
+        'X-RateLimit-Reset': String((NOW + RESET_IN) / 1000)
+    });
+}
+
+describe('RateLimitScheduler', () => {
+    let scheduler;
+    let events;
+    const eventTypes = ['rateLimitUpdated', 'rateLimitLow', 'rateLimitExhausted', 'rateLimitReset'];
+    const record = (event) => events.push(event.type);
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.setSystemTime(NOW);
+        scheduler = new RateLimitScheduler();
+        events = [];
+        eventTypes.forEach(type => window.addEventListener(type, record));
+    });
+
+    afterEach(() => {
+        eventTypes.forEach(type => window.removeEventListener(type, record));
+        vi.useRealTimers();
+    });
+
+    it('should track the budget from response headers', () => {
+        scheduler.update(rateLimitHeaders(4200));
+
+        expect(scheduler.getStatus()).toMatchObject({
+            limit: 5000,
+            remaining: 4200,
+            used: 800,
+            resetAt: NOW + RESET_IN,
+            isLow: false
+        });
+        expect(events).toEqual(['rateLimitUpdated']);
+    });
+
+    it('should ignore responses without rate limit headers', () => {
+        scheduler.update(new Headers());
+        scheduler.update(undefined);
+
+        expect(scheduler.getStatus().remaining).toBeNull();
+        expect(events).toEqual([]);
+    });
+
+    it('should send everything immediately while the budget is healthy', async () => {
+        scheduler.update(rateLimitHeaders(4000));
+
+        await scheduler.acquire(RequestPriority.LOW);
+        await scheduler.acquire(RequestPriority.LOW);
+
+        expect(scheduler.getStatus().queued).toBe(0);
+    });
+
+    it('should emit a low-budget event once and space out low-priority requests', async () => {
+        scheduler.update(rateLimitHeaders(CONFIG.RATE_LIMIT.LOW_THRESHOLD));
+        scheduler.update(rateLimitHeaders(CONFIG.RATE_LIMIT.LOW_THRESHOLD - 1));
+        expect(events.filter(type => type === 'rateLimitLow')).toHaveLength(1);
+
+        await scheduler.acquire(RequestPriority.LOW);
+        const released = vi.fn();
+        scheduler.acquire(RequestPriority.LOW).then(released);
+
+        await vi.advanceTimersByTimeAsync(CONFIG.RATE_LIMIT.LOW_PRIORITY_INTERVAL - 1);
+        expect(released).not.toHaveBeenCalled();
+
+        // High-priority requests are not slowed down
+        await scheduler.acquire(RequestPriority.HIGH);
+
+        await vi.advanceTimersByTimeAsync(1);
+        expect(released).toHaveBeenCalled();
+    });
+
+    it('should hold low-priority requests for the reset once the reserve is reached', async () => {
+        scheduler.update(rateLimitHeaders(CONFIG.RATE_LIMIT.RESERVE));
+        const released = vi.fn();
+        scheduler.acquire(RequestPriority.LOW).then(released);
+
+        await vi.advanceTimersByTimeAsync(RESET_IN - 1);
+        expect(released).not.toHaveBeenCalled();
+
+        await vi.advanceTimersByTimeAsync(1);
+        expect(released).toHaveBeenCalled();
+    });
+
+    it('should hold all requests at zero and release high priority first after the reset', async () => {
+        scheduler.update(rateLimitHeaders(0));
+        expect(events).toContain('rateLimitExhausted');
+        expect(scheduler.isExhausted()).toBe(true);
+
+        const order = [];
+        scheduler.acquire(RequestPriority.LOW).then(() => order.push('low'));
+        scheduler.acquire(RequestPriority.HIGH).then(() => order.push('high'));
+
+        await vi.advanceTimersByTimeAsync(RESET_IN - 1);
+        expect(order).toEqual([]);
+
+        await vi.advanceTimersByTimeAsync(1);
+        expect(order).toEqual(['high', 'low']);
+        expect(events).toContain('rateLimitReset');
+        expect(scheduler.isExhausted()).toBe(false);
+    });
+
+    it('should announce the reset even when nothing is waiting', async () => {
+        scheduler.update(rateLimitHeaders(0));
+
+        await vi.advanceTimersByTimeAsync(RESET_IN);
+
+        expect(events).toContain('rateLimitReset');
+    });
+});
+
+describe('GitHubAPIClient - rate limit', () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.setSystemTime(NOW);
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('should feed response headers to the scheduler and hold requests at zero', async () => {
+        const client = new GitHubAPIClient({ getToken: () => 'ghp_test' });
+        global.fetch = vi.fn(async () => ({
+            ok: true,
+            status: 200,
+            headers: rateLimitHeaders(0),
+            json: async () => ({ id: 1, status: 'in_progress' })
+        }));
+
+        await client.getWorkflowRun(1);
+        expect(client.rateLimit.getStatus().isExhausted).toBe(true);
+
+        const pending = client.getWorkflowRun(1);
+        await vi.advanceTimersByTimeAsync(RESET_IN - 1);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+
+        await vi.advanceTimersByTimeAsync(1);
+        await pending;
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not pass the priority option on to fetch', async () => {
+        const client = new GitHubAPIClient({ getToken: () => 'ghp_test' });
+        global.fetch = vi.fn(async () => ({ ok: true, status: 200, blob: async () => new Blob() }));
+
+        await client.getWorkflowLogs(1);
+
+        expect(global.fetch.mock.calls[0][1]).not.toHaveProperty('priority');
+    });
+});
@@ -0,0 +1,134 @@
+/**
+ * Unit Tests for target repository profiles
+ * Tests saved profiles, the client following the active profile and the
+ * repository readiness checks
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { RepoProfileManager } from '../docs/js/modules/repo-profile.module.js';
+import { GitHubAPIClient } from '../docs/js/modules/github-api.module.js';
+import { CONFIG } from '../docs/js/config.js';
+
+const FORK = { owner: 'someone', repo: 'ikfast-fork', branch: 'dev' };
+const FORK_API = 'https://api.github.com/repos/someone/ikfast-fork';
+
+describe('RepoProfileManager', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it('should start with the default profile from CONFIG', () => {
+        const profiles = new RepoProfileManager();
+
+        expect(profiles.getActiveProfile()).toEqual({
+            name: 'default',
+            owner: CONFIG.REPO_OWNER,
+            repo: CONFIG.REPO_NAME,
+            branch: CONFIG.REPO_BRANCH
+        });
+    });
+
+    it('should persist saved profiles and the active one across reloads', () => {
+        const profiles = new RepoProfileManager();
+        profiles.saveProfile('fork', FORK);
+        profiles.setActiveProfile('fork');
+
+        const reloaded = new RepoProfileManager();
+
+        expect(reloaded.getProfiles().map(profile => profile.name)).toEqual(['default', 'fork']);
+        expect(reloaded.getActiveProfile()).toEqual({ name: 'fork', ...FORK });
+    });
+
+    it('should announce the active repository', () => {
+        const profiles = new RepoProfileManager();
+        profiles.saveProfile('fork', FORK);
+        const listener = vi.fn();
+        window.addEventListener('repoProfileChanged', listener);
+
+        profiles.setActiveProfile('fork');
+        profiles.deleteProfile('fork');
+        window.removeEventListener('repoProfileChanged', listener);
+
+        expect(listener).toHaveBeenCalledTimes(2);
+        expect(listener.mock.calls[1][0].detail.profile.name).toBe('default');
+    });
+
+    it('should reject invalid coordinates and the reserved name', () => {
+        const profiles = new RepoProfileManager();
+
+        expect(() => profiles.saveProfile('default', FORK)).toThrow('reserved');
+        expect(() => profiles.saveProfile('bad', { ...FORK, owner: 'has space' })).toThrow('Owner');
+        expect(() => profiles.saveProfile('bad', { ...FORK, branch: 'a..b' })).toThrow('Branch');
+        expect(profiles.getProfiles()).toHaveLength(1);
+    });
+});
+
+describe('GitHubAPIClient - target repository', () => {
+    let profiles;
+    let client;
+
+    beforeEach(() => {
+        localStorage.clear();
+        profiles = new RepoProfileManager();
+        client = new GitHubAPIClient({ getToken: () => 'ghp_test' }, profiles);
+    });
+
+    it('should send requests to the active profile', async () => {
+        profiles.saveProfile('fork', FORK);
+        profiles.setActiveProfile('fork');
+        global.fetch = vi.fn(async () => ({ ok: true, status: 200, json: async () => ({ content: { sha: 'c' } }) }));
+
+        await client.uploadFile('jobs/job-1/robot.urdf', '<robot/>');
+
+        expect(global.fetch.mock.calls[0][0]).toBe(`${FORK_API}/contents/jobs/job-1/robot.urdf`);
+        expect(JSON.parse(global.fetch.mock.calls[0][1].body).branch).toBe('dev');
+    });
+
+    it('should fall back to CONFIG without a profile manager', () => {
+        const plain = new GitHubAPIClient({ getToken: () => 'ghp_test' });
+
+        expect(plain.getRepo()).toEqual({
+            owner: CONFIG.REPO_OWNER,
+            repo: CONFIG.REPO_NAME,
+            branch: CONFIG.REPO_BRANCH
+        });
+    });
+
+    it('should pass every check for a ready fork', async () => {
+        global.fetch = vi.fn(async (url) => ({
+            ok: true,
+            status: 200,
+            json: async () => (url.includes('/actions/workflows/') ? { state: 'active' } : {})
+        }));
+
+        const result = await client.checkRepository(FORK);
+
+        expect(result.ok).toBe(true);
+        expect(result.checks.map(check => check.id)).toEqual(['repo', 'workflow', 'actions']);
+        expect(global.fetch.mock.calls[1][0])
+            .toBe(`${FORK_API}/contents/.github/workflows/${CONFIG.WORKFLOW_FILE}?ref=dev`);
+    });
+
+    it('should fail the Actions check while fork workflows are disabled', async () => {
+        global.fetch = vi.fn(async (url) => ({
+            ok: true,
+            status: 200,
+            json: async () => (url.includes('/actions/workflows/') ? { state: 'disabled_fork' } : {})
+        }));
+
+        const result = await client.checkRepository(FORK);
+
+        expect(result.ok).toBe(false);
+        expect(result.checks[2]).toMatchObject({ id: 'actions', passed: false });
+        expect(result.checks[2].message).toContain('disabled_fork');
+    });
+
+    it('should skip the remaining checks when the repository is missing', async () => {
+        global.fetch = vi.fn(async () => ({ ok: false, status: 404, json: async () => ({ message: 'Not Found' }) }));
+
+        const result = await client.checkRepository(FORK);
+
+        expect(result.checks.map(check => check.passed)).toEqual([false, false, false]);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+});
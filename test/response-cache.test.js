@@ -0,0 +1,129 @@
+/**
+ * Unit Tests for conditional requests
+ * Tests the ETag/Last-Modified cache and its use by the polled
+ * GitHubAPIClient endpoints
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ResponseCache } from '../docs/js/modules/response-cache.module.js';
+import { GitHubAPIClient } from '../docs/js/modules/github-api.module.js';
+
+describe('ResponseCache', () => {
+    it('should only cache responses that carry a validator', () => {
+        const cache = new ResponseCache();
+
+        cache.store('/a', new Headers({ ETag: '"v1"' }), { n: 1 });
+        cache.store('/b', new Headers(), { n: 2 });
+
+        expect(cache.getConditionalHeaders('/a')).toEqual({ 'If-None-Match': '"v1"' });
+        expect(cache.getConditionalHeaders('/b')).toEqual({});
+        expect(cache.inspect().size).toBe(1);
+    });
+
+    it('should send If-Modified-Since for Last-Modified responses', () => {
+        const cache = new ResponseCache();
+
+        cache.store('/a', new Headers({ 'Last-Modified': 'Mon, 01 Jan 2024 00:00:00 GMT' }), {});
+
+        expect(cache.getConditionalHeaders('/a')).toEqual({
+            'If-Modified-Since': 'Mon, 01 Jan 2024 00:00:00 GMT'
+        });
+    });
+
+    it('should drop the least recently used entry when full', () => {
+        const cache = new ResponseCache(2);
+        const headers = new Headers({ ETag: '"x"' });
+
+        cache.store('/a', headers, 1);
+        cache.store('/b', headers, 2);
+        cache.get('/a');
+        cache.store('/c', headers, 3);
+
+        expect(cache.inspect().entries.map(entry => entry.url)).toEqual(['/a', '/c']);
+    });
+
+    it('should be inspectable, invalidatable and clearable', () => {
+        const cache = new ResponseCache();
+        const headers = new Headers({ ETag: '"x"' });
+        cache.store('/runs/1', headers, 1);
+        cache.store('/runs/2', headers, 2);
+        cache.store('/artifacts', headers, 3);
+        cache.revalidated('/runs/1');
+
+        expect(cache.inspect()).toMatchObject({ size: 3, hits: 1, misses: 3 });
+        expect(cache.inspect().entries[2]).toMatchObject({ url: '/runs/1', etag: '"x"', hits: 1 });
+
+        cache.invalidate('/runs/');
+        expect(cache.inspect().entries.map(entry => entry.url)).toEqual(['/artifacts']);
+
+        cache.clear();
+        expect(cache.inspect()).toEqual({ size: 0, hits: 0, misses: 0, entries: [] });
+    });
+});
+
+describe('GitHubAPIClient - conditional requests', () => {
+    let client;
+
+    beforeEach(() => {
+        client = new GitHubAPIClient({ getToken: () => 'ghp_test' });
+    });
+
+    function mockServer(body, etag = '"abc"') {
+        global.fetch = vi.fn(async (url, options) => {
+            if (options.headers['If-None-Match'] === etag) {
+                return { ok: false, status: 304, headers: new Headers({ ETag: etag }) };
+            }
+            return {
+                ok: true,
+                status: 200,
+                headers: new Headers({ ETag: etag }),
+                json: async () => body
+            };
+        });
+    }
+
+    it('should revalidate getWorkflowRun with If-None-Match and serve 304 from cache', async () => {
+        mockServer({ id: 5, status: 'in_progress', conclusion: null });
+
+        const first = await client.getWorkflowRun(5);
+        const second = await client.getWorkflowRun(5);
+
+        expect(second).toEqual(first);
+        expect(second.status).toBe('in_progress');
+        expect(global.fetch.mock.calls[0][1].headers).not.toHaveProperty('If-None-Match');
+        expect(global.fetch.mock.calls[1][1].headers['If-None-Match']).toBe('"abc"');
+        expect(client.responseCache.inspect().hits).toBe(1);
+    });
+
+    it('should cache listWorkflowRuns per URL, including the query string', async () => {
+        mockServer({ workflow_runs: [{ id: 1, status: 'queued' }] });
+
+        await client.listWorkflowRuns('ikfast.yml', 5);
+        await client.listWorkflowRuns('ikfast.yml', 5, { status: 'queued' });
+        await client.listWorkflowRuns('ikfast.yml', 5);
+
+        const urls = client.responseCache.inspect().entries.map(entry => entry.url);
+        expect(urls).toHaveLength(2);
+        expect(client.responseCache.inspect().hits).toBe(1);
+    });
+
+    it('should cache listArtifacts', async () => {
+        mockServer({ artifacts: [{ id: 9, name: 'ikfast-result' }] });
+
+        await client.listArtifacts(5);
+        const artifacts = await client.listArtifacts(5);
+
+        expect(artifacts[0].id).toBe(9);
+        expect(client.responseCache.inspect().hits).toBe(1);
+    });
+
+    it('should refetch in full after the cache is cleared', async () => {
+        mockServer({ id: 5, status: 'completed' });
+
+        await client.getWorkflowRun(5);
+        client.responseCache.clear();
+        await client.getWorkflowRun(5);
+
+        expect(global.fetch.mock.calls[1][1].headers).not.toHaveProperty('If-None-Match');
+    });
+});
@@ -0,0 +1,132 @@
+/**
+ * Unit Tests for RobotPackage
+ * Tests mesh reference resolution and path rewriting for multi-file uploads
+ */
+
+import { describe, it, expect } from 'vitest';
+import { RobotPackage } from '../docs/js/modules/robot-package.module.js';
+import { FileUploadComponent } from '../docs/js/modules/file-upload.module.js';
+
+const URDF = `<?xml version="1.0"?>
+<robot name="arm">
+  <link name="base_link">
+    <visual><geometry><mesh filename="package://my_robot/meshes/visual/base.stl"/></geometry></visual>
+    <collision><geometry><mesh filename="package://my_robot/meshes/visual/base.stl"/></geometry></collision>
+  </link>
+  <link name="link1">
+    <visual><geometry><mesh filename="../meshes/link1.dae" scale="0.001 0.001 0.001"/></geometry></visual>
+  </link>
+</robot>`;
+
+function entry(path) {
+    return { path, file: new File(['solid mesh'], path.split('/').pop()) };
+}
+
+describe('RobotPackage', () => {
+    it('should collect mesh references with positions', () => {
+        const references = RobotPackage.findReferences(URDF);
+
+        expect(references.map(r => r.uri)).toEqual([
+            'package://my_robot/meshes/visual/base.stl',
+            'package://my_robot/meshes/visual/base.stl',
+            '../meshes/link1.dae'
+        ]);
+        expect(references[0].line).toBe(4);
+    });
+
+    it('should resolve package:// URIs with or without the package directory', () => {
+        const withPackage = new RobotPackage([entry('src/my_robot/meshes/visual/base.stl')]);
+        const withoutPackage = new RobotPackage([entry('meshes/visual/base.stl')]);
+        const uri = 'package://my_robot/meshes/visual/base.stl';
+
+        expect(withPackage.resolveURI(uri).path).toBe('src/my_robot/meshes/visual/base.stl');
+        expect(withoutPackage.resolveURI(uri).path).toBe('meshes/visual/base.stl');
+    });
+
+    it('should not match a package:// URI on file name alone', () => {
+        const robotPackage = new RobotPackage([entry('meshes/collision/base.stl')]);
+
+        expect(robotPackage.resolveURI('package://my_robot/meshes/visual/base.stl')).toBeNull();
+    });
+
+    it('should resolve relative URIs against the URDF directory', () => {
+        const robotPackage = new RobotPackage([entry('my_robot/urdf/arm.urdf'), entry('my_robot/meshes/link1.dae')]);
+
+        expect(robotPackage.resolveURI('../meshes/link1.dae', 'my_robot/urdf/arm.urdf').path)
+            .toBe('my_robot/meshes/link1.dae');
+    });
+
+    it('should report each missing URI once', () => {
+        const { resolved, missing } = new RobotPackage([entry('my_robot/meshes/visual/base.stl')])
+            .resolve(URDF, 'my_robot/urdf/arm.urdf');
+
+        expect(resolved).toHaveLength(1);
+        expect(missing.map(r => r.uri)).toEqual(['../meshes/link1.dae']);
+        expect(missing[0].line).toBe(8);
+    });
+
+    it('should rewrite resolved URIs to paths inside the asset directory', () => {
+        const robotPackage = new RobotPackage([
+            entry('my_robot/meshes/visual/base.stl'),
+            entry('my_robot/meshes/link1.dae')
+        ]);
+        const { resolved } = robotPackage.resolve(URDF, 'my_robot/urdf/arm.urdf');
+
+        const { content, assets } = RobotPackage.rewrite(URDF, resolved, 'meshes');
+
+        expect(content).not.toContain('package://');
+        expect(content.match(/filename="meshes\/my_robot\/meshes\/visual\/base.stl"/g)).toHaveLength(2);
+        expect(content).toContain('filename="meshes/my_robot/meshes/link1.dae" scale="0.001 0.001 0.001"');
+        expect(assets.map(a => a.path)).toEqual([
+            'meshes/my_robot/meshes/visual/base.stl',
+            'meshes/my_robot/meshes/link1.dae'
+        ]);
+    });
+
+    it('should normalize paths', () => {
+        expect(RobotPackage.normalizePath('./a\\b/../c//d.stl')).toBe('a/c/d.stl');
+    });
+});
+
+describe('FileUploadComponent - robot packages', () => {
+    it('should pick the URDF from a folder selection and keep its path', async () => {
+        const component = new FileUploadComponent({});
+        const files = ['my_robot/meshes/base.stl', 'my_robot/urdf/arm.urdf', 'my_robot/package.xml'].map(path => {
+            const file = new File(['<robot/>'], path.split('/').pop());
+            Object.defineProperty(file, 'webkitRelativePath', { value: path });
+            return file;
+        });
+        component.elements = {};
+
+        await component.handleFileSelect({ target: { files } });
+
+        expect(component.getSelectedFile().name).toBe('arm.urdf');
+        expect(component.mainPath).toBe('my_robot/urdf/arm.urdf');
+    });
+
+    it('should block upload and add diagnostics for missing meshes', () => {
+        const component = new FileUploadComponent({});
+        component.lastValidation = { valid: true, errors: [], warnings: [] };
+
+        const result = component.resolveMeshes(URDF);
+
+        expect(result.valid).toBe(false);
+        expect(component.getLastValidation().errors.map(d => d.code)).toEqual(['missing-mesh', 'missing-mesh']);
+    });
+
+    it('should return rewritten content and assets when all meshes are present', () => {
+        const component = new FileUploadComponent({});
+        component.robotPackage = new RobotPackage([
+            entry('my_robot/urdf/arm.urdf'),
+            entry('my_robot/meshes/visual/base.stl'),
+            entry('my_robot/meshes/link1.dae')
+        ]);
+        component.mainPath = 'my_robot/urdf/arm.urdf';
+
+        const result = component.resolveMeshes(URDF);
+
+        expect(result.valid).toBe(true);
+        expect(result.assets).toHaveLength(2);
+        expect(result.content).toContain('meshes/my_robot/meshes/link1.dae');
+    });
+});
@@ -0,0 +1,196 @@
+/**
+ * Unit Tests for run control
+ * Tests cancelling and re-running workflow runs through the API client and
+ * from the status panel, and following the latest attempt afterwards
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { GitHubAPIClient } from '../docs/js/modules/github-api.module.js';
+import { StatusMonitorComponent } from '../docs/js/modules/status-monitor.module.js';
+import { DownloadComponent } from '../docs/js/modules/download.module.js';
+import { CONFIG } from '../docs/js/config.js';
+
+function jsonResponse(data, status = 200) {
+    return {
+        ok: status < 400,
+        status,
+        statusText: '',
+        json: async () => data
+    };
+}
+
+/**
+ * Fake run endpoint; `state` is what the next GET returns
+ */
+function mockRunAPI(state, onPost = () => jsonResponse({}, 202)) {
+    global.fetch = vi.fn(async (url, options = {}) => {
+        if (options.method === 'POST') {
+            return onPost(url);
+        }
+        if (/\/actions\/runs\/42$/.test(url)) {
+            return jsonResponse({ id: 42, run_number: 7, ...state });
+        }
+        return jsonResponse({ message: 'Not Found' }, 404);
+    });
+}
+
+describe('GitHubAPIClient - run control', () => {
+    let client;
+
+    beforeEach(() => {
+        client = new GitHubAPIClient({ getToken: () => 'ghp_test' });
+    });
+
+    it('should cancel a run and wait for the cancelled conclusion', async () => {
+        const state = { status: 'in_progress', conclusion: null, run_attempt: 1 };
+        client.sleep = vi.fn(async () => {
+            Object.assign(state, { status: 'completed', conclusion: 'cancelled' });
+        });
+        mockRunAPI(state);
+
+        const run = await client.cancelWorkflowRun(42);
+
+        expect(global.fetch.mock.calls[0][0]).toMatch(/\/actions\/runs\/42\/cancel$/);
+        expect(client.sleep).toHaveBeenCalledWith(CONFIG.RUN_CONTROL_INTERVAL, undefined);
+        expect(run).toMatchObject({ status: 'completed', conclusion: 'cancelled' });
+    });
+
+    it('should report the real conclusion of a run that finished before the cancel', async () => {
+        mockRunAPI(
+            { status: 'completed', conclusion: 'success', run_attempt: 1 },
+            () => jsonResponse({ message: 'Cannot cancel a workflow run that is completed.' }, 409)
+        );
+
+        const run = await client.cancelWorkflowRun(42);
+
+        expect(run.conclusion).toBe('success');
+    });
+
+    it('should re-run failed jobs and wait for the next attempt', async () => {
+        const state = { status: 'completed', conclusion: 'failure', run_attempt: 1 };
+        client.sleep = vi.fn(async () => {
+            Object.assign(state, { status: 'queued', conclusion: null, run_attempt: 2 });
+        });
+        mockRunAPI(state, () => jsonResponse({}, 201));
+
+        const run = await client.rerunFailedJobs(42);
+
+        const post = global.fetch.mock.calls.find(([, options]) => options.method === 'POST');
+        expect(post[0]).toMatch(/\/actions\/runs\/42\/rerun-failed-jobs$/);
+        expect(client.sleep).toHaveBeenCalledTimes(1);
+        expect(run).toMatchObject({ id: 42, status: 'queued', runAttempt: 2 });
+    });
+});
+
+describe('StatusMonitorComponent - run control', () => {
+    let api;
+    let monitor;
+    let elements;
+
+    beforeEach(() => {
+        api = {
+            getWorkflowRun: vi.fn(() => new Promise(() => {})),
+            cancelWorkflowRun: vi.fn(),
+            rerunWorkflow: vi.fn(),
+            rerunFailedJobs: vi.fn()
+        };
+        elements = {
+            statusIndicator: document.createElement('div'),
+            cancelRunButton: document.createElement('button'),
+            rerunButton: document.createElement('button'),
+            rerunFailedButton: document.createElement('button'),
+            controlMessage: document.createElement('p')
+        };
+        monitor = new StatusMonitorComponent(api);
+        monitor.initializeUI(elements);
+    });
+
+    it('should complete once with the confirmed cancelled run', async () => {
+        api.cancelWorkflowRun.mockResolvedValue({ id: 42, status: 'completed', conclusion: 'cancelled', runAttempt: 1 });
+        const onComplete = vi.fn();
+        monitor.onComplete = onComplete;
+        monitor.startPolling(42);
+        expect(elements.cancelRunButton.style.display).toBe('inline-block');
+
+        await monitor.cancelRun();
+
+        expect(onComplete).toHaveBeenCalledTimes(1);
+        expect(onComplete).toHaveBeenCalledWith('cancelled', expect.objectContaining({ conclusion: 'cancelled' }));
+        expect(monitor.getPollingState().isPolling).toBe(false);
+        expect(elements.controlMessage.textContent).toBe('Run cancelled');
+        expect(elements.cancelRunButton.style.display).toBe('none');
+        expect(elements.rerunFailedButton.style.display).toBe('inline-block');
+    });
+
+    it('should follow the new attempt after a re-run', async () => {
+        monitor.runId = 42;
+        monitor.handleRun({ id: 42, status: 'completed', conclusion: 'success', runAttempt: 1 });
+        expect(elements.rerunButton.style.display).toBe('inline-block');
+        expect(elements.rerunFailedButton.style.display).toBe('none');
+
+        api.rerunWorkflow.mockResolvedValue({ id: 42, status: 'queued', conclusion: null, runAttempt: 2 });
+        const onRerun = vi.fn();
+        monitor.onRerun = onRerun;
+
+        await monitor.rerun();
+
+        expect(onRerun).toHaveBeenCalledWith(expect.objectContaining({ runAttempt: 2 }));
+        expect(monitor.getPollingState()).toMatchObject({ isPolling: true, runId: 42, runAttempt: 2 });
+        expect(api.getWorkflowRun).toHaveBeenCalledWith(42, expect.anything());
+        monitor.stopPolling();
+    });
+
+    it('should abandon a pending cancel when polling is stopped', async () => {
+        const untilAborted = (runId, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(signal.reason));
+        });
+        api.cancelWorkflowRun.mockImplementation(untilAborted);
+        const onComplete = vi.fn();
+        monitor.onComplete = onComplete;
+        monitor.startPolling(42);
+
+        const cancelling = monitor.cancelRun();
+        expect(monitor.getPollingState().isPolling).toBe(true);
+
+        monitor.stopPolling();
+
+        expect(await cancelling).toBeNull();
+        expect(api.cancelWorkflowRun.mock.calls[0][1].signal.aborted).toBe(true);
+        expect(onComplete).not.toHaveBeenCalled();
+        expect(monitor.getPollingState().isPolling).toBe(false);
+        expect(elements.cancelRunButton.disabled).toBe(false);
+    });
+
+    it('should not follow a re-run that was reset', async () => {
+        let confirm;
+        api.rerunWorkflow.mockImplementation(() => new Promise(resolve => { confirm = resolve; }));
+        const onRerun = vi.fn();
+        monitor.onRerun = onRerun;
+        monitor.runId = 42;
+
+        const rerunning = monitor.rerun();
+        expect(monitor.getPollingState().isPolling).toBe(true);
+
+        monitor.reset();
+        confirm({ id: 42, status: 'queued', conclusion: null, runAttempt: 2 });
+
+        expect(await rerunning).toBeNull();
+        expect(api.rerunWorkflow.mock.calls[0][1].signal.aborted).toBe(true);
+        expect(onRerun).not.toHaveBeenCalled();
+        expect(monitor.getPollingState().isPolling).toBe(false);
+        expect(api.getWorkflowRun).not.toHaveBeenCalled();
+    });
+});
+
+describe('DownloadComponent - re-run artifacts', () => {
+    it('should pick the artifact of the latest attempt', () => {
+        const component = new DownloadComponent({});
+        component.artifacts = [
+            { id: 1, name: CONFIG.ARTIFACT_NAME, createdAt: '2024-01-01T10:00:00Z' },
+            { id: 2, name: CONFIG.ARTIFACT_NAME, createdAt: '2024-01-01T11:00:00Z' },
+            { id: 3, name: 'other', createdAt: '2024-01-01T12:00:00Z' }
+        ];
+
+        expect(component.findArtifact(CONFIG.ARTIFACT_NAME).id).toBe(2);
+    });
+});
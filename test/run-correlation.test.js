@@ -0,0 +1,115 @@
+/**
+ * Unit Tests for workflow run correlation
+ * Tests that a dispatched run is found by its correlation token rather than
+ * by being the most recent run
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { GitHubAPIClient, RunNotFoundError } from '../docs/js/modules/github-api.module.js';
+import { CONFIG } from '../docs/js/config.js';
+
+function jsonResponse(data, status = 200) {
+    return {
+        ok: status < 400,
+        status,
+        statusText: '',
+        json: async () => data
+    };
+}
+
+function apiRun(id, title) {
+    return {
+        id,
+        name: 'IKFast Generator',
+        display_title: title,
+        status: 'queued',
+        conclusion: null,
+        event: 'workflow_dispatch',
+        actor: { login: 'octocat' },
+        created_at: '2024-01-01T00:00:00Z'
+    };
+}
+
+describe('GitHubAPIClient - run correlation', () => {
+    let client;
+    let runs;
+    let dispatchedInputs;
+    let listCalls;
+
+    beforeEach(() => {
+        client = new GitHubAPIClient({ getToken: () => 'ghp_test' });
+        client.sleep = vi.fn().mockResolvedValue(undefined);
+        runs = [];
+        dispatchedInputs = null;
+        listCalls = [];
+
+        global.fetch = vi.fn(async (url, options) => {
+            if (url.endsWith('/user')) {
+                return jsonResponse({ login: 'octocat' });
+            }
+            if (url.endsWith('/dispatches')) {
+                dispatchedInputs = JSON.parse(options.body).inputs;
+                return { ok: true, status: 204, json: async () => ({}) };
+            }
+            if (url.includes('/runs?')) {
+                listCalls.push(new URL(url).searchParams);
+                // Runs flagged `late` only show up from the third poll on
+                const visible = runs.filter(run => !run.late || listCalls.length >= 3);
+                return jsonResponse({ workflow_runs: visible });
+            }
+            return jsonResponse({ message: 'Not Found' }, 404);
+        });
+    });
+
+    it('should send a correlation token and return the run that carries it', async () => {
+        vi.spyOn(GitHubAPIClient, 'generateCorrelationId').mockReturnValue('token-1');
+        // Someone else's newer run must never be taken for ours
+        runs = [
+            apiRun(2, 'IKFast generate [someone-else]'),
+            { ...apiRun(1, 'IKFast info [token-1]'), late: true }
+        ];
+
+        const run = await client.dispatchWorkflowRun('ikfast.yml', { mode: 'info', job_id: 'job-1' }, 'master');
+
+        expect(dispatchedInputs).toEqual({ mode: 'info', job_id: 'job-1', correlation_id: 'token-1' });
+        expect(run.id).toBe(1);
+        expect(listCalls).toHaveLength(3);
+        vi.restoreAllMocks();
+    });
+
+    it('should filter the runs list by event, actor and creation time', async () => {
+        runs = [apiRun(1, 'IKFast info [abc]')];
+
+        await client.findWorkflowRun('ikfast.yml', 'abc', {
+            actor: 'octocat',
+            since: new Date('2024-01-01T10:00:00.123Z')
+        });
+
+        const params = listCalls[0];
+        expect(params.get('event')).toBe('workflow_dispatch');
+        expect(params.get('actor')).toBe('octocat');
+        expect(params.get('created')).toBe('>=2024-01-01T10:00:00Z');
+    });
+
+    it('should throw a clear error when the run never appears', async () => {
+        vi.spyOn(Date, 'now')
+            .mockReturnValueOnce(0)
+            .mockReturnValue(CONFIG.RUN_LOOKUP_TIMEOUT);
+
+        const lookup = client.findWorkflowRun('ikfast.yml', 'missing', {
+            actor: 'octocat',
+            since: new Date(0)
+        });
+
+        await expect(lookup).rejects.toThrow(RunNotFoundError);
+        await expect(lookup).rejects.toMatchObject({ correlationId: 'missing' });
+        vi.restoreAllMocks();
+    });
+
+    it('should look up the authenticated user once per token', async () => {
+        await client.getAuthenticatedUser();
+        await client.getAuthenticatedUser();
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,143 @@
+/**
+ * Unit Tests for RunHistoryComponent
+ * Tests reading run details from run names, artifact expiry, rendering and
+ * reopening a past run
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { RunHistoryComponent } from '../docs/js/modules/run-history.module.js';
+import { CONFIG } from '../docs/js/config.js';
+
+function run(id, displayTitle, overrides = {}) {
+    return {
+        id,
+        runNumber: id,
+        displayTitle,
+        status: 'completed',
+        conclusion: 'success',
+        createdAt: '2024-01-02T10:00:00Z',
+        runStartedAt: '2024-01-02T10:00:00Z',
+        updatedAt: '2024-01-02T10:07:30Z',
+        htmlUrl: `https://github.com/o/r/actions/runs/${id}`,
+        ...overrides
+    };
+}
+
+function artifact(id, runId, jobId, overrides = {}) {
+    return {
+        id,
+        runId,
+        name: `${CONFIG.ARTIFACT_NAME}-${jobId}`,
+        createdAt: '2024-01-02T10:07:00Z',
+        expiresAt: '2024-01-09T10:07:00Z',
+        expired: false,
+        ...overrides
+    };
+}
+
+async function* iterate(items) {
+    yield* items;
+}
+
+describe('RunHistoryComponent', () => {
+    let api;
+    let history;
+    let elements;
+
+    beforeEach(() => {
+        api = {
+            listWorkflowRuns: vi.fn().mockResolvedValue([
+                run(12, 'IKFast generate lq3k9x2a-5f1c9e0b transform6d base=0 ee=6 [a]'),
+                run(11, 'IKFast info lq3k9x2a-5f1c9e0b [b]', { conclusion: 'failure' }),
+                run(10, 'IKFast generate [c]', { createdAt: '2024-01-01T09:00:00Z' })
+            ]),
+            iterateArtifacts: vi.fn(() => iterate([
+                artifact(3, 12, 'lq3k9x2a-5f1c9e0b'),
+                artifact(2, 10, 'old-job', { createdAt: '2024-01-01T09:05:00Z', expired: true }),
+                artifact(1, 9, 'older-job', { createdAt: '2023-12-31T09:00:00Z' })
+            ]))
+        };
+        elements = {
+            list: document.createElement('ul'),
+            message: document.createElement('p')
+        };
+        history = new RunHistoryComponent(api);
+        history.initializeUI(elements);
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should read the mode, job and parameters from the run name', () => {
+        expect(RunHistoryComponent.parseRunName('IKFast generate job-1 translation3d base=2 ee=5 [x]')).toEqual({
+            mode: 'generate',
+            jobId: 'job-1',
+            parameters: { ikType: 'translation3d', baseLink: '2', eeLink: '5', freeJoints: [] }
+        });
+        expect(RunHistoryComponent.parseRunName('IKFast generate job-1 transform6d base=0 ee=8 free=joint3 [x]').parameters)
+            .toEqual({ ikType: 'transform6d', baseLink: '0', eeLink: '8', freeJoints: ['joint3'] });
+        expect(RunHistoryComponent.parseRunName('IKFast info [x]')).toEqual({ mode: 'info', jobId: null, parameters: null });
+        expect(RunHistoryComponent.parseRunName('Something else').mode).toBeNull();
+    });
+
+    it('should list runs with duration, artifact expiry and the job of older runs', async () => {
+        const entries = await history.refresh();
+
+        expect(api.listWorkflowRuns).toHaveBeenCalledWith(
+            CONFIG.WORKFLOW_FILE, CONFIG.RUN_HISTORY_LIMIT, {}, { signal: expect.anything() }
+        );
+        expect(entries[0]).toMatchObject({
+            runId: 12,
+            mode: 'generate',
+            jobId: 'lq3k9x2a-5f1c9e0b',
+            parameters: { ikType: 'transform6d', baseLink: '0', eeLink: '6' },
+            duration: 450000,
+            artifact: { id: 3, expired: false }
+        });
+        expect(entries[1]).toMatchObject({ mode: 'info', conclusion: 'failure', artifact: null });
+        expect(entries[2]).toMatchObject({ jobId: 'old-job', artifact: { id: 2, expired: true } });
+
+        const items = [...elements.list.querySelectorAll('.history-entry')];
+        expect(items).toHaveLength(3);
+        expect(items[1].className).toBe('history-entry failure');
+        expect(items[0].textContent).toContain('transform6d, base 0 → ee 6');
+        expect(items[0].textContent).toContain('7m 30s');
+        expect(items[2].textContent).toContain('artifact expired');
+    });
+
+    it('should still list runs when artifacts cannot be listed', async () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        api.iterateArtifacts = vi.fn(async function* () {
+            throw new Error('Permission denied');
+        });
+
+        const entries = await history.refresh();
+
+        expect(entries).toHaveLength(3);
+        expect(entries.every(entry => entry.artifact === null)).toBe(true);
+    });
+
+    it('should report a failed runs request', async () => {
+        api.listWorkflowRuns.mockRejectedValue(new Error('Bad credentials'));
+
+        await history.refresh();
+
+        expect(elements.message.textContent).toBe('Failed to load run history: Bad credentials');
+        expect(elements.message.className).toBe('run-history-message error');
+    });
+
+    it('should announce the opened run and mark it in the list', async () => {
+        await history.refresh();
+        const opened = vi.fn();
+        window.addEventListener('runHistoryOpened', opened);
+
+        elements.list.querySelectorAll('.history-open-button')[1].click();
+
+        window.removeEventListener('runHistoryOpened', opened);
+        expect(opened).toHaveBeenCalledTimes(1);
+        expect(opened.mock.calls[0][0].detail).toMatchObject({ runId: 11, jobId: 'lq3k9x2a-5f1c9e0b', status: 'completed' });
+        expect(elements.list.querySelector('[aria-current="true"]').textContent).toContain('#11');
+        expect(history.open(999)).toBeNull();
+    });
+});
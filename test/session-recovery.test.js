@@ -0,0 +1,169 @@
+/**
+ * Unit Tests for SessionRecovery
+ * Tests saving and loading snapshots, the resume offer, restoring the job
+ * and timing a resumed run from its start on GitHub
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SessionRecovery } from '../docs/js/modules/session-recovery.module.js';
+import { StatusMonitorComponent } from '../docs/js/modules/status-monitor.module.js';
+import { JobSession } from '../docs/js/modules/job-session.module.js';
+import { CONFIG } from '../docs/js/config.js';
+
+const REPO = { owner: 'o', repo: 'r', branch: 'main' };
+
+function appState(overrides = {}) {
+    return {
+        jobId: 'lq3k9x2a-5f1c9e0b',
+        file: { uploaded: true, filename: 'arm.urdf', size: 0, sha: 'abc' },
+        links: [{ index: 0, name: 'base_link' }, { index: 1, name: 'tool0' }],
+        parameters: { baseLink: 0, eeLink: 1, ikType: 'transform6d' },
+        workflow: { runId: 42, attempt: 1, status: 'in_progress', conclusion: null, startTime: 1000, endTime: null },
+        logs: 'not saved',
+        ...overrides
+    };
+}
+
+describe('SessionRecovery', () => {
+    let recovery;
+    let elements;
+
+    beforeEach(() => {
+        localStorage.clear();
+        elements = {
+            banner: document.createElement('div'),
+            summary: document.createElement('p'),
+            resumeButton: document.createElement('button'),
+            dismissButton: document.createElement('button')
+        };
+        recovery = new SessionRecovery();
+        recovery.initializeUI(elements);
+        // At startup there is nothing saved yet to offer
+        recovery.offer(REPO);
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should save the job, file, links, parameters and run', () => {
+        recovery.save(appState(), REPO);
+
+        const snapshot = recovery.load(REPO);
+        expect(snapshot).toMatchObject({
+            jobId: 'lq3k9x2a-5f1c9e0b',
+            file: { filename: 'arm.urdf', sha: 'abc' },
+            parameters: { baseLink: 0, eeLink: 1 },
+            workflow: { runId: 42, status: 'in_progress' }
+        });
+        expect(snapshot.links).toHaveLength(2);
+        expect(snapshot.logs).toBeUndefined();
+    });
+
+    it('should only offer sessions of the same repository that are not too old', () => {
+        recovery.save(appState(), REPO);
+
+        expect(recovery.load({ owner: 'me', repo: 'r' })).toBeNull();
+
+        vi.spyOn(Date, 'now').mockReturnValue(Date.now() + CONFIG.SESSION_MAX_AGE + 1);
+        expect(recovery.load(REPO)).toBeNull();
+    });
+
+    it('should forget the session once nothing is uploaded or running', () => {
+        recovery.save(appState(), REPO);
+        recovery.save(appState({
+            file: { uploaded: false, filename: null, size: 0, sha: null },
+            workflow: { runId: null }
+        }), REPO);
+
+        expect(recovery.load(REPO)).toBeNull();
+    });
+
+    it('should not save over a session it has not offered yet', () => {
+        recovery.save(appState(), REPO);
+
+        // The reloaded page's first UI update comes before the offer
+        const reloaded = new SessionRecovery();
+        reloaded.save(appState({ file: { uploaded: false }, workflow: { runId: null } }), REPO);
+
+        expect(reloaded.offer(REPO)).toMatchObject({ jobId: 'lq3k9x2a-5f1c9e0b' });
+    });
+
+    it('should keep the offered session until the user decides', () => {
+        recovery.save(appState(), REPO);
+        recovery.offer(REPO);
+
+        expect(elements.banner.style.display).toBe('block');
+        expect(elements.summary.textContent).toContain('arm.urdf, run #42 in progress');
+
+        // The reloaded page's empty state must not replace it
+        recovery.save(appState({ file: { uploaded: false }, workflow: { runId: null } }), REPO);
+        expect(recovery.load(REPO)).not.toBeNull();
+
+        elements.dismissButton.click();
+        expect(elements.banner.style.display).toBe('none');
+        expect(recovery.load(REPO)).toBeNull();
+    });
+
+    it('should announce the resumed session', () => {
+        recovery.save(appState(), REPO);
+        recovery.offer(REPO);
+        const resumed = vi.fn();
+        window.addEventListener('sessionResumed', resumed);
+
+        elements.resumeButton.click();
+
+        window.removeEventListener('sessionResumed', resumed);
+        expect(resumed).toHaveBeenCalledTimes(1);
+        expect(resumed.mock.calls[0][0].detail.snapshot.workflow.runId).toBe(42);
+        expect(recovery.isOfferPending()).toBe(false);
+    });
+});
+
+describe('JobSession.setJobId', () => {
+    it('should continue a restored job in this tab', () => {
+        const session = new JobSession();
+
+        expect(session.setJobId('lq3k9x2a-5f1c9e0b')).toBe('lq3k9x2a-5f1c9e0b');
+        expect(new JobSession().getJobId()).toBe('lq3k9x2a-5f1c9e0b');
+        expect(() => session.setJobId('../other')).toThrow('Invalid job ID');
+    });
+});
+
+describe('StatusMonitorComponent - resumed runs', () => {
+    it('should time the run from its start on GitHub', async () => {
+        const startedAt = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+        const api = {
+            getWorkflowRun: vi.fn().mockResolvedValue({
+                id: 42, status: 'in_progress', createdAt: startedAt, runStartedAt: startedAt
+            }),
+            listWorkflowJobs: vi.fn().mockResolvedValue([])
+        };
+        const elapsedTime = document.createElement('div');
+        const monitor = new StatusMonitorComponent(api);
+        monitor.initializeUI({ elapsedTime });
+
+        monitor.startPolling(42);
+        await vi.waitFor(() => expect(api.getWorkflowRun).toHaveBeenCalled());
+        await vi.waitFor(() => expect(monitor.startTime).toBe(Date.parse(startedAt)));
+        monitor.stopPolling();
+
+        expect(elapsedTime.textContent).toMatch(/^Elapsed time 10m/);
+    });
+
+    it('should time out a run that started more than 30 minutes ago', async () => {
+        const startedAt = new Date(Date.now() - CONFIG.POLLING_TIMEOUT - 1000).toISOString();
+        const api = {
+            getWorkflowRun: vi.fn().mockResolvedValue({ id: 42, status: 'in_progress', createdAt: startedAt }),
+            listWorkflowJobs: vi.fn().mockResolvedValue([])
+        };
+        const monitor = new StatusMonitorComponent(api);
+        const onTimeout = vi.fn();
+        monitor.onTimeout = onTimeout;
+
+        monitor.startPolling(42);
+        await vi.waitFor(() => expect(onTimeout).toHaveBeenCalled());
+
+        expect(monitor.getPollingState().isPolling).toBe(false);
+    });
+});
@@ -0,0 +1,51 @@
+/**
+ * Startup test for session recovery
+ * Boots the app on index.html with a session saved before a reload and
+ * checks the resume banner survives the first UI update
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { SessionRecovery } from '../docs/js/modules/session-recovery.module.js';
+import { CONFIG } from '../docs/js/config.js';
+
+const REPO = { owner: CONFIG.REPO_OWNER, repo: CONFIG.REPO_NAME, branch: CONFIG.REPO_BRANCH };
+
+describe('Application startup - session recovery', () => {
+    beforeAll(() => {
+        const html = readFileSync(join(process.cwd(), 'docs/index.html'), 'utf-8');
+        const body = html.slice(html.indexOf('<body'), html.indexOf('</body>'));
+        document.body.innerHTML = body.replace(/^<body[^>]*>/, '').replace(/<script[\s\S]*?<\/script>/g, '');
+
+        // Requests of the booting app never settle; only the startup order matters here
+        vi.stubGlobal('fetch', vi.fn(() => new Promise(() => {})));
+        localStorage.clear();
+
+        const previousPage = new SessionRecovery();
+        previousPage.offer(REPO);
+        previousPage.save({
+            jobId: 'lq3k9x2a-5f1c9e0b',
+            file: { uploaded: true, filename: 'arm.urdf', size: 0, sha: 'abc' },
+            links: [],
+            parameters: { baseLink: 0, eeLink: 6, ikType: 'transform6d' },
+            workflow: { runId: 42, status: 'in_progress' }
+        }, REPO);
+    });
+
+    afterAll(() => {
+        vi.unstubAllGlobals();
+        sessionStorage.clear();
+        localStorage.clear();
+    });
+
+    it('should offer the saved session instead of overwriting it with the fresh state', async () => {
+        // The setup clears sessionStorage before each test, so sign in here
+        sessionStorage.setItem('github_token', 'ghp_test');
+        await import('../docs/js/main.js');
+
+        expect(document.getElementById('session-recovery').style.display).toBe('block');
+        expect(document.getElementById('session-recovery-summary').textContent).toContain('arm.urdf, run #42 in progress');
+        expect(JSON.parse(localStorage.getItem('ikfast_session')).jobId).toBe('lq3k9x2a-5f1c9e0b');
+    });
+});
@@ -33,7 +33,7 @@ global.CONFIG = {
     { value: 'ray4d', label: '4D Ray', description: '射线（原点+方向）' },
     { value: 'lookat3d', label: '3D Look-At', description: '注视点' },
     { value: 'translationdirection5d', label: '5D Translation+Direction', description: '位置+方向' },
-    { value: 'translationxy5d', label: '5D Translation XY', description: 'XY平面位置+姿态' }
+    { value: 'translationxy2d', label: '2D Translation XY', description: 'XY平面位置' }
   ],
   ERROR_MESSAGES: {
     INVALID_FILE_EXTENSION: '文件扩展名必须为 .urdf',
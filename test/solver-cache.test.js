@@ -0,0 +1,162 @@
+/**
+ * Unit Tests for SolverCache
+ * Tests cache keys from the URDF hash and solver parameters, indexing and
+ * looking up artifacts, and reusing them before a workflow is dispatched
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SolverCache } from '../docs/js/modules/solver-cache.module.js';
+import { WorkflowTriggerComponent } from '../docs/js/modules/workflow-trigger.module.js';
+
+const PARAMETERS = { baseLink: 0, eeLink: 6, ikType: 'transform6d' };
+const FUTURE = new Date(Date.now() + 86400000).toISOString();
+
+function artifact(overrides = {}) {
+    return { id: 300, name: 'ikfast-result-job-1', expired: false, expiresAt: FUTURE, ...overrides };
+}
+
+function createAPI(repo = { owner: 'o', repo: 'r', branch: 'main' }, indexes = []) {
+    return {
+        getRepo: vi.fn(() => repo),
+        iterateArtifacts: vi.fn(async function* () {
+            yield* indexes;
+        }),
+        listArtifacts: vi.fn().mockResolvedValue([artifact()]),
+        dispatchWorkflowRun: vi.fn().mockResolvedValue({ id: 99 }),
+        getWorkflowRun: vi.fn()
+    };
+}
+
+describe('SolverCache', () => {
+    let api;
+    let cache;
+
+    beforeEach(() => {
+        localStorage.clear();
+        api = createAPI();
+        cache = new SolverCache(api);
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should key generations by URDF hash and solver parameters', async () => {
+        const checksum = await SolverCache.computeChecksum('<robot name="arm"/>');
+
+        expect(checksum).toMatch(/^[0-9a-f]{64}$/);
+        expect(await SolverCache.computeChecksum('<robot name="arm"/>')).toBe(checksum);
+        expect(SolverCache.createKey(checksum, PARAMETERS)).toBe(`${checksum}:0:6:transform6d`);
+        expect(SolverCache.createKey(checksum, { ...PARAMETERS, eeLink: null })).toBeNull();
+        expect(SolverCache.createKey(null, PARAMETERS)).toBeNull();
+    });
+
+    it('should find an indexed artifact that still exists', async () => {
+        cache.record('key', { runId: 42, jobId: 'job-1', artifact: artifact() });
+
+        const entry = await new SolverCache(api).find('key');
+
+        expect(api.listArtifacts).toHaveBeenCalledWith(42, { signal: undefined });
+        expect(entry).toMatchObject({ runId: 42, jobId: 'job-1', artifactId: 300 });
+    });
+
+    it('should drop entries whose artifact is gone or expired', async () => {
+        cache.record('deleted', { runId: 42, jobId: 'job-1', artifact: artifact() });
+        cache.record('expired', { runId: 43, jobId: 'job-1', artifact: artifact() });
+        api.listArtifacts.mockImplementation(async (runId) => (runId === 42 ? [] : [artifact({ expired: true })]));
+
+        expect(await cache.find('deleted')).toBeNull();
+        expect(await cache.find('expired')).toBeNull();
+        expect(cache.get('deleted')).toBeNull();
+        expect(JSON.parse(localStorage.getItem('ikfast_solver_cache'))).toEqual({});
+    });
+
+    it('should find solvers other browsers generated by their index artifact', async () => {
+        const name = await SolverCache.getIndexName('key');
+        api = createAPI(undefined, [
+            artifact({ id: 501, name, runId: 41, expired: true }),
+            artifact({ id: 502, name, runId: 42 })
+        ]);
+        api.listArtifacts.mockResolvedValue([
+            artifact({ id: 300, createdAt: '2026-01-01T00:00:00Z' }),
+            artifact({ id: 301, createdAt: '2026-01-02T00:00:00Z' }),
+            artifact({ id: 502, name, createdAt: '2026-01-02T00:00:00Z' })
+        ]);
+        cache = new SolverCache(api);
+
+        expect(name).toBe(`ikfast-solver-index-${await SolverCache.computeIndexId('key')}`);
+        expect(name).toMatch(/^ikfast-solver-index-[0-9a-f]{64}$/);
+
+        const entry = await cache.find('key');
+
+        expect(api.iterateArtifacts).toHaveBeenCalledWith({ name, signal: undefined });
+        expect(api.listArtifacts).toHaveBeenCalledTimes(1);
+        expect(api.listArtifacts).toHaveBeenCalledWith(42, { signal: undefined });
+        expect(entry).toMatchObject({ runId: 42, jobId: 'job-1', artifactId: 301 });
+        expect(JSON.parse(localStorage.getItem('ikfast_solver_cache')).key).toMatchObject({ runId: 42, artifactId: 301 });
+    });
+
+    it('should search the index again when a remembered artifact is gone', async () => {
+        const name = await SolverCache.getIndexName('key');
+        cache.record('key', { runId: 40, jobId: 'job-1', artifact: artifact({ id: 200 }) });
+        api.iterateArtifacts.mockImplementation(async function* () {
+            yield artifact({ id: 502, name, runId: 42 });
+        });
+
+        expect(await cache.find('key')).toMatchObject({ runId: 42, artifactId: 300 });
+        expect(api.listArtifacts.mock.calls.map(([runId]) => runId)).toEqual([40, 42]);
+    });
+
+    it('should only reuse artifacts of the active repository', async () => {
+        cache.record('key', { runId: 42, jobId: 'job-1', artifact: artifact() });
+        api.getRepo.mockReturnValue({ owner: 'me', repo: 'r', branch: 'main' });
+
+        expect(await cache.find('key')).toBeNull();
+        expect(api.listArtifacts).not.toHaveBeenCalled();
+    });
+});
+
+describe('WorkflowTriggerComponent - solver cache', () => {
+    let api;
+    let component;
+
+    beforeEach(() => {
+        localStorage.clear();
+        api = createAPI();
+        const cache = new SolverCache(api);
+        cache.record('key', { runId: 42, jobId: 'job-1', artifact: artifact() });
+
+        component = new WorkflowTriggerComponent(api);
+        component.setJobId('job-2');
+        component.setSolverCache(cache);
+    });
+
+    const trigger = () => component.triggerWorkflow({
+        mode: 'generate', base_link: 0, ee_link: 6, iktype: 'transform6d', cache_key: 'key'
+    });
+
+    it('should offer a cached solver instead of dispatching', async () => {
+        component.onCacheHit = vi.fn().mockResolvedValue(true);
+
+        const result = await trigger();
+
+        expect(component.onCacheHit).toHaveBeenCalledWith(expect.objectContaining({ runId: 42 }));
+        expect(result).toEqual({ success: true, cached: true, runId: 42, jobId: 'job-1' });
+        expect(api.dispatchWorkflowRun).not.toHaveBeenCalled();
+        expect(component.getWorkflowState().isActive).toBe(false);
+    });
+
+    it('should run again when the offer is declined or the lookup fails', async () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        component.onCacheHit = vi.fn().mockResolvedValue(false);
+
+        expect(await trigger()).toEqual({ success: true, runId: 99 });
+
+        api.listArtifacts.mockRejectedValue(new Error('Server error'));
+        component.setWorkflowActive(false, null);
+        expect(await trigger()).toEqual({ success: true, runId: 99 });
+        expect(api.dispatchWorkflowRun).toHaveBeenCalledTimes(2);
+        expect(api.dispatchWorkflowRun.mock.calls[0][1]).not.toHaveProperty('cache_key');
+        expect(api.dispatchWorkflowRun.mock.calls[0][1].cache_id).toBe(await SolverCache.computeIndexId('key'));
+    });
+});
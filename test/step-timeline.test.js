@@ -0,0 +1,140 @@
+/**
+ * Unit Tests for StepTimeline
+ * Tests building the per-step timeline from the jobs API, phase lookup,
+ * durations, the failing step highlight and the status monitor integration
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { StepTimeline } from '../docs/js/modules/step-timeline.module.js';
+import { StatusMonitorComponent } from '../docs/js/modules/status-monitor.module.js';
+import { GitHubAPIClient } from '../docs/js/modules/github-api.module.js';
+
+const step = (number, name, status, conclusion = null, startedAt = null, completedAt = null) =>
+    ({ number, name, status, conclusion, startedAt, completedAt });
+
+function failedJob() {
+    return {
+        id: 1,
+        name: 'ikfast',
+        steps: [
+            step(1, 'Set up job', 'completed', 'success', '2024-01-01T10:00:00Z', '2024-01-01T10:00:02Z'),
+            step(2, 'Verify URDF file exists', 'completed', 'success', '2024-01-01T10:00:02Z', '2024-01-01T10:00:03Z'),
+            step(3, 'Run IKFast in Docker (Info Mode)', 'completed', 'skipped'),
+            step(4, 'Run IKFast in Docker (Generate Mode)', 'completed', 'failure', '2024-01-01T10:00:03Z', '2024-01-01T10:02:08Z'),
+            step(5, 'Upload artifacts', 'completed', 'success', '2024-01-01T10:02:08Z', '2024-01-01T10:02:10Z'),
+            step(6, 'Complete job', 'completed', 'success', '2024-01-01T10:02:10Z', '2024-01-01T10:02:10Z')
+        ]
+    };
+}
+
+describe('StepTimeline', () => {
+    it('should assign workflow steps to their phase', () => {
+        const steps = StepTimeline.fromJobs([failedJob()]);
+
+        expect(steps.map(s => s.phase)).toEqual(['setup', 'conversion', 'generation', 'generation', 'packaging', null]);
+    });
+
+    it('should report the failing step and its phase', () => {
+        const timeline = new StepTimeline();
+        timeline.update([failedJob()]);
+
+        expect(timeline.getFailedStep()).toMatchObject({
+            name: 'Run IKFast in Docker (Generate Mode)',
+            phaseLabel: 'IKFast generation'
+        });
+    });
+
+    it('should measure finished steps and running steps up to now', () => {
+        const [finished] = StepTimeline.fromJobs([failedJob()]).slice(3);
+        const running = step(1, 'Upload artifacts', 'in_progress', null, '2024-01-01T10:00:00Z');
+
+        expect(StepTimeline.formatDuration(StepTimeline.getDuration(finished))).toBe('2m 5s');
+        expect(StepTimeline.getDuration(running, Date.parse('2024-01-01T10:00:30Z'))).toBe(30000);
+        expect(StepTimeline.getDuration(step(1, 'Upload artifacts', 'queued'))).toBeNull();
+    });
+
+    it('should render every step and highlight the failing one', () => {
+        const list = document.createElement('ol');
+        const timeline = new StepTimeline();
+        timeline.attach(list);
+
+        timeline.update([failedJob()]);
+
+        const items = [...list.querySelectorAll('.timeline-step')];
+        expect(items).toHaveLength(6);
+        expect(items[2].className).toBe('timeline-step skipped');
+        expect(items[3].className).toBe('timeline-step failure');
+        expect(items[3].getAttribute('aria-current')).toBe('step');
+        expect(items[3].textContent).toContain('2m 5s');
+        expect(list.querySelector('.timeline-summary').textContent)
+            .toBe('IKFast generation failed at "Run IKFast in Docker (Generate Mode)"');
+    });
+});
+
+describe('GitHubAPIClient.listWorkflowJobs', () => {
+    it('should map jobs and their steps', async () => {
+        const client = new GitHubAPIClient({ getToken: () => 'ghp_test' });
+        global.fetch = vi.fn(async () => ({
+            ok: true,
+            status: 200,
+            headers: new Headers(),
+            json: async () => ({
+                jobs: [{
+                    id: 5,
+                    name: 'ikfast',
+                    status: 'in_progress',
+                    run_attempt: 2,
+                    steps: [{ number: 1, name: 'Set up job', status: 'completed', conclusion: 'success', started_at: 'a', completed_at: 'b' }]
+                }]
+            })
+        }));
+
+        const jobs = await client.listWorkflowJobs(42);
+
+        expect(global.fetch.mock.calls[0][0]).toMatch(/\/actions\/runs\/42\/jobs\?per_page=100$/);
+        expect(jobs[0]).toMatchObject({ id: 5, runAttempt: 2 });
+        expect(jobs[0].steps[0]).toEqual({
+            number: 1, name: 'Set up job', status: 'completed', conclusion: 'success', startedAt: 'a', completedAt: 'b'
+        });
+    });
+});
+
+describe('StatusMonitorComponent - step timeline', () => {
+    let api;
+    let monitor;
+
+    beforeEach(() => {
+        api = {
+            getWorkflowRun: vi.fn().mockResolvedValue({ id: 42, status: 'completed', conclusion: 'failure', runAttempt: 1 }),
+            listWorkflowJobs: vi.fn().mockResolvedValue([failedJob()])
+        };
+        monitor = new StatusMonitorComponent(api);
+        monitor.initializeUI({ stepTimeline: document.createElement('ol') });
+    });
+
+    it('should update the timeline before reporting completion', async () => {
+        let timelineAtCompletion = null;
+        monitor.onComplete = () => {
+            timelineAtCompletion = monitor.getTimeline();
+        };
+
+        monitor.startPolling(42);
+        await vi.waitFor(() => expect(timelineAtCompletion).not.toBeNull());
+
+        expect(api.listWorkflowJobs).toHaveBeenCalledWith(42, expect.objectContaining({ signal: expect.anything() }));
+        expect(timelineAtCompletion).toHaveLength(6);
+    });
+
+    it('should keep polling when the jobs request fails', async () => {
+        api.listWorkflowJobs.mockRejectedValue(new Error('Server error'));
+        const onComplete = vi.fn();
+        monitor.onComplete = onComplete;
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+        monitor.startPolling(42);
+        await vi.waitFor(() => expect(onComplete).toHaveBeenCalled());
+
+        expect(monitor.getTimeline()).toEqual([]);
+        vi.restoreAllMocks();
+    });
+});
@@ -0,0 +1,198 @@
+/**
+ * Unit Tests for URDFModel
+ * Tests client-side URDF parsing and OpenRAVE-compatible link ordering
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { URDFModel, URDFParseError } from '../docs/js/modules/urdf-model.module.js';
+import { LinkInfoComponent } from '../docs/js/modules/link-info.module.js';
+
+const SERIAL_ARM = `<?xml version="1.0"?>
+<robot name="arm">
+  <link name="base_link"/>
+  <link name="link1"/>
+  <link name="link2"/>
+  <link name="tool0"/>
+  <joint name="joint1" type="revolute">
+    <parent link="base_link"/>
+    <child link="link1"/>
+    <origin xyz="0 0 0.3" rpy="0 0 1.57"/>
+    <axis xyz="0 0 1"/>
+    <limit lower="-3.14" upper="3.14" effort="100" velocity="2"/>
+  </joint>
+  <joint name="joint2" type="prismatic">
+    <parent link="link1"/>
+    <child link="link2"/>
+    <limit lower="0" upper="0.5" effort="50" velocity="1"/>
+  </joint>
+  <joint name="tool_joint" type="fixed">
+    <parent link="link2"/>
+    <child link="tool0"/>
+  </joint>
+</robot>`;
+
+describe('URDFModel', () => {
+    describe('parse', () => {
+        it('should extract links and joints', () => {
+            const model = URDFModel.parse(SERIAL_ARM);
+
+            expect(model.name).toBe('arm');
+            expect(model.links.map(l => l.name)).toEqual(['base_link', 'link1', 'link2', 'tool0']);
+            expect(model.joints).toHaveLength(3);
+        });
+
+        it('should parse origins, axes and limits', () => {
+            const model = URDFModel.parse(SERIAL_ARM);
+            const joint1 = model.getJoint('joint1');
+
+            expect(joint1.type).toBe('revolute');
+            expect(joint1.parent).toBe('base_link');
+            expect(joint1.child).toBe('link1');
+            expect(joint1.origin.xyz).toEqual([0, 0, 0.3]);
+            expect(joint1.origin.rpy).toEqual([0, 0, 1.57]);
+            expect(joint1.axis).toEqual([0, 0, 1]);
+            expect(joint1.limit).toEqual({ lower: -3.14, upper: 3.14, effort: 100, velocity: 2 });
+        });
+
+        it('should apply URDF defaults for missing origin and axis', () => {
+            const joint2 = URDFModel.parse(SERIAL_ARM).getJoint('joint2');
+
+            expect(joint2.origin.xyz).toEqual([0, 0, 0]);
+            expect(joint2.axis).toEqual([1, 0, 0]);
+        });
+
+        it('should record line numbers', () => {
+            const model = URDFModel.parse(SERIAL_ARM);
+
+            expect(model.getLink('base_link').line).toBe(3);
+            expect(model.getJoint('joint1').line).toBe(7);
+        });
+
+        it('should throw URDFParseError for malformed XML', () => {
+            expect(() => URDFModel.parse('<robot><link name="a"></robot>')).toThrow(URDFParseError);
+        });
+
+        it('should throw URDFParseError when root is not <robot>', () => {
+            try {
+                URDFModel.parse('<model/>');
+                expect.unreachable();
+            } catch (error) {
+                expect(error).toBeInstanceOf(URDFParseError);
+                expect(error.line).toBe(1);
+            }
+        });
+    });
+
+    describe('getLinkRecords', () => {
+        it('should produce records matching enrichLinkData output', () => {
+            const records = URDFModel.parse(SERIAL_ARM).getLinkRecords();
+
+            expect(records).toEqual([
+                { name: 'base_link', index: 0, parent: null, isRoot: true, isLeaf: false },
+                { name: 'link1', index: 1, parent: 'base_link', isRoot: false, isLeaf: false },
+                { name: 'link2', index: 2, parent: 'link1', isRoot: false, isLeaf: false },
+                { name: 'tool0', index: 3, parent: 'link2', isRoot: false, isLeaf: true }
+            ]);
+        });
+
+        it('should order branches depth-first by joint name like OpenRAVE', () => {
+            const urdf = `<robot name="dual">
+                <link name="torso"/>
+                <link name="right_arm"/>
+                <link name="right_hand"/>
+                <link name="left_arm"/>
+                <joint name="z_right" type="revolute">
+                    <parent link="torso"/><child link="right_arm"/>
+                    <limit lower="-1" upper="1" effort="1" velocity="1"/>
+                </joint>
+                <joint name="a_left" type="revolute">
+                    <parent link="torso"/><child link="left_arm"/>
+                    <limit lower="-1" upper="1" effort="1" velocity="1"/>
+                </joint>
+                <joint name="m_hand" type="fixed">
+                    <parent link="right_arm"/><child link="right_hand"/>
+                </joint>
+            </robot>`;
+
+            const names = URDFModel.parse(urdf).getLinkRecords().map(r => r.name);
+
+            expect(names).toEqual(['torso', 'left_arm', 'right_arm', 'right_hand']);
+        });
+    });
+
+    describe('getChain', () => {
+        it('should return joints from base to end effector', () => {
+            const chain = URDFModel.parse(SERIAL_ARM).getChain('base_link', 'tool0');
+
+            expect(chain.map(j => j.name)).toEqual(['joint1', 'joint2', 'tool_joint']);
+        });
+
+        it('should return null when end effector is not below base', () => {
+            expect(URDFModel.parse(SERIAL_ARM).getChain('tool0', 'base_link')).toBeNull();
+        });
+    });
+});
+
+describe('LinkInfoComponent - URDF link info', () => {
+    let component;
+
+    beforeEach(() => {
+        component = new LinkInfoComponent({});
+        component.initializeUI({
+            linkTable: document.createElement('div'),
+            errorDisplay: document.createElement('div')
+        });
+    });
+
+    it('should build links from URDF content and dispatch linkInfoFetched', () => {
+        const listener = vi.fn();
+        window.addEventListener('linkInfoFetched', listener);
+
+        const links = component.loadFromURDF(SERIAL_ARM);
+
+        window.removeEventListener('linkInfoFetched', listener);
+        expect(links).toHaveLength(4);
+        expect(component.getLinkByName('tool0').index).toBe(3);
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener.mock.calls[0][0].detail.source).toBe('urdf');
+    });
+
+    it('should show an error for unparsable URDF', () => {
+        const links = component.loadFromURDF('<robot>');
+
+        expect(links).toEqual([]);
+        expect(component.elements.errorDisplay.className).toContain('error');
+    });
+
+    it('should report differences between URDF and OpenRAVE links', () => {
+        const local = URDFModel.parse(SERIAL_ARM).getLinkRecords();
+        const remote = local.map(link => (
+            link.name === 'link2' ? { ...link, index: 3 } : link
+        ));
+
+        expect(component.compareLinks(local, local)).toEqual([]);
+        expect(component.compareLinks(local, remote)).toEqual(['link2 has index 3, expected 2']);
+    });
+
+    it('should rebuild the model of restored links from the job\'s URDF', async () => {
+        const getFile = vi.fn().mockResolvedValue({ content: btoa(SERIAL_ARM), encoding: 'base64' });
+        component = new LinkInfoComponent({ getFile });
+        component.setJobId('job-1');
+        component.restoreLinks(URDFModel.parse(SERIAL_ARM).getLinkRecords());
+
+        const model = await component.restoreModel();
+
+        expect(getFile).toHaveBeenCalledWith('jobs/job-1/robot.urdf', expect.anything());
+        expect(model.getLinkRecords()).toHaveLength(4);
+        expect(component.getModel()).toBe(model);
+    });
+
+    it('should not restore a model when the job\'s URDF is gone', async () => {
+        component = new LinkInfoComponent({ getFile: vi.fn().mockResolvedValue(null) });
+        component.setJobId('job-1');
+        component.restoreLinks(URDFModel.parse(SERIAL_ARM).getLinkRecords());
+
+        expect(await component.restoreModel()).toBeNull();
+        expect(component.getModel()).toBeNull();
+    });
+});
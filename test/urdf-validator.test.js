@@ -0,0 +1,137 @@
+/**
+ * Unit Tests for URDFValidator
+ * Tests semantic URDF diagnostics and their source positions
+ */
+
+import { describe, it, expect } from 'vitest';
+import { URDFValidator } from '../docs/js/modules/urdf-validator.module.js';
+
+const limit = '<limit lower="-1" upper="1" effort="1" velocity="1"/>';
+
+function robot(body) {
+    return `<robot name="r">\n${body}\n</robot>`;
+}
+
+function codes(diagnostics) {
+    return diagnostics.map(d => d.code);
+}
+
+describe('URDFValidator', () => {
+    it('should accept a valid serial chain', () => {
+        const result = URDFValidator.validate(robot(`
+<link name="base"/>
+<link name="tip"/>
+<joint name="j1" type="revolute">
+  <parent link="base"/><child link="tip"/>
+  <axis xyz="0 0 1"/>
+  ${limit}
+</joint>`));
+
+        expect(result.valid).toBe(true);
+        expect(result.errors).toEqual([]);
+        expect(result.warnings).toEqual([]);
+    });
+
+    it('should report XML syntax errors with position', () => {
+        const result = URDFValidator.validate('<robot>\n  <link name="a">\n</robot>');
+
+        expect(result.valid).toBe(false);
+        expect(result.errors[0].code).toBe('xml-syntax');
+        expect(result.errors[0].line).toBe(3);
+    });
+
+    it('should report a missing <robot> root', () => {
+        const result = URDFValidator.validate('<sdf/>');
+
+        expect(codes(result.errors)).toEqual(['missing-robot']);
+    });
+
+    it('should report joints that reference undefined links at the reference line', () => {
+        const result = URDFValidator.validate(robot(`<link name="base"/>
+<joint name="j1" type="fixed">
+  <parent link="base"/>
+  <child link="ghost"/>
+</joint>`));
+
+        expect(codes(result.errors)).toEqual(['undefined-link']);
+        expect(result.errors[0].line).toBe(5);
+        expect(result.errors[0].column).toBe(3);
+        expect(result.errors[0].message).toContain('"ghost"');
+    });
+
+    it('should report multiple root links', () => {
+        const result = URDFValidator.validate(robot('<link name="a"/>\n<link name="b"/>'));
+
+        expect(codes(result.errors)).toEqual(['multiple-roots']);
+        expect(result.errors[0].message).toContain('"b"');
+    });
+
+    it('should report kinematic cycles', () => {
+        const result = URDFValidator.validate(robot(`<link name="root"/>
+<link name="a"/>
+<link name="b"/>
+<joint name="r_a" type="fixed"><parent link="root"/><child link="a"/></joint>
+<joint name="a_b" type="fixed"><parent link="a"/><child link="b"/></joint>
+<joint name="b_a" type="fixed"><parent link="b"/><child link="a"/></joint>`));
+
+        expect(codes(result.errors)).toContain('kinematic-cycle');
+        expect(codes(result.errors)).toContain('multiple-parents');
+        expect(result.errors.filter(d => d.code === 'kinematic-cycle')).toHaveLength(1);
+    });
+
+    it('should report duplicate link and joint names', () => {
+        const result = URDFValidator.validate(robot(`<link name="a"/>
+<link name="a"/>
+<link name="b"/>
+<joint name="j" type="fixed"><parent link="a"/><child link="b"/></joint>
+<joint name="j" type="fixed"><parent link="a"/><child link="b"/></joint>`));
+
+        const duplicates = result.errors.filter(d => d.code === 'duplicate-name');
+        expect(duplicates).toHaveLength(2);
+        expect(duplicates[0].line).toBe(3);
+    });
+
+    it('should reject a zero axis', () => {
+        const result = URDFValidator.validate(robot(`<link name="a"/><link name="b"/>
+<joint name="j" type="continuous">
+  <parent link="a"/><child link="b"/>
+  <axis xyz="0 0 0"/>
+</joint>`));
+
+        expect(codes(result.errors)).toEqual(['zero-axis']);
+        expect(result.errors[0].line).toBe(5);
+    });
+
+    it('should warn about a non-normalized axis without blocking', () => {
+        const result = URDFValidator.validate(robot(`<link name="a"/><link name="b"/>
+<joint name="j" type="continuous">
+  <parent link="a"/><child link="b"/>
+  <axis xyz="0 0 2"/>
+</joint>`));
+
+        expect(result.valid).toBe(true);
+        expect(codes(result.warnings)).toEqual(['non-normalized-axis']);
+    });
+
+    it('should require limits on revolute and prismatic joints', () => {
+        const result = URDFValidator.validate(robot(`<link name="a"/><link name="b"/><link name="c"/>
+<joint name="j1" type="revolute"><parent link="a"/><child link="b"/></joint>
+<joint name="j2" type="prismatic"><parent link="b"/><child link="c"/></joint>`));
+
+        expect(codes(result.errors)).toEqual(['missing-limit', 'missing-limit']);
+    });
+
+    it('should reject floating and planar joints', () => {
+        const result = URDFValidator.validate(robot(`<link name="a"/><link name="b"/><link name="c"/>
+<joint name="j1" type="floating"><parent link="a"/><child link="b"/></joint>
+<joint name="j2" type="planar"><parent link="b"/><child link="c"/></joint>`));
+
+        expect(codes(result.errors)).toEqual(['unsupported-joint-type', 'unsupported-joint-type']);
+    });
+
+    it('should format diagnostics with line and column', () => {
+        const text = URDFValidator.format({ message: 'Bad axis', line: 4, column: 7 });
+
+        expect(text).toBe('Line 4, column 7: Bad axis');
+    });
+});
@@ -166,7 +166,7 @@ ee_link 2 link1(1)
                 'ray4d',
                 'lookat3d',
                 'translationdirection5d',
-                'translationxy5d'
+                'translationxy2d'
             ];
 
             supportedTypes.forEach(ikType => {
@@ -46,7 +46,7 @@ describe('WorkflowTriggerComponent - Property Tests', () => {
                             'ray4d',
                             'lookat3d',
                             'translationdirection5d',
-                            'translationxy5d'
+                            'translationxy2d'
                         )
                     }).filter(params => params.baseLink !== params.eeLink),
                     async (params) => {
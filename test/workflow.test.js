@@ -34,6 +34,14 @@ describe('GitHub Actions Workflow', () => {
       expect(workflowContent).toContain('base_link:');
       expect(workflowContent).toContain('ee_link:');
       expect(workflowContent).toContain('iktype:');
+      expect(workflowContent).toContain('job_id:');
+      expect(workflowContent).toContain('correlation_id:');
+    });
+
+    it('should put the job and the correlation token into the run name', () => {
+      const runName = workflowContent.split('\n').find(line => line.startsWith('run-name:'));
+      expect(runName).toContain('run-name: IKFast ${{ inputs.mode }} ${{ inputs.job_id }}');
+      expect(runName).toMatch(/ \[\$\{\{ inputs\.correlation_id \}\}\]$/);
     });
 
     it('should have mode as choice input with info and generate options', () => {
@@ -48,10 +56,17 @@ describe('GitHub Actions Workflow', () => {
   });
 
   describe('Workflow Configuration', () => {
-    it('should have concurrency control', () => {
+    it('should have per-job concurrency control', () => {
       expect(workflowContent).toContain('concurrency:');
-      expect(workflowContent).toContain('group: ikfast-generation');
-      expect(workflowContent).toContain('cancel-in-progress: false');
+      expect(workflowContent).toContain('group: ikfast-${{ inputs.job_id }}');
+      expect(workflowContent).toContain('cancel-in-progress: true');
+    });
+
+    it('should validate the job ID before using it in paths', () => {
+      expect(workflowContent).toContain('JOB_DIR: jobs/${{ inputs.job_id }}');
+      expect(workflowContent.indexOf('Validate job ID')).toBeLessThan(
+        workflowContent.indexOf('Verify URDF file exists')
+      );
     });
 
     it('should have 30-minute timeout', () => {
@@ -115,7 +130,7 @@ describe('GitHub Actions Workflow', () => {
   describe('Info Mode Workflow', () => {
     it('should convert URDF to Collada', () => {
       expect(workflowContent).toContain('rosrun collada_urdf urdf_to_collada');
-      expect(workflowContent).toContain('jobs/current/robot.urdf');
+      expect(workflowContent).toContain('${{ env.JOB_DIR }}/robot.urdf');
       expect(workflowContent).toContain('robot.dae');
     });
 
@@ -152,6 +167,20 @@ describe('GitHub Actions Workflow', () => {
       expect(workflowContent).toContain('--savefile=outputs/ikfast_solver.cpp');
     });
 
+    it('should pass the free joints of redundant chains as DOF indices', () => {
+      expect(workflowContent).toContain('free_joints:');
+      expect(workflowContent).toContain('FREE_JOINTS: ${{ inputs.free_joints }}');
+      expect(workflowContent).toContain("args.append('--freeindex=%d' % joint.GetDOFIndex())");
+      expect(workflowContent).toContain('$FREEINDEX_ARGS');
+    });
+
+    it('should index successful generations by their cache key hash', () => {
+      expect(workflowContent).toContain('cache_id:');
+      expect(workflowContent).toContain('[[ "$CACHE_ID" =~ ^[0-9a-f]{64}$ ]]');
+      expect(workflowContent).toContain("if: success() && inputs.mode == 'generate' && inputs.cache_id != ''");
+      expect(workflowContent).toContain('name: ikfast-solver-index-${{ inputs.cache_id }}');
+    });
+
     it('should verify output file', () => {
       expect(workflowContent).toContain('ls -lh outputs/ikfast_solver.cpp');
       expect(workflowContent).toContain('wc -l outputs/ikfast_solver.cpp');
@@ -216,6 +245,12 @@ describe('GitHub Actions Workflow', () => {
     it('should validate base_link != ee_link', () => {
       expect(workflowContent).toContain('base_link and ee_link must be different');
     });
+
+    it('should reject IK types missing from the web app catalog', () => {
+      expect(workflowContent).toContain('IKTYPE: ${{ inputs.iktype }}');
+      expect(workflowContent).toContain('await import("./docs/js/config.js")');
+      expect(workflowContent).toContain('CONFIG.IKTYPE_OPTIONS.map(type => type.value)');
+    });
   });
 
   describe('Error Handling', () => {
@@ -0,0 +1,168 @@
+/**
+ * Unit Tests for XacroProcessor
+ * Tests in-browser xacro expansion: properties, macros, expressions,
+ * conditionals, arguments and includes
+ */
+
+import { describe, it, expect } from 'vitest';
+import { XacroProcessor, XacroError } from '../docs/js/modules/xacro.module.js';
+import { URDFModel } from '../docs/js/modules/urdf-model.module.js';
+import { FileUploadComponent } from '../docs/js/modules/file-upload.module.js';
+
+function xacro(body) {
+    return `<?xml version="1.0"?>
+<robot name="arm" xmlns:xacro="http://www.ros.org/wiki/xacro">
+${body}
+</robot>`;
+}
+
+function expand(body, options) {
+    return new XacroProcessor(options).process(xacro(body));
+}
+
+describe('XacroProcessor', () => {
+    it('should substitute properties and evaluate math', () => {
+        const urdf = expand(`
+<xacro:property name="length" value="0.5"/>
+<xacro:property name="half" value="\${length / 2}"/>
+<link name="base"/>
+<joint name="j" type="fixed">
+  <parent link="base"/><child link="tip"/>
+  <origin xyz="0 0 \${half * 3}" rpy="0 0 \${pi / 2}"/>
+</joint>
+<link name="tip"/>`);
+
+        const joint = URDFModel.parse(urdf).getJoint('j');
+        expect(joint.origin.xyz).toEqual([0, 0, 0.75]);
+        expect(joint.origin.rpy[2]).toBeCloseTo(Math.PI / 2);
+        expect(urdf).not.toContain('xacro:');
+    });
+
+    it('should support math functions, operators and conditional expressions', () => {
+        const processor = new XacroProcessor();
+        const scope = { lookup: () => null };
+
+        expect(processor.evaluateExpression('2 ** 3 + 7 // 2 - 5 % 3', scope, null)).toBe(9);
+        expect(processor.evaluateExpression('radians(180)', scope, null)).toBeCloseTo(Math.PI);
+        expect(processor.evaluateExpression('max(1, 4, 2)', scope, null)).toBe(4);
+        expect(processor.evaluateExpression("'a' if 1 > 2 else 'b'", scope, null)).toBe('b');
+        expect(processor.evaluateExpression('not (1 == 1 and 2 < 1)', scope, null)).toBe(true);
+    });
+
+    it('should expand macros with defaults and block parameters', () => {
+        const urdf = expand(`
+<xacro:macro name="segment" params="name parent length:=1 *origin">
+  <link name="\${name}"/>
+  <joint name="\${name}_joint" type="revolute">
+    <parent link="\${parent}"/>
+    <child link="\${name}"/>
+    <xacro:insert_block name="origin"/>
+    <limit lower="\${-length}" upper="\${length}" effort="1" velocity="1"/>
+  </joint>
+</xacro:macro>
+<link name="base"/>
+<xacro:segment name="link1" parent="base">
+  <origin xyz="0 0 0.1"/>
+</xacro:segment>
+<xacro:call macro="segment" name="link2" parent="link1" length="2">
+  <origin xyz="0 0 0.2"/>
+</xacro:call>`);
+
+        const model = URDFModel.parse(urdf);
+        expect(model.getChain('base', 'link2').map(j => j.name)).toEqual(['link1_joint', 'link2_joint']);
+        expect(model.getJoint('link1_joint').limit.upper).toBe(1);
+        expect(model.getJoint('link2_joint').limit.lower).toBe(-2);
+        expect(model.getJoint('link2_joint').origin.xyz).toEqual([0, 0, 0.2]);
+    });
+
+    it('should evaluate xacro:if and xacro:unless', () => {
+        const urdf = expand(`
+<xacro:property name="with_tool" value="true"/>
+<link name="base"/>
+<xacro:if value="\${with_tool}"><link name="tool"/></xacro:if>
+<xacro:unless value="\${with_tool}"><link name="flange"/></xacro:unless>
+<xacro:if value="\${1 > 2}"><link name="never"/></xacro:if>`);
+
+        const names = URDFModel.parse(urdf).links.map(l => l.name);
+        expect(names).toEqual(['base', 'tool']);
+    });
+
+    it('should use xacro:arg defaults unless overridden', () => {
+        const body = `
+<xacro:arg name="prefix" default="left_"/>
+<link name="$(arg prefix)base"/>`;
+
+        expect(URDFModel.parse(expand(body)).links[0].name).toBe('left_base');
+        expect(URDFModel.parse(expand(body, { args: { prefix: 'right_' } })).links[0].name).toBe('right_base');
+    });
+
+    it('should resolve includes against the provided files', () => {
+        const files = new Map([
+            ['my_robot_description/urdf/common.xacro', xacro(`
+<xacro:property name="radius" value="0.05"/>
+<xacro:macro name="tool" params="name"><link name="\${name}"/></xacro:macro>`)]
+        ]);
+
+        const urdf = expand(`
+<xacro:include filename="$(find my_robot_description)/urdf/common.xacro"/>
+<link name="base"/>
+<xacro:tool name="gripper_\${radius * 100}"/>`, { files });
+
+        expect(URDFModel.parse(urdf).links.map(l => l.name)).toEqual(['base', 'gripper_5']);
+    });
+
+    it('should report a missing include file', () => {
+        expect(() => expand('<xacro:include filename="materials.xacro"/>'))
+            .toThrow(/materials\.xacro" was not provided/);
+    });
+
+    it('should report unknown macros with their line', () => {
+        try {
+            expand('<link name="a"/>\n<xacro:missing name="b"/>');
+            expect.unreachable();
+        } catch (error) {
+            expect(error).toBeInstanceOf(XacroError);
+            expect(error.message).toContain('Unknown macro "missing"');
+            expect(error.line).toBe(4);
+        }
+    });
+
+    it('should report undefined properties and self-referencing properties', () => {
+        expect(() => expand('<link name="${nope}"/>')).toThrow(/Undefined property "nope"/);
+        expect(() => expand('<xacro:property name="a" value="${a + 1}"/><link name="${a}"/>'))
+            .toThrow(/defined in terms of itself/);
+    });
+
+    it('should keep literal dollar signs escaped with $$', () => {
+        const urdf = expand('<link name="cost$${x}"/>');
+
+        expect(URDFModel.parse(urdf).links[0].name).toBe('cost${x}');
+    });
+});
+
+describe('FileUploadComponent - xacro', () => {
+    it('should accept .xacro files', () => {
+        const component = new FileUploadComponent({});
+
+        expect(component.validateFileExtension('robot.urdf.xacro').valid).toBe(true);
+        expect(component.validateFileExtension('robot.sdf').valid).toBe(false);
+    });
+
+    it('should pick the robot description from a multi-file selection', () => {
+        const component = new FileUploadComponent({});
+        const files = ['materials.xacro', 'arm.urdf.xacro', 'macros.xacro'].map(name => new File(['<robot/>'], name));
+
+        expect(component.selectMainFile(files).name).toBe('arm.urdf.xacro');
+    });
+
+    it('should expand xacro before upload and name the download after the source', async () => {
+        const component = new FileUploadComponent({});
+        component.selectedFile = new File([xacro('<xacro:property name="n" value="base"/><link name="${n}"/>')], 'arm.urdf.xacro');
+
+        const content = await component.readUploadContent();
+
+        expect(URDFModel.parse(content).links[0].name).toBe('base');
+        expect(component.getExpandedContent()).toBe(content);
+        expect(component.getExpandedFilename()).toBe('arm.urdf');
+    });
+});
@@ -0,0 +1,88 @@
+/**
+ * Unit Tests for ZipReader
+ * Tests listing and extracting stored and deflated entries, integrity checks
+ * and the components that read artifacts and robot packages through it
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { ZipReader, ZipError } from '../docs/js/modules/zip-reader.module.js';
+import { DownloadComponent } from '../docs/js/modules/download.module.js';
+import { LinkInfoComponent } from '../docs/js/modules/link-info.module.js';
+import { RobotPackage } from '../docs/js/modules/robot-package.module.js';
+import { createZip } from './helpers/zip.js';
+
+const SOLVER = '/* IKFast solver */\n'.repeat(200);
+
+describe('ZipReader', () => {
+    it('should list entries from the central directory', async () => {
+        const zip = await ZipReader.open(createZip({ 'out/': '', 'out/build.log': 'ok', 'info.log': 'links' }));
+
+        expect(zip.getEntries().map(entry => [entry.name, entry.dir])).toEqual([
+            ['out/', true],
+            ['out/build.log', false],
+            ['info.log', false]
+        ]);
+        expect(zip.getEntry('out/')).toBeNull();
+    });
+
+    it('should extract deflated and stored entries as text and Blob', async () => {
+        const deflated = await ZipReader.open(new Blob([createZip({ 'ikfast_solver.cpp': SOLVER })]));
+        const stored = await ZipReader.open(createZip({ '机器人.txt': '链接' }, { deflate: false }));
+
+        expect(deflated.getEntry('ikfast_solver.cpp').compressedSize).toBeLessThan(SOLVER.length);
+        expect(await deflated.extractText('ikfast_solver.cpp')).toBe(SOLVER);
+        expect(await stored.extractText('机器人.txt')).toBe('链接');
+
+        const blob = await deflated.extractBlob('ikfast_solver.cpp', 'text/plain');
+        expect(blob.type).toBe('text/plain');
+        expect(blob.size).toBe(SOLVER.length);
+    });
+
+    it('should reject data that is not a ZIP archive', async () => {
+        await expect(ZipReader.open(new TextEncoder().encode('<html>Blocked</html>')))
+            .rejects.toThrow(ZipError);
+    });
+
+    it('should detect corrupted entries', async () => {
+        const bytes = createZip({ 'build.log': 'hello world' }, { deflate: false });
+        bytes[30 + 'build.log'.length] ^= 0xff;
+        const zip = await ZipReader.open(bytes);
+
+        await expect(zip.extract('build.log')).rejects.toThrow('File build.log is corrupted');
+        await expect(zip.extract('missing.log')).rejects.toThrow('File missing.log not found in ZIP archive');
+    });
+});
+
+describe('ZIP archives in components', () => {
+    it('should extract a file from a downloaded artifact', async () => {
+        const component = new DownloadComponent({});
+
+        const blob = await component.extractFileFromZip(new Blob([createZip({ 'ikfast_solver.cpp': SOLVER })]), 'ikfast_solver.cpp');
+
+        expect(await blob.text()).toBe(SOLVER);
+        await expect(component.extractFileFromZip(new Blob([createZip({})]), 'build.log'))
+            .rejects.toThrow('File build.log not found in artifact');
+    });
+
+    it('should read info.log from the link info artifact', async () => {
+        const api = { getWorkflowLogs: vi.fn() };
+        const component = new LinkInfoComponent(api);
+
+        const log = await component.extractLogFromZip(new Blob([createZip({ 'info.log': 'name index\n' })]), 'info.log');
+
+        expect(log).toBe('name index\n');
+        expect(api.getWorkflowLogs).not.toHaveBeenCalled();
+    });
+
+    it('should build a robot package from a ZIP file', async () => {
+        const zip = createZip({
+            'arm/': '',
+            'arm/urdf/arm.urdf': '<robot name="arm"/>',
+            '__MACOSX/arm/._arm.urdf': 'x'
+        });
+
+        const robotPackage = await RobotPackage.fromZip(new Blob([zip]));
+
+        expect(robotPackage.entries.map(entry => entry.path)).toEqual(['arm/urdf/arm.urdf']);
+    });
+});